@@ -0,0 +1,294 @@
+const mongoose = require("mongoose");
+const moment = require("moment-timezone");
+const XLSX = require("xlsx");
+const Allocation = require("../models/Allocation");
+const RoomAllocation = require("../models/RoomAllocation");
+const Exam = require("../models/Exam");
+const Subject = require("../models/Subject");
+const Student = require("../models/Student");
+const { canManage } = require("../utils/departments");
+const { compareRollNumbers, subjectsByRollNumber } = require("../utils/studentRoster");
+const { roleOf } = require("../utils/dutyRoles");
+
+// The room sitting behind a faculty member's own invigilation duty, or an error response
+const loadOwnDuty = async (req) => {
+    const { allocationId } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(allocationId)) {
+        return { status: 400, message: "Invalid allocation ID" };
+    }
+
+    const duty = await Allocation.findById(allocationId).populate("examId", "name");
+    if (!duty || duty.facultyId.toString() !== req.user.id) {
+        return { status: 404, message: "Duty not found" };
+    }
+    if (roleOf(duty) !== "Invigilator") {
+        return { status: 400, message: "Attendance is taken by the invigilator of each room" };
+    }
+
+    const sitting = await RoomAllocation.findOne({
+        examId: duty.examId._id,
+        roomId: duty.roomId,
+        date: duty.date,
+        startTime: duty.startTime,
+        endTime: duty.endTime
+    }).populate("roomId", "roomNumber building floor");
+    if (!sitting) {
+        return { status: 404, message: "No students are seated for this duty" };
+    }
+    return { duty, sitting };
+};
+
+// Students of the duty's room with their seat, paper and any attendance already marked - Faculty only
+exports.getDutyAttendance = async (req, res) => {
+    try {
+        const { duty, sitting, status, message } = await loadOwnDuty(req);
+        if (status) return res.status(status).json({ success: false, message });
+
+        const subjectIds = subjectsByRollNumber(sitting);
+        const subjects = new Map((await Subject.find({ _id: { $in: [...new Set(subjectIds.values())] } }).select("name subjectCode"))
+            .map(subject => [subject._id.toString(), subject]));
+        const names = new Map((await Student.find({ rollNumber: { $in: sitting.students } }).select("rollNumber name"))
+            .map(student => [student.rollNumber, student.name || ""]));
+        const seats = new Map((sitting.seats || []).map(seat => [seat.rollNumber, seat]));
+        const marked = new Map((sitting.attendance || []).map(entry => [entry.rollNumber, entry]));
+
+        const students = [...sitting.students]
+            .sort((a, b) => {
+                const seatA = seats.get(a);
+                const seatB = seats.get(b);
+                if (seatA && seatB) return seatA.bench - seatB.bench || seatA.position - seatB.position;
+                return compareRollNumbers(a, b);
+            })
+            .map(rollNumber => {
+                const subject = subjects.get(subjectIds.get(rollNumber));
+                const seat = seats.get(rollNumber);
+                const entry = marked.get(rollNumber);
+                return {
+                    rollNumber,
+                    name: names.get(rollNumber) || "",
+                    subjectCode: subject ? subject.subjectCode : "",
+                    subjectName: subject ? subject.name : "",
+                    seat: seat ? `${seat.bench}-${seat.position}` : "",
+                    present: entry ? entry.present : null,
+                    incident: entry ? entry.incident || "" : ""
+                };
+            });
+
+        res.status(200).json({
+            success: true,
+            data: {
+                examName: duty.examId.name,
+                date: moment.tz(duty.date, "Asia/Kolkata").format("YYYY-MM-DD"),
+                startTime: duty.startTime,
+                endTime: duty.endTime,
+                room: sitting.roomId,
+                students,
+                incidentNote: sitting.incidentNote || "",
+                markedAt: sitting.attendanceMarkedAt
+            }
+        });
+    } catch (err) {
+        console.error("Error fetching duty attendance:", err);
+        res.status(500).json({ success: false, message: "Error fetching attendance" });
+    }
+};
+
+// Save the attendance of the duty's room; can be corrected any time from the day of the paper - Faculty only
+exports.saveDutyAttendance = async (req, res) => {
+    try {
+        const { duty, sitting, status, message } = await loadOwnDuty(req);
+        if (status) return res.status(status).json({ success: false, message });
+
+        if (moment.tz("Asia/Kolkata").isBefore(moment.tz(duty.date, "Asia/Kolkata").startOf("day"))) {
+            return res.status(400).json({ success: false, message: "Attendance can only be marked from the day of the exam" });
+        }
+
+        const { entries, incidentNote } = req.body;
+        if (!Array.isArray(entries)) {
+            return res.status(400).json({ success: false, message: "Attendance entries are required" });
+        }
+
+        const seated = new Set(sitting.students);
+        const attendance = new Map();
+        for (const entry of entries) {
+            const rollNumber = String(entry.rollNumber || "").trim().toUpperCase();
+            if (!seated.has(rollNumber)) {
+                return res.status(400).json({ success: false, message: `${rollNumber || "A student"} is not seated in this room` });
+            }
+            if (typeof entry.present !== "boolean") continue; // Left unmarked
+            attendance.set(rollNumber, { rollNumber, present: entry.present, incident: String(entry.incident || "").trim() });
+        }
+
+        sitting.attendance = [...attendance.values()];
+        if (incidentNote !== undefined) sitting.incidentNote = String(incidentNote).trim();
+        sitting.attendanceMarkedBy = req.user.id;
+        sitting.attendanceMarkedAt = new Date();
+        await sitting.save();
+
+        const absent = sitting.attendance.filter(entry => !entry.present).length;
+        res.status(200).json({
+            success: true,
+            message: `Attendance saved: ${sitting.attendance.length - absent} present, ${absent} absent` +
+                (sitting.students.length > sitting.attendance.length ? `, ${sitting.students.length - sitting.attendance.length} not marked` : "")
+        });
+    } catch (err) {
+        console.error("Error saving duty attendance:", err);
+        res.status(500).json({ success: false, message: "Error saving attendance" });
+    }
+};
+
+// Attendance of an exam per paper, optionally for one semester or subject, or an error response
+const buildAbsenteeReport = async (req) => {
+    const { examId } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(examId)) {
+        return { status: 400, message: "Invalid exam ID" };
+    }
+
+    const exam = await Exam.findById(examId).select("name departments");
+    if (!exam) {
+        return { status: 404, message: "Exam not found" };
+    }
+    if (!canManage(req, exam.departments)) {
+        return { status: 403, message: "You can only view reports of your own department's exams" };
+    }
+
+    const subjectFilter = { exam: examId };
+    if (req.query.semester) subjectFilter.semester = Number(req.query.semester);
+    if (req.query.subjectId && mongoose.Types.ObjectId.isValid(req.query.subjectId)) subjectFilter._id = req.query.subjectId;
+    const subjects = await Subject.find(subjectFilter).sort({ semester: 1, date: 1, startTime: 1 });
+
+    const sittings = await RoomAllocation.find({ examId })
+        .populate("roomId", "roomNumber building")
+        .populate("attendanceMarkedBy", "name")
+        .lean();
+    const names = new Map((await Student.find({ rollNumber: { $in: sittings.flatMap(sitting => sitting.students) } })
+        .select("rollNumber name")
+        .lean())
+        .map(student => [student.rollNumber, student.name || ""]));
+
+    const papers = new Map(subjects.map(subject => [subject._id.toString(), {
+        subjectId: subject._id,
+        subjectCode: subject.subjectCode,
+        subjectName: subject.name,
+        semester: subject.semester,
+        date: moment.tz(subject.date, "Asia/Kolkata").format("YYYY-MM-DD"),
+        seated: 0,
+        present: 0,
+        absent: 0,
+        unmarked: 0,
+        absentees: [],
+        incidents: []
+    }]));
+    const roomNotes = [];
+
+    sittings.forEach(sitting => {
+        const roomNumber = sitting.roomId ? sitting.roomId.roomNumber : sitting.roomNumber;
+        const building = sitting.roomId ? sitting.roomId.building : "";
+        const marked = new Map((sitting.attendance || []).map(entry => [entry.rollNumber, entry]));
+        let inReport = false;
+
+        subjectsByRollNumber(sitting).forEach((subjectId, rollNumber) => {
+            const paper = papers.get(subjectId);
+            if (!paper) return;
+            inReport = true;
+
+            const entry = marked.get(rollNumber);
+            const student = { rollNumber, name: names.get(rollNumber) || "", roomNumber, building };
+            paper.seated++;
+            if (!entry) paper.unmarked++;
+            else if (entry.present) paper.present++;
+            else {
+                paper.absent++;
+                paper.absentees.push(student);
+            }
+            if (entry && entry.incident) paper.incidents.push({ ...student, note: entry.incident });
+        });
+
+        if (inReport && sitting.incidentNote) {
+            roomNotes.push({
+                roomNumber,
+                building,
+                date: moment.tz(sitting.date, "Asia/Kolkata").format("YYYY-MM-DD"),
+                time: `${sitting.startTime} - ${sitting.endTime}`,
+                note: sitting.incidentNote,
+                markedBy: sitting.attendanceMarkedBy ? sitting.attendanceMarkedBy.name : ""
+            });
+        }
+    });
+
+    papers.forEach(paper => {
+        paper.absentees.sort((a, b) => compareRollNumbers(a.rollNumber, b.rollNumber));
+        paper.incidents.sort((a, b) => compareRollNumbers(a.rollNumber, b.rollNumber));
+    });
+
+    return { exam, papers: [...papers.values()], roomNotes };
+};
+
+// Absentees and incidents per paper of an exam - Admin only
+exports.getAbsenteeReport = async (req, res) => {
+    try {
+        const { exam, papers, roomNotes, status, message } = await buildAbsenteeReport(req);
+        if (status) return res.status(status).json({ success: false, message });
+
+        res.status(200).json({ success: true, data: { examName: exam.name, papers, roomNotes } });
+    } catch (err) {
+        console.error("Error building absentee report:", err);
+        res.status(500).json({ success: false, message: "Error building absentee report" });
+    }
+};
+
+// The absentee report as CSV (default) or XLSX: one row per absentee or incident - Admin only
+exports.exportAbsenteeReport = async (req, res) => {
+    try {
+        const { exam, papers, roomNotes, status, message } = await buildAbsenteeReport(req);
+        if (status) return res.status(status).json({ success: false, message });
+
+        const format = req.query.format === "xlsx" ? "xlsx" : "csv";
+        const rows = papers.flatMap(paper => {
+            const incidents = new Map(paper.incidents.map(incident => [incident.rollNumber, incident.note]));
+            const row = (student, status) => ({
+                "Semester": paper.semester,
+                "Subject Code": paper.subjectCode,
+                "Subject": paper.subjectName,
+                "Date": paper.date,
+                "Roll Number": student.rollNumber,
+                "Name": student.name,
+                "Room": `${student.building} ${student.roomNumber}`.trim(),
+                "Status": status,
+                "Incident": incidents.get(student.rollNumber) || ""
+            });
+            const absentRolls = new Set(paper.absentees.map(student => student.rollNumber));
+            return [
+                ...paper.absentees.map(student => row(student, "Absent")),
+                ...paper.incidents.filter(student => !absentRolls.has(student.rollNumber)).map(student => row(student, "Present"))
+            ];
+        });
+
+        const workbook = XLSX.utils.book_new();
+        XLSX.utils.book_append_sheet(workbook, XLSX.utils.json_to_sheet(rows, {
+            header: ["Semester", "Subject Code", "Subject", "Date", "Roll Number", "Name", "Room", "Status", "Incident"]
+        }), "Absentees");
+        if (format === "xlsx" && roomNotes.length > 0) {
+            XLSX.utils.book_append_sheet(workbook, XLSX.utils.json_to_sheet(roomNotes.map(note => ({
+                "Date": note.date,
+                "Time": note.time,
+                "Room": `${note.building} ${note.roomNumber}`.trim(),
+                "Incident": note.note,
+                "Reported By": note.markedBy
+            }))), "Room Incidents");
+        }
+        const file = XLSX.write(workbook, { type: "buffer", bookType: format });
+
+        res.writeHead(200, {
+            'Content-Type': format === "xlsx"
+                ? "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet"
+                : "text/csv",
+            'Content-Disposition': `attachment; filename=absentees_${exam.name}.${format}`,
+            'Content-Length': file.length
+        });
+        res.end(file);
+    } catch (err) {
+        console.error("Error exporting absentee report:", err);
+        res.status(500).json({ success: false, message: "Error exporting absentee report" });
+    }
+};
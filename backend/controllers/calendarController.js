@@ -0,0 +1,128 @@
+const crypto = require("crypto");
+const mongoose = require("mongoose");
+const moment = require("moment-timezone");
+const Allocation = require("../models/Allocation");
+const CancelledDuty = require("../models/CancelledDuty");
+const Exam = require("../models/Exam");
+const User = require("../models/User");
+const { canManage } = require("../utils/departments");
+const { dutyEvent, cancelledEvent, buildCalendar } = require("../utils/dutyCalendar");
+
+// Feeds go back this far, so a subscribed calendar keeps recent duties
+const FEED_HISTORY_DAYS = 90;
+
+const feedUrl = (req, token) => `${req.protocol}://${req.get("host")}/faculty/calendar/${token}.ics`;
+
+// Active duties plus cancellations not superseded by a duty with the same UID (a duty substituted back)
+const calendarEvents = (duties, cancellations) => {
+    const events = duties.map(dutyEvent);
+    const active = new Set(events.map(event => event.uid));
+    return [...events, ...cancellations.filter(cancelled => !active.has(cancelled.uid)).map(cancelledEvent)]
+        .sort((a, b) => a.start - b.start);
+};
+
+const sendCalendar = (res, filename, calendar) => {
+    res.writeHead(200, {
+        'Content-Type': "text/calendar; charset=utf-8",
+        'Content-Disposition': `attachment; filename=${filename}`,
+        'Content-Length': Buffer.byteLength(calendar)
+    });
+    res.end(calendar);
+};
+
+// The faculty member's calendar feed URL, created on first use - Faculty only
+exports.getCalendarLink = async (req, res) => {
+    try {
+        const user = await User.findById(req.user.id).select("+calendarToken");
+        if (!user) {
+            return res.status(404).json({ success: false, message: "User not found" });
+        }
+        if (!user.calendarToken) {
+            user.calendarToken = crypto.randomBytes(24).toString("hex");
+            await user.save();
+        }
+
+        res.status(200).json({ success: true, data: { url: feedUrl(req, user.calendarToken) } });
+    } catch (err) {
+        console.error("Error fetching calendar link:", err);
+        res.status(500).json({ success: false, message: "Error fetching calendar link" });
+    }
+};
+
+// Replace the feed URL, e.g. after it was shared by mistake; the old URL stops working - Faculty only
+exports.resetCalendarLink = async (req, res) => {
+    try {
+        const calendarToken = crypto.randomBytes(24).toString("hex");
+        const user = await User.findByIdAndUpdate(req.user.id, { $set: { calendarToken } });
+        if (!user) {
+            return res.status(404).json({ success: false, message: "User not found" });
+        }
+
+        res.status(200).json({
+            success: true,
+            message: "A new calendar link has been created. Re-subscribe with it; the old link no longer works.",
+            data: { url: feedUrl(req, calendarToken) }
+        });
+    } catch (err) {
+        console.error("Error resetting calendar link:", err);
+        res.status(500).json({ success: false, message: "Error resetting calendar link" });
+    }
+};
+
+// A faculty member's duties as an iCalendar feed; the token in the URL stands in for a login
+exports.getFacultyFeed = async (req, res) => {
+    try {
+        const user = await User.findOne({ calendarToken: req.params.token, role: "Faculty" }).select("name");
+        if (!user) {
+            return res.status(404).json({ success: false, message: "Calendar not found" });
+        }
+
+        const since = moment.tz("Asia/Kolkata").subtract(FEED_HISTORY_DAYS, "days").startOf("day").toDate();
+        const duties = await Allocation.find({ facultyId: user._id, date: { $gte: since } })
+            .populate("examId", "name")
+            .populate("roomId", "roomNumber building floor")
+            .populate("roomIds", "roomNumber");
+        const cancellations = await CancelledDuty.find({ facultyId: user._id, end: { $gte: since } });
+
+        sendCalendar(res, "invigilation.ics", buildCalendar(`Invigilation duties - ${user.name}`, calendarEvents(duties, cancellations)));
+    } catch (err) {
+        console.error("Error building calendar feed:", err);
+        res.status(500).json({ success: false, message: "Error building calendar feed" });
+    }
+};
+
+// Every duty of an exam as a downloadable .ics file - Admin only
+exports.exportExamCalendar = async (req, res) => {
+    try {
+        const { examId } = req.params;
+        if (!mongoose.Types.ObjectId.isValid(examId)) {
+            return res.status(400).json({ success: false, message: "Invalid exam ID" });
+        }
+
+        const exam = await Exam.findById(examId).select("name departments");
+        if (!exam) {
+            return res.status(404).json({ success: false, message: "Exam not found" });
+        }
+        if (!canManage(req, exam.departments)) {
+            return res.status(403).json({ success: false, message: "You can only export your own department's exams" });
+        }
+
+        const duties = await Allocation.find({ examId })
+            .populate("examId", "name")
+            .populate("roomId", "roomNumber building floor")
+            .populate("roomIds", "roomNumber");
+        const cancellations = await CancelledDuty.find({ examId });
+
+        // One event per duty, named after whoever holds it
+        const events = calendarEvents(duties, cancellations);
+        const holders = new Map(duties.map(duty => [dutyEvent(duty).uid, duty.facultyName]));
+        events.forEach(event => {
+            if (holders.has(event.uid)) event.summary = `${event.summary} - ${holders.get(event.uid)}`;
+        });
+
+        sendCalendar(res, `${exam.name}_duties.ics`, buildCalendar(`${exam.name} - invigilation duties`, events));
+    } catch (err) {
+        console.error("Error exporting exam calendar:", err);
+        res.status(500).json({ success: false, message: "Error exporting exam calendar" });
+    }
+};
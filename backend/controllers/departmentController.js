@@ -0,0 +1,167 @@
+const mongoose = require("mongoose");
+const bcrypt = require("bcrypt");
+const crypto = require("crypto");
+const Department = require("../models/Department");
+const User = require("../models/User");
+const Room = require("../models/Room");
+const Subject = require("../models/Subject");
+const AllocationPolicy = require("../models/AllocationPolicy");
+const { queueEmail } = require("../utils/mailQueue");
+
+// Add Department - College-wide admins only
+exports.addDepartment = async (req, res) => {
+    try {
+        const { name, code } = req.body;
+        if (!name || !name.trim() || !code || !code.trim()) {
+            return res.status(400).json({ success: false, message: "Name and code are required" });
+        }
+
+        const existing = await Department.findOne({ $or: [{ name: name.trim() }, { code: code.trim().toUpperCase() }] });
+        if (existing) {
+            return res.status(400).json({ success: false, message: "A department with this name or code already exists" });
+        }
+
+        const department = await Department.create({ name, code });
+        res.status(201).json({ success: true, message: "Department added successfully", data: department });
+    } catch (err) {
+        console.error("Error adding department:", err);
+        res.status(500).json({ success: false, message: "Error adding department" });
+    }
+};
+
+// All departments with their faculty/room counts and department admins - Admin only
+exports.getAllDepartments = async (req, res) => {
+    try {
+        const departments = await Department.find().sort({ code: 1 }).lean();
+        const [facultyCounts, roomCounts, admins] = await Promise.all([
+            User.aggregate([{ $match: { role: "Faculty", department: { $ne: null } } }, { $group: { _id: "$department", count: { $sum: 1 } } }]),
+            Room.aggregate([{ $match: { department: { $ne: null } } }, { $group: { _id: "$department", count: { $sum: 1 } } }]),
+            User.find({ role: "Admin", department: { $ne: null } }).select("name email department").lean()
+        ]);
+        const countOf = (counts, id) => (counts.find(entry => entry._id.toString() === id.toString()) || { count: 0 }).count;
+
+        res.status(200).json({
+            success: true,
+            data: departments.map(department => ({
+                ...department,
+                facultyCount: countOf(facultyCounts, department._id),
+                roomCount: countOf(roomCounts, department._id),
+                admins: admins.filter(admin => admin.department.toString() === department._id.toString())
+            }))
+        });
+    } catch (err) {
+        console.error("Error fetching departments:", err);
+        res.status(500).json({ success: false, message: "Error fetching departments" });
+    }
+};
+
+// Update Department - College-wide admins only
+exports.updateDepartment = async (req, res) => {
+    try {
+        const { id } = req.params;
+        const { name, code } = req.body;
+
+        const department = await Department.findById(id);
+        if (!department) {
+            return res.status(404).json({ success: false, message: "Department not found" });
+        }
+
+        const taken = await Department.exists({
+            _id: { $ne: id },
+            $or: [{ name: (name || department.name).trim() }, { code: (code || department.code).trim().toUpperCase() }]
+        });
+        if (taken) {
+            return res.status(400).json({ success: false, message: "A department with this name or code already exists" });
+        }
+
+        if (name) department.name = name;
+        if (code) department.code = code;
+        await department.save();
+
+        res.status(200).json({ success: true, message: "Department updated successfully", data: department });
+    } catch (err) {
+        console.error("Error updating department:", err);
+        res.status(500).json({ success: false, message: "Error updating department" });
+    }
+};
+
+// Delete Department; faculty, admins, papers, rooms and policies must be moved to another department first
+exports.deleteDepartment = async (req, res) => {
+    try {
+        const { id } = req.params;
+        if (!mongoose.Types.ObjectId.isValid(id)) {
+            return res.status(400).json({ success: false, message: "Invalid department ID" });
+        }
+
+        const [users, subjects, rooms, policies] = await Promise.all([
+            User.countDocuments({ department: id }),
+            Subject.countDocuments({ department: id }),
+            Room.countDocuments({ department: id }),
+            AllocationPolicy.countDocuments({ department: id })
+        ]);
+        if (users + subjects + rooms + policies > 0) {
+            return res.status(400).json({
+                success: false,
+                message: `This department still has ${users} user(s), ${subjects} paper(s), ${rooms} room(s) and ${policies} policy(ies) and cannot be deleted`
+            });
+        }
+
+        const deleted = await Department.findByIdAndDelete(id);
+        if (!deleted) {
+            return res.status(404).json({ success: false, message: "Department not found" });
+        }
+
+        res.status(200).json({ success: true, message: "Department deleted successfully" });
+    } catch (err) {
+        console.error("Error deleting department:", err);
+        res.status(500).json({ success: false, message: "Error deleting department" });
+    }
+};
+
+// Create an admin limited to one department and email their login details - College-wide admins only
+exports.addDepartmentAdmin = async (req, res) => {
+    try {
+        const { id } = req.params;
+        const { name, email } = req.body;
+
+        if (!name || !email) {
+            return res.status(400).json({ success: false, message: "Name and email are required" });
+        }
+
+        const department = mongoose.Types.ObjectId.isValid(id) && await Department.findById(id);
+        if (!department) {
+            return res.status(404).json({ success: false, message: "Department not found" });
+        }
+
+        if (await User.exists({ email: email.trim().toLowerCase() })) {
+            return res.status(400).json({ success: false, message: "A user with this email already exists" });
+        }
+
+        const plainPassword = crypto.randomBytes(6).toString("hex"); // 12-char password
+        const admin = await User.create({
+            name,
+            email,
+            password: await bcrypt.hash(plainPassword, 10),
+            role: "Admin",
+            department: department._id
+        });
+
+        queueEmail(
+            admin.email,
+            "Department Admin Account Created",
+            `Hello ${admin.name},\n\nYou have been added as an admin for ${department.name} (${department.code}).\nYour login credentials:\nEmail: ${admin.email}\nPassword: ${plainPassword}\n\nPlease login and change your password if you wish.`,
+            async (error) => {
+                if (error) console.error(`Credentials email to department admin ${admin.email} failed:`, error);
+            }
+        );
+
+        res.status(201).json({
+            success: true,
+            message: "Department admin added; their login details are being emailed",
+            data: { _id: admin._id, name: admin.name, email: admin.email, department: admin.department }
+        });
+    } catch (err) {
+        console.error("Error adding department admin:", err);
+        res.status(500).json({ success: false, message: "Error adding department admin" });
+    }
+};
@@ -0,0 +1,146 @@
+const mongoose = require("mongoose");
+const moment = require("moment-timezone");
+const Allocation = require("../models/Allocation");
+const { DUTY_STATUSES, CHECK_IN_OPENS_MINUTES, hasReached, dutyWindow, sameDutyFilter, verifyAcknowledgeToken } = require("../utils/dutyStatus");
+
+// A faculty member's own duty, or an error response
+const loadOwnDuty = async (req) => {
+    const { allocationId } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(allocationId)) {
+        return { status: 400, message: "Invalid allocation ID" };
+    }
+
+    const duty = await Allocation.findById(allocationId).populate("examId", "name");
+    if (!duty || duty.facultyId.toString() !== req.user.id) {
+        return { status: 404, message: "Duty not found" };
+    }
+    return { duty };
+};
+
+// Move a duty, and its copies in exams sharing the slot, forward to a status; never moves one back
+const advanceDuty = async (duty, status, stamps) => {
+    const earlier = DUTY_STATUSES.slice(0, DUTY_STATUSES.indexOf(status));
+    const now = new Date();
+
+    // Stamps are only filled if missing, so checking in without acknowledging first still records both
+    await Allocation.updateMany({ ...sameDutyFilter(duty), status: { $in: earlier } }, { $set: { status } });
+    for (const field of stamps) {
+        await Allocation.updateMany({ ...sameDutyFilter(duty), [field]: null }, { $set: { [field]: now } });
+    }
+};
+
+const acknowledge = async (duty) => {
+    if (hasReached(duty, "Acknowledged")) return "Duty already acknowledged";
+    if (dutyWindow(duty).end.isBefore(moment.tz("Asia/Kolkata"))) return null;
+
+    await advanceDuty(duty, "Acknowledged", ["acknowledgedAt"]);
+    return "Duty acknowledged";
+};
+
+// Acknowledge a duty from the faculty dashboard - Faculty only
+exports.acknowledgeDuty = async (req, res) => {
+    try {
+        const { duty, status, message } = await loadOwnDuty(req);
+        if (status) return res.status(status).json({ success: false, message });
+
+        const result = await acknowledge(duty);
+        if (!result) {
+            return res.status(400).json({ success: false, message: "This duty is already over" });
+        }
+        res.status(200).json({ success: true, message: result });
+    } catch (err) {
+        console.error("Error acknowledging duty:", err);
+        res.status(500).json({ success: false, message: "Error acknowledging duty" });
+    }
+};
+
+// Acknowledge a duty from the signed link in the duty email; no login needed
+exports.acknowledgeDutyByLink = async (req, res) => {
+    try {
+        const payload = verifyAcknowledgeToken(req.params.token);
+        if (!payload) {
+            return res.status(400).json({ success: false, message: "This link is invalid or has expired" });
+        }
+
+        const duty = await Allocation.findById(payload.allocationId).populate("examId", "name");
+        if (!duty) {
+            return res.status(404).json({ success: false, message: "This duty no longer exists" });
+        }
+        if (duty.facultyId.toString() !== payload.facultyId) {
+            return res.status(400).json({ success: false, message: "This duty has been reassigned to another faculty member" });
+        }
+
+        const result = await acknowledge(duty);
+        if (!result) {
+            return res.status(400).json({ success: false, message: "This duty is already over" });
+        }
+        res.status(200).json({
+            success: true,
+            message: result,
+            data: {
+                examName: duty.examId ? duty.examId.name : "",
+                facultyName: duty.facultyName,
+                date: moment.tz(duty.date, "Asia/Kolkata").format("YYYY-MM-DD"),
+                startTime: duty.startTime,
+                endTime: duty.endTime
+            }
+        });
+    } catch (err) {
+        console.error("Error acknowledging duty by link:", err);
+        res.status(500).json({ success: false, message: "Error acknowledging duty" });
+    }
+};
+
+// Check in on exam day, from an hour before the duty starts until it ends - Faculty only
+exports.checkInDuty = async (req, res) => {
+    try {
+        const { duty, status, message } = await loadOwnDuty(req);
+        if (status) return res.status(status).json({ success: false, message });
+
+        if (hasReached(duty, "Checked In")) {
+            return res.status(200).json({ success: true, message: "Already checked in" });
+        }
+
+        const { start, end } = dutyWindow(duty);
+        const now = moment.tz("Asia/Kolkata");
+        if (now.isBefore(start.clone().subtract(CHECK_IN_OPENS_MINUTES, "minutes"))) {
+            return res.status(400).json({
+                success: false,
+                message: `Check-in opens ${CHECK_IN_OPENS_MINUTES} minutes before the duty starts`
+            });
+        }
+        if (now.isAfter(end)) {
+            return res.status(400).json({ success: false, message: "This duty is already over" });
+        }
+
+        await advanceDuty(duty, "Checked In", ["acknowledgedAt", "checkedInAt"]);
+        res.status(200).json({ success: true, message: "Checked in" });
+    } catch (err) {
+        console.error("Error checking in:", err);
+        res.status(500).json({ success: false, message: "Error checking in" });
+    }
+};
+
+// Mark a checked-in duty completed once the paper is over - Faculty only
+exports.completeDuty = async (req, res) => {
+    try {
+        const { duty, status, message } = await loadOwnDuty(req);
+        if (status) return res.status(status).json({ success: false, message });
+
+        if (hasReached(duty, "Completed")) {
+            return res.status(200).json({ success: true, message: "Duty already completed" });
+        }
+        if (!hasReached(duty, "Checked In")) {
+            return res.status(400).json({ success: false, message: "Check in before completing the duty" });
+        }
+        if (moment.tz("Asia/Kolkata").isBefore(dutyWindow(duty).end)) {
+            return res.status(400).json({ success: false, message: "The duty can be completed once the paper is over" });
+        }
+
+        await advanceDuty(duty, "Completed", ["completedAt"]);
+        res.status(200).json({ success: true, message: "Duty completed" });
+    } catch (err) {
+        console.error("Error completing duty:", err);
+        res.status(500).json({ success: false, message: "Error completing duty" });
+    }
+};
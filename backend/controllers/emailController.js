@@ -2,7 +2,10 @@ const Allocation = require("../models/Allocation");
 const User = require("../models/User");
 const Exam = require("../models/Exam");
 const Room = require("../models/Room");
+const RoomAllocation = require("../models/RoomAllocation");
 const sendEmail = require("../utils/sendEmail");
+const { roleOf, describeCoverage } = require("../utils/dutyRoles");
+const { acknowledgeLink } = require("../utils/dutyStatus");
 
 // Format time to 12-hour clock
 const formatTime12Hour = (timeStr) => {
@@ -30,7 +33,15 @@ exports.sendFacultyEmailsForExam = async (req, res) => {
 
         const allocations = await Allocation.find({ examId })
             .populate("facultyId", "name email")
-            .populate("roomId", "roomNumber building floor");
+            .populate("roomId", "roomNumber building floor")
+            .populate("roomIds", "roomNumber");
+
+        // Rooms seating students with accommodations, so their invigilators know what to expect
+        const slotKey = alloc => `${alloc.roomId && (alloc.roomId._id || alloc.roomId)}_${alloc.date.getTime()}_${alloc.startTime}_${alloc.endTime}`;
+        const accommodationRooms = new Map(
+            (await RoomAllocation.find({ examId, "accommodations.0": { $exists: true } }).lean())
+                .map(roomAlloc => [slotKey(roomAlloc), roomAlloc.accommodations])
+        );
 
         // Group allocations by faculty email
         const facultyMap = {};
@@ -47,10 +58,16 @@ exports.sendFacultyEmailsForExam = async (req, res) => {
             }
 
             facultyMap[email].allocations.push({
+                _id: allocation._id,
+                status: allocation.status,
+                acknowledgeLink: acknowledgeLink(allocation),
                 date: allocation.date,
                 startTime: allocation.startTime,
                 endTime: allocation.endTime,
                 room: allocation.roomId,
+                role: roleOf(allocation),
+                coverage: describeCoverage(allocation),
+                accommodations: accommodationRooms.get(slotKey(allocation)) || []
             });
         });
 
@@ -62,13 +79,35 @@ exports.sendFacultyEmailsForExam = async (req, res) => {
                 const formattedStart = formatTime12Hour(a.startTime);
                 const formattedEnd = formatTime12Hour(a.endTime);
 
-                text += `${i + 1}. Date: ${a.date.toDateString()}\n   Time: ${formattedStart} - ${formattedEnd}\n   Room: ${a.room.building}, ${a.room.roomNumber}, ${a.room.floor}\n\n`;
+                text += `${i + 1}. Date: ${a.date.toDateString()}\n   Time: ${formattedStart} - ${formattedEnd}\n`;
+                text += a.role === "Invigilator"
+                    ? `   Room: ${a.room.building}, ${a.room.roomNumber}, ${a.room.floor}\n`
+                    : `   Duty: ${a.role} (${a.coverage})\n`;
+                if (a.accommodations.length > 0) {
+                    const needs = a.accommodations.map(student => [
+                        student.rollNumber,
+                        student.scribe ? "with a scribe" : "",
+                        student.extraTimeMinutes > 0 ? `+${student.extraTimeMinutes} min` : ""
+                    ].filter(Boolean).join(" "));
+                    text += `   Accommodation room: ${needs.join(", ")}\n`;
+                }
+                if (a.status === "Assigned" || a.status === "Notified") {
+                    text += `   Acknowledge: ${a.acknowledgeLink}\n`;
+                }
+                text += "\n";
             });
 
+            text += "Please acknowledge each duty using its link or from your dashboard, and check in from your dashboard on the day.\n";
             text += "Please be present at your assigned room 10 minutes before the scheduled time.\n\nRegards,\nExam Cell";
 
             await sendEmail(email, `Invigilation Details for ${exam.name}`, text);
 
+            // Emailed duties await acknowledgement; ones already acknowledged keep their status
+            await Allocation.updateMany(
+                { _id: { $in: allocations.map(a => a._id) }, status: "Assigned" },
+                { $set: { status: "Notified", notifiedAt: new Date() } }
+            );
+
             // Wait 1.5 seconds to avoid Google rate limiting
             await delay(30);
         }
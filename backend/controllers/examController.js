@@ -8,325 +8,574 @@ const moment = require("moment-timezone");
 const RoomAllocation = require("../models/RoomAllocation");
 const Allocation = require("../models/Allocation");
 const User = require("../models/User");
+const Student = require("../models/Student");
+const AllocationPolicy = require("../models/AllocationPolicy");
+const Department = require("../models/Department");
+const { loadRoomBlackouts } = require("../utils/roomBlackouts");
+const { SESSION_ROLES, roleOf, describeCoverage } = require("../utils/dutyRoles");
+const { dutyAttention } = require("../utils/dutyStatus");
+const { recordCancellations } = require("../utils/dutyCalendar");
+const { unknownFeatures, hasFeatures, describeFeatures } = require("../utils/roomFeatures");
+const { departmentFilter, canManage, adminDepartment } = require("../utils/departments");
+const { compareRollNumbers, groupStudentsBySemester, getCohortTiming, needsAccommodation } = require("../utils/studentRoster");
+
+// Fetch a semester's students (optionally restricted to sections/branches), naturally sorted by roll number
+const loadSemesterRoster = async (semester, sections = [], branches = []) => {
+    const filter = { semester };
+    if (sections.length > 0) filter.section = { $in: sections.map(s => s.toUpperCase()) };
+    if (branches.length > 0) filter.branch = { $in: branches.map(b => b.toUpperCase()) };
+
+    const students = await Student.find(filter).select("rollNumber accommodations").lean();
+    return students.sort((a, b) => compareRollNumbers(a.rollNumber, b.rollNumber));
+};
 
-exports.createExam = async (req, res) => {
-    const session = await mongoose.startSession();
-    session.startTransaction();
+// Identifies a student's accommodation, for spotting changes
+const describeAccommodation = (rollNumber, accommodations) =>
+    `${rollNumber}:${Boolean(accommodations.groundFloor)}:${accommodations.extraTimeMinutes || 0}:${Boolean(accommodations.scribe)}`;
+
+// Group papers whose timings overlap on the same day (directly or through another paper) into one
+// sitting; its window runs from the earliest start to the latest end. Expects "YYYY-MM-DD" dates and "HH:mm" times.
+const groupOverlappingSubjects = (subjects) => {
+    const sorted = [...subjects].sort((a, b) =>
+        a.date.localeCompare(b.date) || a.startTime.localeCompare(b.startTime)
+    );
+
+    const sittings = [];
+    for (const subject of sorted) {
+        const last = sittings[sittings.length - 1];
+        if (last && last.date === subject.date && subject.startTime < last.endTime) {
+            last.subjects.push(subject);
+            if (subject.endTime > last.endTime) last.endTime = subject.endTime;
+        } else {
+            sittings.push({
+                date: subject.date,
+                startTime: subject.startTime,
+                endTime: subject.endTime,
+                subjects: [subject]
+            });
+        }
+    }
+    return sittings;
+};
 
-    try {
-        const { name, semesterData, year, rooms, faculty } = req.body;
+const fail = (status, body) => ({ status, body });
+
+// Subject (request entry or Subject document) as an entry for groupOverlappingSubjects
+const toSittingEntry = (subject) => ({
+    date: moment(subject.date).format('YYYY-MM-DD'),
+    startTime: moment(subject.startTime, ["h:mm A", "HH:mm"]).format("HH:mm"),
+    endTime: moment(subject.endTime, ["h:mm A", "HH:mm"]).format("HH:mm"),
+    semester: subject.semester,
+    name: subject.name,
+    requiredFeatures: [...(subject.requiredFeatures || [])].sort(),
+    subject
+});
+
+// Earliest start and latest end of sitting entries
+const sittingWindow = (entries) => ({
+    startTime: entries.reduce((earliest, entry) => entry.startTime < earliest ? entry.startTime : earliest, entries[0].startTime),
+    endTime: entries.reduce((latest, entry) => entry.endTime > latest ? entry.endTime : latest, entries[0].endTime)
+});
+
+// Split a sitting's entries by the room features they need, most demanding first, so special rooms
+// go to the papers that need them before anyone else is seated
+const groupByRequiredFeatures = (entries) => {
+    const groups = new Map();
+    entries.forEach(entry => {
+        const key = entry.requiredFeatures.join("+");
+        if (!groups.has(key)) groups.set(key, { requiredFeatures: entry.requiredFeatures, entries: [] });
+        groups.get(key).entries.push(entry);
+    });
+    return [...groups.values()].sort((a, b) => b.requiredFeatures.length - a.requiredFeatures.length);
+};
 
-        // Validation
-        if (!name || !Array.isArray(semesterData) || semesterData.length === 0 ||
-            !year || !Array.isArray(rooms) || rooms.length === 0 ||
-            !Array.isArray(faculty) || faculty.length === 0
-        ) {
-            return res.status(400).json({ success: false, message: "All fields are required." });
+const DEPARTMENT_INVIGILATION = ["any", "prefer", "exclude"];
+
+// Departments owning an exam's papers
+const examDepartments = (subjects) =>
+    [...new Set(subjects.filter(subject => subject.department).map(subject => subject.department.toString()))];
+
+// Validate an exam request and load its rosters. Papers of a department admin's exam always belong to
+// that admin's department (`ownDepartment`).
+// Returns { semesterData, rosterBySemester, accommodations } or { status, body } describing the error response.
+const validateExamRequest = async (payload, ownDepartment) => {
+    const { name, semesterData, year, rooms, faculty } = payload;
+
+    // Validation
+    if (!name || !Array.isArray(semesterData) || semesterData.length === 0 ||
+        !year || !Array.isArray(rooms) || rooms.length === 0 ||
+        !Array.isArray(faculty) || faculty.length === 0
+    ) {
+        return fail(400, { success: false, message: "All fields are required." });
+    }
+
+    // Validate each semester's data
+    for (let semData of semesterData) {
+        if (!semData.semester ||
+            !Array.isArray(semData.subjects) || semData.subjects.length === 0) {
+            return fail(400, {
+                success: false,
+                message: "Each semester must include semester number and subjects."
+            });
         }
 
-        // Validate semesterData (up to 2 semesters)
-        if (semesterData.length > 2) {
-            return res.status(400).json({
+        if (semesterData.filter(s => Number(s.semester) === Number(semData.semester)).length > 1) {
+            return fail(400, {
                 success: false,
-                message: "System can handle maximum 2 semesters at a time."
+                message: `Semester ${semData.semester} is listed more than once. Select its sections/branches in a single entry.`
             });
         }
 
-        // Validate each semester's data
-        for (let semData of semesterData) {
-            if (!semData.semester || !semData.totalStudents ||
-                !Array.isArray(semData.subjects) || semData.subjects.length === 0) {
-                return res.status(400).json({
+        // Validate each subject
+        for (let subject of semData.subjects) {
+            if (!subject.name || !subject.subjectCode || !subject.date ||
+                !subject.startTime || !subject.endTime) {
+                return fail(400, {
                     success: false,
-                    message: "Each semester must include semester number, total students, and subjects."
+                    message: "Each subject must include name, subject code, date, start time, and end time."
                 });
             }
 
-            // Validate each subject
-            for (let subject of semData.subjects) {
-                if (!subject.name || !subject.subjectCode || !subject.date ||
-                    !subject.startTime || !subject.endTime) {
-                    return res.status(400).json({
-                        success: false,
-                        message: "Each subject must include name, subject code, date, start time, and end time."
-                    });
-                }
+            const unknown = unknownFeatures(subject.requiredFeatures);
+            if (unknown.length > 0) {
+                return fail(400, {
+                    success: false,
+                    message: `Subject "${subject.name}" requires an unknown room feature: ${unknown.join(", ")}.`
+                });
             }
+            subject.requiredFeatures = Array.isArray(subject.requiredFeatures) ? [...new Set(subject.requiredFeatures)] : [];
+
+            if (ownDepartment && subject.department && subject.department.toString() !== ownDepartment) {
+                return fail(400, {
+                    success: false,
+                    message: `Subject "${subject.name}" belongs to another department. You can only schedule papers of your own department.`
+                });
+            }
+            subject.department = ownDepartment || subject.department || undefined;
         }
+    }
+
+    const departmentIds = examDepartments(semesterData.flatMap(semData => semData.subjects));
+    if (departmentIds.some(id => !mongoose.Types.ObjectId.isValid(id)) ||
+        await Department.countDocuments({ _id: { $in: departmentIds } }) < departmentIds.length) {
+        return fail(400, { success: false, message: "A subject names a department that does not exist." });
+    }
 
-        // Check for overlapping subject timings within each semester
-        for (let semData of semesterData) {
-            for (let i = 0; i < semData.subjects.length; i++) {
-                for (let j = i + 1; j < semData.subjects.length; j++) {
-                    const s1 = semData.subjects[i];
-                    const s2 = semData.subjects[j];
-
-                    if (s1.date === s2.date) {
-                        const s1Start = moment(s1.startTime, ["h:mm A", "HH:mm"]);
-                        const s1End = moment(s1.endTime, ["h:mm A", "HH:mm"]);
-                        const s2Start = moment(s2.startTime, ["h:mm A", "HH:mm"]);
-                        const s2End = moment(s2.endTime, ["h:mm A", "HH:mm"]);
-
-                        if (s1Start.isBefore(s2End) && s2Start.isBefore(s1End)) {
-                            return res.status(400).json({
-                                success: false,
-                                message: `Subjects "${s1.name}" and "${s2.name}" in semester ${semData.semester} overlap on ${s1.date}.`
-                            });
-                        }
+    if (payload.departmentInvigilation && !DEPARTMENT_INVIGILATION.includes(payload.departmentInvigilation)) {
+        return fail(400, { success: false, message: `Department invigilation must be one of: ${DEPARTMENT_INVIGILATION.join(", ")}.` });
+    }
+
+    // Check for overlapping subject timings within each semester
+    for (let semData of semesterData) {
+        for (let i = 0; i < semData.subjects.length; i++) {
+            for (let j = i + 1; j < semData.subjects.length; j++) {
+                const s1 = semData.subjects[i];
+                const s2 = semData.subjects[j];
+
+                if (s1.date === s2.date) {
+                    const s1Start = moment(s1.startTime, ["h:mm A", "HH:mm"]);
+                    const s1End = moment(s1.endTime, ["h:mm A", "HH:mm"]);
+                    const s2Start = moment(s2.startTime, ["h:mm A", "HH:mm"]);
+                    const s2End = moment(s2.endTime, ["h:mm A", "HH:mm"]);
+
+                    if (s1Start.isBefore(s2End) && s2Start.isBefore(s1End)) {
+                        return fail(400, {
+                            success: false,
+                            message: `Subjects "${s1.name}" and "${s2.name}" in semester ${semData.semester} overlap on ${s1.date}.`
+                        });
                     }
                 }
             }
         }
+    }
 
-        // Create a combined list of all subjects with their semester information
-        const allSubjectsWithSemInfo = [];
-        for (let semData of semesterData) {
-            semData.subjects.forEach(subject => {
-                allSubjectsWithSemInfo.push({
-                    ...subject,
-                    semester: semData.semester,
-                    totalStudents: semData.totalStudents
-                });
+    // Load each semester's roster; the student count comes from the uploaded roll numbers
+    const rosterBySemester = new Map();
+    const accommodations = new Map(); // rollNumber -> accommodations, for students seated apart
+    for (let semData of semesterData) {
+        semData.semester = Number(semData.semester);
+        semData.sections = Array.isArray(semData.sections) ? semData.sections : [];
+        semData.branches = Array.isArray(semData.branches) ? semData.branches : [];
+
+        const students = await loadSemesterRoster(semData.semester, semData.sections, semData.branches);
+        const roster = students.map(student => student.rollNumber);
+        students
+            .filter(student => needsAccommodation(student.accommodations))
+            .forEach(student => accommodations.set(student.rollNumber, student.accommodations));
+        if (roster.length === 0) {
+            return fail(400, {
+                success: false,
+                message: `No students found in the roster for semester ${semData.semester}${semData.branches.length ? ` (${semData.branches.join(", ")})` : ""}${semData.sections.length ? ` section ${semData.sections.join(", ")}` : ""}. Please upload the roster first.`
             });
         }
 
-        // Check for overlapping times across different semesters
-        // This is for validation only, we'll need to identify this case later for special allocation
-        const overlappingExams = [];
-        if (semesterData.length > 1) {
-            for (let i = 0; i < semesterData[0].subjects.length; i++) {
-                for (let j = 0; j < semesterData[1].subjects.length; j++) {
-                    const s1 = semesterData[0].subjects[i];
-                    const s2 = semesterData[1].subjects[j];
-
-                    if (s1.date === s2.date) {
-                        const s1Start = moment(s1.startTime, ["h:mm A", "HH:mm"]);
-                        const s1End = moment(s1.endTime, ["h:mm A", "HH:mm"]);
-                        const s2Start = moment(s2.startTime, ["h:mm A", "HH:mm"]);
-                        const s2End = moment(s2.endTime, ["h:mm A", "HH:mm"]);
-
-                        if (s1Start.isSame(s2Start) && s1End.isSame(s2End)) {
-                            overlappingExams.push({
-                                subject1: {
-                                    name: s1.name,
-                                    semester: semesterData[0].semester,
-                                    totalStudents: semesterData[0].totalStudents,
-                                    date: s1.date,
-                                    startTime: s1.startTime,
-                                    endTime: s1.endTime
-                                },
-                                subject2: {
-                                    name: s2.name,
-                                    semester: semesterData[1].semester,
-                                    totalStudents: semesterData[1].totalStudents,
-                                    date: s2.date,
-                                    startTime: s2.startTime,
-                                    endTime: s2.endTime
-                                }
-                            });
-                        } else if (s1Start.isBefore(s2End) && s2Start.isBefore(s1End)) {
-                            return res.status(400).json({
-                                success: false,
-                                message: `Subject "${s1.name}" from semester ${semesterData[0].semester} and "${s2.name}" from semester ${semesterData[1].semester} have overlapping times but are not exactly matching. Please adjust the timings.`
-                            });
-                        }
-                    }
-                }
-            }
+        rosterBySemester.set(semData.semester, roster);
+        semData.totalStudents = roster.length;
+    }
+
+    // Create a combined list of all subjects with their semester information
+    const allSubjectsWithSemInfo = [];
+    for (let semData of semesterData) {
+        semData.subjects.forEach(subject => {
+            allSubjectsWithSemInfo.push({
+                ...subject,
+                semester: semData.semester,
+                totalStudents: semData.totalStudents
+            });
+        });
+    }
+
+    const selectedRooms = await Room.find({ _id: { $in: rooms } });
+    if (selectedRooms.length === 0) {
+        return fail(400, { success: false, message: "Invalid room selection." });
+    }
+
+    for (let subject of allSubjectsWithSemInfo) {
+        if (subject.requiredFeatures.length > 0 && !selectedRooms.some(room => hasFeatures(room, subject.requiredFeatures))) {
+            return fail(400, {
+                success: false,
+                message: `"${subject.name}" needs a room with ${describeFeatures(subject.requiredFeatures)}, but none of the selected rooms has it.`
+            });
         }
+    }
 
-        const selectedRooms = await Room.find({ _id: { $in: rooms } });
-        if (selectedRooms.length === 0) {
-            return res.status(400).json({ success: false, message: "Invalid room selection." });
+    if (payload.policyId && !(mongoose.Types.ObjectId.isValid(payload.policyId) && await AllocationPolicy.exists({ _id: payload.policyId }))) {
+        return fail(400, { success: false, message: "Selected allocation policy does not exist." });
+    }
+
+    // A chain of overlaps (e.g. 9-11 and 11-1 both overlapping a 9-1 paper) must not seat a semester twice
+    for (let sitting of groupOverlappingSubjects(allSubjectsWithSemInfo.map(toSittingEntry))) {
+        const semestersInSitting = sitting.subjects.map(subject => subject.semester);
+        if (new Set(semestersInSitting).size < semestersInSitting.length) {
+            return fail(400, {
+                success: false,
+                message: `On ${sitting.date}, ${sitting.subjects.map(s => `"${s.name}"`).join(", ")} overlap each other between ${sitting.startTime} and ${sitting.endTime}, which would seat one semester twice. Please adjust the timings.`
+            });
         }
+    }
 
-        // Check room availability for each subject timing
-        // For non-overlapping exams, check individual total students
-        // For overlapping exams, check combined total students
-        const subjectTimingsMap = new Map(); // Maps date+time to combined student count
+    return { semesterData, rosterBySemester, accommodations };
+};
 
-        for (let subject of allSubjectsWithSemInfo) {
-            const key = `${subject.date}_${subject.startTime}_${subject.endTime}`;
+// Check room availability for each sitting. Papers of different semesters that overlap -
+// even if they start or end at different times - share rooms, so their students are counted together.
+// Papers that need room features must also fit in the selected rooms that have them.
+// Returns { status, body } on failure, otherwise null.
+const checkSittingsCapacity = async (sittings, rooms, rosterBySemester, session) => {
+    const selectedRooms = await Room.find({ _id: { $in: rooms } }).select("features");
+
+    for (let sitting of sittings) {
+        const availability = await RoomAllocator.checkRoomAvailability(
+            rooms,
+            sitting.date,
+            sitting.startTime,
+            sitting.endTime,
+            sitting.subjects.reduce((sum, entry) => sum + rosterBySemester.get(entry.semester).length, 0),
+            sitting.subjects.length,
+            session
+        );
 
-            if (subjectTimingsMap.has(key)) {
-                const existingCount = subjectTimingsMap.get(key);
-                subjectTimingsMap.set(key, existingCount + subject.totalStudents);
-            } else {
-                subjectTimingsMap.set(key, subject.totalStudents);
-            }
+        if (!availability.success) {
+            return fail(400, availability);
         }
 
-        // Now check availability for each unique timing with the appropriate student count
-        for (let [key, totalStudents] of subjectTimingsMap.entries()) {
-            const [date, startTime, endTime] = key.split('_');
+        for (let { requiredFeatures } of groupByRequiredFeatures(sitting.subjects)) {
+            if (requiredFeatures.length === 0) continue;
 
-            const availability = await RoomAllocator.checkRoomAvailability(
-                rooms,
-                date,
+            // Papers needing more features can use these rooms too, so they count against them
+            const entries = sitting.subjects.filter(entry => requiredFeatures.every(feature => entry.requiredFeatures.includes(feature)));
+            const { startTime, endTime } = sittingWindow(entries);
+            const featureAvailability = await RoomAllocator.checkRoomAvailability(
+                selectedRooms.filter(room => hasFeatures(room, requiredFeatures)).map(room => room._id),
+                sitting.date,
                 startTime,
                 endTime,
-                totalStudents
+                entries.reduce((sum, entry) => sum + rosterBySemester.get(entry.semester).length, 0),
+                entries.length,
+                session
             );
 
-            if (!availability.success) {
-                await session.abortTransaction();
-                session.endSession();
-                return res.status(400).json(availability);
+            if (!featureAvailability.success) {
+                return fail(400, {
+                    ...featureAvailability,
+                    message: `${entries.map(entry => `"${entry.name}"`).join(", ")} need rooms with ${describeFeatures(requiredFeatures)}. ${featureAvailability.message}`
+                });
             }
         }
+    }
+    return null;
+};
 
-        // Create a single exam document that includes all semesters
-        const newExam = new Exam({
-            name,
-            year,
-            semesters: semesterData.map(semData => ({
-                semester: semData.semester,
-                totalStudents: semData.totalStudents
-            })),
-            rooms: [],
-            faculty: [],
-            subjects: []
-        });
-
-        await newExam.save({ session });
-
-        // Create Subject documents for all semesters
-        const subjectDocs = [];
-
-        for (let semData of semesterData) {
-            // Create Subject documents for this semester
-            const semesterSubjects = await Subject.insertMany(
-                semData.subjects.map(sub => ({
-                    exam: newExam._id,
-                    name: sub.name,
-                    subjectCode: sub.subjectCode,
-                    semester: semData.semester, // Store semester with the subject
-                    date: moment.tz(sub.date, "YYYY-MM-DD", "Asia/Kolkata").startOf("day").toDate(),
-                    startTime: moment(sub.startTime, ["h:mm A", "HH:mm"]).format("HH:mm"),
-                    endTime: moment(sub.endTime, ["h:mm A", "HH:mm"]).format("HH:mm")
+// Seat every sitting's students (sitting entries wrap saved Subject documents), opening as few rooms as possible.
+// Students with accommodations are seated first, in rooms of their own. Papers that need room features
+// are only seated in selected rooms that have them.
+// Returns { allocations, utilisation } or { status, body } describing the error response.
+const allocateSittings = async (examId, sittings, rosterBySemester, accommodations, rooms, session, preferences = {}) => {
+    const allocations = [];
+    const utilisation = [];
+
+    const selectedRooms = await Room.find({ _id: { $in: rooms } }).select("features");
+    const roomsFor = group => selectedRooms.filter(room => hasFeatures(room, group.requiredFeatures)).map(room => room._id);
+    const failGroup = (group, result) => fail(400, group.requiredFeatures.length === 0 ? result : {
+        ...result,
+        message: `${group.entries.map(entry => `"${entry.name}"`).join(", ")} (needing ${describeFeatures(group.requiredFeatures)}): ${result.message}`
+    });
+
+    for (let sitting of sittings) {
+        const { date } = sitting;
+        const groups = groupByRequiredFeatures(sitting.subjects);
+
+        for (let group of groups) {
+            const { startTime, endTime } = sittingWindow(group.entries);
+
+            const accommodated = await RoomAllocator.allocateAccommodatedStudents(
+                examId,
+                group.entries.map(({ subject }) => ({
+                    subjectId: subject._id,
+                    semester: subject.semester,
+                    startTime: subject.startTime,
+                    endTime: subject.endTime,
+                    students: rosterBySemester.get(subject.semester)
+                        .filter(rollNumber => accommodations.has(rollNumber))
+                        .map(rollNumber => ({ rollNumber, ...accommodations.get(rollNumber) }))
                 })),
-                { session }
+                roomsFor(group),
+                date,
+                startTime,
+                endTime,
+                session,
+                preferences
             );
-
-            subjectDocs.push(...semesterSubjects);
-        }
-
-        // Update exam with subject IDs
-        newExam.subjects = subjectDocs.map(s => s._id);
-        await newExam.save({ session });
-
-        // Group subjects by date and time to identify overlapping exams
-        const dateTimeSubjectMap = new Map();
-
-        for (let subject of subjectDocs) {
-            const key = `${moment(subject.date).format('YYYY-MM-DD')}_${subject.startTime}_${subject.endTime}`;
-
-            if (!dateTimeSubjectMap.has(key)) {
-                dateTimeSubjectMap.set(key, []);
+            if (!accommodated.success) {
+                return failGroup(group, accommodated);
             }
-
-            dateTimeSubjectMap.get(key).push(subject);
+            allocations.push(...accommodated.allocations);
+            utilisation.push(...accommodated.utilisation);
         }
 
-        const allocatedRoomIds = new Set();
+        // Everyone else writes in the hall
+        const hallRoster = subject => rosterBySemester.get(subject.semester).filter(rollNumber => !accommodations.has(rollNumber));
 
-        // Allocate rooms for each time slot
-        for (let [dateTimeKey, subjectsAtTime] of dateTimeSubjectMap.entries()) {
-            const [date, startTime, endTime] = dateTimeKey.split('_');
+        for (let group of groups) {
+            const { startTime, endTime } = sittingWindow(group.entries);
+            const subjectsAtTime = group.entries.map(entry => entry.subject).filter(subject => hallRoster(subject).length > 0);
+            if (subjectsAtTime.length === 0) continue;
+
+            let result;
 
             // If we have overlapping subjects from different semesters
-            if (subjectsAtTime.length > 1 &&
-                new Set(subjectsAtTime.map(s => s.semester)).size > 1) {
+            if (subjectsAtTime.length > 1) {
 
                 // Create allocation data for multi-semester allocation
-                const semesterData = subjectsAtTime.map(subject => {
-                    // Find the corresponding semester data from the exam
-                    const semesterInfo = newExam.semesters.find(sem => sem.semester === subject.semester);
-
-                    return {
-                        examId: newExam._id,
-                        subjectId: subject._id,
-                        totalStudents: semesterInfo.totalStudents,
-                        semester: subject.semester
-                    };
-                });
+                const semesterData = subjectsAtTime.map(subject => ({
+                    examId,
+                    subjectId: subject._id,
+                    students: hallRoster(subject),
+                    semester: subject.semester,
+                    startTime: subject.startTime,
+                    endTime: subject.endTime
+                }));
 
                 // Call multi-semester room allocation
-                const result = await RoomAllocator.allocateMultiSemesterToRooms(
+                result = await RoomAllocator.allocateMultiSemesterToRooms(
                     semesterData,
-                    rooms,
+                    roomsFor(group),
                     date,
                     startTime,
                     endTime,
-                    session
+                    session,
+                    preferences
                 );
 
-                if (!result.success) {
-                    await session.abortTransaction();
-                    session.endSession();
-                    return res.status(400).json(result);
-                }
-
-                result.allocations.forEach(alloc => allocatedRoomIds.add(alloc.roomId.toString()));
-
             } else {
                 // Single semester subject allocation
                 const subject = subjectsAtTime[0];
-                // Find the corresponding semester data from the exam
-                const semesterInfo = newExam.semesters.find(sem => sem.semester === subject.semester);
 
-                const result = await RoomAllocator.allocateStudentsToRooms(
-                    newExam._id,
+                result = await RoomAllocator.allocateStudentsToRooms(
+                    examId,
                     subject._id,
-                    semesterInfo.totalStudents,
-                    rooms,
+                    hallRoster(subject),
+                    roomsFor(group),
                     date,
-                    startTime,
-                    endTime,
+                    subject.startTime, // The sitting may be wider if its other papers are all written apart
+                    subject.endTime,
                     subject.semester, // Pass semester number
-                    session
+                    session,
+                    preferences
                 );
+            }
 
-                if (!result.success) {
-                    await session.abortTransaction();
-                    session.endSession();
-                    return res.status(400).json(result);
-                }
-
-                result.allocations.forEach(alloc => allocatedRoomIds.add(alloc.roomId.toString()));
+            if (!result.success) {
+                return failGroup(group, result);
             }
+
+            allocations.push(...result.allocations);
+            utilisation.push(...result.utilisation);
         }
+    }
 
-        // Update exam with room info
-        newExam.rooms = [...allocatedRoomIds];
-        await newExam.save({ session });
+    return { allocations, utilisation };
+};
 
-        // Allocate faculty for the exam
-        const facultyResult = await FacultyAllocator.allocateFacultyToRooms(
-            newExam._id,
-            faculty,
-            session
+// Validate an exam request and run room and faculty allocation inside `session`.
+// Returns { exam } on success or { status, body } describing the error response.
+const planExam = async (payload, session, ownDepartment) => {
+    const request = await validateExamRequest(payload, ownDepartment);
+    if (request.status) return request;
+
+    const { semesterData, rosterBySemester, accommodations } = request;
+    const { name, year, rooms, faculty } = payload;
+
+    const subjectEntries = semesterData.flatMap(semData =>
+        semData.subjects.map(subject => toSittingEntry({ ...subject, semester: semData.semester }))
+    );
+    const capacityError = await checkSittingsCapacity(
+        groupOverlappingSubjects(subjectEntries), rooms, rosterBySemester, session
+    );
+    if (capacityError) return capacityError;
+
+    // Create a single exam document that includes all semesters
+    const newExam = new Exam({
+        name,
+        year,
+        semesters: semesterData.map(semData => ({
+            semester: semData.semester,
+            totalStudents: semData.totalStudents,
+            sections: semData.sections,
+            branches: semData.branches
+        })),
+        rooms: [],
+        faculty: [],
+        facultyPool: faculty,
+        subjects: [],
+        policy: payload.policyId || undefined,
+        departments: examDepartments(semesterData.flatMap(semData => semData.subjects)),
+        departmentInvigilation: payload.departmentInvigilation || "any",
+        roomPreferences: payload.roomPreferences
+    });
+
+    await newExam.save({ session });
+
+    // Create Subject documents for all semesters
+    const subjectDocs = [];
+
+    for (let semData of semesterData) {
+        // Create Subject documents for this semester
+        const semesterSubjects = await Subject.insertMany(
+            semData.subjects.map(sub => ({
+                exam: newExam._id,
+                name: sub.name,
+                subjectCode: sub.subjectCode,
+                semester: semData.semester, // Store semester with the subject
+                date: moment.tz(sub.date, "YYYY-MM-DD", "Asia/Kolkata").startOf("day").toDate(),
+                startTime: moment(sub.startTime, ["h:mm A", "HH:mm"]).format("HH:mm"),
+                endTime: moment(sub.endTime, ["h:mm A", "HH:mm"]).format("HH:mm"),
+                requiredFeatures: sub.requiredFeatures,
+                department: sub.department
+            })),
+            { session }
         );
 
-        if (!facultyResult.success) {
+        subjectDocs.push(...semesterSubjects);
+    }
+
+    // Update exam with subject IDs
+    newExam.subjects = subjectDocs.map(s => s._id);
+    await newExam.save({ session });
+
+    // Group overlapping subjects into sittings that share rooms and allocate rooms for each
+    const roomResult = await allocateSittings(
+        newExam._id, groupOverlappingSubjects(subjectDocs.map(toSittingEntry)), rosterBySemester, accommodations, rooms, session,
+        newExam.roomPreferences
+    );
+    if (roomResult.status) return roomResult;
+
+    // Update exam with room info
+    newExam.rooms = [...new Set(roomResult.allocations.map(alloc => alloc.roomId.toString()))];
+    await newExam.save({ session });
+
+    // Allocate faculty for the exam
+    const facultyResult = await FacultyAllocator.allocateFacultyToRooms(
+        newExam._id,
+        faculty,
+        session
+    );
+
+    if (!facultyResult.success) {
+        return fail(400, facultyResult);
+    }
+
+    // Chief superintendent, squad and relief duties, if the policy asks for them
+    const roleResult = await FacultyAllocator.allocateRoleDuties(newExam._id, faculty, session);
+    if (!roleResult.success) {
+        return fail(400, roleResult);
+    }
+
+    const uniqueFacultyIds = [
+        ...new Set([...facultyResult.allocations, ...roleResult.allocations].map(a => a.facultyId.toString()))
+    ];
+    newExam.faculty = uniqueFacultyIds;
+    await newExam.save({ session });
+
+    return { exam: newExam, clashes: facultyResult.clashes, utilisation: roomResult.utilisation };
+};
+
+// Delete faculty duties, giving back previousAllocations unless the same duty is shared with another exam
+const releaseFacultyAllocations = async (facultyAllocations, session) => {
+    const updateOps = [];
+
+    for (let alloc of facultyAllocations) {
+        const { facultyId, roomId, date, startTime, endTime } = alloc;
+
+        // Session roles have no room; the chief shared with another exam is matched by the session alone
+        const reusedElsewhere = await Allocation.exists({
+            _id: { $ne: alloc._id },
+            facultyId,
+            roomId: roomId || null,
+            date,
+            startTime,
+            endTime
+        }).session(session);
+
+        // Only decrement if not reused elsewhere
+        if (!reusedElsewhere) {
+            updateOps.push(
+                User.updateOne(
+                    { _id: facultyId },
+                    { $inc: { previousAllocations: -1 } },
+                    { session }
+                )
+            );
+        }
+    }
+
+    await Promise.all(updateOps);
+    await recordCancellations(facultyAllocations, session);
+    await Allocation.deleteMany({ _id: { $in: facultyAllocations.map(alloc => alloc._id) } }).session(session);
+};
+
+exports.createExam = async (req, res) => {
+    const session = await mongoose.startSession();
+    session.startTransaction();
+
+    try {
+        const result = await planExam(req.body, session, adminDepartment(req));
+        if (!result.exam) {
             await session.abortTransaction();
             session.endSession();
-            return res.status(400).json(facultyResult);
+            return res.status(result.status).json(result.body);
         }
 
-        const uniqueFacultyIds = [
-            ...new Set(facultyResult.allocations.map(a => a.facultyId.toString()))
-        ];
-        newExam.faculty = uniqueFacultyIds;
-        await newExam.save({ session });
-
         await session.commitTransaction();
         session.endSession();
 
         return res.status(201).json({
             success: true,
             message: "Exam created successfully!",
-            exam: newExam
+            exam: result.exam,
+            // Faculty skipped for a slot because they already invigilate another exam then
+            clashes: result.clashes,
+            utilisation: result.utilisation
         });
 
     } catch (error) {
@@ -337,56 +586,400 @@ exports.createExam = async (req, res) => {
     }
 };
 
-exports.deleteExam = async (req, res) => {
+// Dry run of createExam: the full pipeline runs in a transaction that is always rolled back,
+// so nothing is saved and no faculty's previousAllocations changes
+exports.previewExam = async (req, res) => {
     const session = await mongoose.startSession();
     session.startTransaction();
 
     try {
-        const { examId } = req.params;
-
-        if (!examId) {
-            return res.status(400).json({ success: false, message: "Exam ID is required." });
+        const result = await planExam(req.body, session, adminDepartment(req));
+        if (!result.exam) {
+            await session.abortTransaction();
+            session.endSession();
+            return res.status(result.status).json(result.body);
         }
 
+        const examId = result.exam._id;
+        const subjects = await Subject.find({ exam: examId }).session(session).lean();
+        const roomAllocations = await RoomAllocation.find({ examId })
+            .session(session)
+            .populate('roomId', 'roomNumber building floor capacity')
+            .lean();
+        const facultyAllocations = await Allocation.find({ examId })
+            .session(session)
+            .populate('roomId', 'roomNumber building floor')
+            .populate('roomIds', 'roomNumber')
+            .populate('facultyId', 'name designation')
+            .lean();
+
+        await session.abortTransaction();
+        session.endSession();
+
+        const subjectCodes = new Map(subjects.map(subject => [subject._id.toString(), subject.subjectCode]));
+        const utilisationByAllocation = new Map(
+            result.utilisation.map(entry => [entry.roomAllocationId.toString(), entry])
+        );
+        const formatRoom = room => room ? `${room.building}, ${room.roomNumber}, ${room.floor} Floor` : 'Not assigned';
+
+        const roomPlan = roomAllocations.map(roomAlloc => {
+            const studentsBySemester = groupStudentsBySemester(roomAlloc);
+            return {
+                date: moment(roomAlloc.date).format('YYYY-MM-DD'),
+                time: `${roomAlloc.startTime} - ${roomAlloc.endTime}`,
+                roomDetails: formatRoom(roomAlloc.roomId),
+                capacity: roomAlloc.roomId ? roomAlloc.roomId.capacity : 0,
+                count: roomAlloc.students.length,
+                usableSeats: utilisationByAllocation.get(roomAlloc._id.toString())?.usableSeats || 0,
+                utilisation: utilisationByAllocation.get(roomAlloc._id.toString())?.percent || 0,
+                accommodations: roomAlloc.accommodations || [],
+                cohorts: (roomAlloc.cohorts || []).map(cohort => {
+                    const rollNumbers = studentsBySemester[cohort.semester] || [];
+                    return {
+                        semester: cohort.semester,
+                        subjectCode: subjectCodes.get(cohort.subjectId.toString()) || '',
+                        count: cohort.count,
+                        studentRange: rollNumbers.length ? `${rollNumbers[0]} - ${rollNumbers[rollNumbers.length - 1]}` : ''
+                    };
+                })
+            };
+        }).sort((a, b) =>
+            a.date.localeCompare(b.date) || a.time.localeCompare(b.time) || a.roomDetails.localeCompare(b.roomDetails)
+        );
+
+        const invigilatorPlan = facultyAllocations.map(alloc => ({
+            facultyName: alloc.facultyId ? alloc.facultyId.name : alloc.facultyName,
+            designation: alloc.facultyId ? alloc.facultyId.designation : '',
+            role: roleOf(alloc),
+            date: moment(alloc.date).format('YYYY-MM-DD'),
+            time: `${alloc.startTime} - ${alloc.endTime}`,
+            roomDetails: roleOf(alloc) === 'Invigilator' ? formatRoom(alloc.roomId) : describeCoverage(alloc)
+        })).sort((a, b) =>
+            a.date.localeCompare(b.date) || a.time.localeCompare(b.time) || a.roomDetails.localeCompare(b.roomDetails)
+        );
+
+        return res.status(200).json({
+            success: true,
+            message: "Preview generated. Nothing has been saved.",
+            preview: {
+                totalStudents: result.exam.semesters.reduce((sum, sem) => sum + sem.totalStudents, 0),
+                roomsUsed: result.exam.rooms.length,
+                invigilators: result.exam.faculty.length,
+                rooms: roomPlan,
+                faculty: invigilatorPlan,
+                clashes: result.clashes
+            }
+        });
+
+    } catch (error) {
+        console.error("❌ Error during exam preview:", error);
+        await session.abortTransaction();
+        session.endSession();
+        return res.status(500).json({ success: false, message: "Internal Server Error" });
+    }
+};
+
+// Update an exam in place: add/remove/reschedule subjects, pick up roster changes (student counts)
+// and add rooms. Only sittings whose subjects, timings or students changed are re-seated and re-staffed;
+// every other room and invigilator assignment is left untouched.
+exports.updateExam = async (req, res) => {
+    const session = await mongoose.startSession();
+    session.startTransaction();
+
+    try {
+        const { examId } = req.params;
+
         const exam = await Exam.findById(examId).session(session);
         if (!exam) {
+            await session.abortTransaction();
+            session.endSession();
             return res.status(404).json({ success: false, message: "Exam not found." });
         }
+        if (!canManage(req, exam.departments)) {
+            await session.abortTransaction();
+            session.endSession();
+            return res.status(403).json({ success: false, message: "You can only edit exams of your own department." });
+        }
 
-        // Step 1: Delete all room allocations
-        const roomAllocations = await RoomAllocation.find({ examId }).session(session);
+        const existingSubjects = await Subject.find({ exam: exam._id }).session(session);
+
+        // Anything not sent keeps its current value; rooms can only be added
+        const semesterData = Array.isArray(req.body.semesterData) ? req.body.semesterData : exam.semesters.map(sem => ({
+            semester: sem.semester,
+            sections: sem.sections,
+            branches: sem.branches,
+            subjects: existingSubjects
+                .filter(subject => subject.semester === sem.semester)
+                .map(subject => ({
+                    _id: subject._id,
+                    name: subject.name,
+                    subjectCode: subject.subjectCode,
+                    date: moment(subject.date).format('YYYY-MM-DD'),
+                    startTime: subject.startTime,
+                    endTime: subject.endTime,
+                    requiredFeatures: subject.requiredFeatures,
+                    department: subject.department
+                }))
+        }));
 
-        // Step 2: Delete faculty allocations and adjust previousAllocations count if needed
-        const facultyAllocations = await Allocation.find({ examId }).session(session);
-        const updateOps = [];
+        const payload = {
+            name: req.body.name || exam.name,
+            year: req.body.year || exam.year,
+            semesterData,
+            rooms: [...new Set([
+                ...exam.rooms.map(String),
+                ...(Array.isArray(req.body.rooms) ? req.body.rooms.map(String) : [])
+            ])],
+            // Without a new selection, duties are drawn from the faculty selected before, not only those on duty
+            faculty: Array.isArray(req.body.faculty) && req.body.faculty.length > 0
+                ? req.body.faculty
+                : (exam.facultyPool.length > 0 ? exam.facultyPool : exam.faculty).map(String),
+            policyId: req.body.policyId !== undefined ? req.body.policyId : exam.policy,
+            departmentInvigilation: req.body.departmentInvigilation || exam.departmentInvigilation,
+            roomPreferences: req.body.roomPreferences || exam.roomPreferences
+        };
 
-        for (let alloc of facultyAllocations) {
-            const { facultyId, roomId, date, startTime, endTime } = alloc;
+        const request = await validateExamRequest(payload, adminDepartment(req));
+        if (request.status) {
+            await session.abortTransaction();
+            session.endSession();
+            return res.status(request.status).json(request.body);
+        }
+        const { rosterBySemester, accommodations } = request;
+
+        // A sitting is identified by its subjects, their exact timings and the room features they need
+        const sittingSignature = sitting => sitting.subjects
+            .map(entry => `${entry.subject._id}@${entry.date}_${entry.startTime}_${entry.endTime}_${entry.requiredFeatures.join("+")}`)
+            .sort()
+            .join("|");
+
+        // Current sittings whose seated students still match the rosters can be kept as they are
+        const roomAllocations = await RoomAllocation.find({ examId }).session(session).lean();
+        const intactSittings = new Map(); // signature -> room allocations
+
+        for (let sitting of groupOverlappingSubjects(existingSubjects.map(toSittingEntry))) {
+            const subjectIds = new Set(sitting.subjects.map(entry => entry.subject._id.toString()));
+            const sittingAllocations = roomAllocations.filter(alloc =>
+                [alloc.subjectId, ...(alloc.subjectIds || [])].some(id => id && subjectIds.has(id.toString()))
+            );
+            if (sittingAllocations.length === 0) continue;
 
-            const reusedElsewhere = await Allocation.exists({
-                _id: { $ne: alloc._id },
-                facultyId,
-                roomId,
-                date,
-                startTime,
-                endTime
-            }).session(session);
-
-            // Only decrement if not reused elsewhere
-            if (!reusedElsewhere) {
-                updateOps.push(
-                    User.updateOne(
-                        { _id: facultyId },
-                        { $inc: { previousAllocations: -1 } },
-                        { session }
-                    )
-                );
+            const seated = {};
+            sittingAllocations.forEach(alloc => {
+                for (const [semester, rollNumbers] of Object.entries(groupStudentsBySemester(alloc))) {
+                    seated[semester] = (seated[semester] || []).concat(rollNumbers);
+                }
+            });
+
+            const rostersUnchanged = sitting.subjects.every(entry => {
+                const roster = rosterBySemester.get(entry.semester);
+                const seatedRolls = (seated[entry.semester] || []).sort(compareRollNumbers);
+                return roster && roster.length === seatedRolls.length && roster.every((roll, i) => roll === seatedRolls[i]);
+            });
+
+            // Students who gained, lost or changed an accommodation have to move rooms
+            const seatedApart = sittingAllocations
+                .flatMap(alloc => (alloc.accommodations || []).map(entry => describeAccommodation(entry.rollNumber, entry)))
+                .sort();
+            const dueApart = sitting.subjects
+                .flatMap(entry => (rosterBySemester.get(entry.semester) || [])
+                    .filter(rollNumber => accommodations.has(rollNumber))
+                    .map(rollNumber => describeAccommodation(rollNumber, accommodations.get(rollNumber))))
+                .sort();
+            const accommodationsUnchanged = seatedApart.join("|") === dueApart.join("|");
+
+            // Rooms blacked out since they were allocated have to be given up
+            let roomsStillAvailable = true;
+            for (const alloc of sittingAllocations) {
+                if ((await loadRoomBlackouts([alloc.roomId], alloc, session)).size > 0) roomsStillAvailable = false;
+            }
+
+            if (rostersUnchanged && accommodationsUnchanged && roomsStillAvailable) {
+                intactSittings.set(sittingSignature(sitting), sittingAllocations);
+            }
+        }
+
+        // Apply subject additions, edits and removals
+        const existingById = new Map(existingSubjects.map(subject => [subject._id.toString(), subject]));
+        const keptSubjectIds = new Set();
+        const subjectDocs = [];
+        let subjectsAdded = 0;
+        let subjectsUpdated = 0;
+
+        for (let semData of request.semesterData) {
+            for (let sub of semData.subjects) {
+                const fields = {
+                    name: sub.name,
+                    subjectCode: sub.subjectCode,
+                    semester: semData.semester,
+                    date: moment.tz(sub.date, "YYYY-MM-DD", "Asia/Kolkata").startOf("day").toDate(),
+                    startTime: moment(sub.startTime, ["h:mm A", "HH:mm"]).format("HH:mm"),
+                    endTime: moment(sub.endTime, ["h:mm A", "HH:mm"]).format("HH:mm"),
+                    requiredFeatures: sub.requiredFeatures,
+                    department: sub.department
+                };
+
+                const existing = sub._id && existingById.get(String(sub._id));
+                if (existing && !keptSubjectIds.has(existing._id.toString())) {
+                    existing.set(fields);
+                    if (existing.isModified()) subjectsUpdated++;
+                    await existing.save({ session });
+                    keptSubjectIds.add(existing._id.toString());
+                    subjectDocs.push(existing);
+                } else {
+                    const [created] = await Subject.create([{ exam: exam._id, ...fields }], { session });
+                    subjectsAdded++;
+                    subjectDocs.push(created);
+                }
             }
         }
 
-        await Promise.all(updateOps);
+        const removedSubjectIds = existingSubjects
+            .filter(subject => !keptSubjectIds.has(subject._id.toString()))
+            .map(subject => subject._id);
+
+        // Split the new schedule into untouched sittings and ones that need seating again
+        const sittings = groupOverlappingSubjects(subjectDocs.map(toSittingEntry));
+        const unchangedSittings = sittings.filter(sitting => intactSittings.has(sittingSignature(sitting)));
+        const changedSittings = sittings.filter(sitting => !intactSittings.has(sittingSignature(sitting)));
+
+        const keptAllocationIds = new Set(unchangedSittings.flatMap(sitting =>
+            intactSittings.get(sittingSignature(sitting)).map(alloc => alloc._id.toString())
+        ));
+        const staleAllocations = roomAllocations.filter(alloc => !keptAllocationIds.has(alloc._id.toString()));
+
+        // Drop the stale rooms and their invigilator duties, and the session roles of every session that loses a room
+        const slotKey = alloc => `${alloc.roomId}_${new Date(alloc.date).getTime()}_${alloc.startTime}_${alloc.endTime}`;
+        const sessionKey = alloc => `${new Date(alloc.date).getTime()}_${alloc.startTime}_${alloc.endTime}`;
+        const staleSlots = new Set(staleAllocations.map(slotKey));
+        const staleSessions = new Set(staleAllocations.map(sessionKey));
+        const staleDuties = (await Allocation.find({ examId }).session(session))
+            .filter(duty => SESSION_ROLES.includes(duty.role) ? staleSessions.has(sessionKey(duty)) : staleSlots.has(slotKey(duty)));
+
+        await releaseFacultyAllocations(staleDuties, session);
+        await RoomAllocation.deleteMany({ _id: { $in: staleAllocations.map(alloc => alloc._id) } }).session(session);
+        await Subject.deleteMany({ _id: { $in: removedSubjectIds } }).session(session);
+
+        // Re-staffed sittings follow the (possibly new) policy; kept sittings keep their invigilators
+        exam.policy = payload.policyId || undefined;
+        exam.departments = examDepartments(subjectDocs);
+        exam.departmentInvigilation = payload.departmentInvigilation;
+        exam.roomPreferences = payload.roomPreferences;
+        await exam.save({ session });
+
+        // Seat and staff the changed sittings
+        const capacityError = await checkSittingsCapacity(changedSittings, payload.rooms, rosterBySemester, session);
+        if (capacityError) {
+            await session.abortTransaction();
+            session.endSession();
+            return res.status(capacityError.status).json(capacityError.body);
+        }
+
+        const roomResult = await allocateSittings(
+            exam._id, changedSittings, rosterBySemester, accommodations, payload.rooms, session, payload.roomPreferences
+        );
+        if (roomResult.status) {
+            await session.abortTransaction();
+            session.endSession();
+            return res.status(roomResult.status).json(roomResult.body);
+        }
 
-        await Allocation.deleteMany({ examId }).session(session);
+        let clashes = [];
+        if (roomResult.allocations.length > 0) {
+            const facultyResult = await FacultyAllocator.allocateFacultyToRooms(
+                exam._id,
+                payload.faculty,
+                session,
+                roomResult.allocations.map(alloc => alloc._id)
+            );
+
+            if (!facultyResult.success) {
+                await session.abortTransaction();
+                session.endSession();
+                return res.status(400).json(facultyResult);
+            }
+            clashes = facultyResult.clashes;
+
+            // Sessions that gained rooms get their roles planned again as well
+            const grownSessions = new Set(roomResult.allocations.map(sessionKey));
+            const outdatedRoles = (await Allocation.find({ examId, role: { $in: SESSION_ROLES } }).session(session))
+                .filter(duty => grownSessions.has(sessionKey(duty)));
+            await releaseFacultyAllocations(outdatedRoles, session);
+        }
+
+        const roleResult = await FacultyAllocator.allocateRoleDuties(exam._id, payload.faculty, session);
+        if (!roleResult.success) {
+            await session.abortTransaction();
+            session.endSession();
+            return res.status(400).json(roleResult);
+        }
+
+        exam.name = payload.name;
+        exam.year = payload.year;
+        exam.semesters = request.semesterData.map(semData => ({
+            semester: semData.semester,
+            totalStudents: semData.totalStudents,
+            sections: semData.sections,
+            branches: semData.branches
+        }));
+        exam.subjects = subjectDocs.map(subject => subject._id);
+        exam.rooms = await RoomAllocation.distinct("roomId", { examId }).session(session);
+        exam.faculty = await Allocation.distinct("facultyId", { examId }).session(session);
+        exam.facultyPool = payload.faculty;
+        await exam.save({ session });
+
+        await session.commitTransaction();
+        session.endSession();
+
+        return res.status(200).json({
+            success: true,
+            message: "Exam updated successfully!",
+            exam,
+            changes: {
+                subjectsAdded,
+                subjectsUpdated,
+                subjectsRemoved: removedSubjectIds.length,
+                sittingsKept: unchangedSittings.length,
+                sittingsReallocated: changedSittings.length
+            },
+            clashes,
+            utilisation: roomResult.utilisation
+        });
+
+    } catch (error) {
+        console.error("❌ Error updating exam:", error);
+        await session.abortTransaction();
+        session.endSession();
+        return res.status(500).json({ success: false, message: "Internal Server Error" });
+    }
+};
+
+exports.deleteExam = async (req, res) => {
+    const session = await mongoose.startSession();
+    session.startTransaction();
+
+    try {
+        const { examId } = req.params;
+
+        if (!examId) {
+            return res.status(400).json({ success: false, message: "Exam ID is required." });
+        }
+
+        const exam = await Exam.findById(examId).session(session);
+        if (!exam) {
+            return res.status(404).json({ success: false, message: "Exam not found." });
+        }
+        if (!canManage(req, exam.departments)) {
+            await session.abortTransaction();
+            session.endSession();
+            return res.status(403).json({ success: false, message: "You can only delete exams of your own department." });
+        }
+
+        // Step 1: Delete faculty allocations and adjust previousAllocations count if needed
+        const facultyAllocations = await Allocation.find({ examId }).session(session);
+        await releaseFacultyAllocations(facultyAllocations, session);
+
+        // Step 2: Delete all room allocations
         await RoomAllocation.deleteMany({ examId }).session(session);
 
         // Step 3: Delete subjects
@@ -410,7 +1003,8 @@ exports.deleteExam = async (req, res) => {
 
 exports.getAllExams = async (req, res) => {
     try {
-        const exams = await Exam.find()
+        const exams = await Exam.find(departmentFilter(req, { field: "departments" }))
+            .populate("departments", "name code")
             .populate("rooms", "roomNumber capacity building floor")
             .populate("faculty", "name email designation")
             .populate({
@@ -465,7 +1059,9 @@ exports.getAllExams = async (req, res) => {
                         subjectCode: subject.subjectCode,
                         date: subject.date,
                         startTime: subject.startTime,
-                        endTime: subject.endTime
+                        endTime: subject.endTime,
+                        requiredFeatures: subject.requiredFeatures,
+                        department: subject.department
                     });
                 });
 
@@ -491,6 +1087,8 @@ exports.getAllExams = async (req, res) => {
                     _id: exam._id,
                     name: exam.name,
                     year: exam.year,
+                    departments: exam.departments,
+                    departmentInvigilation: exam.departmentInvigilation,
                     examStartDate: examStartDate,
                     examEndDate: examEndDate,
                     totalStudentsBySemester: semesterStudentCounts,
@@ -544,16 +1142,24 @@ exports.getExamById = async (req, res) => {
         if (!exam) {
             return res.status(404).json({ success: false, message: 'Exam not found' });
         }
+        // Admins see their own department's exams; faculty only the exams they are on duty for
+        const allowed = req.user.role === 'Admin'
+            ? canManage(req, exam.departments)
+            : exam.faculty.some(member => member._id.toString() === req.user.id);
+        if (!allowed) {
+            return res.status(403).json({ success: false, message: 'You do not have access to this exam' });
+        }
 
         // Get faculty allocations for this exam
         const facultyAllocations = await Allocation.find({ examId: req.params.id })
             .populate('roomId', 'roomNumber building floor capacity')
+            .populate('roomIds', 'roomNumber')
             .populate('facultyId', 'name designation')
             .populate('subjectId', 'name subjectCode semester');
 
         // Get room allocations for this exam
         const roomAllocations = await RoomAllocation.find({ examId: req.params.id })
-            .populate('roomId', 'roomNumber building floor capacity')
+            .populate('roomId', 'roomNumber building floor capacity totalBenches studentsPerBench')
             .populate('subjectId', 'name subjectCode semester date startTime endTime')
             .lean();
 
@@ -572,10 +1178,22 @@ exports.getExamById = async (req, res) => {
             const formattedDate = dateObj.toISOString().split('T')[0]; // YYYY-MM-DD
 
             return {
+                _id: alloc._id,
                 facultyName: `${alloc.facultyId.name}`,
+                designation: alloc.facultyId.designation,
+                role: roleOf(alloc),
+                status: alloc.status || 'Assigned',
+                acknowledgedAt: alloc.acknowledgedAt,
+                checkedInAt: alloc.checkedInAt,
+                attention: dutyAttention(alloc),
+                substitutions: (alloc.substitutions || []).map(sub => ({
+                    replacedFacultyName: sub.replacedFacultyName,
+                    reason: sub.reason,
+                    substitutedAt: sub.substitutedAt
+                })),
                 date: formattedDate,
                 time: `${alloc.startTime} - ${alloc.endTime}`,
-                roomDetails: alloc.roomId ?
+                roomDetails: roleOf(alloc) !== 'Invigilator' ? describeCoverage(alloc) : alloc.roomId ?
                     `${alloc.roomId.building}, ${alloc.roomId.roomNumber}, ${alloc.roomId.floor} Floor` :
                     'Not assigned'
             };
@@ -594,6 +1212,7 @@ exports.getExamById = async (req, res) => {
                 const formattedDate = dateObj.toISOString().split('T')[0]; // YYYY-MM-DD
 
                 subjectsBySemester[semester].push({
+                    _id: subject._id,
                     name: subject.name,
                     subjectCode: subject.subjectCode,
                     date: formattedDate,
@@ -605,100 +1224,69 @@ exports.getExamById = async (req, res) => {
         // Process student allocations by semester
         const studentAllocationsBySemester = {};
 
-        if (roomAllocations && roomAllocations.length > 0) {
-            // Track unique room-semester combinations to avoid duplicates
-            const processedRooms = new Map();
-
-            for (const roomAlloc of roomAllocations) {
-                // Get all students in this room allocation
-                const students = roomAlloc.students || [];
-
-                // Group students by semester
-                const studentsBySemester = {};
+        for (const roomAlloc of roomAllocations) {
+            if (!roomAlloc.roomId) continue;
 
-                students.forEach(studentId => {
-                    // Check if the student ID contains semester info (format: "Sem2-Student91")
-                    const semMatch = studentId.match(/Sem(\d+)-Student(\d+)/i);
+            // Each room holds a contiguous block of every semester's roster
+            const studentsBySemester = groupStudentsBySemester(roomAlloc);
 
-                    if (semMatch) {
-                        const semester = parseInt(semMatch[1]);
-                        const studentNumber = parseInt(semMatch[2]);
+            for (const [semester, rollNumbers] of Object.entries(studentsBySemester)) {
+                if (rollNumbers.length === 0) continue;
 
-                        if (!studentsBySemester[semester]) {
-                            studentsBySemester[semester] = [];
-                        }
+                if (!studentAllocationsBySemester[semester]) {
+                    studentAllocationsBySemester[semester] = [];
+                }
 
-                        studentsBySemester[semester].push(studentNumber);
-                    }
+                const timing = getCohortTiming(roomAlloc, semester);
+                const blockRolls = new Set(rollNumbers);
+                studentAllocationsBySemester[semester].push({
+                    studentRange: `${rollNumbers[0]} - ${rollNumbers[rollNumbers.length - 1]}`,
+                    firstRollNumber: rollNumbers[0],
+                    lastRollNumber: rollNumbers[rollNumbers.length - 1],
+                    count: rollNumbers.length,
+                    date: moment(roomAlloc.date).format('YYYY-MM-DD'),
+                    time: `${timing.startTime} - ${timing.endTime}`,
+                    roomDetails: `${roomAlloc.roomId.building}, ${roomAlloc.roomId.roomNumber}, ${roomAlloc.roomId.floor} Floor`,
+                    // Set for the students seated apart in an accommodation room
+                    accommodations: (roomAlloc.accommodations || []).filter(entry => blockRolls.has(entry.rollNumber))
                 });
-
-                // Process each semester's students separately
-                for (const [semester, semesterStudents] of Object.entries(studentsBySemester)) {
-                    if (!studentAllocationsBySemester[semester]) {
-                        studentAllocationsBySemester[semester] = [];
-                    }
-
-                    // Create unique key for this room-semester combination
-                    const roomKey = `${roomAlloc.roomId._id}-${semester}`;
-
-                    // Skip if we've already processed this room for this semester
-                    if (processedRooms.has(roomKey)) {
-                        continue;
-                    }
-
-                    processedRooms.set(roomKey, true);
-
-                    // Sort students by number
-                    const sortedStudents = [...semesterStudents].sort((a, b) => a - b);
-
-                    // Create student ranges
-                    let currentRange = {
-                        start: sortedStudents[0],
-                        end: sortedStudents[0],
-                        count: 1
-                    };
-
-                    const studentRanges = [];
-                    for (let i = 1; i < sortedStudents.length; i++) {
-                        const current = sortedStudents[i];
-                        const prev = sortedStudents[i - 1];
-
-                        if (current === prev + 1) {
-                            currentRange.end = current;
-                            currentRange.count++;
-                        } else {
-                            studentRanges.push(currentRange);
-                            currentRange = {
-                                start: current,
-                                end: current,
-                                count: 1
-                            };
-                        }
-                    }
-
-                    // Add the last range
-                    studentRanges.push(currentRange);
-
-                    // Format ranges as table format shown in Image 1
-                    const formattedRange = {
-                        studentRange: `${currentRange.start} - ${currentRange.end}`,
-                        count: currentRange.count,
-                        roomDetails: `${roomAlloc.roomId.building}, ${roomAlloc.roomId.roomNumber}, ${roomAlloc.roomId.floor} Floor`
-                    };
-
-                    studentAllocationsBySemester[semester].push(formattedRange);
-                }
             }
         }
 
         for (const semester in studentAllocationsBySemester) {
-            studentAllocationsBySemester[semester].sort((a, b) => {
-                const aStart = parseInt(a.studentRange.split(' - ')[0]);
-                const bStart = parseInt(b.studentRange.split(' - ')[0]);
-                return aStart - bStart;
-            });
+            studentAllocationsBySemester[semester].sort((a, b) =>
+                a.date.localeCompare(b.date) ||
+                a.time.localeCompare(b.time) ||
+                compareRollNumbers(a.firstRollNumber, b.firstRollNumber)
+            );
         }
 
+        // Bench-wise seat maps per room and slot
+        const subjectCodes = new Map(exam.subjects.map(subject => [subject._id.toString(), subject.subjectCode]));
+        const seatingPlans = roomAllocations
+            .filter(roomAlloc => roomAlloc.roomId)
+            .map(roomAlloc => ({
+                roomAllocationId: roomAlloc._id,
+                date: moment(roomAlloc.date).format('YYYY-MM-DD'),
+                time: `${roomAlloc.startTime} - ${roomAlloc.endTime}`,
+                roomDetails: `${roomAlloc.roomId.building}, ${roomAlloc.roomId.roomNumber}, ${roomAlloc.roomId.floor} Floor`,
+                totalBenches: roomAlloc.roomId.totalBenches,
+                studentsPerBench: roomAlloc.roomId.studentsPerBench,
+                accommodations: roomAlloc.accommodations || [],
+                seats: (roomAlloc.seats || []).map(seat => ({
+                    bench: seat.bench,
+                    position: seat.position,
+                    rollNumber: seat.rollNumber,
+                    semester: seat.semester,
+                    subjectCode: subjectCodes.get(seat.subjectId.toString()) || ''
+                }))
+            }))
+            .sort((a, b) =>
+                a.date.localeCompare(b.date) ||
+                a.time.localeCompare(b.time) ||
+                a.roomDetails.localeCompare(b.roomDetails)
+            );
+
         // Prepare response data with the format you requested
         const formattedExam = {
             _id: exam._id,
@@ -706,12 +1294,15 @@ exports.getExamById = async (req, res) => {
             year: exam.year,
             semesters: exam.semesters.map(sem => ({
                 semester: sem.semester,
-                totalStudents: sem.totalStudents
+                totalStudents: sem.totalStudents,
+                sections: sem.sections,
+                branches: sem.branches
             })),
             rooms: formattedRooms,
             facultyAllocations: formattedFacultyAllocations,
             subjectsBySemester: subjectsBySemester,
-            studentAllocationsBySemester: studentAllocationsBySemester
+            studentAllocationsBySemester: studentAllocationsBySemester,
+            seatingPlans
         };
 
         // Return the formatted exam details
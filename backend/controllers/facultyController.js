@@ -6,6 +6,9 @@ const Allocation = require("../models/Allocation");
 const Exam = require("../models/Exam");
 const Subject = require("../models/Subject");
 const Room = require("../models/Room");
+const { listDesignations } = require("../utils/allocationPolicy");
+const { roleOf, describeCoverage } = require("../utils/dutyRoles");
+const { departmentFilter, departmentForWrite, isDepartment, canManage } = require("../utils/departments");
 
 const formatTime12Hour = (timeStr) => {
     const [hour, minute] = timeStr.split(":");
@@ -22,10 +25,18 @@ const formatTime12Hour = (timeStr) => {
 exports.addFaculty = async (req, res) => {
     try {
         const { name, email, designation } = req.body;
+        const department = departmentForWrite(req, req.body.department);
 
         if (!name || !email || !designation) {
             return res.status(400).json({ success: false, message: "All fields are required" });
         }
+        if (department && !(await isDepartment(department))) {
+            return res.status(400).json({ success: false, message: "Selected department does not exist" });
+        }
+
+        if (!(await listDesignations()).includes(designation)) {
+            return res.status(400).json({ success: false, message: `${designation} is not a designation in any allocation policy` });
+        }
 
         // Check if faculty already exists
         const existingUser = await User.findOne({ email });
@@ -42,7 +53,8 @@ exports.addFaculty = async (req, res) => {
             email,
             password: hashedPassword,
             role: "Faculty",
-            designation
+            designation,
+            department
         });
 
         // Send password via email
@@ -61,19 +73,24 @@ exports.addFaculty = async (req, res) => {
 
 exports.getAllFaculties = async (req, res) => {
     try {
-      const faculties = await User.find({ role: "Faculty" }).select("-password").lean();
+      const faculties = await User.find({ role: "Faculty", ...departmentFilter(req) })
+        .select("-password")
+        .populate("department", "name code")
+        .lean();
   
       const facultyWithRooms = await Promise.all(
         faculties.map(async (faculty) => {
           const allocations = await Allocation.find({ facultyId: faculty._id })
             .populate("roomId", "roomNumber building floor")
+            .populate("roomIds", "roomNumber")
             .populate("examId", "name")
             .populate("subjectId", "name");
   
           const allocatedRooms = allocations.map((alloc) => ({
             examName: alloc.examId?.name,
             subjectName: alloc.subjectId?.name,
-            roomNumber: alloc.roomId?.roomNumber,
+            role: roleOf(alloc),
+            roomNumber: alloc.roomId ? alloc.roomId.roomNumber : describeCoverage(alloc),
             building: alloc.roomId?.building,
             floor: alloc.roomId?.floor,
             date: alloc.date,
@@ -108,6 +125,9 @@ exports.getFacultyById = async (req, res) => {
         if (!faculty || faculty.role !== "Faculty") {
             return res.status(404).json({ success: false, message: "Faculty not found" });
         }
+        if (!canManage(req, [faculty.department])) {
+            return res.status(403).json({ success: false, message: "You can only view faculty of your own department" });
+        }
 
         res.status(200).json({ success: true, data: faculty });
     } catch (err) {
@@ -122,6 +142,10 @@ exports.getFacultyById = async (req, res) => {
 exports.deleteFaculty = async (req, res) => {
     try {
         const { id } = req.params;
+        const faculty = await User.findById(id);
+        if (faculty && !canManage(req, [faculty.department])) {
+            return res.status(403).json({ success: false, message: "You can only delete faculty of your own department" });
+        }
         await User.findByIdAndDelete(id);
         res.status(200).json({ success: true, message: "Faculty deleted" });
     } catch (err) {
@@ -155,7 +179,12 @@ exports.updateOwnProfile = async (req, res) => {
             const hashedPassword = await bcrypt.hash(password, 10);
             faculty.password = hashedPassword;
         }
-        if (designation) faculty.designation = designation;
+        if (designation) {
+            if (!(await listDesignations()).includes(designation)) {
+                return res.status(400).json({ success: false, message: `${designation} is not a designation in any allocation policy` });
+            }
+            faculty.designation = designation;
+        }
 
         await faculty.save();
         res.status(200).json({ success: true, message: "Profile updated successfully" });
@@ -174,7 +203,8 @@ exports.getFacultyDashboardData = async (req, res) => {
 
         const allocations = await Allocation.find({ facultyId })
             .populate("examId", "name")
-            .populate("roomId", "roomNumber building floor");
+            .populate("roomId", "roomNumber building floor")
+            .populate("roomIds", "roomNumber");
 
         const upcoming = [];
         const present = [];
@@ -195,7 +225,12 @@ exports.getFacultyDashboardData = async (req, res) => {
             } : null;
 
             const data = {
+                allocationId: allocation._id,
                 examName: allocation.examId.name,
+                role: roleOf(allocation),
+                status: allocation.status || "Assigned",
+                // Where a chief superintendent, squad or relief invigilator is on duty
+                coverage: allocation.roomId ? null : describeCoverage(allocation),
                 date: allocationDateString,
                 startTime: startTimeFormatted,
                 endTime: endTimeFormatted,
@@ -233,11 +268,15 @@ exports.getFacultyAllocations = async (req, res) => {
         if (!faculty) {
             return res.status(404).json({ success: false, message: "Faculty not found" });
         }
+        if (!canManage(req, [faculty.department])) {
+            return res.status(403).json({ success: false, message: "You can only view faculty of your own department" });
+        }
 
         const allocations = await Allocation.find({ facultyId: id })
             .populate("examId", "name")
             .populate("subjectId", "name")
             .populate("roomId", "roomNumber")
+            .populate("roomIds", "roomNumber")
             .sort({ date: -1 }); // optional: latest first
 
         const response = {
@@ -246,7 +285,8 @@ exports.getFacultyAllocations = async (req, res) => {
             allocations: allocations.map(alloc => ({
                 examName: alloc.examId?.name,
                 subjectName: alloc.subjectId?.name,
-                roomNumber: alloc.roomId?.roomNumber,
+                role: roleOf(alloc),
+                roomNumber: alloc.roomId ? alloc.roomId.roomNumber : describeCoverage(alloc),
                 date: alloc.date,
                 startTime: alloc.startTime,
                 endTime: alloc.endTime
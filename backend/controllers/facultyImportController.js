@@ -0,0 +1,183 @@
+const mongoose = require("mongoose");
+const bcrypt = require("bcrypt");
+const crypto = require("crypto");
+const User = require("../models/User");
+const FacultyImport = require("../models/FacultyImport");
+const Department = require("../models/Department");
+const { parseFacultySheet } = require("../utils/facultyRoster");
+const { listDesignations } = require("../utils/allocationPolicy");
+const { queueEmail } = require("../utils/mailQueue");
+const { canManage, departmentForWrite } = require("../utils/departments");
+
+// A new random password: the hash to store and the plain text to email
+const generateCredentials = async () => {
+    const plainPassword = crypto.randomBytes(6).toString("hex"); // 12-char password
+    return { plainPassword, hashedPassword: await bcrypt.hash(plainPassword, 10) };
+};
+
+// Queue a new faculty member's login details and record the outcome on the import row
+const queueCredentials = (importId, user, plainPassword) => {
+    const message = `
+            Hello ${user.name},\n\nYou have been added as Faculty.\nYour login credentials:\nEmail: ${user.email}\nPassword: ${plainPassword}\n\nPlease login and change your password if you wish.
+        `;
+    queueEmail(user.email, "Faculty Account Created", message, async (error) => {
+        await FacultyImport.updateOne(
+            { _id: importId, "rows.userId": user._id },
+            error
+                ? { $set: { "rows.$.emailStatus": "Failed", "rows.$.message": `Credentials email failed: ${error.message}` } }
+                : { $set: { "rows.$.emailStatus": "Sent" }, $unset: { "rows.$.message": "" } }
+        );
+    });
+};
+
+// Import faculty from a CSV/XLSX sheet - Admin only. Accounts are created at once; the credential
+// emails are queued and their progress is read from the returned import (GET /faculty/imports/:importId).
+// With dryRun nothing is saved.
+exports.importFaculty = async (req, res) => {
+    try {
+        const dryRun = req.body.dryRun === "true" || req.body.dryRun === true;
+
+        let parsed;
+        try {
+            parsed = parseFacultySheet(req.file.buffer, await listDesignations(), await Department.find());
+        } catch (err) {
+            console.error("Error parsing faculty sheet:", err);
+            return res.status(400).json({ success: false, message: "Unable to read the uploaded file" });
+        }
+
+        const { errors } = parsed;
+        const existing = new Set(
+            (await User.find({ email: { $in: parsed.faculty.map(f => f.email) } }).select("email")).map(user => user.email)
+        );
+        // Department admins import into their own department
+        const faculty = parsed.faculty.filter(entry => {
+            if (existing.has(entry.email)) {
+                errors.push({ ...entry, message: "A user with this email already exists." });
+                return false;
+            }
+            if (entry.departmentId && !canManage(req, [entry.departmentId])) {
+                errors.push({ ...entry, message: "You can only add faculty to your own department." });
+                return false;
+            }
+            return true;
+        });
+        errors.sort((a, b) => a.row - b.row);
+
+        if (faculty.length === 0) {
+            return res.status(400).json({
+                success: false,
+                message: "No new faculty found. The sheet needs Name, Email and Designation columns; Department is optional.",
+                errors
+            });
+        }
+
+        if (dryRun) {
+            return res.status(200).json({
+                success: true,
+                message: `Dry run: ${faculty.length} faculty would be added and ${errors.length} row(s) skipped; nothing was saved`,
+                data: { dryRun, created: faculty.length, skipped: errors.length, errors }
+            });
+        }
+
+        const credentials = await Promise.all(faculty.map(generateCredentials));
+        const users = await User.insertMany(faculty.map((entry, i) => ({
+            name: entry.name,
+            email: entry.email,
+            password: credentials[i].hashedPassword,
+            role: "Faculty",
+            designation: entry.designation,
+            department: departmentForWrite(req, entry.departmentId)
+        })));
+
+        const facultyImport = await FacultyImport.create({
+            createdBy: req.user.id,
+            department: departmentForWrite(req),
+            rows: [
+                ...faculty.map(({ departmentId, ...entry }, i) => ({ ...entry, status: "Created", userId: users[i]._id, emailStatus: "Queued" })),
+                ...errors.map(({ departmentId, ...error }) => ({ ...error, status: "Skipped" }))
+            ].sort((a, b) => a.row - b.row)
+        });
+
+        users.forEach((user, i) => queueCredentials(facultyImport._id, user, credentials[i].plainPassword));
+
+        res.status(201).json({
+            success: true,
+            message: `${users.length} faculty added; their login details are being emailed`,
+            data: facultyImport
+        });
+    } catch (err) {
+        console.error("Error importing faculty:", err);
+        res.status(500).json({ success: false, message: "Error importing faculty" });
+    }
+};
+
+// A faculty import with the latest credential email status of each row - Admin only
+exports.getFacultyImport = async (req, res) => {
+    try {
+        const { importId } = req.params;
+        if (!mongoose.Types.ObjectId.isValid(importId)) {
+            return res.status(400).json({ success: false, message: "Invalid import ID" });
+        }
+
+        const facultyImport = await FacultyImport.findById(importId);
+        if (!facultyImport) {
+            return res.status(404).json({ success: false, message: "Import not found" });
+        }
+        if (!canManage(req, [facultyImport.department])) {
+            return res.status(403).json({ success: false, message: "You can only view your own department's imports" });
+        }
+
+        res.status(200).json({ success: true, data: facultyImport });
+    } catch (err) {
+        console.error("Error fetching faculty import:", err);
+        res.status(500).json({ success: false, message: "Error fetching faculty import" });
+    }
+};
+
+// Issue new passwords to the faculty of an import whose credential email failed, and email them again - Admin only
+exports.resendFailedCredentials = async (req, res) => {
+    try {
+        const { importId } = req.params;
+        if (!mongoose.Types.ObjectId.isValid(importId)) {
+            return res.status(400).json({ success: false, message: "Invalid import ID" });
+        }
+
+        const facultyImport = await FacultyImport.findById(importId);
+        if (!facultyImport) {
+            return res.status(404).json({ success: false, message: "Import not found" });
+        }
+        if (!canManage(req, [facultyImport.department])) {
+            return res.status(403).json({ success: false, message: "You can only resend credentials of your own department's imports" });
+        }
+
+        const failedRows = facultyImport.rows.filter(row => row.emailStatus === "Failed");
+        const users = await User.find({ _id: { $in: failedRows.map(row => row.userId) } });
+
+        // The first password was never stored in plain text, so a new one is issued
+        const passwords = [];
+        for (const user of users) {
+            const { plainPassword, hashedPassword } = await generateCredentials();
+            user.password = hashedPassword;
+            await user.save();
+            passwords.push(plainPassword);
+
+            const row = failedRows.find(r => r.userId.toString() === user._id.toString());
+            row.emailStatus = "Queued";
+            row.message = undefined;
+        }
+        await facultyImport.save();
+
+        users.forEach((user, i) => queueCredentials(facultyImport._id, user, passwords[i]));
+
+        res.status(200).json({
+            success: true,
+            message: users.length > 0
+                ? `New login details are being emailed to ${users.length} faculty`
+                : "No failed emails to resend",
+            data: facultyImport
+        });
+    } catch (err) {
+        console.error("Error resending faculty credentials:", err);
+        res.status(500).json({ success: false, message: "Error resending faculty credentials" });
+    }
+};
@@ -34,6 +34,7 @@ exports.login = async (req, res) => {
             id: user._id,
             email: user.email,
             role: user.role,
+            department: user.department ? user.department.toString() : undefined,
         };
 
         const token = jwt.sign(payload, process.env.JWT_SECRET, {
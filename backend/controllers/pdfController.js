@@ -2,8 +2,21 @@ const puppeteer = require("puppeteer");
 const Exam = require("../models/Exam");
 const RoomAllocation = require("../models/RoomAllocation");
 const Allocation = require("../models/Allocation");
+const Subject = require("../models/Subject");
+const Student = require("../models/Student");
 const moment = require("moment");
 const mongoose = require("mongoose");
+const { compareRollNumbers, groupStudentsBySemester, getCohortTiming } = require("../utils/studentRoster");
+const { roleOf, describeCoverage } = require("../utils/dutyRoles");
+const { canManage } = require("../utils/departments");
+
+// Escape text from the database before it goes into the HTML rendered by puppeteer
+const escapeHtml = (value) => String(value ?? "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&#39;");
 
 // Utility for converting time to 12-hour format
 function convertTo12Hour(timeStr) {
@@ -43,60 +56,33 @@ exports.exportStudentAllotmentPDF = async (req, res) => {
 
         // Group students by semester
         const studentAllocationsBySemester = {};
-        const processedRooms = new Map();
 
         // Process all room allocations
         for (const alloc of roomAllocations) {
             const room = alloc.roomId;
             if (!room) continue;
 
-            // Process students grouped by semester
-            const studentsBySemester = {};
+            // Each room holds a contiguous block of every semester's roster
+            const studentsBySemester = groupStudentsBySemester(alloc);
 
-            alloc.students.forEach(studentId => {
-                // Check if the student ID contains semester info (format: "Sem2-Student91")
-                const semMatch = studentId.match(/Sem(\d+)-Student(\d+)/i);
+            for (const [semester, rollNumbers] of Object.entries(studentsBySemester)) {
+                if (rollNumbers.length === 0) continue;
 
-                if (semMatch) {
-                    const semester = parseInt(semMatch[1]);
-                    const studentNumber = parseInt(semMatch[2]);
-
-                    if (!studentsBySemester[semester]) {
-                        studentsBySemester[semester] = [];
-                    }
-
-                    studentsBySemester[semester].push(studentNumber);
-                }
-            });
-
-            // Process each semester's students separately
-            for (const [semester, semesterStudents] of Object.entries(studentsBySemester)) {
                 if (!studentAllocationsBySemester[semester]) {
                     studentAllocationsBySemester[semester] = [];
                 }
 
-                // Create unique key for this room-semester combination
-                const roomKey = `${room._id}-${semester}`;
-
-                // Skip if we've already processed this room for this semester
-                if (processedRooms.has(roomKey)) {
-                    continue;
-                }
-
-                processedRooms.set(roomKey, true);
-
-                if (semesterStudents.length === 0) continue;
-
-                // Sort students numerically
-                const sortedStudents = [...semesterStudents].sort((a, b) => a - b);
-
-                const rangeStart = sortedStudents[0];
-                const rangeEnd = sortedStudents[sortedStudents.length - 1];
+                const rangeStart = rollNumbers[0];
+                const rangeEnd = rollNumbers[rollNumbers.length - 1];
+                const timing = getCohortTiming(alloc, semester);
 
                 studentAllocationsBySemester[semester].push({
                     studentRange: `${rangeStart} - ${rangeEnd}`,
                     rangeStart: rangeStart,
-                    count: sortedStudents.length,
+                    count: rollNumbers.length,
+                    date: moment(alloc.date).format("YYYY-MM-DD"),
+                    time: `${convertTo12Hour(timing.startTime)} - ${convertTo12Hour(timing.endTime)}`,
+                    sortTime: timing.startTime,
                     room: {
                         building: room.building,
                         roomNumber: room.roomNumber,
@@ -106,9 +92,13 @@ exports.exportStudentAllotmentPDF = async (req, res) => {
             }
         }
 
-        // Sort each semester's allocations by range start
+        // Sort each semester's allocations by slot, then by first roll number
         Object.keys(studentAllocationsBySemester).forEach(semester => {
-            studentAllocationsBySemester[semester].sort((a, b) => a.rangeStart - b.rangeStart);
+            studentAllocationsBySemester[semester].sort((a, b) =>
+                a.date.localeCompare(b.date) ||
+                a.sortTime.localeCompare(b.sortTime) ||
+                compareRollNumbers(a.rangeStart, b.rangeStart)
+            );
         });
 
         // Create a complete HTML with all semesters
@@ -171,7 +161,9 @@ exports.exportStudentAllotmentPDF = async (req, res) => {
                 <table>
                     <thead>
                         <tr>
-                            <th>Student Range</th>
+                            <th>Date</th>
+                            <th>Time</th>
+                            <th>Roll Number Range</th>
                             <th>Count</th>
                             <th>Room Details</th>
                         </tr>
@@ -179,6 +171,8 @@ exports.exportStudentAllotmentPDF = async (req, res) => {
                     <tbody>
                         ${allocations.map(r => `
                         <tr>
+                            <td>${r.date}</td>
+                            <td>${r.time}</td>
                             <td>${r.studentRange}</td>
                             <td>${r.count}</td>
                             <td>${r.room.building}, Room ${r.room.roomNumber}, ${r.room.floor} Floor</td>
@@ -242,7 +236,8 @@ exports.exportFacultyAllotmentPDF = async (req, res) => {
 
         const allocations = await Allocation.find({ examId })
             .populate("facultyId", "name designation")
-            .populate("roomId", "roomNumber building floor");
+            .populate("roomId", "roomNumber building floor")
+            .populate("roomIds", "roomNumber");
 
         // Preprocess into a matrix structure: { date: { time: { facultyName: true } } }
         const timetable = {};
@@ -257,7 +252,10 @@ exports.exportFacultyAllotmentPDF = async (req, res) => {
 
             const date = moment(a.date).format("YYYY-MM-DD");
             const time = `${convertTo12Hour(a.startTime)} - ${convertTo12Hour(a.endTime)}`;
-            const room = a.roomId
+            // Session roles show the role and the rooms they cover instead of a single room
+            const room = roleOf(a) !== "Invigilator"
+                ? `<b>${roleOf(a)}</b><br>${describeCoverage(a)}`
+                : a.roomId
                 ? `${a.roomId.building}, ${a.roomId.roomNumber}, ${getFloorSuffix(a.roomId.floor)} Floor`
                 : "";
 
@@ -351,3 +349,386 @@ exports.exportFacultyAllotmentPDF = async (req, res) => {
         res.status(500).json({ success: false, message: "Failed to generate PDF" });
     }
 };
+
+// Content-Disposition for a download: a quoted ASCII filename plus the exact UTF-8 one (RFC 6266)
+const attachmentHeader = (filename) => {
+    const fallback = filename.replace(/[^\x20-\x7e]/g, "_").replace(/["\\]/g, "_");
+    const encoded = encodeURIComponent(filename).replace(/['()*]/g, c => `%${c.charCodeAt(0).toString(16).toUpperCase()}`);
+    return `attachment; filename="${fallback}"; filename*=UTF-8''${encoded}`;
+};
+
+// Render `html` to an A4 PDF and send it as a download
+const sendPDF = async (res, html, filename) => {
+    const browser = await puppeteer.launch({
+        headless: "new",
+        args: ["--no-sandbox", "--disable-setuid-sandbox"]
+    });
+    let pdfBuffer;
+    try {
+        const page = await browser.newPage();
+        await page.setContent(html, { waitUntil: 'networkidle0' });
+        pdfBuffer = await page.pdf({ format: "A4", printBackground: true });
+    } finally {
+        await browser.close();
+    }
+
+    res.writeHead(200, {
+        'Content-Type': 'application/pdf',
+        'Content-Disposition': attachmentHeader(filename),
+        'Content-Length': pdfBuffer.length
+    });
+    res.end(pdfBuffer);
+};
+
+exports.exportSeatingGridPDF = async (req, res) => {
+    const { examId } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(examId)) {
+        return res.status(400).json({ success: false, message: "Invalid examId" });
+    }
+
+    try {
+        const exam = await Exam.findById(examId);
+        if (!exam) {
+            return res.status(404).json({ success: false, message: "Exam not found" });
+        }
+        if (!canManage(req, exam.departments)) {
+            return res.status(403).json({ success: false, message: "You can only export your own department's exams" });
+        }
+
+        const roomAllocations = await RoomAllocation.find({ examId })
+            .populate("roomId", "roomNumber building floor totalBenches studentsPerBench")
+            .populate("seats.subjectId", "subjectCode")
+            .lean();
+
+        // One grid per room and slot, in exam order
+        const plans = roomAllocations
+            .filter(alloc => alloc.roomId && alloc.seats && alloc.seats.length > 0)
+            .sort((a, b) =>
+                moment(a.date).diff(moment(b.date)) ||
+                a.startTime.localeCompare(b.startTime) ||
+                `${a.roomId.building} ${a.roomId.roomNumber}`.localeCompare(`${b.roomId.building} ${b.roomId.roomNumber}`)
+            );
+
+        if (plans.length === 0) {
+            return res.status(404).json({ success: false, message: "No seat maps found for this exam" });
+        }
+
+        let htmlContent = `
+        <!DOCTYPE html>
+        <html>
+        <head>
+            <style>
+                body { font-family: Arial, sans-serif; padding: 20px; font-size: 12px; }
+                h2 { text-align: center; margin-bottom: 5px; }
+                h3 { text-align: center; margin-top: 5px; margin-bottom: 10px; }
+                table { border-collapse: collapse; width: 100%; margin-top: 10px; }
+                th, td { border: 1px solid #333; padding: 6px; text-align: center; }
+                th { background-color: #f0f0f0; }
+                td.empty { background-color: #fafafa; color: #999; }
+                .subject { font-size: 10px; color: #555; }
+                .page-break { page-break-before: always; }
+            </style>
+        </head>
+        <body>`;
+
+        plans.forEach((alloc, index) => {
+            const room = alloc.roomId;
+            const seatAt = {};
+            alloc.seats.forEach(seat => {
+                seatAt[`${seat.bench}-${seat.position}`] = seat;
+            });
+
+            const positions = Array.from({ length: room.studentsPerBench }, (_, i) => i + 1);
+            const benches = Array.from({ length: room.totalBenches }, (_, i) => i + 1);
+
+            htmlContent += `
+            <div${index > 0 ? ' class="page-break"' : ''}>
+                <h2>Seating Plan - ${escapeHtml(exam.name)}</h2>
+                <h3>${escapeHtml(room.building)}, Room ${escapeHtml(room.roomNumber)}, ${getFloorSuffix(room.floor)} Floor |
+                    ${moment(alloc.date).format("YYYY-MM-DD")} | ${convertTo12Hour(alloc.startTime)} - ${convertTo12Hour(alloc.endTime)}</h3>
+                <table>
+                    <thead>
+                        <tr>
+                            <th>Bench</th>
+                            ${positions.map(position => `<th>Seat ${position}</th>`).join('')}
+                        </tr>
+                    </thead>
+                    <tbody>
+                        ${benches.map(bench => `
+                        <tr>
+                            <td>${bench}</td>
+                            ${positions.map(position => {
+                                const seat = seatAt[`${bench}-${position}`];
+                                if (!seat) return `<td class="empty">-</td>`;
+                                const subjectCode = seat.subjectId ? seat.subjectId.subjectCode : "";
+                                return `<td>${escapeHtml(seat.rollNumber)}<div class="subject">Sem ${seat.semester} ${escapeHtml(subjectCode)}</div></td>`;
+                            }).join('')}
+                        </tr>
+                        `).join('')}
+                    </tbody>
+                </table>
+            </div>`;
+        });
+
+        htmlContent += `
+        </body>
+        </html>`;
+
+        await sendPDF(res, htmlContent, `seating_plan_${exam.name}.pdf`);
+
+    } catch (err) {
+        console.error("Error generating seating plan PDF:", err);
+        res.status(500).json({ success: false, message: "Failed to generate PDF" });
+    }
+};
+
+// The exam's rooms with everything printed on their sheets: papers per cohort, students in seat order
+// (roll order for rooms without a seat map) and the invigilators on duty, in exam order
+const loadRoomSheets = async (examId) => {
+    const roomAllocations = await RoomAllocation.find({ examId })
+        .populate("roomId", "roomNumber building floor")
+        .lean();
+    const rooms = roomAllocations.filter(alloc => alloc.roomId && alloc.students.length > 0);
+
+    const subjectIds = rooms.flatMap(alloc => [
+        alloc.subjectId, ...(alloc.subjectIds || []), ...(alloc.cohorts || []).map(cohort => cohort.subjectId)
+    ]).filter(Boolean);
+    const subjects = new Map((await Subject.find({ _id: { $in: subjectIds } }).select("name subjectCode semester").lean())
+        .map(subject => [subject._id.toString(), subject]));
+    const names = new Map((await Student.find({ rollNumber: { $in: rooms.flatMap(alloc => alloc.students) } })
+        .select("rollNumber name").lean())
+        .map(student => [student.rollNumber, student.name || ""]));
+    const duties = await Allocation.find({ examId, roomId: { $in: rooms.map(alloc => alloc.roomId._id) } }).lean();
+
+    return rooms
+        .sort((a, b) =>
+            moment(a.date).diff(moment(b.date)) ||
+            a.startTime.localeCompare(b.startTime) ||
+            `${a.roomId.building} ${a.roomId.roomNumber}`.localeCompare(`${b.roomId.building} ${b.roomId.roomNumber}`)
+        )
+        .map(alloc => {
+            const studentsBySemester = groupStudentsBySemester(alloc);
+            const cohorts = (alloc.cohorts || []).map(cohort => {
+                const rollNumbers = studentsBySemester[cohort.semester] || [];
+                const timing = getCohortTiming(alloc, cohort.semester);
+                return {
+                    semester: cohort.semester,
+                    subject: subjects.get(cohort.subjectId.toString()) || { name: "", subjectCode: "" },
+                    rollNumbers,
+                    time: `${convertTo12Hour(timing.startTime)} - ${convertTo12Hour(timing.endTime)}`
+                };
+            });
+            const subjectOf = semester => {
+                const cohort = cohorts.find(entry => entry.semester === Number(semester));
+                return cohort ? cohort.subject.subjectCode : "";
+            };
+
+            const students = alloc.seats && alloc.seats.length > 0
+                ? [...alloc.seats]
+                    .sort((a, b) => a.bench - b.bench || a.position - b.position)
+                    .map(seat => ({
+                        rollNumber: seat.rollNumber,
+                        seat: `${seat.bench}-${seat.position}`,
+                        subjectCode: (subjects.get(seat.subjectId.toString()) || {}).subjectCode || ""
+                    }))
+                : Object.entries(studentsBySemester).flatMap(([semester, rollNumbers]) =>
+                    rollNumbers.map(rollNumber => ({ rollNumber, seat: "", subjectCode: subjectOf(semester) })));
+
+            return {
+                room: alloc.roomId,
+                date: moment(alloc.date).format("YYYY-MM-DD"),
+                time: `${convertTo12Hour(alloc.startTime)} - ${convertTo12Hour(alloc.endTime)}`,
+                cohorts,
+                students: students.map(student => ({ ...student, name: names.get(student.rollNumber) || "" })),
+                invigilators: duties
+                    .filter(duty =>
+                        duty.roomId.toString() === alloc.roomId._id.toString() &&
+                        moment(duty.date).isSame(alloc.date) &&
+                        duty.startTime === alloc.startTime && duty.endTime === alloc.endTime)
+                    .map(duty => duty.facultyName)
+            };
+        });
+};
+
+exports.exportAttendanceSheetPDF = async (req, res) => {
+    const { examId } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(examId)) {
+        return res.status(400).json({ success: false, message: "Invalid examId" });
+    }
+
+    try {
+        const exam = await Exam.findById(examId);
+        if (!exam) {
+            return res.status(404).json({ success: false, message: "Exam not found" });
+        }
+        if (!canManage(req, exam.departments)) {
+            return res.status(403).json({ success: false, message: "You can only export your own department's exams" });
+        }
+
+        const sheets = await loadRoomSheets(examId);
+        if (sheets.length === 0) {
+            return res.status(404).json({ success: false, message: "No seated rooms found for this exam" });
+        }
+
+        let htmlContent = `
+        <!DOCTYPE html>
+        <html>
+        <head>
+            <style>
+                body { font-family: Arial, sans-serif; padding: 20px; font-size: 11px; }
+                h2 { text-align: center; margin-bottom: 5px; }
+                h3 { text-align: center; margin-top: 5px; margin-bottom: 5px; }
+                p.papers { text-align: center; margin: 0 0 10px; }
+                table { border-collapse: collapse; width: 100%; margin-top: 10px; }
+                th, td { border: 1px solid #333; padding: 5px; text-align: center; }
+                th { background-color: #f0f0f0; }
+                td.name { text-align: left; }
+                td.blank { width: 90px; }
+                .tick { display: inline-block; width: 10px; height: 10px; border: 1px solid #333; margin: 0 3px 0 8px; vertical-align: middle; }
+                .footer { margin-top: 25px; display: flex; justify-content: space-between; }
+                .page-break { page-break-before: always; }
+            </style>
+        </head>
+        <body>`;
+
+        sheets.forEach((sheet, index) => {
+            const { room } = sheet;
+            htmlContent += `
+            <div${index > 0 ? ' class="page-break"' : ''}>
+                <h2>Attendance Sheet - ${escapeHtml(exam.name)}</h2>
+                <h3>${escapeHtml(room.building)}, Room ${escapeHtml(room.roomNumber)}, ${getFloorSuffix(room.floor)} Floor | ${sheet.date} | ${sheet.time}</h3>
+                <p class="papers">${sheet.cohorts.map(cohort =>
+                    `Sem ${cohort.semester}: ${escapeHtml(cohort.subject.subjectCode)} ${escapeHtml(cohort.subject.name)} (${cohort.time})`).join(' &nbsp;|&nbsp; ')}</p>
+                <table>
+                    <thead>
+                        <tr>
+                            <th>#</th>
+                            <th>Roll Number</th>
+                            <th>Name</th>
+                            <th>Paper</th>
+                            <th>Bench-Seat</th>
+                            <th>Answer Booklet No.</th>
+                            <th>Attendance</th>
+                            <th>Signature</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        ${sheet.students.map((student, i) => `
+                        <tr>
+                            <td>${i + 1}</td>
+                            <td>${escapeHtml(student.rollNumber)}</td>
+                            <td class="name">${escapeHtml(student.name)}</td>
+                            <td>${escapeHtml(student.subjectCode)}</td>
+                            <td>${student.seat}</td>
+                            <td class="blank"></td>
+                            <td><span class="tick"></span>P<span class="tick"></span>A</td>
+                            <td class="blank"></td>
+                        </tr>
+                        `).join('')}
+                    </tbody>
+                </table>
+                <div class="footer">
+                    <span>Seated: ${sheet.students.length} &nbsp; Present: ______ &nbsp; Absent: ______</span>
+                    <span>Invigilator${sheet.invigilators.length > 1 ? 's' : ''}: ${escapeHtml(sheet.invigilators.join(', ')) || '______________'} &nbsp; Signature: ______________</span>
+                </div>
+            </div>`;
+        });
+
+        htmlContent += `
+        </body>
+        </html>`;
+
+        await sendPDF(res, htmlContent, `attendance_sheets_${exam.name}.pdf`);
+
+    } catch (err) {
+        console.error("Error generating attendance sheet PDF:", err);
+        res.status(500).json({ success: false, message: "Failed to generate PDF" });
+    }
+};
+
+exports.exportDoorNoticePDF = async (req, res) => {
+    const { examId } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(examId)) {
+        return res.status(400).json({ success: false, message: "Invalid examId" });
+    }
+
+    try {
+        const exam = await Exam.findById(examId);
+        if (!exam) {
+            return res.status(404).json({ success: false, message: "Exam not found" });
+        }
+        if (!canManage(req, exam.departments)) {
+            return res.status(403).json({ success: false, message: "You can only export your own department's exams" });
+        }
+
+        const sheets = await loadRoomSheets(examId);
+        if (sheets.length === 0) {
+            return res.status(404).json({ success: false, message: "No seated rooms found for this exam" });
+        }
+
+        let htmlContent = `
+        <!DOCTYPE html>
+        <html>
+        <head>
+            <style>
+                body { font-family: Arial, sans-serif; padding: 30px; text-align: center; }
+                h1 { font-size: 64px; margin: 20px 0 5px; }
+                h2 { font-size: 22px; margin: 5px 0; }
+                h3 { font-size: 18px; margin: 5px 0 25px; color: #333; }
+                table { border-collapse: collapse; width: 100%; margin-top: 10px; }
+                th, td { border: 2px solid #333; padding: 12px; font-size: 18px; }
+                th { background-color: #f0f0f0; }
+                .total { margin-top: 20px; font-size: 18px; }
+                .page-break { page-break-before: always; }
+            </style>
+        </head>
+        <body>`;
+
+        sheets.forEach((sheet, index) => {
+            const { room } = sheet;
+            htmlContent += `
+            <div${index > 0 ? ' class="page-break"' : ''}>
+                <h2>${escapeHtml(exam.name)}</h2>
+                <h1>Room ${escapeHtml(room.roomNumber)}</h1>
+                <h2>${escapeHtml(room.building)}, ${getFloorSuffix(room.floor)} Floor</h2>
+                <h3>${moment(sheet.date).format("dddd, DD MMMM YYYY")}</h3>
+                <table>
+                    <thead>
+                        <tr>
+                            <th>Semester</th>
+                            <th>Paper</th>
+                            <th>Time</th>
+                            <th>Roll Numbers</th>
+                            <th>Count</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        ${sheet.cohorts.filter(cohort => cohort.rollNumbers.length > 0).map(cohort => `
+                        <tr>
+                            <td>${cohort.semester}</td>
+                            <td>${escapeHtml(cohort.subject.subjectCode)}<br>${escapeHtml(cohort.subject.name)}</td>
+                            <td>${cohort.time}</td>
+                            <td>${escapeHtml(cohort.rollNumbers[0])} - ${escapeHtml(cohort.rollNumbers[cohort.rollNumbers.length - 1])}</td>
+                            <td>${cohort.rollNumbers.length}</td>
+                        </tr>
+                        `).join('')}
+                    </tbody>
+                </table>
+                <p class="total">Total students: <b>${sheet.students.length}</b></p>
+            </div>`;
+        });
+
+        htmlContent += `
+        </body>
+        </html>`;
+
+        await sendPDF(res, htmlContent, `door_notices_${exam.name}.pdf`);
+
+    } catch (err) {
+        console.error("Error generating door notice PDF:", err);
+        res.status(500).json({ success: false, message: "Failed to generate PDF" });
+    }
+};
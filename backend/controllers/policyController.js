@@ -0,0 +1,153 @@
+const AllocationPolicy = require("../models/AllocationPolicy");
+const Exam = require("../models/Exam");
+const { BUILT_IN_POLICY, listDesignations } = require("../utils/allocationPolicy");
+const { departmentFilter, departmentForWrite, isDepartment, canManage, adminDepartment } = require("../utils/departments");
+
+// Only one policy per department (and one college-wide) can be the default
+const clearOtherDefaults = (policy) =>
+    AllocationPolicy.updateMany(
+        { _id: { $ne: policy._id }, department: policy.department || null, isDefault: true },
+        { $set: { isDefault: false } }
+    );
+
+// Session roles (chief superintendent, squad, relief) from the request; anything left out is off
+const readRoles = (roles) => ({
+    chiefSuperintendent: Boolean(roles.chiefSuperintendent),
+    chiefDesignations: Array.isArray(roles.chiefDesignations) ? roles.chiefDesignations.filter(Boolean) : [],
+    roomsPerSquad: Number(roles.roomsPerSquad) || 0,
+    roomsPerRelief: Number(roles.roomsPerRelief) || 0
+});
+
+// Add Policy
+exports.addPolicy = async (req, res) => {
+    try {
+        const { name, description, isDefault, designations, roles } = req.body;
+        const department = departmentForWrite(req, req.body.department);
+
+        if (!name || !Array.isArray(designations)) {
+            return res.status(400).json({ success: false, message: "Name and designations are required" });
+        }
+        if (department && !(await isDepartment(department))) {
+            return res.status(400).json({ success: false, message: "Selected department does not exist" });
+        }
+
+        const existingPolicy = await AllocationPolicy.findOne({ name: name.trim() });
+        if (existingPolicy) {
+            return res.status(400).json({ success: false, message: "A policy with this name already exists" });
+        }
+
+        const policy = await AllocationPolicy.create({
+            name, description, department, isDefault, designations,
+            roles: roles ? readRoles(roles) : undefined
+        });
+        if (policy.isDefault) await clearOtherDefaults(policy);
+
+        res.status(201).json({ success: true, message: "Policy added successfully", data: policy });
+    } catch (err) {
+        console.error("Error adding policy:", err);
+        if (err.name === "ValidationError") {
+            return res.status(400).json({ success: false, message: Object.values(err.errors).map(e => e.message).join(" ") });
+        }
+        res.status(500).json({ success: false, message: "Error adding policy" });
+    }
+};
+
+// Get All Policies, plus the built-in split used when none is marked default. Department admins see
+// their department's policies and the college-wide ones
+exports.getAllPolicies = async (req, res) => {
+    try {
+        const policies = await AllocationPolicy.find(departmentFilter(req, { shared: true }))
+            .sort({ isDefault: -1, name: 1 })
+            .populate("department", "name code");
+        res.status(200).json({ success: true, data: policies, builtIn: BUILT_IN_POLICY });
+    } catch (err) {
+        console.error("Error fetching policies:", err);
+        res.status(500).json({ success: false, message: "Error fetching policies" });
+    }
+};
+
+// Designations faculty can be given
+exports.getDesignations = async (req, res) => {
+    try {
+        res.status(200).json({ success: true, data: await listDesignations() });
+    } catch (err) {
+        console.error("Error fetching designations:", err);
+        res.status(500).json({ success: false, message: "Error fetching designations" });
+    }
+};
+
+// Update Policy
+exports.updatePolicy = async (req, res) => {
+    try {
+        const { id } = req.params;
+        const { name, description, isDefault, designations, roles } = req.body;
+
+        const policy = await AllocationPolicy.findById(id);
+        if (!policy) {
+            return res.status(404).json({ success: false, message: "Policy not found" });
+        }
+        if (!canManage(req, [policy.department])) {
+            return res.status(403).json({ success: false, message: "You can only edit policies of your own department" });
+        }
+
+        if (name && name.trim() !== policy.name) {
+            const nameTaken = await AllocationPolicy.exists({ name: name.trim(), _id: { $ne: id } });
+            if (nameTaken) {
+                return res.status(400).json({ success: false, message: "A policy with this name already exists" });
+            }
+            policy.name = name;
+        }
+        if (description !== undefined) policy.description = description;
+        if (isDefault !== undefined) policy.isDefault = isDefault;
+        if (Array.isArray(designations)) policy.designations = designations;
+        if (roles) policy.roles = readRoles(roles);
+        // Only college-wide admins move policies between departments
+        if (req.body.department !== undefined && !adminDepartment(req)) {
+            if (req.body.department && !(await isDepartment(req.body.department))) {
+                return res.status(400).json({ success: false, message: "Selected department does not exist" });
+            }
+            policy.department = req.body.department || undefined;
+        }
+
+        await policy.save();
+        if (policy.isDefault) await clearOtherDefaults(policy);
+
+        res.status(200).json({ success: true, message: "Policy updated successfully", data: policy });
+    } catch (err) {
+        console.error("Error updating policy:", err);
+        if (err.name === "ValidationError") {
+            return res.status(400).json({ success: false, message: Object.values(err.errors).map(e => e.message).join(" ") });
+        }
+        res.status(500).json({ success: false, message: "Error updating policy" });
+    }
+};
+
+// Delete Policy; exams still pointing at it must be moved to another policy first
+exports.deletePolicy = async (req, res) => {
+    try {
+        const { id } = req.params;
+
+        const policy = await AllocationPolicy.findById(id);
+        if (!policy) {
+            return res.status(404).json({ success: false, message: "Policy not found" });
+        }
+        if (!canManage(req, [policy.department])) {
+            return res.status(403).json({ success: false, message: "You can only delete policies of your own department" });
+        }
+
+        const examsUsingPolicy = await Exam.countDocuments({ policy: id });
+        if (examsUsingPolicy > 0) {
+            return res.status(400).json({
+                success: false,
+                message: `This policy is used by ${examsUsingPolicy} exam(s) and cannot be deleted`
+            });
+        }
+
+        await policy.deleteOne();
+
+        res.status(200).json({ success: true, message: "Policy deleted successfully" });
+    } catch (err) {
+        console.error("Error deleting policy:", err);
+        res.status(500).json({ success: false, message: "Error deleting policy" });
+    }
+};
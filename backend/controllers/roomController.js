@@ -1,13 +1,57 @@
+const mongoose = require("mongoose");
+const moment = require("moment-timezone");
 const Room = require("../models/Room");
+const RoomAllocation = require("../models/RoomAllocation");
+const RoomBlackout = require("../models/RoomBlackout");
+const Department = require("../models/Department");
+const { slotInterval, parseBoundary, TIMEZONE } = require("../utils/facultyAvailability");
+const { ROOM_FEATURES, unknownFeatures } = require("../utils/roomFeatures");
+const { parseRoomSheet, writeRoomSheet, roomKey } = require("../utils/roomInventory");
+const { departmentFilter, departmentForWrite, isDepartment, canManage, adminDepartment } = require("../utils/departments");
+
+const formatPeriod = (period) =>
+    `${moment.tz(period.from, TIMEZONE).format("DD MMM YYYY, h:mm A")} to ${moment.tz(period.to, TIMEZONE).format("DD MMM YYYY, h:mm A")}`;
+
+// Exam sittings held in the room between `from` and `to`
+const findBookings = async (roomId, from, to) => {
+    const sittings = await RoomAllocation.find({
+        roomId,
+        date: { $gte: moment.tz(from, TIMEZONE).startOf("day").toDate(), $lt: to }
+    })
+        .populate("examId", "name")
+        .sort({ date: 1, startTime: 1 });
+
+    return sittings
+        .filter(sitting => {
+            const { start, end } = slotInterval(sitting);
+            return from < end && start < to;
+        })
+        .map(sitting => ({
+            roomAllocationId: sitting._id,
+            examId: sitting.examId?._id,
+            examName: sitting.examId?.name || "Unknown exam",
+            date: moment.tz(sitting.date, TIMEZONE).format("YYYY-MM-DD"),
+            time: `${sitting.startTime} - ${sitting.endTime}`,
+            students: sitting.students.length
+        }));
+};
 
 // Add Room
 exports.addRoom = async (req, res) => {
     try {
-        const { building, floor, roomNumber, totalBenches, studentsPerBench } = req.body;
+        const { building, floor, roomNumber, totalBenches, studentsPerBench, accessibility, features } = req.body;
+        const department = departmentForWrite(req, req.body.department);
 
         if (!building || !floor || !roomNumber || !totalBenches || !studentsPerBench) {
             return res.status(400).json({ success: false, message: "All fields are required" });
         }
+        if (department && !(await isDepartment(department))) {
+            return res.status(400).json({ success: false, message: "Selected department does not exist" });
+        }
+        const unknown = unknownFeatures(features);
+        if (unknown.length > 0) {
+            return res.status(400).json({ success: false, message: `Unknown room feature: ${unknown.join(", ")}` });
+        }
 
         // Check if room already exists
         const existingRoom = await Room.findOne({ building, roomNumber });
@@ -23,7 +67,10 @@ exports.addRoom = async (req, res) => {
             roomNumber,
             totalBenches,
             studentsPerBench,
-            capacity // Store calculated capacity
+            capacity, // Store calculated capacity
+            accessibility,
+            features,
+            department
         });
 
         res.status(201).json({ success: true, message: "Room added successfully", data: newRoom });
@@ -37,7 +84,8 @@ exports.addRoom = async (req, res) => {
 // Get All Rooms
 exports.getAllRooms = async (req, res) => {
     try {
-        const rooms = await Room.find();
+        // Department admins see their own rooms and the shared ones
+        const rooms = await Room.find(departmentFilter(req, { shared: true })).populate("department", "name code");
         res.status(200).json({ success: true, data: rooms });
     } catch (err) {
         console.error("Error fetching rooms:", err);
@@ -45,16 +93,129 @@ exports.getAllRooms = async (req, res) => {
     }
 };
 
+// Import rooms from a CSV/XLSX sheet - Admin only. With dryRun nothing is saved; the report shows what
+// would happen. Rooms that already exist are only overwritten when updateExisting is set.
+exports.importRooms = async (req, res) => {
+    try {
+        const dryRun = req.body.dryRun === "true" || req.body.dryRun === true;
+        const updateExisting = req.body.updateExisting === "true" || req.body.updateExisting === true;
+
+        let parsed;
+        try {
+            parsed = parseRoomSheet(req.file.buffer, await Department.find());
+        } catch (err) {
+            console.error("Error parsing room sheet:", err);
+            return res.status(400).json({ success: false, message: "Unable to read the uploaded file" });
+        }
+
+        const { rooms, errors } = parsed;
+        if (rooms.length === 0) {
+            return res.status(400).json({
+                success: false,
+                message: "No valid room rows found. The sheet needs Building, Floor, Room Number, Total Benches and Students Per Bench columns.",
+                errors
+            });
+        }
+
+        const existingByKey = new Map((await Room.find()).map(room => [roomKey(room), room]));
+        const toCreate = [];
+        const toUpdate = [];
+        rooms.forEach(({ row, ...fields }) => {
+            const existing = existingByKey.get(roomKey(fields));
+            // Department admins add and update rooms of their own department only
+            const ownDepartment = !fields.department || canManage(req, [fields.department]);
+            fields.department = departmentForWrite(req, fields.department);
+            if (!ownDepartment || (existing && !canManage(req, [existing.department]))) {
+                errors.push({ row, room: `${fields.building} ${fields.roomNumber}`, message: "You can only import rooms of your own department." });
+            } else if (!existing) {
+                toCreate.push(fields);
+            } else if (updateExisting) {
+                toUpdate.push({ existing, fields });
+            } else {
+                errors.push({ row, room: `${fields.building} ${fields.roomNumber}`, message: "Room already exists in this building." });
+            }
+        });
+        errors.sort((a, b) => a.row - b.row);
+
+        if (!dryRun) {
+            await Room.insertMany(toCreate);
+            for (const { existing, fields } of toUpdate) {
+                existing.set(fields);
+                await existing.save();
+            }
+        }
+
+        res.status(200).json({
+            success: true,
+            message: dryRun
+                ? `Dry run: ${toCreate.length} room(s) would be added and ${toUpdate.length} updated; nothing was saved`
+                : `${toCreate.length} room(s) added and ${toUpdate.length} updated`,
+            data: {
+                dryRun,
+                created: toCreate.length,
+                updated: toUpdate.length,
+                skipped: errors.length,
+                errors
+            }
+        });
+    } catch (err) {
+        console.error("Error importing rooms:", err);
+        res.status(500).json({ success: false, message: "Error importing rooms" });
+    }
+};
+
+// Download every room as CSV or XLSX, in the import format - Admin only
+exports.exportRooms = async (req, res) => {
+    try {
+        const format = req.query.format === "xlsx" ? "xlsx" : "csv";
+        const rooms = await Room.find(departmentFilter(req, { shared: true }))
+            .sort({ building: 1, floor: 1, roomNumber: 1 })
+            .populate("department", "code");
+        const file = writeRoomSheet(rooms, format);
+
+        res.writeHead(200, {
+            'Content-Type': format === "xlsx"
+                ? "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet"
+                : "text/csv",
+            'Content-Disposition': `attachment; filename=rooms.${format}`,
+            'Content-Length': file.length
+        });
+        res.end(file);
+    } catch (err) {
+        console.error("Error exporting rooms:", err);
+        res.status(500).json({ success: false, message: "Error exporting rooms" });
+    }
+};
+
+// Room features papers can require, as { key: label }
+exports.getRoomFeatures = (req, res) => {
+    res.status(200).json({ success: true, data: ROOM_FEATURES });
+};
+
 // Update Room
 exports.updateRoom = async (req, res) => {
     try {
         const { id } = req.params;
-        const { building, floor, roomNumber, totalBenches, studentsPerBench } = req.body;
+        const { building, floor, roomNumber, totalBenches, studentsPerBench, accessibility, features } = req.body;
+        const unknown = unknownFeatures(features);
+        if (unknown.length > 0) {
+            return res.status(400).json({ success: false, message: `Unknown room feature: ${unknown.join(", ")}` });
+        }
 
         const room = await Room.findById(id);
         if (!room) {
             return res.status(404).json({ success: false, message: "Room not found" });
         }
+        if (!canManage(req, [room.department])) {
+            return res.status(403).json({ success: false, message: "You can only edit rooms of your own department" });
+        }
+        // Only college-wide admins move rooms between departments
+        if (req.body.department !== undefined && !adminDepartment(req)) {
+            if (req.body.department && !(await isDepartment(req.body.department))) {
+                return res.status(400).json({ success: false, message: "Selected department does not exist" });
+            }
+            room.department = req.body.department || undefined;
+        }
 
         // Update only the provided fields
         if (building) room.building = building;
@@ -62,6 +223,8 @@ exports.updateRoom = async (req, res) => {
         if (roomNumber) room.roomNumber = roomNumber;
         if (totalBenches) room.totalBenches = totalBenches;
         if (studentsPerBench) room.studentsPerBench = studentsPerBench;
+        if (accessibility) room.set("accessibility", { ...room.toObject().accessibility, ...accessibility });
+        if (Array.isArray(features)) room.features = features;
 
         // Recalculate capacity if benches or studentsPerBench changed
         if (totalBenches || studentsPerBench) {
@@ -82,10 +245,15 @@ exports.updateRoom = async (req, res) => {
 exports.deleteRoom = async (req, res) => {
     try {
         const { id } = req.params;
-        const deletedRoom = await Room.findByIdAndDelete(id);
-        if (!deletedRoom) {
+        const room = await Room.findById(id);
+        if (!room) {
             return res.status(404).json({ success: false, message: "Room not found" });
         }
+        if (!canManage(req, [room.department])) {
+            return res.status(403).json({ success: false, message: "You can only delete rooms of your own department" });
+        }
+        await room.deleteOne();
+        await RoomBlackout.deleteMany({ roomId: id });
 
         res.status(200).json({ success: true, message: "Room deleted successfully" });
     } catch (err) {
@@ -93,3 +261,121 @@ exports.deleteRoom = async (req, res) => {
         res.status(500).json({ success: false, message: "Error deleting room" });
     }
 };
+
+// Mark a room unavailable for a period - Admin only
+exports.addBlackout = async (req, res) => {
+    try {
+        const { id } = req.params;
+        const { type, fromDate, fromTime, toDate, toTime, reason } = req.body;
+
+        const room = mongoose.Types.ObjectId.isValid(id) ? await Room.findById(id).select("department") : null;
+        if (!room) {
+            return res.status(404).json({ success: false, message: "Room not found" });
+        }
+        if (!canManage(req, [room.department])) {
+            return res.status(403).json({ success: false, message: "You can only black out rooms of your own department" });
+        }
+
+        const blackoutTypes = RoomBlackout.schema.path("type").enumValues;
+        if (!blackoutTypes.includes(type)) {
+            return res.status(400).json({ success: false, message: `Blackout type must be one of: ${blackoutTypes.join(", ")}` });
+        }
+
+        const from = parseBoundary(fromDate, fromTime, false);
+        const to = parseBoundary(toDate || fromDate, toTime, true);
+        if (!from || !to) {
+            return res.status(400).json({ success: false, message: "Valid from and to dates are required" });
+        }
+        if (from >= to) {
+            return res.status(400).json({ success: false, message: "The end of the period must be after its start" });
+        }
+
+        const blackout = await RoomBlackout.create({
+            roomId: id,
+            type,
+            from,
+            to,
+            reason,
+            createdBy: req.user.id
+        });
+
+        // Sittings already seated in the room are not moved automatically
+        const conflictingBookings = await findBookings(id, from, to);
+
+        res.status(201).json({
+            success: true,
+            message: conflictingBookings.length > 0
+                ? `Room blacked out for ${formatPeriod(blackout)}. ${conflictingBookings.length} exam sitting(s) already use it in that period; updating those exams moves them to other rooms.`
+                : `Room blacked out for ${formatPeriod(blackout)}`,
+            data: blackout,
+            conflictingBookings
+        });
+    } catch (err) {
+        console.error("Error adding room blackout:", err);
+        res.status(500).json({ success: false, message: "Error adding room blackout" });
+    }
+};
+
+// Remove a blackout - Admin only
+exports.deleteBlackout = async (req, res) => {
+    try {
+        const { blackoutId } = req.params;
+        if (!mongoose.Types.ObjectId.isValid(blackoutId)) {
+            return res.status(400).json({ success: false, message: "Invalid blackout ID" });
+        }
+
+        const blackout = await RoomBlackout.findById(blackoutId).populate("roomId", "department");
+        if (!blackout) {
+            return res.status(404).json({ success: false, message: "Blackout not found" });
+        }
+        if (!canManage(req, [blackout.roomId && blackout.roomId.department])) {
+            return res.status(403).json({ success: false, message: "You can only remove blackouts of your own department's rooms" });
+        }
+
+        await blackout.deleteOne();
+
+        res.status(200).json({ success: true, message: "Blackout removed" });
+    } catch (err) {
+        console.error("Error deleting room blackout:", err);
+        res.status(500).json({ success: false, message: "Error deleting room blackout" });
+    }
+};
+
+// Blackouts and exam sittings of a room between ?from and ?to (YYYY-MM-DD, both inclusive) - Admin only
+exports.getRoomCalendar = async (req, res) => {
+    try {
+        const { id } = req.params;
+        if (!mongoose.Types.ObjectId.isValid(id)) {
+            return res.status(400).json({ success: false, message: "Invalid room ID" });
+        }
+
+        const room = await Room.findById(id);
+        if (!room) {
+            return res.status(404).json({ success: false, message: "Room not found" });
+        }
+        // Shared rooms (no department) can be seated by any department, so anyone may see their calendar
+        if (room.department && !canManage(req, [room.department])) {
+            return res.status(403).json({ success: false, message: "You can only view rooms of your own department" });
+        }
+
+        const from = parseBoundary(req.query.from || moment.tz(TIMEZONE).startOf("month").format("YYYY-MM-DD"), null, false);
+        const to = parseBoundary(req.query.to || moment.tz(TIMEZONE).endOf("month").format("YYYY-MM-DD"), null, true);
+        if (!from || !to || from >= to) {
+            return res.status(400).json({ success: false, message: "Valid from and to dates are required" });
+        }
+
+        const blackouts = await RoomBlackout.find({ roomId: id, from: { $lt: to }, to: { $gt: from } }).sort({ from: 1 });
+
+        res.status(200).json({
+            success: true,
+            data: {
+                room,
+                blackouts,
+                bookings: await findBookings(id, from, to)
+            }
+        });
+    } catch (err) {
+        console.error("Error fetching room calendar:", err);
+        res.status(500).json({ success: false, message: "Error fetching room calendar" });
+    }
+};
@@ -0,0 +1,227 @@
+const moment = require("moment-timezone");
+const Student = require("../models/Student");
+const RoomAllocation = require("../models/RoomAllocation");
+const Subject = require("../models/Subject");
+const { parseRoster, compareRollNumbers, getCohortTiming } = require("../utils/studentRoster");
+
+// Upload a CSV/XLSX roster for one semester (optionally one section/branch) - Admin only
+exports.uploadRoster = async (req, res) => {
+    try {
+        const semester = Number(req.body.semester);
+        const section = (req.body.section || "").trim().toUpperCase();
+        const branch = (req.body.branch || "").trim().toUpperCase();
+        const replace = req.body.replace === "true" || req.body.replace === true;
+
+        if (!semester || semester <= 0) {
+            return res.status(400).json({ success: false, message: "A valid semester is required" });
+        }
+
+        let parsed;
+        try {
+            parsed = parseRoster(req.file.buffer, { section, branch });
+        } catch (err) {
+            console.error("Error parsing roster:", err);
+            return res.status(400).json({ success: false, message: "Unable to read the uploaded file" });
+        }
+
+        const { students, errors } = parsed;
+        if (students.length === 0) {
+            return res.status(400).json({
+                success: false,
+                message: "No valid student rows found. The sheet needs at least a Roll Number / USN column.",
+                errors
+            });
+        }
+
+        // Accommodations are set field by field, so needs missing from the sheet are left as recorded
+        const result = await Student.bulkWrite(
+            students.map(({ accommodations = {}, ...student }) => ({
+                updateOne: {
+                    filter: { rollNumber: student.rollNumber },
+                    update: {
+                        $set: {
+                            ...student,
+                            semester,
+                            ...Object.fromEntries(Object.entries(accommodations).map(([field, value]) => [`accommodations.${field}`, value]))
+                        }
+                    },
+                    upsert: true
+                }
+            }))
+        );
+
+        // Optionally drop students of this cohort that are no longer on the roster
+        let removed = 0;
+        if (replace) {
+            const scope = { semester, rollNumber: { $nin: students.map(s => s.rollNumber) } };
+            if (section) scope.section = section;
+            if (branch) scope.branch = branch;
+            removed = (await Student.deleteMany(scope)).deletedCount;
+        }
+
+        res.status(200).json({
+            success: true,
+            message: `Roster uploaded for semester ${semester}`,
+            data: {
+                inserted: result.upsertedCount,
+                updated: result.modifiedCount,
+                removed,
+                skipped: errors.length,
+                errors
+            }
+        });
+    } catch (err) {
+        console.error("Error uploading roster:", err);
+        res.status(500).json({ success: false, message: "Error uploading roster" });
+    }
+};
+
+// List students, filtered by semester/section/branch - Admin only
+exports.getStudents = async (req, res) => {
+    try {
+        const { semester, section, branch } = req.query;
+        const filter = {};
+        if (semester) filter.semester = Number(semester);
+        if (section) filter.section = section.toUpperCase();
+        if (branch) filter.branch = branch.toUpperCase();
+
+        const students = await Student.find(filter).lean();
+        students.sort((a, b) => compareRollNumbers(a.rollNumber, b.rollNumber));
+
+        res.status(200).json({ success: true, data: students });
+    } catch (err) {
+        console.error("Error fetching students:", err);
+        res.status(500).json({ success: false, message: "Error fetching students" });
+    }
+};
+
+// Student counts per semester, branch and section - used by the exam form
+exports.getRosterSummary = async (req, res) => {
+    try {
+        const groups = await Student.aggregate([
+            {
+                $group: {
+                    _id: { semester: "$semester", branch: "$branch", section: "$section" },
+                    count: { $sum: 1 },
+                    // Students seated apart because of an accommodation
+                    accommodated: {
+                        $sum: {
+                            $cond: [{
+                                $or: [
+                                    { $eq: ["$accommodations.groundFloor", true] },
+                                    { $eq: ["$accommodations.scribe", true] },
+                                    { $gt: ["$accommodations.extraTimeMinutes", 0] }
+                                ]
+                            }, 1, 0]
+                        }
+                    }
+                }
+            },
+            { $sort: { "_id.semester": 1, "_id.branch": 1, "_id.section": 1 } }
+        ]);
+
+        const data = groups.map(g => ({
+            semester: g._id.semester,
+            branch: g._id.branch,
+            section: g._id.section,
+            count: g.count,
+            accommodated: g.accommodated
+        }));
+
+        res.status(200).json({ success: true, data });
+    } catch (err) {
+        console.error("Error fetching roster summary:", err);
+        res.status(500).json({ success: false, message: "Error fetching roster summary" });
+    }
+};
+
+// Delete a semester's roster (optionally one section/branch) - Admin only
+exports.deleteRoster = async (req, res) => {
+    try {
+        const { semester } = req.params;
+        const { section, branch } = req.query;
+
+        // An empty value targets students uploaded without a section/branch; omitting it matches all
+        const filter = { semester: Number(semester) };
+        if (section !== undefined) filter.section = section.toUpperCase();
+        if (branch !== undefined) filter.branch = branch.toUpperCase();
+
+        const { deletedCount } = await Student.deleteMany(filter);
+        res.status(200).json({ success: true, message: `${deletedCount} students removed` });
+    } catch (err) {
+        console.error("Error deleting roster:", err);
+        res.status(500).json({ success: false, message: "Error deleting roster" });
+    }
+};
+
+// Seat lookup for students: room, bench and timing of every paper from today on - Public.
+// Students have no accounts, so the roll number must come with the date of birth on the roster.
+exports.lookupSeat = async (req, res) => {
+    try {
+        const rollNumber = String(req.body.rollNumber || "").trim().toUpperCase();
+        const dateOfBirth = moment.tz(String(req.body.dateOfBirth || ""), "YYYY-MM-DD", true, "Asia/Kolkata");
+        if (!rollNumber || !dateOfBirth.isValid()) {
+            return res.status(400).json({ success: false, message: "Roll number and date of birth are required" });
+        }
+
+        // One answer for an unknown roll number and a wrong date of birth, so neither can be probed
+        const student = await Student.findOne({ rollNumber });
+        if (!student || !student.dateOfBirth ||
+            moment.tz(student.dateOfBirth, "Asia/Kolkata").format("YYYY-MM-DD") !== dateOfBirth.format("YYYY-MM-DD")) {
+            return res.status(404).json({ success: false, message: "No student found with that roll number and date of birth" });
+        }
+
+        const roomAllocations = await RoomAllocation.find({
+            students: rollNumber,
+            date: { $gte: moment.tz("Asia/Kolkata").startOf("day").toDate() }
+        })
+            .populate("roomId", "roomNumber building floor")
+            .populate("examId", "name year")
+            .sort({ date: 1, startTime: 1 })
+            .lean();
+
+        const subjects = await Subject.find({
+            _id: { $in: roomAllocations.flatMap(alloc => [alloc.subjectId, ...(alloc.subjectIds || []), ...(alloc.seats || []).map(seat => seat.subjectId)]) }
+        }).select("name subjectCode semester").lean();
+        const subjectsById = new Map(subjects.map(subject => [subject._id.toString(), subject]));
+
+        const exams = new Map();
+        roomAllocations.forEach(alloc => {
+            if (!alloc.examId) return;
+            const seat = (alloc.seats || []).find(entry => entry.rollNumber === rollNumber);
+            const cohort = (alloc.cohorts || []).find(entry => entry.semester === student.semester);
+            const subject = subjectsById.get(String((seat && seat.subjectId) || (cohort && cohort.subjectId) || alloc.subjectId || ""));
+            const timing = getCohortTiming(alloc, seat ? seat.semester : student.semester);
+            const accommodation = (alloc.accommodations || []).find(entry => entry.rollNumber === rollNumber);
+
+            const examId = alloc.examId._id.toString();
+            if (!exams.has(examId)) {
+                exams.set(examId, { examId, examName: alloc.examId.name, year: alloc.examId.year, papers: [] });
+            }
+            exams.get(examId).papers.push({
+                subjectName: subject ? subject.name : "",
+                subjectCode: subject ? subject.subjectCode : "",
+                date: moment.tz(alloc.date, "Asia/Kolkata").format("YYYY-MM-DD"),
+                startTime: timing.startTime,
+                endTime: timing.endTime,
+                extraTimeMinutes: accommodation ? accommodation.extraTimeMinutes : 0,
+                room: alloc.roomId
+                    ? { roomNumber: alloc.roomId.roomNumber, building: alloc.roomId.building, floor: alloc.roomId.floor }
+                    : { roomNumber: alloc.roomNumber },
+                bench: seat ? seat.bench : null,
+                position: seat ? seat.position : null
+            });
+        });
+
+        res.status(200).json({
+            success: true,
+            data: {
+                student: { rollNumber: student.rollNumber, name: student.name, semester: student.semester },
+                exams: [...exams.values()]
+            }
+        });
+    } catch (err) {
+        console.error("Error looking up seat:", err);
+        res.status(500).json({ success: false, message: "Error looking up seat" });
+    }
+};
@@ -0,0 +1,298 @@
+const mongoose = require("mongoose");
+const moment = require("moment-timezone");
+const Allocation = require("../models/Allocation");
+const Exam = require("../models/Exam");
+const User = require("../models/User");
+const Subject = require("../models/Subject");
+const RoomAllocation = require("../models/RoomAllocation");
+const sendEmail = require("../utils/sendEmail");
+const { isTimeOverlap } = require("../utils/facultyAllocator");
+const { resolvePolicy, getDesignationLimits } = require("../utils/allocationPolicy");
+const { loadApprovedUnavailability, isUnavailableFor } = require("../utils/facultyAvailability");
+const { loadSubjectTeachers } = require("../utils/teachingMap");
+const { roleOf, dutyRoomIds, describeCoverage } = require("../utils/dutyRoles");
+const { acknowledgeLink } = require("../utils/dutyStatus");
+const { recordCancellations } = require("../utils/dutyCalendar");
+const { canManage } = require("../utils/departments");
+
+// Papers written in the rooms the duty covers (none for a chief superintendent)
+const loadDutySubjects = async (allocation) => {
+    const sittings = await RoomAllocation.find({
+        examId: allocation.examId,
+        roomId: { $in: dutyRoomIds(allocation).map(room => room._id || room) },
+        date: allocation.date,
+        startTime: allocation.startTime,
+        endTime: allocation.endTime
+    }).select("subjectId subjectIds");
+    const subjectIds = sittings.length > 0
+        ? sittings.flatMap(sitting => [sitting.subjectId, ...(sitting.subjectIds || [])]).filter(Boolean)
+        : [allocation.subjectId].filter(Boolean);
+    return Subject.find({ _id: { $in: subjectIds } }).select("department subjectCode semester");
+};
+
+// Faculty who could take over `allocation`: available, not on approved leave or already on duty at an overlapping time,
+// not teaching a paper written in the room and allowed by the exam's department invigilation rule; ordered by fewest previous duties (the paper's own department
+// first when the exam prefers it). `withinQuota` tells whether the exam's designation mix stays within limits; session
+// roles only need a designation the policy allows for the role.
+const findSubstituteCandidates = async (allocation) => {
+    const outgoing = await User.findById(allocation.facultyId).select("designation");
+
+    // Designation mix of the exam's room duties, checked against the exam's allocation policy
+    const policy = await resolvePolicy(allocation.examId);
+    const examDuties = (await Allocation.find({ examId: allocation.examId }).populate("facultyId", "designation"))
+        .filter(duty => roleOf(duty) === "Invigilator");
+    const limits = getDesignationLimits(policy, examDuties.length);
+    const counts = new Map();
+    examDuties.forEach(duty => {
+        const designation = duty.facultyId && duty.facultyId.designation;
+        if (designation) counts.set(designation, (counts.get(designation) || 0) + 1);
+    });
+
+    const chiefDesignations = (policy.roles && policy.roles.chiefDesignations) || [];
+    const outgoingDesignation = outgoing && outgoing.designation;
+    const withinQuota = (designation) => {
+        if (!limits.has(designation)) return false;
+        if (roleOf(allocation) === "Chief Superintendent") {
+            return chiefDesignations.length === 0 ||
+                chiefDesignations.some(allowed => allowed.toLowerCase() === String(designation).toLowerCase());
+        }
+        if (roleOf(allocation) !== "Invigilator") return true;
+        if (designation === outgoingDesignation) return true;
+        const staysUnderMax = (counts.get(designation) || 0) + 1 <= limits.get(designation).max;
+        const staysOverMin = !limits.has(outgoingDesignation) ||
+            (counts.get(outgoingDesignation) || 0) - 1 >= limits.get(outgoingDesignation).min;
+        return staysUnderMax && staysOverMin;
+    };
+
+    const exam = await Exam.findById(allocation.examId).select("departmentInvigilation");
+    const departmentInvigilation = (exam && exam.departmentInvigilation) || "any";
+    const dutySubjects = await loadDutySubjects(allocation);
+    const dutyDepartments = new Set(dutySubjects.map(subject => subject.department).filter(Boolean).map(String));
+    const fromOwningDepartment = f => Boolean(f.department) && dutyDepartments.has(f.department.toString());
+    const teachers = new Set([...(await loadSubjectTeachers(dutySubjects)).values()].flatMap(ids => [...ids]));
+
+    const faculty = (await User.find({
+        _id: { $ne: allocation.facultyId },
+        role: "Faculty",
+        available: true
+    }).select("name email designation department previousAllocations"))
+        .filter(f => !teachers.has(f._id.toString()) && (departmentInvigilation !== "exclude" || !fromOwningDepartment(f)));
+
+    // Anyone already invigilating (for any exam) at an overlapping time that day is busy
+    const sameDayDuties = await Allocation.find({
+        facultyId: { $in: faculty.map(f => f._id) },
+        date: allocation.date
+    });
+    const busy = new Set(
+        sameDayDuties
+            .filter(duty => isTimeOverlap(duty, allocation))
+            .map(duty => duty.facultyId.toString())
+    );
+
+    const unavailability = await loadApprovedUnavailability(faculty.map(f => f._id));
+
+    return faculty
+        .filter(f => !busy.has(f._id.toString()) && !isUnavailableFor(unavailability.get(f._id.toString()), allocation))
+        .map(f => ({
+            _id: f._id,
+            name: f.name,
+            email: f.email,
+            designation: f.designation,
+            department: f.department,
+            previousAllocations: f.previousAllocations,
+            withinQuota: withinQuota(f.designation),
+            ownDepartment: departmentInvigilation === "prefer" && fromOwningDepartment(f)
+        }))
+        .sort((a, b) =>
+            b.ownDepartment - a.ownDepartment || a.previousAllocations - b.previousAllocations || a.name.localeCompare(b.name)
+        );
+};
+
+const describeDuty = (examName, allocation) => {
+    const room = allocation.roomId;
+    return `Exam: ${examName}\n` +
+        `Date: ${allocation.date.toDateString()}\n` +
+        `Time: ${moment(allocation.startTime, "HH:mm").format("h:mm A")} - ${moment(allocation.endTime, "HH:mm").format("h:mm A")}\n` +
+        (roleOf(allocation) === "Invigilator"
+            ? `Room: ${room ? `${room.building}, ${room.roomNumber}, ${room.floor}` : "To be announced"}`
+            : `Duty: ${roleOf(allocation)} (${describeCoverage(allocation)})`);
+};
+
+// Suggest replacements for an invigilation duty - Admin only
+exports.getSubstituteSuggestions = async (req, res) => {
+    try {
+        const { allocationId } = req.params;
+        if (!mongoose.Types.ObjectId.isValid(allocationId)) {
+            return res.status(400).json({ success: false, message: "Invalid allocation ID" });
+        }
+
+        const allocation = await Allocation.findById(allocationId);
+        if (!allocation) {
+            return res.status(404).json({ success: false, message: "Allocation not found" });
+        }
+
+        const exam = await Exam.findById(allocation.examId).select("departments");
+        if (!canManage(req, exam ? exam.departments : [])) {
+            return res.status(403).json({ success: false, message: "You can only manage duties of your own department's exams." });
+        }
+
+        const candidates = await findSubstituteCandidates(allocation);
+
+        res.status(200).json({
+            success: true,
+            data: candidates.filter(candidate => candidate.withinQuota)
+        });
+    } catch (err) {
+        console.error("Error fetching substitute suggestions:", err);
+        res.status(500).json({ success: false, message: "Error fetching substitute suggestions" });
+    }
+};
+
+// Replace the invigilator of a duty and notify both faculty - Admin only
+exports.substituteInvigilator = async (req, res) => {
+    const session = await mongoose.startSession();
+    session.startTransaction();
+
+    try {
+        const { allocationId } = req.params;
+        const { facultyId, reason } = req.body;
+
+        if (!mongoose.Types.ObjectId.isValid(allocationId) || !mongoose.Types.ObjectId.isValid(facultyId)) {
+            await session.abortTransaction();
+            session.endSession();
+            return res.status(400).json({ success: false, message: "Valid allocation and faculty IDs are required" });
+        }
+        if (!reason || !reason.trim()) {
+            await session.abortTransaction();
+            session.endSession();
+            return res.status(400).json({ success: false, message: "Please give a reason for the substitution" });
+        }
+
+        const allocation = await Allocation.findById(allocationId)
+            .populate("roomId", "roomNumber building floor")
+            .populate("roomIds", "roomNumber");
+        if (!allocation) {
+            await session.abortTransaction();
+            session.endSession();
+            return res.status(404).json({ success: false, message: "Allocation not found" });
+        }
+
+        const exam = await Exam.findById(allocation.examId).select("name departments");
+        if (!canManage(req, exam ? exam.departments : [])) {
+            await session.abortTransaction();
+            session.endSession();
+            return res.status(403).json({ success: false, message: "You can only manage duties of your own department's exams." });
+        }
+
+        const candidates = await findSubstituteCandidates(allocation);
+        const substitute = candidates.find(candidate => candidate._id.toString() === facultyId);
+        if (!substitute) {
+            await session.abortTransaction();
+            session.endSession();
+            return res.status(400).json({
+                success: false,
+                message: "Selected faculty is unavailable or already on duty at this time"
+            });
+        }
+        if (!substitute.withinQuota) {
+            await session.abortTransaction();
+            session.endSession();
+            return res.status(400).json({
+                success: false,
+                message: `Assigning a ${substitute.designation} would break the exam's allocation policy`
+            });
+        }
+
+        const outgoing = await User.findById(allocation.facultyId).select("name email");
+
+        // Duties shared with another exam (same room and slot, or the same session's chief) are one physical
+        // duty: move them together
+        const sharedFilter = {
+            facultyId: allocation.facultyId,
+            roomId: allocation.roomId ? allocation.roomId._id : null,
+            date: allocation.date,
+            startTime: allocation.startTime,
+            endTime: allocation.endTime
+        };
+
+        // Off the outgoing faculty member's calendar
+        await recordCancellations(await Allocation.find(sharedFilter).session(session), session);
+
+        await Allocation.updateMany(
+            sharedFilter,
+            {
+                // The substitute starts the duty lifecycle afresh
+                $set: {
+                    facultyId: substitute._id,
+                    facultyName: substitute.name,
+                    status: "Assigned",
+                    notifiedAt: null,
+                    acknowledgedAt: null,
+                    checkedInAt: null,
+                    completedAt: null
+                },
+                $push: {
+                    substitutions: {
+                        replacedFacultyId: allocation.facultyId,
+                        replacedFacultyName: outgoing ? outgoing.name : allocation.facultyName,
+                        reason: reason.trim(),
+                        substitutedBy: req.user.id
+                    }
+                }
+            },
+            { session }
+        );
+
+        await User.updateOne({ _id: allocation.facultyId }, { $inc: { previousAllocations: -1 } }, { session });
+        await User.updateOne({ _id: substitute._id }, { $inc: { previousAllocations: 1 } }, { session });
+
+        // Keep the exam's faculty list in line with its duties
+        const examIds = await Allocation.distinct("examId", { ...sharedFilter, facultyId: substitute._id }).session(session);
+        for (const examId of examIds) {
+            const facultyIds = await Allocation.distinct("facultyId", { examId }).session(session);
+            await Exam.updateOne({ _id: examId }, { $set: { faculty: facultyIds } }, { session });
+        }
+
+        await session.commitTransaction();
+        session.endSession();
+
+        // Notify both parties; a mail failure does not undo the substitution
+        const duty = describeDuty(exam ? exam.name : "", allocation);
+        let notified = true;
+        try {
+            if (outgoing) {
+                await sendEmail(
+                    outgoing.email,
+                    `Invigilation duty reassigned - ${exam ? exam.name : ""}`,
+                    `Hello ${outgoing.name},\n\nYou have been relieved of the following invigilation duty.\n\n${duty}\n\nReason: ${reason.trim()}\nReplaced by: ${substitute.name}\n\nRegards,\nExam Cell`
+                );
+            }
+            await sendEmail(
+                substitute.email,
+                `Invigilation duty assigned - ${exam ? exam.name : ""}`,
+                `Hello ${substitute.name},\n\nYou have been assigned the following invigilation duty in place of ${outgoing ? outgoing.name : allocation.facultyName}.\n\n${duty}\n\n` +
+                `Please acknowledge it here or from your dashboard: ${acknowledgeLink({ ...allocation.toObject(), facultyId: substitute._id })}\n\n` +
+                "Please be present at your assigned room 10 minutes before the scheduled time.\n\nRegards,\nExam Cell"
+            );
+            await Allocation.updateMany(
+                { ...sharedFilter, facultyId: substitute._id, status: "Assigned" },
+                { $set: { status: "Notified", notifiedAt: new Date() } }
+            );
+        } catch (mailErr) {
+            console.error("Error sending substitution emails:", mailErr);
+            notified = false;
+        }
+
+        res.status(200).json({
+            success: true,
+            message: notified
+                ? `${substitute.name} now invigilates this duty. Both faculty have been emailed.`
+                : `${substitute.name} now invigilates this duty, but the notification emails could not be sent.`
+        });
+    } catch (err) {
+        console.error("Error substituting invigilator:", err);
+        await session.abortTransaction();
+        session.endSession();
+        res.status(500).json({ success: false, message: "Error substituting invigilator" });
+    }
+};
@@ -0,0 +1,88 @@
+const TeachingAssignment = require("../models/TeachingAssignment");
+const User = require("../models/User");
+const { parseTeachingSheet } = require("../utils/teachingMap");
+const { departmentFilter } = require("../utils/departments");
+
+// Upload a CSV/XLSX teaching map for one semester, replacing that semester's map - Admin only.
+// Department admins only map (and replace) their own department's faculty.
+exports.uploadTeachingMap = async (req, res) => {
+    try {
+        const semester = Number(req.body.semester);
+        if (!semester || semester <= 0) {
+            return res.status(400).json({ success: false, message: "A valid semester is required" });
+        }
+
+        const faculty = await User.find({ role: "Faculty", ...departmentFilter(req) }).select("name email");
+        const facultyByEmail = new Map(faculty.map(member => [member.email.toLowerCase(), member]));
+
+        let parsed;
+        try {
+            parsed = parseTeachingSheet(req.file.buffer, facultyByEmail);
+        } catch (err) {
+            console.error("Error parsing teaching map:", err);
+            return res.status(400).json({ success: false, message: "Unable to read the uploaded file" });
+        }
+
+        const { assignments, errors } = parsed;
+        if (assignments.length === 0) {
+            return res.status(400).json({
+                success: false,
+                message: "No valid rows found. The sheet needs Email and Subject Code columns.",
+                errors
+            });
+        }
+
+        const { deletedCount } = await TeachingAssignment.deleteMany({
+            semester,
+            facultyId: { $in: faculty.map(member => member._id) }
+        });
+        await TeachingAssignment.insertMany(assignments.map(({ facultyId, subjectCode }) => ({ facultyId, subjectCode, semester })));
+
+        res.status(200).json({
+            success: true,
+            message: `Teaching map uploaded for semester ${semester}`,
+            data: { saved: assignments.length, replaced: deletedCount, skipped: errors.length, errors }
+        });
+    } catch (err) {
+        console.error("Error uploading teaching map:", err);
+        res.status(500).json({ success: false, message: "Error uploading teaching map" });
+    }
+};
+
+// Teaching assignments, optionally for one semester - Admin only
+exports.getTeachingMap = async (req, res) => {
+    try {
+        const filter = {};
+        if (req.query.semester) filter.semester = Number(req.query.semester);
+        const byDepartment = departmentFilter(req);
+        if (byDepartment.department) {
+            filter.facultyId = { $in: await User.distinct("_id", { role: "Faculty", ...byDepartment }) };
+        }
+
+        const assignments = await TeachingAssignment.find(filter)
+            .populate("facultyId", "name email designation")
+            .sort({ semester: 1, subjectCode: 1 });
+
+        res.status(200).json({ success: true, data: assignments });
+    } catch (err) {
+        console.error("Error fetching teaching map:", err);
+        res.status(500).json({ success: false, message: "Error fetching teaching map" });
+    }
+};
+
+// Delete a semester's teaching map - Admin only
+exports.deleteTeachingMap = async (req, res) => {
+    try {
+        const filter = { semester: Number(req.params.semester) };
+        const byDepartment = departmentFilter(req);
+        if (byDepartment.department) {
+            filter.facultyId = { $in: await User.distinct("_id", { role: "Faculty", ...byDepartment }) };
+        }
+
+        const { deletedCount } = await TeachingAssignment.deleteMany(filter);
+        res.status(200).json({ success: true, message: `${deletedCount} teaching assignment(s) removed` });
+    } catch (err) {
+        console.error("Error deleting teaching map:", err);
+        res.status(500).json({ success: false, message: "Error deleting teaching map" });
+    }
+};
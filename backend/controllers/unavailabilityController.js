@@ -0,0 +1,203 @@
+const mongoose = require("mongoose");
+const moment = require("moment-timezone");
+const Unavailability = require("../models/Unavailability");
+const Allocation = require("../models/Allocation");
+const User = require("../models/User");
+const sendEmail = require("../utils/sendEmail");
+const { slotInterval, parseBoundary, TIMEZONE } = require("../utils/facultyAvailability");
+const { departmentFilter, canManage } = require("../utils/departments");
+const { roleOf } = require("../utils/dutyRoles");
+
+// Existing invigilation duties of the faculty member that fall inside the period
+const findConflictingDuties = async (period) => {
+    const facultyId = period.facultyId._id || period.facultyId;
+    const duties = await Allocation.find({
+        facultyId,
+        date: {
+            $gte: moment.tz(period.from, TIMEZONE).startOf("day").toDate(),
+            $lt: period.to
+        }
+    })
+        .populate("examId", "name")
+        .populate("roomId", "roomNumber building");
+
+    return duties
+        .filter(duty => {
+            const { start, end } = slotInterval(duty);
+            return period.from < end && start < period.to;
+        })
+        .map(duty => ({
+            allocationId: duty._id,
+            examId: duty.examId?._id,
+            examName: duty.examId?.name,
+            date: moment.tz(duty.date, TIMEZONE).format("YYYY-MM-DD"),
+            time: `${duty.startTime} - ${duty.endTime}`,
+            roomDetails: duty.roomId ? `${duty.roomId.building} - ${duty.roomId.roomNumber}` : roleOf(duty)
+        }));
+};
+
+const formatPeriod = (period) =>
+    `${moment.tz(period.from, TIMEZONE).format("DD MMM YYYY, h:mm A")} to ${moment.tz(period.to, TIMEZONE).format("DD MMM YYYY, h:mm A")}`;
+
+// Submit an unavailability request - Faculty only
+exports.requestUnavailability = async (req, res) => {
+    try {
+        const { type, fromDate, fromTime, toDate, toTime, reason } = req.body;
+
+        const from = parseBoundary(fromDate, fromTime, false);
+        const to = parseBoundary(toDate || fromDate, toTime, true);
+        if (!from || !to) {
+            return res.status(400).json({ success: false, message: "Valid from and to dates are required" });
+        }
+        if (from >= to) {
+            return res.status(400).json({ success: false, message: "The end of the period must be after its start" });
+        }
+
+        const overlapping = await Unavailability.findOne({
+            facultyId: req.user.id,
+            status: { $in: ["Pending", "Approved"] },
+            from: { $lt: to },
+            to: { $gt: from }
+        });
+        if (overlapping) {
+            return res.status(400).json({
+                success: false,
+                message: `You already have a ${overlapping.status.toLowerCase()} request for ${formatPeriod(overlapping)}`
+            });
+        }
+
+        const request = await Unavailability.create({
+            facultyId: req.user.id,
+            type,
+            from,
+            to,
+            reason
+        });
+
+        res.status(201).json({ success: true, message: "Request submitted for approval", data: request });
+    } catch (err) {
+        console.error("Error submitting unavailability:", err);
+        if (err.name === "ValidationError") {
+            return res.status(400).json({ success: false, message: err.message });
+        }
+        res.status(500).json({ success: false, message: "Error submitting request" });
+    }
+};
+
+// Own unavailability requests, latest first - Faculty only
+exports.getMyUnavailability = async (req, res) => {
+    try {
+        const requests = await Unavailability.find({ facultyId: req.user.id }).sort({ from: -1 });
+        res.status(200).json({ success: true, data: requests });
+    } catch (err) {
+        console.error("Error fetching unavailability:", err);
+        res.status(500).json({ success: false, message: "Error fetching requests" });
+    }
+};
+
+// Withdraw one of your own requests - Faculty only
+exports.withdrawUnavailability = async (req, res) => {
+    try {
+        const { requestId } = req.params;
+        if (!mongoose.Types.ObjectId.isValid(requestId)) {
+            return res.status(400).json({ success: false, message: "Invalid request ID" });
+        }
+
+        const request = await Unavailability.findOneAndDelete({ _id: requestId, facultyId: req.user.id });
+        if (!request) {
+            return res.status(404).json({ success: false, message: "Request not found" });
+        }
+
+        res.status(200).json({ success: true, message: "Request withdrawn" });
+    } catch (err) {
+        console.error("Error withdrawing unavailability:", err);
+        res.status(500).json({ success: false, message: "Error withdrawing request" });
+    }
+};
+
+// All requests, optionally filtered by status, with the duties each one clashes with - Admin only
+exports.getAllUnavailability = async (req, res) => {
+    try {
+        const filter = {};
+        if (req.query.status) filter.status = req.query.status;
+        const byDepartment = departmentFilter(req);
+        if (byDepartment.department) {
+            filter.facultyId = { $in: await User.distinct("_id", { role: "Faculty", ...byDepartment }) };
+        }
+
+        const requests = await Unavailability.find(filter)
+            .populate("facultyId", "name email designation")
+            .sort({ from: 1 });
+
+        const data = [];
+        for (const request of requests) {
+            data.push({
+                ...request.toObject(),
+                conflictingDuties: request.status === "Rejected" ? [] : await findConflictingDuties(request)
+            });
+        }
+
+        res.status(200).json({ success: true, data });
+    } catch (err) {
+        console.error("Error fetching unavailability requests:", err);
+        res.status(500).json({ success: false, message: "Error fetching requests" });
+    }
+};
+
+// Approve or reject a request and let the faculty member know - Admin only
+exports.reviewUnavailability = async (req, res) => {
+    try {
+        const { requestId } = req.params;
+        const { status, reviewNote } = req.body;
+
+        if (!mongoose.Types.ObjectId.isValid(requestId)) {
+            return res.status(400).json({ success: false, message: "Invalid request ID" });
+        }
+        if (!["Approved", "Rejected"].includes(status)) {
+            return res.status(400).json({ success: false, message: "Status must be Approved or Rejected" });
+        }
+
+        const request = await Unavailability.findById(requestId);
+        if (!request) {
+            return res.status(404).json({ success: false, message: "Request not found" });
+        }
+
+        const faculty = await User.findById(request.facultyId).select("name email department");
+        if (!canManage(req, [faculty && faculty.department])) {
+            return res.status(403).json({ success: false, message: "You can only review requests from your own department" });
+        }
+
+        request.status = status;
+        request.reviewNote = reviewNote;
+        request.reviewedBy = req.user.id;
+        request.reviewedAt = new Date();
+        await request.save();
+
+        // Duties already assigned in the period are not moved automatically; they need a substitute
+        const conflictingDuties = status === "Approved" ? await findConflictingDuties(request) : [];
+
+        if (faculty) {
+            try {
+                await sendEmail(
+                    faculty.email,
+                    `Unavailability request ${status.toLowerCase()}`,
+                    `Hello ${faculty.name},\n\nYour ${request.type.toLowerCase()} request for ${formatPeriod(request)} has been ${status.toLowerCase()}.` +
+                    `${reviewNote ? `\n\nNote: ${reviewNote}` : ""}\n\nRegards,\nExam Cell`
+                );
+            } catch (mailErr) {
+                console.error("Error sending review email:", mailErr);
+            }
+        }
+
+        res.status(200).json({
+            success: true,
+            message: conflictingDuties.length > 0
+                ? `Request approved. ${conflictingDuties.length} existing duty(s) fall in this period and need a substitute.`
+                : `Request ${status.toLowerCase()}`,
+            data: { request, conflictingDuties }
+        });
+    } catch (err) {
+        console.error("Error reviewing unavailability:", err);
+        res.status(500).json({ success: false, message: "Error reviewing request" });
+    }
+};
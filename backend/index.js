@@ -25,10 +25,14 @@ const userRoute = require("./routes/userRoute");
 const facultyRoute = require("./routes/facultyRoute")
 const adminRoute = require("./routes/adminRoutes");
 const roomRoutes = require('./routes/roomRoutes');
+const studentRoutes = require('./routes/studentRoutes');
 
 // const subjectRoute = require('./routes/subjectRoutes');
 const examRoutes = require("./routes/examRoutes");
 const pdfRoutes = require('./routes/pdfRoutes');
+const policyRoutes = require('./routes/policyRoutes');
+const departmentRoutes = require('./routes/departmentRoutes');
+const teachingRoutes = require('./routes/teachingRoutes');
 // const insert = require("./init/insertData");
 // insert();
 
@@ -36,10 +40,14 @@ app.use("/auth",userRoute);
 app.use("/admin", adminRoute);
 app.use("/faculty", facultyRoute);
 app.use("/room", roomRoutes);
+app.use("/students", studentRoutes);
 
 // app.use("/subject",subjectRoute);
 app.use("/exams", examRoutes);
 app.use("/pdf", pdfRoutes);
+app.use("/policies", policyRoutes);
+app.use("/departments", departmentRoutes);
+app.use("/teaching", teachingRoutes);
 
 
 app.get("/",(req,res)=>{
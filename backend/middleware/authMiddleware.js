@@ -19,6 +19,13 @@ exports.auth = async (req, res, next) => {
 
     try {
       const decoded = jwt.verify(token, process.env.JWT_SECRET);
+      // Only login tokens carry a role; tokens signed for another purpose are not sessions
+      if (!decoded.role || decoded.purpose) {
+        return res.status(401).json({
+          success: false,
+          message: 'Token is invalid or expired',
+        });
+      }
       req.user = decoded; // Attach user info to request
       next();
     } catch (err) {
@@ -69,3 +76,14 @@ exports.isAdmin = (req, res, next) => {
     });
   }
 };
+
+// College-wide admins only; department admins are limited to their own department
+exports.isCollegeAdmin = (req, res, next) => {
+  if (req.user?.role !== "Admin" || req.user.department) {
+    return res.status(403).json({
+      success: false,
+      message: 'Access denied. College-wide admins only.',
+    });
+  }
+  next();
+};
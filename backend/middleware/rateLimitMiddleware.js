@@ -0,0 +1,44 @@
+// Fixed-window request limits kept in memory. Each limiter counts requests per key (client IP, roll
+// number, ...) and answers 429 once a key has used up its window; a limiter may count failed requests only.
+
+/**
+ * Build a rate-limiting middleware
+ * @param {Object} options
+ * @param {Number} options.windowMs - Length of a window in milliseconds
+ * @param {Number} options.max - Requests allowed per key in a window
+ * @param {Function} options.key - (req) => key to count against; requests without a key are not limited
+ * @param {String} options.message - Error message once the limit is reached
+ * @param {Boolean} options.failedOnly - Count only requests answered with an error status
+ * @returns {Function} - Express middleware
+ */
+exports.rateLimit = ({ windowMs, max, key, message, failedOnly = false }) => {
+    const hits = new Map(); // key -> { count, resetAt }
+
+    return (req, res, next) => {
+        const id = key(req);
+        if (!id) return next();
+
+        const now = Date.now();
+        // Drop finished windows now and then so the map does not grow without bound
+        if (hits.size > 10000) {
+            hits.forEach((entry, entryKey) => { if (entry.resetAt <= now) hits.delete(entryKey); });
+        }
+
+        let entry = hits.get(id);
+        if (!entry || entry.resetAt <= now) {
+            entry = { count: 0, resetAt: now + windowMs };
+            hits.set(id, entry);
+        }
+        if (entry.count >= max) {
+            res.set("Retry-After", String(Math.ceil((entry.resetAt - now) / 1000)));
+            return res.status(429).json({ success: false, message });
+        }
+
+        if (!failedOnly) {
+            entry.count++;
+        } else {
+            res.on("finish", () => { if (res.statusCode >= 400) entry.count++; });
+        }
+        next();
+    };
+};
@@ -0,0 +1,35 @@
+const multer = require("multer");
+const path = require("path");
+
+const ALLOWED_EXTENSIONS = [".csv", ".xlsx", ".xls"];
+
+// Spreadsheets are parsed straight from memory; nothing is written to disk
+const spreadsheetUpload = multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: 5 * 1024 * 1024 },
+    fileFilter: (req, file, cb) => {
+        const ext = path.extname(file.originalname).toLowerCase();
+        if (!ALLOWED_EXTENSIONS.includes(ext)) {
+            return cb(new Error("Only CSV or Excel (.xlsx, .xls) files are allowed"));
+        }
+        cb(null, true);
+    }
+}).single("file");
+
+exports.uploadSpreadsheet = (req, res, next) => {
+    spreadsheetUpload(req, res, (err) => {
+        if (err) {
+            return res.status(400).json({
+                success: false,
+                message: err.message || "File upload failed",
+            });
+        }
+        if (!req.file) {
+            return res.status(400).json({
+                success: false,
+                message: "Please attach a CSV or Excel file",
+            });
+        }
+        next();
+    });
+};
@@ -1,14 +1,34 @@
 const mongoose = require('mongoose');
 
+const isInvigilator = function() { return !this.role || this.role === 'Invigilator'; };
+
 const allocationSchema = new mongoose.Schema({
     examId: { type: mongoose.Schema.Types.ObjectId, ref: 'Exam', required: true },
-    subjectId: { type: mongoose.Schema.Types.ObjectId, ref: 'Subject', required: true },
-    roomId: { type: mongoose.Schema.Types.ObjectId, ref: 'Room', required: true },
-    facultyId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true }, // Invigilator
+    // An invigilator sits in one room; the chief superintendent runs the whole session and
+    // squad (flying) and relief invigilators cover a block of rooms
+    role: { type: String, enum: ['Invigilator', 'Chief Superintendent', 'Squad', 'Relief'], default: 'Invigilator' },
+    subjectId: { type: mongoose.Schema.Types.ObjectId, ref: 'Subject', required: isInvigilator },
+    roomId: { type: mongoose.Schema.Types.ObjectId, ref: 'Room', required: isInvigilator },
+    roomIds: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Room' }], // Rooms covered by a squad or relief duty
+    facultyId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
     facultyName: { type: String, required: true },
     date: { type: Date, required: true },
     startTime: { type: String, required: true }, // Exam Start Time (e.g., "10:00 AM")
-    endTime: { type: String, required: true } 
+    endTime: { type: String, required: true },
+    // Notified when the duty email goes out, then acknowledged, checked in and completed by the faculty member
+    status: { type: String, enum: ['Assigned', 'Notified', 'Acknowledged', 'Checked In', 'Completed'], default: 'Assigned' },
+    notifiedAt: { type: Date },
+    acknowledgedAt: { type: Date },
+    checkedInAt: { type: Date },
+    completedAt: { type: Date },
+    // Invigilators this duty was taken away from, oldest first
+    substitutions: [{
+        replacedFacultyId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+        replacedFacultyName: { type: String, required: true },
+        reason: { type: String, required: true, trim: true },
+        substitutedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+        substitutedAt: { type: Date, default: Date.now }
+    }]
 }, { timestamps: true });
 
 module.exports = mongoose.model("Allocation", allocationSchema);
@@ -0,0 +1,64 @@
+const mongoose = require('mongoose');
+
+// Share of an exam's invigilation duties each designation may take, as ratios of the duty count
+const designationQuotaSchema = new mongoose.Schema({
+    designation: { type: String, required: true, trim: true },
+    minRatio: { type: Number, required: true, min: 0, max: 1, default: 0 },
+    maxRatio: { type: Number, required: true, min: 0, max: 1, default: 1 }
+}, { _id: false });
+
+// Duties beyond one invigilator per room, staffed once per exam session (a date and time)
+const sessionRolesSchema = new mongoose.Schema({
+    chiefSuperintendent: { type: Boolean, default: false },
+    chiefDesignations: [{ type: String, trim: true }], // Who may be chief; any designation of the policy when empty
+    roomsPerSquad: { type: Number, min: 0, default: 0 }, // One squad (flying) invigilator per this many rooms; 0 for none
+    roomsPerRelief: { type: Number, min: 0, default: 0 } // One relief invigilator per this many rooms; 0 for none
+}, { _id: false });
+
+const allocationPolicySchema = new mongoose.Schema({
+    name: { type: String, required: true, trim: true, unique: true },
+    description: { type: String, trim: true },
+    // Department whose exams it applies to; college-wide when unset
+    department: { type: mongoose.Schema.Types.ObjectId, ref: 'Department' },
+    // Used by exams that do not name a policy of their own (one default per department, one college-wide)
+    isDefault: { type: Boolean, default: false },
+    designations: { type: [designationQuotaSchema], required: true },
+    roles: { type: sessionRolesSchema, default: () => ({}) }
+}, { timestamps: true });
+
+allocationPolicySchema.pre('validate', function(next) {
+    if (!this.designations || this.designations.length === 0) {
+        this.invalidate('designations', 'A policy needs at least one designation');
+        return next();
+    }
+
+    const seen = new Set();
+    for (const quota of this.designations) {
+        const key = quota.designation.toLowerCase();
+        if (seen.has(key)) {
+            this.invalidate('designations', `${quota.designation} is listed more than once`);
+        }
+        seen.add(key);
+        if (quota.minRatio > quota.maxRatio) {
+            this.invalidate('designations', `${quota.designation}: minimum share is above its maximum`);
+        }
+    }
+
+    (this.roles && this.roles.chiefDesignations || []).forEach(designation => {
+        if (!seen.has(designation.toLowerCase())) {
+            this.invalidate('roles.chiefDesignations', `Chief superintendents must have a designation of the policy; ${designation} is not listed`);
+        }
+    });
+
+    const minTotal = this.designations.reduce((sum, quota) => sum + quota.minRatio, 0);
+    const maxTotal = this.designations.reduce((sum, quota) => sum + quota.maxRatio, 0);
+    if (minTotal > 1) {
+        this.invalidate('designations', 'Minimum shares add up to more than 100%');
+    }
+    if (maxTotal < 1) {
+        this.invalidate('designations', 'Maximum shares add up to less than 100%, so no exam could be fully staffed');
+    }
+    next();
+});
+
+module.exports = mongoose.model("AllocationPolicy", allocationPolicySchema);
@@ -0,0 +1,22 @@
+const mongoose = require('mongoose');
+
+// A duty taken off a faculty member's calendar (exam updated or deleted, or the duty substituted), kept so
+// the calendar feeds can tell subscribed calendars to drop the event
+const cancelledDutySchema = new mongoose.Schema({
+    uid: { type: String, required: true }, // iCalendar UID of the cancelled event
+    facultyId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+    examId: { type: mongoose.Schema.Types.ObjectId, ref: 'Exam' },
+    summary: { type: String, required: true },
+    location: { type: String },
+    start: { type: Date, required: true },
+    end: { type: Date, required: true },
+    sequence: { type: Number, default: 0 },
+    cancelledAt: { type: Date, default: Date.now }
+}, { timestamps: true });
+
+cancelledDutySchema.index({ facultyId: 1 });
+cancelledDutySchema.index({ examId: 1 });
+// Nothing left to cancel a month after the duty
+cancelledDutySchema.index({ end: 1 }, { expireAfterSeconds: 30 * 24 * 60 * 60 });
+
+module.exports = mongoose.model("CancelledDuty", cancelledDutySchema);
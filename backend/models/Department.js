@@ -0,0 +1,9 @@
+const mongoose = require('mongoose');
+
+// Academic department that owns faculty, papers and (optionally) rooms
+const departmentSchema = new mongoose.Schema({
+    name: { type: String, required: true, trim: true, unique: true }, // e.g. Computer Science and Engineering
+    code: { type: String, required: true, trim: true, uppercase: true, unique: true } // e.g. CSE
+}, { timestamps: true });
+
+module.exports = mongoose.model("Department", departmentSchema);
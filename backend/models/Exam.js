@@ -2,7 +2,9 @@ const mongoose = require("mongoose");
 
 const semesterSchema = new mongoose.Schema({
     semester: { type: Number, required: true }, // 1, 2, 3, 4...
-    totalStudents: { type: Number, required: true }
+    totalStudents: { type: Number, required: true }, // Size of the roster seated for this semester
+    sections: [{ type: String }], // Empty means every section on the roster
+    branches: [{ type: String }] // Empty means every branch on the roster
 });
 
 const examSchema = new mongoose.Schema(
@@ -11,8 +13,18 @@ const examSchema = new mongoose.Schema(
         year: { type: String, required: true }, // 2025, 2026-...
         semesters: [semesterSchema], // Array of semesters included in this exam
         rooms: [{ type: mongoose.Schema.Types.ObjectId, ref: "Room", required: true }], // Selected rooms
-        faculty: [{ type: mongoose.Schema.Types.ObjectId, ref: "User", required: true }], // Selected faculty
+        faculty: [{ type: mongoose.Schema.Types.ObjectId, ref: "User", required: true }], // Faculty on duty
+        facultyPool: [{ type: mongoose.Schema.Types.ObjectId, ref: "User" }], // Faculty the admin selected to draw duties from
         subjects: [{ type: mongoose.Schema.Types.ObjectId, ref: "Subject", required: true }], // Subjects in the exam
+        policy: { type: mongoose.Schema.Types.ObjectId, ref: "AllocationPolicy" }, // Designation quotas; default policy when unset
+        departments: [{ type: mongoose.Schema.Types.ObjectId, ref: "Department" }], // Departments owning its papers
+        // Whether invigilators come from the department that owns the paper in the room
+        departmentInvigilation: { type: String, enum: ["any", "prefer", "exclude"], default: "any" },
+        // Tie-breakers for room packing; the fewest rooms always comes first
+        roomPreferences: {
+            sameBuilding: { type: Boolean, default: false },
+            groundFloorFirst: { type: Boolean, default: false }
+        },
     },
     { timestamps: true }
 );
@@ -0,0 +1,20 @@
+const mongoose = require('mongoose');
+
+// A bulk faculty import and the outcome of each sheet row; credential emails are sent in the background
+const facultyImportSchema = new mongoose.Schema({
+    createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    department: { type: mongoose.Schema.Types.ObjectId, ref: 'Department' }, // Department admin's import; none for college-wide ones
+    rows: [{
+        row: { type: Number, required: true }, // 1-based sheet row
+        name: { type: String, trim: true },
+        email: { type: String, trim: true, lowercase: true },
+        designation: { type: String, trim: true },
+        department: { type: String, trim: true },
+        status: { type: String, enum: ["Created", "Skipped"], required: true },
+        message: { type: String }, // Why the row was skipped, or why its email failed
+        userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+        emailStatus: { type: String, enum: ["Queued", "Sent", "Failed"] }
+    }]
+}, { timestamps: true });
+
+module.exports = mongoose.model("FacultyImport", facultyImportSchema);
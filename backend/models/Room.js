@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const { FEATURE_KEYS } = require('../utils/roomFeatures');
 
 const roomSchema = new mongoose.Schema({
     building: { type: String, required: true },
@@ -7,6 +8,14 @@ const roomSchema = new mongoose.Schema({
     totalBenches: { type: Number, required: true },
     studentsPerBench: { type: Number, required: true },
     capacity: { type: Number, required: true }, 
+    features: [{ type: String, enum: FEATURE_KEYS }], // Lab, drawing tables, ... that papers may require
+    department: { type: mongoose.Schema.Types.ObjectId, ref: 'Department' }, // Owning department; rooms without one are shared
+    // Used to seat students with accommodations
+    accessibility: {
+        groundFloor: { type: Boolean, default: false },
+        liftAccess: { type: Boolean, default: false },
+        separateRoom: { type: Boolean, default: false } // Small room where a student can write apart (e.g. with a scribe)
+    }
 }, { timestamps: true });
 
 module.exports = mongoose.model("Room", roomSchema);
@@ -7,7 +7,44 @@ const roomAllocationSchema = new mongoose.Schema({
     // Support multiple subjects when exams from different semesters share a room
     subjectId: { type: mongoose.Schema.Types.ObjectId, ref: 'Subject' },
     subjectIds: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Subject' }],
-    students: { type: [String], required: true },
+    students: { type: [String], required: true }, // Roll numbers seated in this room
+    // Consecutive blocks of `students` per semester/subject, in the same order
+    cohorts: [{
+        _id: false,
+        subjectId: { type: mongoose.Schema.Types.ObjectId, ref: 'Subject', required: true },
+        semester: { type: Number, required: true },
+        count: { type: Number, required: true },
+        // The cohort's own paper timing; the room slot spans the union of its cohorts
+        startTime: { type: String },
+        endTime: { type: String }
+    }],
+    // Bench-wise seat map; same subject/semester never shares a bench or sits front/back
+    seats: [{
+        _id: false,
+        bench: { type: Number, required: true },
+        position: { type: Number, required: true },
+        rollNumber: { type: String, required: true },
+        subjectId: { type: mongoose.Schema.Types.ObjectId, ref: 'Subject', required: true },
+        semester: { type: Number, required: true }
+    }],
+    // Students seated here because of an accommodation; such rooms hold no one else
+    accommodations: [{
+        _id: false,
+        rollNumber: { type: String, required: true },
+        groundFloor: { type: Boolean, default: false },
+        extraTimeMinutes: { type: Number, default: 0 },
+        scribe: { type: Boolean, default: false }
+    }],
+    // Attendance taken by the room's invigilator; students not listed have not been marked
+    attendance: [{
+        _id: false,
+        rollNumber: { type: String, required: true },
+        present: { type: Boolean, required: true },
+        incident: { type: String, trim: true } // Malpractice or other incident involving the student
+    }],
+    incidentNote: { type: String, trim: true }, // Incidents in the room as a whole
+    attendanceMarkedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    attendanceMarkedAt: { type: Date },
     date: { type: Date, required: true },
     startTime: { type: String, required: true },
     endTime: { type: String, required: true }
@@ -0,0 +1,19 @@
+const mongoose = require('mongoose');
+
+// A period in which a room cannot be used for exams (booked for an event, under repair, ...)
+const roomBlackoutSchema = new mongoose.Schema({
+    roomId: { type: mongoose.Schema.Types.ObjectId, ref: 'Room', required: true },
+    type: {
+        type: String,
+        enum: ["Event", "Maintenance", "Other"],
+        default: "Event"
+    },
+    from: { type: Date, required: true },
+    to: { type: Date, required: true },
+    reason: { type: String, trim: true },
+    createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' }
+}, { timestamps: true });
+
+roomBlackoutSchema.index({ roomId: 1, from: 1 });
+
+module.exports = mongoose.model("RoomBlackout", roomBlackoutSchema);
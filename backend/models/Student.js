@@ -0,0 +1,20 @@
+const mongoose = require("mongoose");
+
+const studentSchema = new mongoose.Schema({
+    rollNumber: { type: String, required: true, unique: true, trim: true, uppercase: true }, // USN / Roll number
+    name: { type: String, trim: true },
+    semester: { type: Number, required: true },
+    section: { type: String, trim: true, uppercase: true, default: "" },
+    branch: { type: String, trim: true, uppercase: true, default: "" },
+    dateOfBirth: { type: Date },
+    // Exam arrangements the student is entitled to; any of them seats the student apart from the hall
+    accommodations: {
+        groundFloor: { type: Boolean, default: false },         // Needs a step-free (ground floor or lift) room
+        extraTimeMinutes: { type: Number, default: 0, min: 0 },  // Added to the end of every paper
+        scribe: { type: Boolean, default: false }                // Writes with a scribe, so needs a room of their own
+    }
+}, { timestamps: true });
+
+studentSchema.index({ semester: 1, branch: 1, section: 1 });
+
+module.exports = mongoose.model("Student", studentSchema);
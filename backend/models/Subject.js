@@ -1,4 +1,5 @@
 const mongoose = require("mongoose");
+const { FEATURE_KEYS } = require("../utils/roomFeatures");
 
 const subjectSchema = new mongoose.Schema({
     exam: { type: mongoose.Schema.Types.ObjectId, ref: "Exam", required: true }, // Link to exam
@@ -7,7 +8,9 @@ const subjectSchema = new mongoose.Schema({
     semester: { type: Number, required: true }, // Add semester field to link subject to specific semester
     date: { type: Date, required: true }, // Exam Date
     startTime: { type: String, required: true }, // Exam Start Time (e.g., "10:00 AM")
-    endTime: { type: String, required: true } // Exam End Time (e.g., "12:00 PM")
+    endTime: { type: String, required: true }, // Exam End Time (e.g., "12:00 PM")
+    requiredFeatures: [{ type: String, enum: FEATURE_KEYS }], // Only rooms with all of these seat this paper
+    department: { type: mongoose.Schema.Types.ObjectId, ref: "Department" } // Department that owns the paper
 });
 
 module.exports = mongoose.model("Subject", subjectSchema);
\ No newline at end of file
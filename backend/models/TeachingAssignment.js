@@ -0,0 +1,12 @@
+const mongoose = require("mongoose");
+
+// Who teaches which subject in a semester; teachers never invigilate the rooms where their subject is written
+const teachingAssignmentSchema = new mongoose.Schema({
+    facultyId: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
+    subjectCode: { type: String, required: true, trim: true, uppercase: true },
+    semester: { type: Number, required: true }
+}, { timestamps: true });
+
+teachingAssignmentSchema.index({ semester: 1, subjectCode: 1, facultyId: 1 }, { unique: true });
+
+module.exports = mongoose.model("TeachingAssignment", teachingAssignmentSchema);
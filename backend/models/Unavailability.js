@@ -0,0 +1,26 @@
+const mongoose = require('mongoose');
+
+// A period in which a faculty member cannot invigilate; only approved periods block duties
+const unavailabilitySchema = new mongoose.Schema({
+    facultyId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+    type: {
+        type: String,
+        enum: ["Leave", "Conference", "Teaching", "Other"],
+        default: "Leave"
+    },
+    from: { type: Date, required: true },
+    to: { type: Date, required: true },
+    reason: { type: String, trim: true },
+    status: {
+        type: String,
+        enum: ["Pending", "Approved", "Rejected"],
+        default: "Pending"
+    },
+    reviewedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    reviewedAt: { type: Date },
+    reviewNote: { type: String, trim: true }
+}, { timestamps: true });
+
+unavailabilitySchema.index({ facultyId: 1, status: 1, from: 1 });
+
+module.exports = mongoose.model("Unavailability", unavailabilitySchema);
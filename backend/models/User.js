@@ -23,9 +23,15 @@ const userSchema = new mongoose.Schema({
         enum: ["Admin", "Faculty"],
         default: "Faculty"
     },
+    // Any designation named in an allocation policy (see utils/allocationPolicy.js)
     designation: {
         type: String,
-        enum: ["Assistant Professor", "Associate Professor", "Professor"]
+        trim: true
+    },
+    // Faculty: home department. Admins with a department only see and manage that department
+    department: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "Department"
     },
     previousAllocations: {
         type: Number,
@@ -34,6 +40,13 @@ const userSchema = new mongoose.Schema({
     available: {
         type: Boolean,
         default: true
+    },
+    // Secret in the faculty member's calendar feed URL; regenerating it revokes the old URL
+    calendarToken: {
+        type: String,
+        select: false,
+        unique: true,
+        sparse: true
     }
 }, { timestamps: true });
 
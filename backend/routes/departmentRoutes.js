@@ -0,0 +1,27 @@
+const express = require('express');
+const router = express.Router();
+const { auth, isAdmin, isCollegeAdmin } = require("../middleware/authMiddleware");
+const {
+    addDepartment,
+    getAllDepartments,
+    updateDepartment,
+    deleteDepartment,
+    addDepartmentAdmin
+} = require("../controllers/departmentController");
+
+// Add Department - College-wide admins only
+router.post("/add", auth, isCollegeAdmin, addDepartment);
+
+// Get All Departments - Admin only
+router.get("/all", auth, isAdmin, getAllDepartments);
+
+// Update Department by ID - College-wide admins only
+router.put("/update/:id", auth, isCollegeAdmin, updateDepartment);
+
+// Delete Department by ID - College-wide admins only
+router.delete("/delete/:id", auth, isCollegeAdmin, deleteDepartment);
+
+// Add an admin limited to this department - College-wide admins only
+router.post("/:id/admins", auth, isCollegeAdmin, addDepartmentAdmin);
+
+module.exports = router;
@@ -1,17 +1,41 @@
 const express = require("express");
 const router = express.Router();
 const examController = require("../controllers/examController");
+const substitutionController = require("../controllers/substitutionController");
+const attendanceController = require("../controllers/attendanceController");
+const calendarController = require("../controllers/calendarController");
 const { auth, isAdmin } = require("../middleware/authMiddleware");
 
 // Create a new exam (Admin only)
 router.post("/create", auth, isAdmin, examController.createExam);
 
+// Dry-run exam creation and return the proposed plan without saving (Admin only)
+router.post("/preview", auth, isAdmin, examController.previewExam);
+
+// Suggest replacement invigilators for a duty (Admin only)
+router.get("/allocations/:allocationId/substitutes", auth, isAdmin, substitutionController.getSubstituteSuggestions);
+
+// Replace the invigilator of a duty (Admin only)
+router.post("/allocations/:allocationId/substitute", auth, isAdmin, substitutionController.substituteInvigilator);
+
+// Absentees and incidents per paper, optionally by ?semester= or ?subjectId= (Admin only)
+router.get("/:examId/attendance", auth, isAdmin, attendanceController.getAbsenteeReport);
+
+// Export the absentee report as CSV, or XLSX with ?format=xlsx (Admin only)
+router.get("/:examId/attendance/export", auth, isAdmin, attendanceController.exportAbsenteeReport);
+
+// Download every duty of the exam as an iCalendar file (Admin only)
+router.get("/:examId/calendar.ics", auth, isAdmin, calendarController.exportExamCalendar);
+
 // Get all exams (Admin only)
 router.get("/", auth, examController.getAllExams);
 
 // Get one exam by ID (Admin only)
 router.get("/:id", auth, examController.getExamById);
 
+// Update an exam's subjects, rosters or rooms, re-allocating only what changed (Admin only)
+router.put("/:examId", auth, isAdmin, examController.updateExam);
+
 // Delete an exam and all related data (Admin only)
 router.delete("/delete/:examId", auth, isAdmin, examController.deleteExam);
 
@@ -4,6 +4,12 @@ const { auth, isAdmin, isFaculty } = require("../middleware/authMiddleware");
 const { addFaculty, getAllFaculties, deleteFaculty, updateOwnProfile, getFacultyById, getFacultyAllocations } = require("../controllers/facultyController");
 // const { getFacultyDashboardData } = require("../controllers/facultyController");
 const { getFacultyDashboardData } = require("../controllers/facultyController")
+const { importFaculty, getFacultyImport, resendFailedCredentials } = require("../controllers/facultyImportController");
+const { uploadSpreadsheet } = require("../middleware/uploadMiddleware");
+const { getDutyAttendance, saveDutyAttendance } = require("../controllers/attendanceController");
+const { getCalendarLink, resetCalendarLink, getFacultyFeed } = require("../controllers/calendarController");
+const { acknowledgeDuty, acknowledgeDutyByLink, checkInDuty, completeDuty } = require("../controllers/dutyController");
+const { requestUnavailability, getMyUnavailability, withdrawUnavailability, getAllUnavailability, reviewUnavailability } = require("../controllers/unavailabilityController");
 
 
 // Admin routes
@@ -11,12 +17,39 @@ router.post("/add", auth, isAdmin, addFaculty);
 router.get("/all", auth, isAdmin, getAllFaculties);
 router.delete("/:id", auth, isAdmin, deleteFaculty);
 
+// Bulk import from CSV/XLSX; credential emails are sent in the background
+router.post("/import", auth, isAdmin, uploadSpreadsheet, importFaculty);
+router.get("/imports/:importId", auth, isAdmin, getFacultyImport);
+router.post("/imports/:importId/resend", auth, isAdmin, resendFailedCredentials);
+
 // Faculty route - update own profile
 router.put("/update/:id", auth, isFaculty, updateOwnProfile);
 
 // Faculty dashboard
 router.get("/dashboard", auth, isFaculty, getFacultyDashboardData);
 
+// Calendar feed of own duties; the feed itself is fetched by calendar apps without a login
+router.get("/calendar/:token.ics", getFacultyFeed);
+router.get("/calendar", auth, isFaculty, getCalendarLink);
+router.post("/calendar/reset", auth, isFaculty, resetCalendarLink);
+
+// Duty lifecycle - acknowledge (also from the signed email link), check in on the day, complete
+router.post("/duties/acknowledge/:token", acknowledgeDutyByLink);
+router.put("/duties/:allocationId/acknowledge", auth, isFaculty, acknowledgeDuty);
+router.put("/duties/:allocationId/check-in", auth, isFaculty, checkInDuty);
+router.put("/duties/:allocationId/complete", auth, isFaculty, completeDuty);
+
+// Attendance of the room on an invigilation duty
+router.get("/duties/:allocationId/attendance", auth, isFaculty, getDutyAttendance);
+router.put("/duties/:allocationId/attendance", auth, isFaculty, saveDutyAttendance);
+
+// Unavailability calendar - faculty submit, admins review
+router.post("/unavailability", auth, isFaculty, requestUnavailability);
+router.get("/unavailability/mine", auth, isFaculty, getMyUnavailability);
+router.delete("/unavailability/:requestId", auth, isFaculty, withdrawUnavailability);
+router.get("/unavailability", auth, isAdmin, getAllUnavailability);
+router.put("/unavailability/:requestId/review", auth, isAdmin, reviewUnavailability);
+
 // Admin routes
 router.get("/:id", auth, isAdmin, getFacultyById);
 
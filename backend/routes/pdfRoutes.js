@@ -1,9 +1,18 @@
 const express = require("express");
 const router = express.Router();
 const { auth, isAdmin } = require("../middleware/authMiddleware");
-const { exportStudentAllotmentPDF, exportFacultyAllotmentPDF } = require("../controllers/pdfController");
+const {
+    exportStudentAllotmentPDF,
+    exportFacultyAllotmentPDF,
+    exportSeatingGridPDF,
+    exportAttendanceSheetPDF,
+    exportDoorNoticePDF
+} = require("../controllers/pdfController");
 
 router.get("/student-room-pdf/:examId",exportStudentAllotmentPDF);
 router.get("/faculty-room-pdf/:examId",exportFacultyAllotmentPDF);
+router.get("/seating-pdf/:examId", auth, isAdmin, exportSeatingGridPDF);
+router.get("/attendance-pdf/:examId", auth, isAdmin, exportAttendanceSheetPDF);
+router.get("/door-notice-pdf/:examId", auth, isAdmin, exportDoorNoticePDF);
 
 module.exports = router;
@@ -0,0 +1,27 @@
+const express = require('express');
+const router = express.Router();
+const { auth, isAdmin } = require("../middleware/authMiddleware");
+const {
+    addPolicy,
+    getAllPolicies,
+    getDesignations,
+    updatePolicy,
+    deletePolicy
+} = require("../controllers/policyController");
+
+// Add Policy - Admin only
+router.post("/add", auth, isAdmin, addPolicy);
+
+// Get All Policies - Admin only
+router.get("/all", auth, isAdmin, getAllPolicies);
+
+// Designations known to any policy
+router.get("/designations", auth, getDesignations);
+
+// Update Policy by ID - Admin only
+router.put("/update/:id", auth, isAdmin, updatePolicy);
+
+// Delete Policy by ID - Admin only
+router.delete("/delete/:id", auth, isAdmin, deletePolicy);
+
+module.exports = router;
@@ -1,11 +1,18 @@
 const express = require('express');
 const router = express.Router();
 const { auth, isAdmin } = require("../middleware/authMiddleware");
+const { uploadSpreadsheet } = require("../middleware/uploadMiddleware");
 const {
     addRoom,
     getAllRooms,
+    getRoomFeatures,
+    importRooms,
+    exportRooms,
     updateRoom,
-    deleteRoom
+    deleteRoom,
+    addBlackout,
+    deleteBlackout,
+    getRoomCalendar
 } = require("../controllers/roomController");
 
 // Add Room - Admin only
@@ -14,10 +21,28 @@ router.post("/add", auth, isAdmin, addRoom);
 // Get All Rooms - Admin only
 router.get("/all", auth, isAdmin, getAllRooms);
 
+// Import rooms from CSV/XLSX (optionally as a dry run) - Admin only
+router.post("/import", auth, isAdmin, uploadSpreadsheet, importRooms);
+
+// Export all rooms as CSV/XLSX - Admin only
+router.get("/export", auth, isAdmin, exportRooms);
+
+// Room features papers can require - Admin only
+router.get("/features", auth, isAdmin, getRoomFeatures);
+
 // Update Room by ID - Admin only
 router.put("/update/:id", auth, isAdmin, updateRoom);
 
 // Delete Room by ID - Admin only
 router.delete("/delete/:id", auth, isAdmin, deleteRoom);
 
+// Mark a room unavailable for a period - Admin only
+router.post("/:id/blackouts", auth, isAdmin, addBlackout);
+
+// Remove a room blackout - Admin only
+router.delete("/blackouts/:blackoutId", auth, isAdmin, deleteBlackout);
+
+// Blackouts and exam sittings of a room for a date range - Admin only
+router.get("/:id/calendar", auth, isAdmin, getRoomCalendar);
+
 module.exports = router;
@@ -0,0 +1,49 @@
+const express = require("express");
+const router = express.Router();
+const { auth, isAdmin } = require("../middleware/authMiddleware");
+const { uploadSpreadsheet } = require("../middleware/uploadMiddleware");
+const { rateLimit } = require("../middleware/rateLimitMiddleware");
+const {
+    uploadRoster,
+    getStudents,
+    getRosterSummary,
+    deleteRoster,
+    lookupSeat
+} = require("../controllers/studentController");
+
+// The seat lookup is public and keyed on the date of birth, so guessing is throttled per client. Failed
+// lookups of a roll number are also limited per client, so nobody can lock a student out of their own seat.
+const SEAT_LOOKUP_MESSAGE = "Too many seat lookups. Please try again later.";
+const seatLookupPerClient = rateLimit({
+    windowMs: 15 * 60 * 1000,
+    max: 20,
+    key: req => req.ip,
+    message: SEAT_LOOKUP_MESSAGE
+});
+const seatLookupPerRollNumber = rateLimit({
+    windowMs: 60 * 60 * 1000,
+    max: 10,
+    key: req => {
+        const rollNumber = String((req.body && req.body.rollNumber) || "").trim().toUpperCase();
+        return rollNumber && `${rollNumber}|${req.ip}`;
+    },
+    message: SEAT_LOOKUP_MESSAGE,
+    failedOnly: true
+});
+
+// Seat lookup by roll number and date of birth - Public
+router.post("/seat-lookup", seatLookupPerClient, seatLookupPerRollNumber, lookupSeat);
+
+// Upload roster (CSV/XLSX) for a semester - Admin only
+router.post("/upload", auth, isAdmin, uploadSpreadsheet, uploadRoster);
+
+// Student counts per semester/branch/section - Admin only
+router.get("/summary", auth, isAdmin, getRosterSummary);
+
+// List students - Admin only
+router.get("/", auth, isAdmin, getStudents);
+
+// Delete a semester roster - Admin only
+router.delete("/roster/:semester", auth, isAdmin, deleteRoster);
+
+module.exports = router;
@@ -0,0 +1,20 @@
+const express = require("express");
+const router = express.Router();
+const { auth, isAdmin } = require("../middleware/authMiddleware");
+const { uploadSpreadsheet } = require("../middleware/uploadMiddleware");
+const {
+    uploadTeachingMap,
+    getTeachingMap,
+    deleteTeachingMap
+} = require("../controllers/teachingController");
+
+// Upload a semester's teaching map (CSV/XLSX) - Admin only
+router.post("/upload", auth, isAdmin, uploadSpreadsheet, uploadTeachingMap);
+
+// List teaching assignments - Admin only
+router.get("/", auth, isAdmin, getTeachingMap);
+
+// Delete a semester's teaching map - Admin only
+router.delete("/:semester", auth, isAdmin, deleteTeachingMap);
+
+module.exports = router;
@@ -0,0 +1,78 @@
+const AllocationPolicy = require("../models/AllocationPolicy");
+const Exam = require("../models/Exam");
+
+// Used when no policy has been saved yet; matches the long-standing 40-50% / 20-35% / <=15% split
+const BUILT_IN_POLICY = {
+    name: "Built-in",
+    designations: [
+        { designation: "Assistant Professor", minRatio: 0.4, maxRatio: 0.5 },
+        { designation: "Associate Professor", minRatio: 0.2, maxRatio: 0.35 },
+        { designation: "Professor", minRatio: 0, maxRatio: 0.15 }
+    ]
+};
+
+const percent = (ratio) => `${Math.round(ratio * 100)}%`;
+
+// The exam's own policy, else the default of the department owning all its papers, else the college-wide
+// default, else the built-in one
+exports.resolvePolicy = async (examId, session = null) => {
+    const exam = examId ? await Exam.findById(examId).select("policy departments").session(session) : null;
+    if (exam && exam.policy) {
+        const policy = await AllocationPolicy.findById(exam.policy).session(session);
+        if (policy) return policy;
+    }
+    if (exam && exam.departments.length === 1) {
+        const departmentDefault = await AllocationPolicy.findOne({ isDefault: true, department: exam.departments[0] }).session(session);
+        if (departmentDefault) return departmentDefault;
+    }
+    const fallback = await AllocationPolicy.findOne({ isDefault: true, department: null }).session(session);
+    return fallback || BUILT_IN_POLICY;
+};
+
+// Duty bounds per designation for `totalDuties` duties; designations outside the policy get no duties
+exports.getDesignationLimits = (policy, totalDuties) => {
+    const limits = new Map();
+    policy.designations.forEach(quota => {
+        limits.set(quota.designation, {
+            min: Math.floor(totalDuties * quota.minRatio),
+            max: Math.ceil(totalDuties * quota.maxRatio),
+            minRatio: quota.minRatio,
+            maxRatio: quota.maxRatio
+        });
+    });
+    return limits;
+};
+
+// Human-readable reasons why duty `counts` (Map designation -> duties) break `limits`
+exports.explainQuotaViolations = (policy, limits, counts, totalDuties) => {
+    const violations = [];
+    limits.forEach((limit, designation) => {
+        const count = counts.get(designation) || 0;
+        if (count < limit.min) {
+            violations.push(
+                `Policy "${policy.name}" needs at least ${limit.min} ${designation} duties (${percent(limit.minRatio)} of ${totalDuties}) but only ${count} could be assigned.`
+            );
+        }
+        if (count > limit.max) {
+            violations.push(
+                `Policy "${policy.name}" allows at most ${limit.max} ${designation} duties (${percent(limit.maxRatio)} of ${totalDuties}) but ${count} were assigned.`
+            );
+        }
+    });
+    counts.forEach((count, designation) => {
+        if (count > 0 && !limits.has(designation)) {
+            violations.push(`Policy "${policy.name}" does not allow ${designation} invigilators.`);
+        }
+    });
+    return violations;
+};
+
+// Every designation known to a saved policy or the built-in one, for faculty forms
+exports.listDesignations = async () => {
+    const policies = await AllocationPolicy.find().select("designations.designation");
+    const names = new Set(BUILT_IN_POLICY.designations.map(quota => quota.designation));
+    policies.forEach(policy => policy.designations.forEach(quota => names.add(quota.designation)));
+    return [...names];
+};
+
+exports.BUILT_IN_POLICY = BUILT_IN_POLICY;
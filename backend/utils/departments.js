@@ -0,0 +1,60 @@
+const mongoose = require("mongoose");
+const Department = require("../models/Department");
+
+// Department admins (Admin users with a department) only see and manage their own department;
+// admins without one are college-wide.
+
+/**
+ * Department an admin is limited to
+ * @param {Object} req - Express request (req.user from the auth middleware)
+ * @returns {String|undefined} - Undefined for college-wide admins and for non-admins
+ */
+const adminDepartment = (req) => (req.user && req.user.role === "Admin" ? req.user.department : undefined);
+
+/**
+ * Mongo filter on a `department` field for a list request: the ?department= query for college-wide
+ * admins, always the admin's own department for department admins
+ * @param {Object} req - Express request (req.user from the auth middleware)
+ * @param {Object} options - { field: path to filter on, shared: also list records with no department }
+ * @returns {Object}
+ */
+exports.departmentFilter = (req, { field = "department", shared = false } = {}) => {
+    const department = adminDepartment(req) ||
+        (mongoose.Types.ObjectId.isValid(req.query.department) ? req.query.department : null);
+    if (!department) return {};
+    return { [field]: shared ? { $in: [department, null] } : department };
+};
+
+/**
+ * Whether the admin may change a record owned by `departments`
+ * @param {Object} req - Express request
+ * @param {Array} departments - Owning department IDs (a record with none is shared)
+ * @returns {Boolean}
+ */
+exports.canManage = (req, departments = []) =>
+    !adminDepartment(req) || departments.some(department => department && department.toString() === adminDepartment(req));
+
+/**
+ * Department to record on something an admin creates or edits: department admins always work within
+ * their own department
+ * @param {Object} req - Express request
+ * @param {String} requested - Department ID sent by the client, if any
+ * @returns {String|undefined}
+ */
+exports.departmentForWrite = (req, requested) => adminDepartment(req) || requested || undefined;
+
+exports.adminDepartment = adminDepartment;
+
+// Whether `id` names an existing department
+exports.isDepartment = async (id) => mongoose.Types.ObjectId.isValid(id) && Boolean(await Department.exists({ _id: id }));
+
+/**
+ * Department named by a spreadsheet cell, matched on code or name
+ * @param {String} value - e.g. "CSE" or "Computer Science and Engineering"
+ * @param {Array} departments - Department documents
+ * @returns {Object|undefined}
+ */
+exports.findDepartment = (value, departments) => {
+    const text = String(value || "").trim().toLowerCase();
+    return departments.find(department => department.code.toLowerCase() === text || department.name.toLowerCase() === text);
+};
@@ -0,0 +1,155 @@
+const moment = require("moment-timezone");
+const Allocation = require("../models/Allocation");
+const CancelledDuty = require("../models/CancelledDuty");
+const { roleOf, describeCoverage } = require("./dutyRoles");
+const { dutyWindow } = require("./dutyStatus");
+
+/**
+ * iCalendar UID of a duty. It is per faculty member, so a substituted duty is cancelled on the outgoing
+ * faculty member's calendar and appears afresh on the substitute's.
+ * @param {Object} duty - Allocation document
+ * @returns {String}
+ */
+exports.dutyUid = (duty) => `${duty._id}-${duty.facultyId._id || duty.facultyId}@exam-scheduler`;
+
+// Calendars only apply a changed event whose SEQUENCE went up; seconds since the duty was created always do
+const sequenceAt = (duty, at) => Math.max(Math.floor((new Date(at) - new Date(duty.createdAt || at)) / 1000), 0);
+
+const describeLocation = (duty) => {
+    if (roleOf(duty) !== "Invigilator") return describeCoverage(duty);
+    const room = duty.roomId;
+    return room && room.roomNumber ? `${room.building}, Room ${room.roomNumber}, Floor ${room.floor}` : "";
+};
+
+const describeSummary = (duty) => {
+    const examName = duty.examId && duty.examId.name ? duty.examId.name : "Exam";
+    return roleOf(duty) === "Invigilator" ? `Invigilation: ${examName}` : `${roleOf(duty)}: ${examName}`;
+};
+
+/**
+ * Calendar event for a duty
+ * @param {Object} duty - Allocation with examId, roomId and roomIds populated
+ * @returns {Object} - Event for buildCalendar
+ */
+exports.dutyEvent = (duty) => {
+    const { start, end } = dutyWindow(duty);
+    return {
+        uid: exports.dutyUid(duty),
+        summary: describeSummary(duty),
+        location: describeLocation(duty),
+        description: `Role: ${roleOf(duty)}\nStatus: ${duty.status || "Assigned"}\nPlease be present 10 minutes before the scheduled time.`,
+        start: start.toDate(),
+        end: end.toDate(),
+        sequence: sequenceAt(duty, duty.updatedAt || new Date()),
+        stamp: duty.updatedAt || new Date(),
+        cancelled: false
+    };
+};
+
+/**
+ * Calendar event telling subscribed calendars to drop a cancelled duty
+ * @param {Object} cancelled - CancelledDuty document
+ * @returns {Object} - Event for buildCalendar
+ */
+exports.cancelledEvent = (cancelled) => ({
+    uid: cancelled.uid,
+    summary: `Cancelled - ${cancelled.summary}`,
+    location: cancelled.location,
+    description: "This duty has been cancelled.",
+    start: cancelled.start,
+    end: cancelled.end,
+    sequence: cancelled.sequence,
+    stamp: cancelled.cancelledAt,
+    cancelled: true
+});
+
+/**
+ * Remember duties that are about to be deleted or taken off a faculty member, for the calendar feeds
+ * @param {Array} duties - Allocation documents, as they are before the change
+ * @param {mongoose.ClientSession} session - Optional transaction session
+ */
+exports.recordCancellations = async (duties, session = null) => {
+    if (duties.length === 0) return;
+
+    const plain = await Allocation.populate(duties.map(duty => (duty.toObject ? duty.toObject() : { ...duty })), [
+        { path: "examId", select: "name", options: { session } },
+        { path: "roomId", select: "roomNumber building floor", options: { session } },
+        { path: "roomIds", select: "roomNumber", options: { session } }
+    ]);
+
+    const now = new Date();
+    await CancelledDuty.insertMany(plain.map(duty => {
+        const { start, end } = dutyWindow(duty);
+        return {
+            uid: exports.dutyUid(duty),
+            facultyId: duty.facultyId._id || duty.facultyId,
+            examId: duty.examId ? duty.examId._id || duty.examId : undefined,
+            summary: describeSummary(duty),
+            location: describeLocation(duty),
+            start: start.toDate(),
+            end: end.toDate(),
+            sequence: sequenceAt(duty, now) + 1,
+            cancelledAt: now
+        };
+    }), { session });
+};
+
+// TEXT values escape backslashes, semicolons, commas and line breaks (RFC 5545 3.3.11)
+const escapeText = (value) => String(value || "")
+    .replace(/\\/g, "\\\\")
+    .replace(/;/g, "\\;")
+    .replace(/,/g, "\\,")
+    .replace(/\r?\n/g, "\\n");
+
+// Content lines longer than 75 octets are folded onto continuation lines starting with a space
+const foldLine = (line) => {
+    const parts = [];
+    let rest = line;
+    while (Buffer.byteLength(rest) > 75) {
+        let cut = 74;
+        while (Buffer.byteLength(rest.slice(0, cut)) > 74) cut--;
+        parts.push(rest.slice(0, cut));
+        rest = rest.slice(cut);
+    }
+    parts.push(rest);
+    return parts.join("\r\n ");
+};
+
+const formatUtc = (date) => moment(date).utc().format("YYYYMMDD[T]HHmmss[Z]");
+
+/**
+ * iCalendar file of events
+ * @param {String} name - Calendar name shown by calendar apps
+ * @param {Array} events - From dutyEvent or cancelledEvent
+ * @returns {String}
+ */
+exports.buildCalendar = (name, events) => {
+    const lines = [
+        "BEGIN:VCALENDAR",
+        "VERSION:2.0",
+        "PRODID:-//Exam Scheduler//Invigilation Duties//EN",
+        "CALSCALE:GREGORIAN",
+        "METHOD:PUBLISH",
+        `X-WR-CALNAME:${escapeText(name)}`,
+        "X-WR-TIMEZONE:Asia/Kolkata"
+    ];
+
+    events.forEach(event => {
+        lines.push(
+            "BEGIN:VEVENT",
+            `UID:${event.uid}`,
+            `DTSTAMP:${formatUtc(event.stamp)}`,
+            `DTSTART:${formatUtc(event.start)}`,
+            `DTEND:${formatUtc(event.end)}`,
+            `SEQUENCE:${event.sequence}`,
+            `SUMMARY:${escapeText(event.summary)}`,
+            `LOCATION:${escapeText(event.location)}`,
+            `DESCRIPTION:${escapeText(event.description)}`,
+            `STATUS:${event.cancelled ? "CANCELLED" : "CONFIRMED"}`,
+            "END:VEVENT"
+        );
+    });
+
+    lines.push("END:VCALENDAR");
+    return lines.map(foldLine).join("\r\n") + "\r\n";
+};
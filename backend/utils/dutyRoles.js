@@ -0,0 +1,46 @@
+const { floorLevel } = require("./roomPacking");
+
+// Duties staffed once per exam session, on top of the one invigilator per room
+const SESSION_ROLES = ["Chief Superintendent", "Squad", "Relief"];
+
+// Duties saved before roles existed are room invigilations
+exports.roleOf = (duty) => duty.role || "Invigilator";
+
+// Rooms a duty covers: the invigilator's own room, a squad or relief block, none for the chief
+exports.dutyRoomIds = (duty) => (duty.roomId ? [duty.roomId] : duty.roomIds || []);
+
+// Rooms in walking order: building, then floor, then room number
+const byPlace = (a, b) =>
+    String(a.building).localeCompare(String(b.building)) ||
+    floorLevel(a.floor) - floorLevel(b.floor) ||
+    String(a.roomNumber).localeCompare(String(b.roomNumber), undefined, { numeric: true });
+
+/**
+ * Session duties a policy asks for when `rooms` are in use at the same time
+ * @param {Object} rules - The policy's `roles` (chiefSuperintendent, roomsPerSquad, roomsPerRelief)
+ * @param {Array} rooms - Room documents (building, floor, roomNumber) of the session
+ * @returns {Array} - [{ role, rooms }]; squad and relief duties each get a block of neighbouring rooms
+ */
+exports.planSessionRoles = (rules, rooms) => {
+    const duties = [];
+    if (!rules || rooms.length === 0) return duties;
+
+    if (rules.chiefSuperintendent) duties.push({ role: "Chief Superintendent", rooms: [] });
+
+    const ordered = [...rooms].sort(byPlace);
+    [["Squad", rules.roomsPerSquad], ["Relief", rules.roomsPerRelief]].forEach(([role, perMember]) => {
+        if (!perMember || perMember <= 0) return;
+        for (let i = 0; i < ordered.length; i += perMember) {
+            duties.push({ role, rooms: ordered.slice(i, i + perMember) });
+        }
+    });
+    return duties;
+};
+
+exports.SESSION_ROLES = SESSION_ROLES;
+
+// Where a session role is on duty, from its populated roomIds: its block of rooms, or every room for the chief
+exports.describeCoverage = (duty) => {
+    const rooms = (duty.roomIds || []).filter(room => room && room.roomNumber);
+    return rooms.length > 0 ? `Rooms ${rooms.map(room => room.roomNumber).join(", ")}` : "All rooms";
+};
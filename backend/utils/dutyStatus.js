@@ -0,0 +1,100 @@
+const jwt = require("jsonwebtoken");
+const moment = require("moment-timezone");
+
+/**
+ * Lifecycle of a duty: assigned by the allocator, notified by email, acknowledged by the
+ * faculty member, checked in on the day and completed after the paper
+ */
+exports.DUTY_STATUSES = ["Assigned", "Notified", "Acknowledged", "Checked In", "Completed"];
+
+// Check-in opens this long before the duty starts
+exports.CHECK_IN_OPENS_MINUTES = 60;
+
+/**
+ * Whether a duty has reached a status
+ * @param {Object} duty - Allocation document
+ * @param {String} status - One of DUTY_STATUSES
+ * @returns {Boolean}
+ */
+exports.hasReached = (duty, status) =>
+    exports.DUTY_STATUSES.indexOf(duty.status || "Assigned") >= exports.DUTY_STATUSES.indexOf(status);
+
+/**
+ * Start and end of a duty as moments in Asia/Kolkata
+ * @param {Object} duty - Allocation document with date, startTime and endTime ("HH:mm")
+ * @returns {{ start: moment.Moment, end: moment.Moment }}
+ */
+exports.dutyWindow = (duty) => {
+    const day = moment.tz(duty.date, "Asia/Kolkata").format("YYYY-MM-DD");
+    return {
+        start: moment.tz(`${day} ${duty.startTime}`, "YYYY-MM-DD HH:mm", "Asia/Kolkata"),
+        end: moment.tz(`${day} ${duty.endTime}`, "YYYY-MM-DD HH:mm", "Asia/Kolkata")
+    };
+};
+
+/**
+ * Filter matching a duty and the copies of it in other exams sharing the same room and slot
+ * (or, for a chief superintendent, the same session). They are one physical duty and move together.
+ * @param {Object} duty - Allocation document
+ * @returns {Object} - Allocation filter
+ */
+exports.sameDutyFilter = (duty) => ({
+    facultyId: duty.facultyId._id || duty.facultyId,
+    role: duty.role || "Invigilator",
+    roomId: duty.roomId ? duty.roomId._id || duty.roomId : null,
+    date: duty.date,
+    startTime: duty.startTime,
+    endTime: duty.endTime
+});
+
+// Acknowledgement links are signed with their own secret, so a link can never pass as a login token
+const ackTokenSecret = () => process.env.ACK_TOKEN_SECRET;
+
+/**
+ * Signed token for the acknowledgement link in a duty email; valid until the duty ends
+ * @param {Object} duty - Allocation document
+ * @returns {String}
+ */
+exports.signAcknowledgeToken = (duty) => {
+    const expiresAt = exports.dutyWindow(duty).end.unix();
+    return jwt.sign(
+        { allocationId: duty._id.toString(), facultyId: (duty.facultyId._id || duty.facultyId).toString(), purpose: "acknowledge" },
+        ackTokenSecret(),
+        { expiresIn: Math.max(expiresAt - moment().unix(), 60) }
+    );
+};
+
+/**
+ * Acknowledgement link for a duty email, opening the client's acknowledgement page
+ * @param {Object} duty - Allocation document
+ * @returns {String}
+ */
+exports.acknowledgeLink = (duty) =>
+    `${process.env.FRONTEND_URL || "http://localhost:3000"}/duties/acknowledge/${exports.signAcknowledgeToken(duty)}`;
+
+/**
+ * Payload of a valid acknowledgement token, or null when it is invalid, expired or of another purpose
+ * @param {String} token
+ * @returns {Object|null} - { allocationId, facultyId }
+ */
+exports.verifyAcknowledgeToken = (token) => {
+    try {
+        const payload = jwt.verify(token, ackTokenSecret());
+        return payload.purpose === "acknowledge" ? payload : null;
+    } catch (err) {
+        return null;
+    }
+};
+
+/**
+ * What an admin should chase about a duty: the invigilator has not checked in although the duty has
+ * started, or has not acknowledged it yet
+ * @param {Object} duty - Allocation document
+ * @param {moment.Moment} now - Defaults to the current time
+ * @returns {String|null} - "Not checked in", "Not acknowledged" or null
+ */
+exports.dutyAttention = (duty, now = moment.tz("Asia/Kolkata")) => {
+    if (!now.isBefore(exports.dutyWindow(duty).start) && !exports.hasReached(duty, "Checked In")) return "Not checked in";
+    if (!exports.hasReached(duty, "Acknowledged")) return "Not acknowledged";
+    return null;
+};
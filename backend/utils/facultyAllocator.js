@@ -1,7 +1,15 @@
 const Allocation = require("../models/Allocation");
 const RoomAllocation = require("../models/RoomAllocation");
+const Room = require("../models/Room");
 const User = require("../models/User");
+const Exam = require("../models/Exam");
+const Subject = require("../models/Subject");
 const moment = require("moment-timezone");
+const { loadApprovedUnavailability, isUnavailableFor } = require("./facultyAvailability");
+const { resolvePolicy, getDesignationLimits, explainQuotaViolations } = require("./allocationPolicy");
+const { floorLevel } = require("./roomPacking");
+const { loadSubjectTeachers } = require("./teachingMap");
+const { SESSION_ROLES, planSessionRoles } = require("./dutyRoles");
 
 function isTimeOverlap(slot1, slot2) {
     return (
@@ -10,20 +18,33 @@ function isTimeOverlap(slot1, slot2) {
     );
 }
 
-function getDesignationPercentageLimit(totalRooms) {
-    return {
-        assistantMin: Math.floor(totalRooms * 0.4),
-        assistantMax: Math.ceil(totalRooms * 0.5),
-        associateMin: Math.floor(totalRooms * 0.2),
-        associateMax: Math.ceil(totalRooms * 0.35),
-        professorMin: 0,
-        professorMax: Math.ceil(totalRooms * 0.15),
-    };
-}
-
-exports.allocateFacultyToRooms = async (examId, facultyIds, session) => {
+// What it costs an invigilator to walk from one duty's room to the next one's. Changing building is
+// charged far more than changing floor, so back-to-back duties stay in one building where possible
+const DUTY_MOVE_WEIGHTS = {
+    building: 100,      // moving to another building
+    floor: 10           // per floor climbed or descended within a building (up to 10)
+};
+
+/**
+ * Cost of going straight from a duty in room `from` to one in room `to`
+ * @param {Object} from - Room (building, floor) of the earlier duty, if any
+ * @param {Object} to - Room of the later duty, if any
+ * @param {Object} weights - Charges to apply, DUTY_MOVE_WEIGHTS by default
+ * @returns {Number}
+ */
+const dutyMoveCost = (from, to, weights = DUTY_MOVE_WEIGHTS) => {
+    if (!from || !to) return 0;
+    if (from.building !== to.building) return weights.building;
+    return weights.floor * Math.min(Math.abs(floorLevel(from.floor) - floorLevel(to.floor)), 10);
+};
+
+// Staff every room allocation of the exam, or only `roomAllocationIds` when re-allocating part of an exam
+exports.allocateFacultyToRooms = async (examId, facultyIds, session, roomAllocationIds = null) => {
     try {
-        const roomAllocations = await RoomAllocation.find({ examId }).session(session);
+        const filter = { examId };
+        if (roomAllocationIds) filter._id = { $in: roomAllocationIds };
+
+        const roomAllocations = await RoomAllocation.find(filter).session(session);
         if (roomAllocations.length === 0) {
             return { success: false, message: "No rooms have been allocated to students." };
         }
@@ -33,6 +54,7 @@ exports.allocateFacultyToRooms = async (examId, facultyIds, session) => {
             roomNumber: room.roomNumber,
             // Get the subjectId, either from the single field or the first from the array
             subjectId: room.subjectId || (room.subjectIds && room.subjectIds.length > 0 ? room.subjectIds[0] : null),
+            subjectIds: [room.subjectId, ...(room.subjectIds || [])].filter(Boolean),
             date: room.date,
             startTime: room.startTime,
             endTime: room.endTime
@@ -49,6 +71,35 @@ exports.allocateFacultyToRooms = async (examId, facultyIds, session) => {
 
         // console.log("roomTimeSlots = \n", roomTimeSlots);
 
+        // Where each room is, for keeping an invigilator's consecutive duties close together
+        const rooms = await Room.find({ _id: { $in: roomTimeSlots.map(slot => slot.roomId) } })
+            .select("building floor")
+            .session(session);
+        const roomsById = new Map(rooms.map(room => [room._id.toString(), room]));
+        roomTimeSlots.forEach(slot => { slot.room = roomsById.get(slot.roomId); });
+
+        // Departments owning the papers written in each room, for the exam's department invigilation rule,
+        // and the faculty who teach those papers, who never invigilate them
+        const exam = await Exam.findById(examId).select("departmentInvigilation").session(session);
+        const departmentInvigilation = (exam && exam.departmentInvigilation) || "any";
+        const subjects = await Subject.find({ _id: { $in: roomTimeSlots.flatMap(slot => slot.subjectIds) } })
+            .select("department subjectCode semester")
+            .session(session);
+        const subjectDepartments = new Map(subjects.map(subject => [subject._id.toString(), subject.department]));
+        const subjectTeachers = await loadSubjectTeachers(subjects, session);
+        roomTimeSlots.forEach(slot => {
+            slot.departments = new Set(slot.subjectIds
+                .map(id => subjectDepartments.get(id.toString()))
+                .filter(Boolean)
+                .map(String));
+            slot.teachers = new Set(slot.subjectIds.flatMap(id => [...(subjectTeachers.get(id.toString()) || [])]));
+        });
+        const fromOwningDepartment = (faculty, slot) =>
+            Boolean(faculty.department) && slot.departments.has(faculty.department.toString());
+        const teachesHere = (faculty, slot) => slot.teachers.has(faculty._id.toString());
+        const excluded = (faculty, slot) =>
+            teachesHere(faculty, slot) || (departmentInvigilation === "exclude" && fromOwningDepartment(faculty, slot));
+
         const facultyList = await User.find({
             _id: { $in: facultyIds },
             role: "Faculty",
@@ -61,6 +112,88 @@ exports.allocateFacultyToRooms = async (examId, facultyIds, session) => {
             return { success: false, message: "No available faculty members." };
         }
 
+        // Approved leave only blocks the slots it overlaps
+        const unavailability = await loadApprovedUnavailability(facultyList.map(f => f._id), session);
+        const isFree = (faculty, slot) => !isUnavailableFor(unavailability.get(faculty._id.toString()), slot);
+
+        // Duties the faculty already hold (in any exam) on the dates being staffed
+        const slotDates = [...new Set(roomTimeSlots.map(slot => slot.date.getTime()))].map(time => new Date(time));
+        const existingDuties = await Allocation.find({
+            facultyId: { $in: facultyList.map(f => f._id) },
+            date: { $in: slotDates }
+        })
+            .populate("examId", "name")
+            .populate("roomId", "roomNumber building floor")
+            .session(session);
+
+        const existingDutiesByFaculty = new Map();
+        for (const duty of existingDuties) {
+            const fId = duty.facultyId.toString();
+            if (!existingDutiesByFaculty.has(fId)) existingDutiesByFaculty.set(fId, []);
+            existingDutiesByFaculty.get(fId).push(duty);
+        }
+
+        // Faculty passed over because they are already invigilating elsewhere, one entry per clashing duty
+        const clashes = new Map();
+        const clashesWithExistingDuty = (faculty, slot) => {
+            const fId = faculty._id.toString();
+            const clash = (existingDutiesByFaculty.get(fId) || []).find(duty =>
+                duty.date.getTime() === slot.date.getTime() &&
+                isTimeOverlap(duty, slot) &&
+                // Taking over the very same room and slot is the shared duty reused above, not a clash
+                !(duty.roomId && duty.roomId._id.toString() === slot.roomId &&
+                    duty.startTime === slot.startTime && duty.endTime === slot.endTime)
+            );
+            if (!clash) return false;
+
+            const key = `${fId}_${clash._id}`;
+            if (!clashes.has(key)) {
+                clashes.set(key, {
+                    facultyId: faculty._id,
+                    facultyName: faculty.name,
+                    date: moment(slot.date).format("YYYY-MM-DD"),
+                    time: `${slot.startTime} - ${slot.endTime}`,
+                    roomNumber: slot.roomNumber,
+                    conflictsWith: {
+                        examId: clash.examId ? clash.examId._id : null,
+                        examName: clash.examId ? clash.examId.name : "Unknown exam",
+                        time: `${clash.startTime} - ${clash.endTime}`,
+                        roomNumber: clash.roomId ? clash.roomId.roomNumber : "N/A"
+                    }
+                });
+            }
+            return true;
+        };
+
+        // Duties given out by this run, per faculty
+        const facultySlotMap = {};
+
+        // Extra walking a duty at `slot` means for the faculty, given their other duties that day: they
+        // come from the duty just before it and go on to the one just after it
+        const travelCost = (faculty, slot) => {
+            const fId = faculty._id.toString();
+            const sameDay = [
+                ...(existingDutiesByFaculty.get(fId) || []).map(duty => ({
+                    date: duty.date,
+                    startTime: duty.startTime,
+                    endTime: duty.endTime,
+                    room: duty.roomId
+                })),
+                ...(facultySlotMap[fId] || [])
+            ].filter(duty => duty.date.getTime() === slot.date.getTime());
+
+            const before = sameDay
+                .filter(duty => duty.endTime <= slot.startTime)
+                .sort((a, b) => b.endTime.localeCompare(a.endTime))[0];
+            const after = sameDay
+                .filter(duty => duty.startTime >= slot.endTime)
+                .sort((a, b) => a.startTime.localeCompare(b.startTime))[0];
+
+            return dutyMoveCost(before && before.room, slot.room) +
+                dutyMoveCost(slot.room, after && after.room) -
+                dutyMoveCost(before && before.room, after && after.room);
+        };
+
         const assignedFaculty = [];
         const reusableFaculty = [];
         const previousAllocationsMap = new Map();
@@ -102,27 +235,25 @@ exports.allocateFacultyToRooms = async (examId, facultyIds, session) => {
 
         // console.log("remainingSlots = \n", remainingSlots);
 
-        const designationGroups = {
-            assistant: [],
-            associate: [],
-            professor: []
-        };
+        const totalRemaining = remainingSlots.length;
+        // console.log("totalRemaining = \n", totalRemaining);
+
+        // Min/max duties per designation come from the exam's allocation policy
+        const policy = await resolvePolicy(examId, session);
+        const limits = getDesignationLimits(policy, totalRemaining);
+
+        // Designations outside the policy are never picked
+        const designationGroups = new Map([...limits.keys()].map(designation => [designation, []]));
+        const outsidePolicy = [];
 
         for (const faculty of facultyList) {
             if (reusableFaculty.includes(faculty._id.toString())) continue;
-            if (faculty.designation === "Assistant Professor") designationGroups.assistant.push(faculty);
-            else if (faculty.designation === "Associate Professor") designationGroups.associate.push(faculty);
-            else if (faculty.designation === "Professor") designationGroups.professor.push(faculty);
+            if (designationGroups.has(faculty.designation)) designationGroups.get(faculty.designation).push(faculty);
+            else outsidePolicy.push(faculty);
         }
 
         // console.log("designationGroups = \n", designationGroups);
 
-        const totalRemaining = remainingSlots.length;
-        // console.log("totalRemaining = \n", totalRemaining);
-
-        const limits = getDesignationPercentageLimit(totalRemaining);
-        console.log("limits = \n", limits);
-
         // Step 1: Gather eligible faculty per designation and attach their previousAllocations
         function sortAndShuffleFaculty(facultyArray) {
             return facultyArray
@@ -145,12 +276,17 @@ exports.allocateFacultyToRooms = async (examId, facultyIds, session) => {
                 });
         }
 
-        // Step 2: Apply designation limits and sort+shuffle inside those
-        let sortedFacultyPool = [
-            ...sortAndShuffleFaculty(designationGroups.assistant).slice(0, limits.assistantMax),
-            ...sortAndShuffleFaculty(designationGroups.associate).slice(0, limits.associateMax),
-            ...sortAndShuffleFaculty(designationGroups.professor).slice(0, limits.professorMax)
-        ];
+        // Step 2: Apply designation limits and sort+shuffle inside those. Faculty needed to reach each
+        // designation's minimum come first, then the rest in policy order
+        const minimumFaculty = [];
+        const remainingFaculty = [];
+        designationGroups.forEach((group, designation) => {
+            const { min, max } = limits.get(designation);
+            const eligible = sortAndShuffleFaculty(group).slice(0, max);
+            minimumFaculty.push(...eligible.slice(0, min));
+            remainingFaculty.push(...eligible.slice(min));
+        });
+        let sortedFacultyPool = [...minimumFaculty, ...remainingFaculty];
 
         console.log("sortedFacultyPool (prioritized & shuffled) = \n", sortedFacultyPool.map(f => ({
             name: f.name,
@@ -166,23 +302,45 @@ exports.allocateFacultyToRooms = async (examId, facultyIds, session) => {
         const shortage = selectedFaculty.length < totalRemaining;
         console.log("shortage = \n", shortage);
 
-        const facultySlotMap = {};
         const usedFaculty = new Set();
+        const dutiesByDesignation = new Map();
+        const underMax = faculty =>
+            limits.has(faculty.designation) &&
+            (dutiesByDesignation.get(faculty.designation) || 0) < limits.get(faculty.designation).max;
+        const underMin = faculty =>
+            (dutiesByDesignation.get(faculty.designation) || 0) < limits.get(faculty.designation).min;
+        const countDuty = faculty =>
+            dutiesByDesignation.set(faculty.designation, (dutiesByDesignation.get(faculty.designation) || 0) + 1);
 
         for (let slot of remainingSlots) {
             let allocated = false;
 
-            // Step 1: Try unique faculty first
-            for (let faculty of selectedFaculty) {
-                const fId = faculty._id.toString();
-                if (usedFaculty.has(fId)) continue;
+            // Step 1: Try unique faculty first; the rest of the pool covers for anyone on leave. Among
+            // faculty as deserving as the first one eligible, take whoever walks the least to get there.
+            // When the exam prefers the paper's own department, its faculty go first
+            const isEligible = faculty =>
+                !usedFaculty.has(faculty._id.toString()) && underMax(faculty) && !excluded(faculty, slot) &&
+                isFree(faculty, slot) && !clashesWithExistingDuty(faculty, slot);
+            const first = (departmentInvigilation === "prefer" &&
+                sortedFacultyPool.find(faculty => fromOwningDepartment(faculty, slot) && isEligible(faculty))) ||
+                sortedFacultyPool.find(isEligible);
+            const sameRank = faculty =>
+                minimumFaculty.includes(faculty) === minimumFaculty.includes(first) &&
+                faculty.previousAllocations === first.previousAllocations &&
+                (departmentInvigilation !== "prefer" || fromOwningDepartment(faculty, slot) === fromOwningDepartment(first, slot));
+            const nearest = first && sortedFacultyPool
+                .filter(faculty => faculty === first || (sameRank(faculty) && isEligible(faculty)))
+                .reduce((best, faculty) => (travelCost(faculty, slot) < travelCost(best, slot) ? faculty : best), first);
+
+            if (nearest) {
+                const fId = nearest._id.toString();
 
                 assignedFaculty.push({
                     examId,
                     subjectId: slot.subjectId,
                     roomId: slot.roomId,
-                    facultyId: faculty._id,
-                    facultyName: faculty.name,
+                    facultyId: nearest._id,
+                    facultyName: nearest.name,
                     date: slot.date,
                     startTime: slot.startTime,
                     endTime: slot.endTime
@@ -190,14 +348,23 @@ exports.allocateFacultyToRooms = async (examId, facultyIds, session) => {
 
                 facultySlotMap[fId] = [slot];
                 usedFaculty.add(fId);
+                countDuty(nearest);
                 allocated = true;
-                break;
             }
 
-            // Step 2: If not allocated and shortage, allow reuse if no time conflict
-            if (!allocated && shortage) {
-                for (let faculty of facultyList) {
+            // Step 2: If not allocated (shortage or leave), allow reuse if no time conflict,
+            // preferring designations still short of their minimum, then (if asked) the paper's own department,
+            // then the shortest walk
+            if (!allocated) {
+                const ownFirst = faculty => departmentInvigilation === "prefer" && fromOwningDepartment(faculty, slot);
+                const reuseOrder = facultyList.filter(faculty => underMax(faculty) && !excluded(faculty, slot));
+                reuseOrder.sort((a, b) =>
+                    underMin(b) - underMin(a) || ownFirst(b) - ownFirst(a) || travelCost(a, slot) - travelCost(b, slot)
+                );
+
+                for (let faculty of reuseOrder) {
                     const fId = faculty._id.toString();
+                    if (!isFree(faculty, slot) || clashesWithExistingDuty(faculty, slot)) continue;
                     const existingSlots = facultySlotMap[fId] || [];
 
                     const overlap = existingSlots.some(existing =>
@@ -218,6 +385,7 @@ exports.allocateFacultyToRooms = async (examId, facultyIds, session) => {
 
                         facultySlotMap[fId] = [...existingSlots, slot];
                         usedFaculty.add(fId);
+                        countDuty(faculty);
                         allocated = true;
                         break;
                     }
@@ -225,13 +393,31 @@ exports.allocateFacultyToRooms = async (examId, facultyIds, session) => {
             }
 
             if (!allocated) {
+                const busyElsewhere = facultyList.filter(faculty => clashesWithExistingDuty(faculty, slot)).length;
+                const teachers = facultyList.filter(faculty => teachesHere(faculty, slot)).length;
+                const ownDepartment = facultyList.filter(faculty => !teachesHere(faculty, slot) && excluded(faculty, slot)).length;
                 return {
                     success: false,
-                    message: `Not enough faculty available for room ${slot.roomNumber} at ${slot.startTime} on ${slot.date.toDateString()}.`
+                    message: `Not enough faculty available for room ${slot.roomNumber} at ${slot.startTime} on ${slot.date.toDateString()}.` +
+                        (busyElsewhere > 0 ? ` ${busyElsewhere} of the selected faculty are already invigilating another exam at that time.` : "") +
+                        (teachers > 0 ? ` ${teachers} selected faculty teach a subject written in this room and cannot invigilate it.` : "") +
+                        (ownDepartment > 0 ? ` ${ownDepartment} selected faculty belong to the department that owns the paper and are excluded from invigilating it.` : "") +
+                        (outsidePolicy.length > 0 ? ` ${outsidePolicy.length} selected faculty have designations not allowed by policy "${policy.name}".` : ""),
+                    clashes: [...clashes.values()]
                 };
             }
         }
 
+        const violations = explainQuotaViolations(policy, limits, dutiesByDesignation, totalRemaining);
+        if (violations.length > 0) {
+            return {
+                success: false,
+                message: violations.join(" "),
+                violations,
+                clashes: [...clashes.values()]
+            };
+        }
+
         await Allocation.insertMany(assignedFaculty, { session });
 
         const allocationCountByFaculty = {};
@@ -252,11 +438,171 @@ exports.allocateFacultyToRooms = async (examId, facultyIds, session) => {
         return {
             success: true,
             message: "Faculty allocation successful",
-            allocations: assignedFaculty
+            allocations: assignedFaculty,
+            clashes: [...clashes.values()]
         };
 
     } catch (err) {
         console.error("❌ Faculty allocation error:", err);
         return { success: false, message: "Internal Server Error" };
     }
-};
\ No newline at end of file
+};
+
+// Staff the chief superintendent, squad and relief duties the exam's policy asks for, in every session (date and
+// time) of the exam that has none yet. Run after the room invigilators, so nobody holds two duties at once; the chief
+// of another exam sitting in exactly the same session is shared, as rooms are above
+exports.allocateRoleDuties = async (examId, facultyIds, session) => {
+    try {
+        const policy = await resolvePolicy(examId, session);
+        const rules = policy.roles;
+        if (!rules || (!rules.chiefSuperintendent && !(rules.roomsPerSquad > 0) && !(rules.roomsPerRelief > 0))) {
+            return { success: true, allocations: [] };
+        }
+
+        const sessionKey = slot => `${slot.date.getTime()}_${slot.startTime}_${slot.endTime}`;
+        const staffedSessions = new Set(
+            (await Allocation.find({ examId, role: { $in: SESSION_ROLES } }).session(session)).map(sessionKey)
+        );
+
+        // Rooms in use and the papers written in each, per session still to staff
+        const roomAllocations = await RoomAllocation.find({ examId })
+            .populate("roomId", "roomNumber building floor")
+            .session(session);
+        const sessions = new Map();
+        roomAllocations.forEach(roomAlloc => {
+            const key = sessionKey(roomAlloc);
+            if (staffedSessions.has(key) || !roomAlloc.roomId) return;
+            if (!sessions.has(key)) {
+                sessions.set(key, {
+                    date: roomAlloc.date,
+                    startTime: roomAlloc.startTime,
+                    endTime: roomAlloc.endTime,
+                    rooms: new Map(),
+                    subjectIds: new Map()
+                });
+            }
+            const entry = sessions.get(key);
+            const roomId = roomAlloc.roomId._id.toString();
+            entry.rooms.set(roomId, roomAlloc.roomId);
+            entry.subjectIds.set(roomId, [
+                ...(entry.subjectIds.get(roomId) || []),
+                ...[roomAlloc.subjectId, ...(roomAlloc.subjectIds || [])].filter(Boolean).map(String)
+            ]);
+        });
+        if (sessions.size === 0) return { success: true, allocations: [] };
+
+        // Squad and relief staff walk into the rooms they cover, so the teaching and department rules apply to them
+        const exam = await Exam.findById(examId).select("departmentInvigilation").session(session);
+        const departmentInvigilation = (exam && exam.departmentInvigilation) || "any";
+        const subjects = await Subject.find({ _id: { $in: [...sessions.values()].flatMap(entry => [...entry.subjectIds.values()].flat()) } })
+            .select("department subjectCode semester")
+            .session(session);
+        const subjectDepartments = new Map(subjects.map(subject => [subject._id.toString(), String(subject.department || "")]));
+        const subjectTeachers = await loadSubjectTeachers(subjects, session);
+        const barredFrom = (faculty, subjectIds) => subjectIds.some(id =>
+            (subjectTeachers.get(id) || new Set()).has(faculty._id.toString()) ||
+            (departmentInvigilation === "exclude" && Boolean(faculty.department) &&
+                subjectDepartments.get(id) === faculty.department.toString())
+        );
+
+        const facultyList = await User.find({ _id: { $in: facultyIds }, role: "Faculty", available: true }).session(session);
+        const policyDesignations = new Set(policy.designations.map(quota => quota.designation.toLowerCase()));
+        const chiefDesignations = (rules.chiefDesignations || []).length > 0
+            ? new Set(rules.chiefDesignations.map(designation => designation.toLowerCase()))
+            : policyDesignations;
+        const mayServe = (faculty, role) =>
+            (role === "Chief Superintendent" ? chiefDesignations : policyDesignations).has(String(faculty.designation).toLowerCase());
+
+        const unavailability = await loadApprovedUnavailability(facultyList.map(f => f._id), session);
+
+        // Every duty the faculty hold on these dates, including the room duties just given out
+        const sessionDates = [...new Set([...sessions.values()].map(entry => entry.date.getTime()))].map(time => new Date(time));
+        const dutiesByFaculty = new Map();
+        (await Allocation.find({ facultyId: { $in: facultyList.map(f => f._id) }, date: { $in: sessionDates } }).session(session))
+            .forEach(duty => {
+                const fId = duty.facultyId.toString();
+                if (!dutiesByFaculty.has(fId)) dutiesByFaculty.set(fId, []);
+                dutiesByFaculty.get(fId).push(duty);
+            });
+        const isBusy = (faculty, slot) => (dutiesByFaculty.get(faculty._id.toString()) || []).some(duty =>
+            duty.date.getTime() === slot.date.getTime() && isTimeOverlap(duty, slot)
+        );
+
+        // Fewest duties first, counting the ones given out here
+        const givenHere = new Map();
+        const load = faculty => faculty.previousAllocations + (givenHere.get(faculty._id.toString()) || 0);
+
+        const assigned = [];
+        const reused = new Set();
+        for (const entry of sessions.values()) {
+            const slot = { date: entry.date, startTime: entry.startTime, endTime: entry.endTime };
+
+            for (const duty of planSessionRoles(rules, [...entry.rooms.values()])) {
+                const roomIds = duty.rooms.map(room => room._id);
+
+                const sharedChief = duty.role === "Chief Superintendent" && await Allocation.findOne({
+                    examId: { $ne: examId },
+                    role: "Chief Superintendent",
+                    ...slot
+                }).session(session);
+
+                let faculty = null;
+                if (sharedChief) {
+                    faculty = { _id: sharedChief.facultyId, name: sharedChief.facultyName };
+                    reused.add(assigned.length);
+                } else {
+                    const coveredSubjects = roomIds.flatMap(id => entry.subjectIds.get(id.toString()) || []);
+                    faculty = facultyList
+                        .filter(f => mayServe(f, duty.role) && !barredFrom(f, coveredSubjects) &&
+                            !isUnavailableFor(unavailability.get(f._id.toString()), slot) && !isBusy(f, slot))
+                        .sort((a, b) => load(a) - load(b))[0];
+                }
+
+                if (!faculty) {
+                    const what = duty.role === "Chief Superintendent"
+                        ? "a chief superintendent"
+                        : `a ${duty.role.toLowerCase()} invigilator for rooms ${duty.rooms.map(room => room.roomNumber).join(", ")}`;
+                    return {
+                        success: false,
+                        message: `Not enough faculty for ${what} at ${entry.startTime} on ${entry.date.toDateString()}. ` +
+                            `Policy "${policy.name}" asks for this duty; select more faculty or change the policy's session roles.`
+                    };
+                }
+
+                assigned.push({
+                    examId,
+                    role: duty.role,
+                    roomIds,
+                    facultyId: faculty._id,
+                    facultyName: faculty.name,
+                    ...slot
+                });
+
+                const fId = faculty._id.toString();
+                if (!dutiesByFaculty.has(fId)) dutiesByFaculty.set(fId, []);
+                dutiesByFaculty.get(fId).push(slot);
+                givenHere.set(fId, (givenHere.get(fId) || 0) + 1);
+            }
+        }
+
+        await Allocation.insertMany(assigned, { session });
+
+        const countByFaculty = {};
+        assigned.forEach((duty, index) => {
+            if (reused.has(index)) return;
+            const fId = duty.facultyId.toString();
+            countByFaculty[fId] = (countByFaculty[fId] || 0) + 1;
+        });
+        await Promise.all(Object.entries(countByFaculty).map(([facultyId, count]) =>
+            User.updateOne({ _id: facultyId }, { $inc: { previousAllocations: count } }, { session })
+        ));
+
+        return { success: true, allocations: assigned };
+
+    } catch (err) {
+        console.error("❌ Session role allocation error:", err);
+        return { success: false, message: "Internal Server Error" };
+    }
+};
+
+exports.isTimeOverlap = isTimeOverlap;
@@ -0,0 +1,53 @@
+const moment = require("moment-timezone");
+const Unavailability = require("../models/Unavailability");
+
+const TIMEZONE = "Asia/Kolkata";
+
+// Absolute start/end of a duty slot ({ date, startTime, endTime } with "HH:mm" times)
+const slotInterval = (slot) => {
+    const day = moment.tz(slot.date, TIMEZONE).format("YYYY-MM-DD");
+    return {
+        start: moment.tz(`${day} ${slot.startTime}`, "YYYY-MM-DD HH:mm", TIMEZONE).toDate(),
+        end: moment.tz(`${day} ${slot.endTime}`, "YYYY-MM-DD HH:mm", TIMEZONE).toDate()
+    };
+};
+
+// "YYYY-MM-DD" + optional "HH:mm"; a missing time means the start (or end) of that day
+const parseBoundary = (date, time, endOfDay) => {
+    if (!date) return null;
+    const parsed = time
+        ? moment.tz(`${date} ${time}`, ["YYYY-MM-DD HH:mm", "YYYY-MM-DD h:mm A"], true, TIMEZONE)
+        : moment.tz(date, "YYYY-MM-DD", true, TIMEZONE);
+    if (!parsed.isValid()) return null;
+    if (!time && endOfDay) parsed.add(1, "day").startOf("day");
+    return parsed.toDate();
+};
+
+// Approved unavailability per faculty id, limited to periods that touch [from, to] when given
+exports.loadApprovedUnavailability = async (facultyIds, session = null, from = null, to = null) => {
+    const filter = { facultyId: { $in: facultyIds }, status: "Approved" };
+    if (from && to) {
+        filter.from = { $lt: to };
+        filter.to = { $gt: from };
+    }
+
+    const periods = await Unavailability.find(filter).session(session);
+    const byFaculty = new Map();
+    periods.forEach(period => {
+        const key = period.facultyId.toString();
+        if (!byFaculty.has(key)) byFaculty.set(key, []);
+        byFaculty.get(key).push(period);
+    });
+    return byFaculty;
+};
+
+// True if any of `periods` overlaps the duty slot
+exports.isUnavailableFor = (periods, slot) => {
+    if (!periods || periods.length === 0) return false;
+    const { start, end } = slotInterval(slot);
+    return periods.some(period => period.from < end && start < period.to);
+};
+
+exports.slotInterval = slotInterval;
+exports.parseBoundary = parseBoundary;
+exports.TIMEZONE = TIMEZONE;
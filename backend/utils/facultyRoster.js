@@ -0,0 +1,84 @@
+const XLSX = require("xlsx");
+const { findDepartment } = require("./departments");
+
+// Accepted spellings for each faculty sheet column (compared after lower-casing and stripping spaces/underscores)
+const COLUMN_ALIASES = {
+    name: ["name", "facultyname", "fullname"],
+    email: ["email", "emailid", "emailaddress", "mail"],
+    designation: ["designation", "position", "title"],
+    department: ["department", "dept", "branch"]
+};
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+const normalizeHeader = (header) => String(header).toLowerCase().replace(/[\s_.-]/g, "");
+
+const resolveColumn = (header) => {
+    const key = normalizeHeader(header);
+    return Object.keys(COLUMN_ALIASES).find(field => COLUMN_ALIASES[field].includes(key));
+};
+
+/**
+ * Parse an uploaded CSV/XLSX faculty sheet
+ * @param {Buffer} buffer - Raw file contents
+ * @param {Array} designations - Designations known to the allocation policies; matched case-insensitively
+ * @param {Array} departments - Department documents; the Department column may give a code or a name
+ * @returns {Object} - { faculty, errors } where errors carry the 1-based sheet row; faculty carry departmentId
+ */
+exports.parseFacultySheet = (buffer, designations, departments) => {
+    const workbook = XLSX.read(buffer, { type: "buffer", raw: true });
+    const sheet = workbook.Sheets[workbook.SheetNames[0]];
+    const rows = sheet ? XLSX.utils.sheet_to_json(sheet, { defval: "", raw: true }) : [];
+
+    const faculty = [];
+    const errors = [];
+    const seen = new Set();
+
+    rows.forEach((row, index) => {
+        const rowNumber = index + 2; // Header occupies row 1
+        const record = {};
+
+        for (const [header, value] of Object.entries(row)) {
+            const field = resolveColumn(header);
+            if (field) record[field] = String(value).trim();
+        }
+
+        const email = (record.email || "").toLowerCase();
+        const entry = { row: rowNumber, name: record.name, email, designation: record.designation, department: record.department };
+
+        if (!record.name || !email || !record.designation) {
+            errors.push({ ...entry, message: "Name, email and designation are required." });
+            return;
+        }
+        if (!EMAIL_PATTERN.test(email)) {
+            errors.push({ ...entry, message: `Invalid email "${email}".` });
+            return;
+        }
+        if (seen.has(email)) {
+            errors.push({ ...entry, message: "Duplicate email in file." });
+            return;
+        }
+
+        const designation = designations.find(known => known.toLowerCase() === record.designation.toLowerCase());
+        if (!designation) {
+            errors.push({ ...entry, message: `${record.designation} is not a designation in any allocation policy.` });
+            return;
+        }
+
+        const department = record.department ? findDepartment(record.department, departments) : null;
+        if (record.department && !department) {
+            errors.push({ ...entry, message: `Unknown department "${record.department}".` });
+            return;
+        }
+
+        seen.add(email);
+        faculty.push({
+            ...entry,
+            designation,
+            department: department ? department.code : "",
+            departmentId: department ? department._id : undefined
+        });
+    });
+
+    return { faculty, errors };
+};
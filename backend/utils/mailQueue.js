@@ -0,0 +1,56 @@
+const sendEmail = require("./sendEmail");
+
+// In-process mail queue: emails go out one at a time in the background, so a request that
+// triggers hundreds of them returns at once. Failed sends are retried a few times.
+const MAX_ATTEMPTS = 3;
+const RETRY_DELAY_MS = 60 * 1000;
+const SEND_INTERVAL_MS = 500; // Stay under the mail provider's rate limit
+
+const queue = [];
+let draining = false;
+
+const wait = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+const drain = async () => {
+    draining = true;
+    while (queue.length > 0) {
+        const job = queue.shift();
+        job.attempts++;
+
+        let error = null;
+        try {
+            await sendEmail(job.to, job.subject, job.text);
+        } catch (err) {
+            error = err;
+        }
+
+        if (error && job.attempts < MAX_ATTEMPTS) {
+            setTimeout(() => enqueue(job), RETRY_DELAY_MS);
+        } else {
+            try {
+                await job.onDone(error);
+            } catch (err) {
+                console.error("Error recording email outcome:", err);
+            }
+        }
+
+        await wait(SEND_INTERVAL_MS);
+    }
+    draining = false;
+};
+
+const enqueue = (job) => {
+    queue.push(job);
+    if (!draining) drain();
+};
+
+/**
+ * Send an email in the background
+ * @param {String} to
+ * @param {String} subject
+ * @param {String} text
+ * @param {Function} onDone - async (error) => ..., called once the email is sent (error null) or has failed for good
+ */
+exports.queueEmail = (to, subject, text, onDone = async () => {}) => {
+    enqueue({ to, subject, text, onDone, attempts: 0 });
+};
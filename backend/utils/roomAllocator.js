@@ -1,29 +1,105 @@
 const Room = require("../models/Room");
 const RoomAllocation = require("../models/RoomAllocation");
 const moment = require("moment-timezone");
+const { maxSeatsPerCohort, seatingCapacity, buildSeatMap } = require("./seatMap");
+const { packRooms, utilisationPercent, floorLevel } = require("./roomPacking");
+const { loadRoomBlackouts } = require("./roomBlackouts");
+
+// What it costs to spread one sitting over several rooms. Keeping a sitting together means fewer
+// stairs and corridors for students, invigilators and the squad, so every building and every floor
+// opened is charged; the exam's room preferences sharpen these charges.
+const ROOM_PROXIMITY_WEIGHTS = {
+    building: 100,              // per building used
+    floor: 10,                  // per floor used (within any building)
+    strictBuilding: 100000,     // per building when the exam asks for as few buildings as possible
+    level: 1                    // per floor above ground, when ground floors are preferred
+};
+
+/**
+ * Cost model handed to the room packer for a sitting
+ * @param {Object} preferences - The exam's room preferences ({ sameBuilding, groundFloorFirst })
+ * @param {Object} weights - Charges to apply, ROOM_PROXIMITY_WEIGHTS by default
+ * @returns {Object} - { building, floor, room }
+ */
+const roomProximityCost = (preferences = {}, weights = ROOM_PROXIMITY_WEIGHTS) => ({
+    building: preferences.sameBuilding ? weights.strictBuilding : weights.building,
+    floor: weights.floor,
+    room: room => preferences.groundFloorFirst ? weights.level * Math.min(Math.abs(floorLevel(room.floor)), 100) : 0
+});
+
+// Selected rooms neither holding a sitting that overlaps [start, end) on `date` nor blacked out then
+const findFreeRooms = async (selectedRoomIds, date, start, end, session) => {
+    const busyRoomIds = await RoomAllocation.distinct("roomId", {
+        roomId: { $in: selectedRoomIds },
+        date,
+        startTime: { $lt: end },
+        endTime: { $gt: start }
+    }).session(session);
+    const blackouts = await loadRoomBlackouts(selectedRoomIds, { date, startTime: start, endTime: end }, session);
+
+    const busy = new Set(busyRoomIds.map(String));
+    const rooms = await Room.find({ _id: { $in: selectedRoomIds } });
+    const blackedOut = rooms.filter(room => !busy.has(room._id.toString()) && blackouts.has(room._id.toString()));
+    return {
+        rooms: rooms.filter(room => !busy.has(room._id.toString()) && !blackouts.has(room._id.toString())),
+        busyCount: busy.size,
+        blackedOutCount: blackedOut.length
+    };
+};
 
-exports.checkRoomAvailability = async (selectedRoomIds, examDate, startTime, endTime, totalStudents) => {
+// Why fewer rooms than selected were available, for capacity error messages
+const describeUnavailableRooms = (busyCount, blackedOutCount) =>
+    (busyCount > 0 ? ` ${busyCount} selected room(s) are already allocated at this time.` : "") +
+    (blackedOutCount > 0 ? ` ${blackedOutCount} selected room(s) are blacked out (event or maintenance) at this time.` : "");
+
+const describeUtilisation = (allocation, room, usableSeats) => ({
+    roomAllocationId: allocation._id,
+    roomId: room._id,
+    roomNumber: room.roomNumber,
+    building: room.building,
+    floor: room.floor,
+    date: moment(allocation.date).format("YYYY-MM-DD"),
+    time: `${allocation.startTime} - ${allocation.endTime}`,
+    seated: allocation.students.length,
+    usableSeats,
+    percent: utilisationPercent(allocation.students.length, usableSeats)
+});
+
+exports.checkRoomAvailability = async (selectedRoomIds, examDate, startTime, endTime, totalStudents, cohortCount = 1, session = null) => {
     try {
         const date = moment.tz(examDate, "YYYY-MM-DD", "Asia/Kolkata").startOf("day").toDate();
         const formattedStart = moment(startTime, ["h:mm A", "HH:mm"]).format("HH:mm");
         const formattedEnd = moment(endTime, ["h:mm A", "HH:mm"]).format("HH:mm");
 
-        // Fetch selected rooms
+        // Fetch selected rooms; blacked-out ones offer no seats in this window
         const selectedRooms = await Room.find({ _id: { $in: selectedRoomIds } });
+        const blackouts = await loadRoomBlackouts(selectedRoomIds, { date, startTime: formattedStart, endTime: formattedEnd }, session);
 
-        // Fetch existing allocations for the same date/time
+        // Fetch existing allocations for the same date/time (within the transaction, when given)
         const existingAllocations = await RoomAllocation.find({
             roomId: { $in: selectedRoomIds },
             date,
             $or: [
                 { startTime: { $lt: formattedEnd }, endTime: { $gt: formattedStart } }
             ]
-        });
+        }).session(session);
 
+        // Room seats are a time-interval resource: only cohorts whose own paper overlaps this window hold seats
         const usedCapacityMap = {};
         existingAllocations.forEach(alloc => {
             const roomIdStr = alloc.roomId.toString();
-            usedCapacityMap[roomIdStr] = (usedCapacityMap[roomIdStr] || 0) + alloc.students.length;
+            const cohorts = alloc.cohorts && alloc.cohorts.length > 0
+                ? alloc.cohorts
+                : [{ count: alloc.students.length }];
+
+            const used = cohorts
+                .filter(cohort =>
+                    (cohort.startTime || alloc.startTime) < formattedEnd &&
+                    (cohort.endTime || alloc.endTime) > formattedStart
+                )
+                .reduce((sum, cohort) => sum + cohort.count, 0);
+
+            usedCapacityMap[roomIdStr] = (usedCapacityMap[roomIdStr] || 0) + used;
         });
 
         // Calculate total available capacity
@@ -31,15 +107,18 @@ exports.checkRoomAvailability = async (selectedRoomIds, examDate, startTime, end
 
         for (let room of selectedRooms) {
             const roomIdStr = room._id.toString();
+            if (blackouts.has(roomIdStr)) continue;
             const used = usedCapacityMap[roomIdStr] || 0;
-            const remaining = Math.max(0, room.capacity - used);
+            // Seats usable once same-subject students are kept apart
+            const remaining = Math.max(0, seatingCapacity(room, cohortCount) - used);
             totalAvailable += remaining;
         }
 
         if (totalAvailable < totalStudents) {
             return {
                 success: false,
-                message: `Insufficient total capacity for selected rooms on ${examDate} between ${startTime} and ${endTime}. Available: ${totalAvailable}, Required: ${totalStudents}`
+                message: `Insufficient total capacity for selected rooms on ${examDate} between ${startTime} and ${endTime}. Available: ${totalAvailable}, Required: ${totalStudents}` +
+                    (blackouts.size > 0 ? `. ${blackouts.size} selected room(s) are blacked out (event or maintenance) at this time.` : "")
             };
         }
 
@@ -55,52 +134,69 @@ exports.checkRoomAvailability = async (selectedRoomIds, examDate, startTime, end
     }
 };
 
-exports.allocateStudentsToRooms = async (examId, subjectId, totalStudents, selectedRoomIds, examDate, startTime, endTime, semester, session) => {
+/**
+ * Allocate a single cohort's students to rooms in roll-number order, opening as few of the
+ * selected rooms as possible and keeping them within as few buildings and floors as possible
+ * @param {ObjectId} examId - Exam the allocation belongs to
+ * @param {ObjectId} subjectId - Subject being written
+ * @param {Array} students - Roll numbers of the cohort, already sorted
+ * @param {Array} selectedRoomIds - Array of room IDs to allocate
+ * @param {String} examDate - Date of the exam
+ * @param {String} startTime - Start time of the exam
+ * @param {String} endTime - End time of the exam
+ * @param {Number} semester - Semester the cohort belongs to
+ * @param {Object} session - Mongoose session for transaction
+ * @param {Object} preferences - Room packing preferences ({ sameBuilding, groundFloorFirst })
+ * @returns {Object} - Result of allocation, with the utilisation of each room used
+ */
+exports.allocateStudentsToRooms = async (examId, subjectId, students, selectedRoomIds, examDate, startTime, endTime, semester, session, preferences = {}) => {
     try {
         const date = moment.tz(examDate, "YYYY-MM-DD", "Asia/Kolkata").startOf("day").toDate();
         const formattedStart = moment(startTime, ["h:mm A", "HH:mm"]).format("HH:mm");
         const formattedEnd = moment(endTime, ["h:mm A", "HH:mm"]).format("HH:mm");
 
-        // Check if there are existing allocations for these rooms at this time
-        const existingAllocations = await RoomAllocation.find({
-            roomId: { $in: selectedRoomIds },
-            date,
-            $or: [
-                { startTime: { $lt: formattedEnd }, endTime: { $gt: formattedStart } }
-            ]
-        });
+        // Rooms already holding another sitting at this time are left out
+        const { rooms: freeRooms, busyCount, blackedOutCount } = await findFreeRooms(selectedRoomIds, date, formattedStart, formattedEnd, session);
 
-        if (existingAllocations.length > 0) {
+        // Fewest rooms (and so fewest invigilators) that seat the whole cohort
+        const sortedRooms = packRooms(freeRooms, students.length, maxSeatsPerCohort, roomProximityCost(preferences));
+        if (!sortedRooms) {
             return {
                 success: false,
-                message: `Rooms already allocated for this date and time. Please select different rooms or timings.`
+                message: `Insufficient capacity for students at ${examDate} ${startTime} - ${endTime}.` +
+                    describeUnavailableRooms(busyCount, blackedOutCount)
             };
         }
 
         let allocations = [];
-        let studentIndex = 1;
-
-        const allRooms = await Room.find({ _id: { $in: selectedRoomIds } });
-        const sortedRooms = allRooms.sort((a, b) => b.capacity - a.capacity);
+        const utilisation = [];
+        let studentIndex = 0;
+        let totalStudents = students.length;
 
         for (let room of sortedRooms) {
             if (totalStudents <= 0) break;
 
-            const assignCount = Math.min(totalStudents, room.capacity);
+            // One student per bench so no two students of the cohort sit together
+            const assignCount = Math.min(totalStudents, maxSeatsPerCohort(room));
             if (assignCount === 0) continue;
 
-            // Use consistent student naming format: "Sem{semester}-Student{index}"
-            const students = Array.from(
-                { length: assignCount }, 
-                (_, i) => `Sem${semester}-Student${studentIndex + i}`
-            );
+            // Seat the next block of roll numbers so each room holds a contiguous range
+            const roomStudents = students.slice(studentIndex, studentIndex + assignCount);
 
             const newAllocation = new RoomAllocation({
                 examId,
                 subjectId,
                 roomId: room._id,
                 roomNumber: room.roomNumber,
-                students,
+                students: roomStudents,
+                cohorts: [{
+                    subjectId,
+                    semester,
+                    count: roomStudents.length,
+                    startTime: formattedStart,
+                    endTime: formattedEnd
+                }],
+                seats: buildSeatMap(room, [{ subjectId, semester, students: roomStudents }]),
                 date,
                 startTime: formattedStart,
                 endTime: formattedEnd
@@ -108,6 +204,7 @@ exports.allocateStudentsToRooms = async (examId, subjectId, totalStudents, selec
 
             await newAllocation.save({ session });
             allocations.push(newAllocation);
+            utilisation.push(describeUtilisation(newAllocation, room, maxSeatsPerCohort(room)));
 
             studentIndex += assignCount;
             totalStudents -= assignCount;
@@ -123,7 +220,8 @@ exports.allocateStudentsToRooms = async (examId, subjectId, totalStudents, selec
         return {
             success: true,
             message: "Room allocation successful",
-            allocations
+            allocations,
+            utilisation
         };
     } catch (err) {
         console.error("Allocation error:", err);
@@ -132,167 +230,355 @@ exports.allocateStudentsToRooms = async (examId, subjectId, totalStudents, selec
 };
 
 /**
- * Allocate multiple semesters' students to rooms
- * @param {Array} semesterData - Array of objects with examId, subjectId, totalStudents, semester
+ * Split a room's seats between cohorts in proportion to how many students each still has to seat
+ * (largest remainder method), so no cohort is starved and all cohorts run out of students together
+ * @param {Number} capacity - Seats in the room
+ * @param {Array} remaining - Students still to be seated, per cohort
+ * @returns {Array} - Seats given to each cohort in this room
+ */
+function splitRoomCapacity(capacity, remaining) {
+    const totalRemaining = remaining.reduce((sum, count) => sum + Math.max(0, count), 0);
+
+    // Everyone fits: no need to share
+    if (totalRemaining <= capacity) {
+        return remaining.map(count => Math.max(0, count));
+    }
+
+    const quotas = remaining.map(count => (capacity * Math.max(0, count)) / totalRemaining);
+    const seats = quotas.map(Math.floor);
+    let leftover = capacity - seats.reduce((sum, count) => sum + count, 0);
+
+    // Hand out the seats lost to rounding, biggest fractional part first
+    const byFraction = quotas
+        .map((quota, i) => ({ i, fraction: quota - Math.floor(quota) }))
+        .sort((a, b) => b.fraction - a.fraction);
+
+    for (const { i } of byFraction) {
+        if (leftover <= 0) break;
+        if (seats[i] < remaining[i]) {
+            seats[i]++;
+            leftover--;
+        }
+    }
+
+    return seats;
+}
+
+/**
+ * Seats per cohort in each room when `rooms` are filled in order
+ * @param {Array} rooms - Rooms in filling order
+ * @param {Array} counts - Students to seat, per cohort
+ * @returns {Object} - { plan: [[seats per cohort] per room], unseated }
+ */
+function planMultiCohortSeats(rooms, counts) {
+    const remaining = [...counts];
+    const plan = rooms.map(room => {
+        // Share this room between every cohort still waiting for seats; a cohort gets at
+        // most one seat per bench so its students never sit next to each other
+        const cohortLimit = maxSeatsPerCohort(room);
+        const waiting = remaining.filter(count => count > 0).length;
+        if (waiting === 0) return remaining.map(() => 0);
+
+        const seatsPerCohort = splitRoomCapacity(
+            seatingCapacity(room, waiting),
+            remaining.map(count => Math.min(count, cohortLimit))
+        );
+        seatsPerCohort.forEach((count, i) => { remaining[i] -= count; });
+        return seatsPerCohort;
+    });
+
+    return { plan, unseated: remaining.reduce((sum, count) => sum + Math.max(0, count), 0) };
+}
+
+/**
+ * Allocate multiple semesters' students to rooms. Their papers may start and end at different
+ * times as long as they overlap; each room is then held for the union of its cohorts' timings.
+ * @param {Array} semesterData - Array (2 or more) of objects with examId, subjectId, semester, sorted students
+ *                               (roll numbers) and optionally the subject's own startTime/endTime
  * @param {Array} selectedRoomIds - Array of room IDs to allocate
  * @param {String} examDate - Date of the exam
- * @param {String} startTime - Start time of the exam
- * @param {String} endTime - End time of the exam
+ * @param {String} startTime - Earliest start time among the overlapping papers
+ * @param {String} endTime - Latest end time among the overlapping papers
  * @param {Object} session - Mongoose session for transaction
- * @returns {Object} - Result of allocation
+ * @param {Object} preferences - Room packing preferences ({ sameBuilding, groundFloorFirst })
+ * @returns {Object} - Result of allocation, with the utilisation of each room used
  */
-exports.allocateMultiSemesterToRooms = async (semesterData, selectedRoomIds, examDate, startTime, endTime, session) => {
+exports.allocateMultiSemesterToRooms = async (semesterData, selectedRoomIds, examDate, startTime, endTime, session, preferences = {}) => {
     try {
         const date = moment.tz(examDate, "YYYY-MM-DD", "Asia/Kolkata").startOf("day").toDate();
         const formattedStart = moment(startTime, ["h:mm A", "HH:mm"]).format("HH:mm");
         const formattedEnd = moment(endTime, ["h:mm A", "HH:mm"]).format("HH:mm");
 
-        // Check if there are existing allocations for these rooms at this time
-        const existingAllocations = await RoomAllocation.find({
-            roomId: { $in: selectedRoomIds },
-            date,
-            $or: [
-                { startTime: { $lt: formattedEnd }, endTime: { $gt: formattedStart } }
-            ]
-        });
-
-        if (existingAllocations.length > 0) {
-            return {
-                success: false,
-                message: `Rooms already allocated for this date and time. Please select different rooms or timings.`
-            };
-        }
-
-        // We expect exactly 2 semesters in the semesterData
-        if (semesterData.length !== 2) {
+        if (semesterData.length < 2) {
             return {
                 success: false,
-                message: "Multi-semester allocation requires exactly 2 semesters."
+                message: "Multi-semester allocation requires at least 2 semesters."
             };
         }
 
-        const sem1 = semesterData[0];
-        const sem2 = semesterData[1];
+        const counts = semesterData.map(sem => sem.students.length);
+        const totalStudents = counts.reduce((sum, count) => sum + count, 0);
+        const seatsIn = room => seatingCapacity(room, semesterData.length);
 
-        // Track remaining students to allocate
-        let remainingSem1Students = sem1.totalStudents;
-        let remainingSem2Students = sem2.totalStudents;
-        let totalStudents = remainingSem1Students + remainingSem2Students;
+        // Rooms already holding another sitting at this time are left out
+        const { rooms: freeRooms, busyCount, blackedOutCount } = await findFreeRooms(selectedRoomIds, date, formattedStart, formattedEnd, session);
+        const insufficient = unallocated => ({
+            success: false,
+            message: `Insufficient capacity. Unable to allocate ${unallocated} students.` +
+                describeUnavailableRooms(busyCount, blackedOutCount)
+        });
 
-        // Track student indices for each semester
-        let sem1StudentIndex = 1;
-        let sem2StudentIndex = 1;
+        // Fewest rooms that seat everyone. Packing only counts total seats, so the one-seat-per-bench
+        // limit can strand students of a large cohort: top up with the rooms that give a cohort the
+        // most seats, and fall back to filling the largest rooms first if that needs fewer rooms
+        let sortedRooms = packRooms(freeRooms, totalStudents, seatsIn, roomProximityCost(preferences));
+        if (!sortedRooms) return insufficient(totalStudents);
+
+        const openBuildings = new Set(sortedRooms.map(room => room.building));
+        const spareRooms = freeRooms
+            .filter(room => !sortedRooms.includes(room))
+            .sort((a, b) =>
+                maxSeatsPerCohort(b) - maxSeatsPerCohort(a) ||
+                openBuildings.has(b.building) - openBuildings.has(a.building) ||
+                seatsIn(b) - seatsIn(a)
+            );
+        let { plan, unseated } = planMultiCohortSeats(sortedRooms, counts);
+        while (unseated > 0 && spareRooms.length > 0) {
+            sortedRooms.push(spareRooms.shift());
+            ({ plan, unseated } = planMultiCohortSeats(sortedRooms, counts));
+        }
 
-        // Fetch all rooms and sort by capacity
-        const allRooms = await Room.find({ _id: { $in: selectedRoomIds } });
-        const sortedRooms = allRooms.sort((a, b) => b.capacity - a.capacity);
+        const largestFirst = [...freeRooms].sort((a, b) => seatsIn(b) - seatsIn(a));
+        const greedy = planMultiCohortSeats(largestFirst, counts);
+        const greedyRoomCount = greedy.plan.filter(seats => seats.some(count => count > 0)).length;
+        if (greedy.unseated === 0 && (unseated > 0 || greedyRoomCount < sortedRooms.length)) {
+            sortedRooms = largestFirst.slice(0, greedyRoomCount);
+            ({ plan, unseated } = greedy);
+        }
+        if (unseated > 0) return insufficient(unseated);
 
+        // Next roll number to seat for each cohort
+        const nextIndex = semesterData.map(() => 0);
         let allocations = [];
+        const utilisation = [];
 
-        // First, distribute students evenly across rooms
-        for (let room of sortedRooms) {
-            if (remainingSem1Students <= 0 && remainingSem2Students <= 0) break;
-
-            const roomCapacity = room.capacity;
-            let sem1StudentsInRoom = 0;
-            let sem2StudentsInRoom = 0;
-
-            // Balanced allocation logic - divide room capacity equally
-            if (remainingSem1Students > 0 && remainingSem2Students > 0) {
-                // Try to allocate half of the room to each semester
-                const halfCapacity = Math.floor(roomCapacity / 2);
-                
-                // Initially allocate half of room capacity to each semester
-                sem1StudentsInRoom = Math.min(halfCapacity, remainingSem1Students);
-                sem2StudentsInRoom = Math.min(halfCapacity, remainingSem2Students);
-                
-                // If one semester doesn't need its full half, give remaining space to the other
-                const unusedCapacity = roomCapacity - (sem1StudentsInRoom + sem2StudentsInRoom);
-                
-                if (unusedCapacity > 0) {
-                    if (remainingSem1Students > sem1StudentsInRoom) {
-                        const additionalSem1 = Math.min(unusedCapacity, remainingSem1Students - sem1StudentsInRoom);
-                        sem1StudentsInRoom += additionalSem1;
-                    }
-                    
-                    // After giving to sem1, if there's still space and sem2 needs it
-                    const stillUnused = roomCapacity - (sem1StudentsInRoom + sem2StudentsInRoom);
-                    if (stillUnused > 0 && remainingSem2Students > sem2StudentsInRoom) {
-                        const additionalSem2 = Math.min(stillUnused, remainingSem2Students - sem2StudentsInRoom);
-                        sem2StudentsInRoom += additionalSem2;
-                    }
-                }
-            } else if (remainingSem1Students > 0) {
-                // Only semester 1 students left
-                sem1StudentsInRoom = Math.min(roomCapacity, remainingSem1Students);
-            } else {
-                // Only semester 2 students left
-                sem2StudentsInRoom = Math.min(roomCapacity, remainingSem2Students);
-            }
+        for (let [roomIndex, room] of sortedRooms.entries()) {
+            const seatsPerCohort = plan[roomIndex];
 
-            // Create a combined allocation for both semesters in the same room
             const combinedStudents = [];
             const subjectIds = [];
-            
-            // Add semester 1 students
-            if (sem1StudentsInRoom > 0) {
-                const sem1Students = Array.from(
-                    { length: sem1StudentsInRoom }, 
-                    (_, i) => `Sem${sem1.semester}-Student${sem1StudentIndex + i}`
-                );
-                combinedStudents.push(...sem1Students);
-                subjectIds.push(sem1.subjectId);
-                
-                sem1StudentIndex += sem1StudentsInRoom;
-                remainingSem1Students -= sem1StudentsInRoom;
-            }
-            
-            // Add semester 2 students
-            if (sem2StudentsInRoom > 0) {
-                const sem2Students = Array.from(
-                    { length: sem2StudentsInRoom }, 
-                    (_, i) => `Sem${sem2.semester}-Student${sem2StudentIndex + i}`
-                );
-                combinedStudents.push(...sem2Students);
-                subjectIds.push(sem2.subjectId);
-                
-                sem2StudentIndex += sem2StudentsInRoom;
-                remainingSem2Students -= sem2StudentsInRoom;
-            }
-            
-            // Create a single allocation with both semester subjects and students
+            const cohorts = [];
+            const seatGroups = [];
+
+            semesterData.forEach((sem, i) => {
+                const count = seatsPerCohort[i];
+                if (count <= 0) return;
+
+                const roomStudents = sem.students.slice(nextIndex[i], nextIndex[i] + count);
+                combinedStudents.push(...roomStudents);
+                subjectIds.push(sem.subjectId);
+                cohorts.push({
+                    subjectId: sem.subjectId,
+                    semester: sem.semester,
+                    count,
+                    startTime: sem.startTime ? moment(sem.startTime, ["h:mm A", "HH:mm"]).format("HH:mm") : formattedStart,
+                    endTime: sem.endTime ? moment(sem.endTime, ["h:mm A", "HH:mm"]).format("HH:mm") : formattedEnd
+                });
+                seatGroups.push({ subjectId: sem.subjectId, semester: sem.semester, students: roomStudents });
+
+                nextIndex[i] += count;
+            });
+
+            // Create a single allocation with every semester's subject and students
             if (combinedStudents.length > 0) {
                 const newAllocation = new RoomAllocation({
-                    examId: sem1.examId, // Both have the same examId
+                    examId: semesterData[0].examId, // All cohorts share the same examId
                     subjectIds: subjectIds, // Store array of subject IDs
                     roomId: room._id,
                     roomNumber: room.roomNumber,
                     students: combinedStudents,
+                    cohorts,
+                    seats: buildSeatMap(room, seatGroups),
                     date,
-                    startTime: formattedStart,
-                    endTime: formattedEnd
+                    // The room (and its invigilator) is needed from the first paper's start to the last one's end
+                    startTime: cohorts.reduce((min, cohort) => cohort.startTime < min ? cohort.startTime : min, cohorts[0].startTime),
+                    endTime: cohorts.reduce((max, cohort) => cohort.endTime > max ? cohort.endTime : max, cohorts[0].endTime)
                 });
-                
+
                 await newAllocation.save({ session });
                 allocations.push(newAllocation);
+                utilisation.push(describeUtilisation(newAllocation, room, seatingCapacity(room, cohorts.length)));
             }
         }
 
-        // Check if all students were allocated
-        if (remainingSem1Students > 0 || remainingSem2Students > 0) {
-            return {
-                success: false,
-                message: `Insufficient capacity. Unable to allocate ${remainingSem1Students + remainingSem2Students} students.`
-            };
-        }
-
         return {
             success: true,
             message: "Multi-semester room allocation successful",
-            allocations
+            allocations,
+            utilisation
         };
     } catch (err) {
         console.error("Multi-semester allocation error:", err);
         return { success: false, message: "Internal Server Error" };
     }
-};
\ No newline at end of file
+};
+
+// Step-free rooms, for students who cannot use stairs
+const isStepFree = room => Boolean(room.accessibility && (room.accessibility.groundFloor || room.accessibility.liftAccess));
+
+/**
+ * Seat students with accommodations apart from the hall: each student with a scribe gets a separate
+ * room to themselves, everyone else shares rooms (step-free ones for those who need them). Every
+ * room is held until its last student's extended end time and is staffed by an invigilator of its own.
+ * @param {ObjectId} examId - Exam the allocation belongs to
+ * @param {Array} entries - Papers of the sitting: { subjectId, semester, startTime, endTime, students }
+ *                          where students are { rollNumber, groundFloor, extraTimeMinutes, scribe }, sorted
+ * @param {Array} selectedRoomIds - Array of room IDs to allocate
+ * @param {String} examDate - Date of the exam
+ * @param {String} startTime - Earliest start time of the sitting
+ * @param {String} endTime - Latest end time of the sitting (before any extra time)
+ * @param {Object} session - Mongoose session for transaction
+ * @param {Object} preferences - Room packing preferences ({ sameBuilding, groundFloorFirst })
+ * @returns {Object} - Result of allocation, with the utilisation of each room used
+ */
+exports.allocateAccommodatedStudents = async (examId, entries, selectedRoomIds, examDate, startTime, endTime, session, preferences = {}) => {
+    try {
+        const students = entries.flatMap(entry => entry.students.map(student => ({ ...student, entry })));
+        if (students.length === 0) {
+            return { success: true, message: "No students with accommodations", allocations: [], utilisation: [] };
+        }
+
+        const date = moment.tz(examDate, "YYYY-MM-DD", "Asia/Kolkata").startOf("day").toDate();
+        const formattedStart = moment(startTime, ["h:mm A", "HH:mm"]).format("HH:mm");
+        const longestExtra = Math.max(...students.map(student => student.extraTimeMinutes || 0));
+        const formattedEnd = moment(endTime, ["h:mm A", "HH:mm"]).add(longestExtra, "minutes").format("HH:mm");
+
+        const { rooms: freeRooms, busyCount, blackedOutCount } = await findFreeRooms(selectedRoomIds, date, formattedStart, formattedEnd, session);
+        const taken = new Set();
+        const untaken = room => !taken.has(room._id.toString());
+        const groups = []; // { room, students }
+        const unsuitable = what => ({
+            success: false,
+            message: `No free ${what} among the selected rooms at ${examDate} ${startTime} - ${endTime}.` +
+                describeUnavailableRooms(busyCount, blackedOutCount) +
+                " Add a suitable room to the exam or update the room's accessibility details."
+        });
+
+        // A scribe reads and writes aloud, so the student writes alone; the smallest fitting room is used
+        for (const student of students.filter(student => student.scribe)) {
+            const room = freeRooms
+                .filter(room => untaken(room) && room.accessibility && room.accessibility.separateRoom)
+                .filter(room => !student.groundFloor || isStepFree(room))
+                .sort((a, b) => a.capacity - b.capacity)[0];
+            if (!room) {
+                return unsuitable(`separate${student.groundFloor ? " step-free" : ""} room for ${student.rollNumber} (writing with a scribe)`);
+            }
+            taken.add(room._id.toString());
+            groups.push({ room, students: [student] });
+        }
+
+        // Everyone else shares as few rooms as possible, keeping students of a paper off the same bench
+        const seatTogether = (group, suitable) => {
+            const groupEntries = [...new Set(group.map(student => student.entry))];
+            const counts = groupEntries.map(entry => group.filter(student => student.entry === entry).length);
+            const pool = freeRooms.filter(room => untaken(room) && suitable(room));
+            const seatsIn = room => seatingCapacity(room, groupEntries.length);
+
+            const chosen = packRooms(pool, group.length, seatsIn, roomProximityCost(preferences));
+            if (!chosen) return false;
+            const spare = pool.filter(room => !chosen.includes(room)).sort((a, b) => seatsIn(b) - seatsIn(a));
+            let { plan, unseated } = planMultiCohortSeats(chosen, counts);
+            while (unseated > 0 && spare.length > 0) {
+                chosen.push(spare.shift());
+                ({ plan, unseated } = planMultiCohortSeats(chosen, counts));
+            }
+            if (unseated > 0) return false;
+
+            const next = groupEntries.map(() => 0);
+            chosen.forEach((room, roomIndex) => {
+                const seated = groupEntries.flatMap((entry, i) => {
+                    const block = group.filter(student => student.entry === entry).slice(next[i], next[i] + plan[roomIndex][i]);
+                    next[i] += block.length;
+                    return block;
+                });
+                if (seated.length === 0) return;
+                taken.add(room._id.toString());
+                groups.push({ room, students: seated });
+            });
+            return true;
+        };
+
+        const others = students.filter(student => !student.scribe);
+        const needsStepFree = others.filter(student => student.groundFloor);
+        const extraTimeOnly = others.filter(student => !student.groundFloor);
+        // Together in step-free rooms if possible, otherwise only those who need it
+        const seatedTogether = needsStepFree.length > 0 && seatTogether(others, isStepFree);
+        if (!seatedTogether) {
+            if (needsStepFree.length > 0 && !seatTogether(needsStepFree, isStepFree)) {
+                return unsuitable("step-free rooms (ground floor or lift access) with enough seats");
+            }
+            if (extraTimeOnly.length > 0 && !seatTogether(extraTimeOnly, () => true)) {
+                return unsuitable("rooms with enough seats for students with extra time");
+            }
+        }
+
+        const allocations = [];
+        const utilisation = [];
+        for (const { room, students: seated } of groups) {
+            const groupEntries = [...new Set(seated.map(student => student.entry))];
+            const cohorts = [];
+            const seatGroups = [];
+            const rollNumbers = [];
+
+            groupEntries.forEach(entry => {
+                const block = seated.filter(student => student.entry === entry);
+                const extra = Math.max(...block.map(student => student.extraTimeMinutes || 0));
+                cohorts.push({
+                    subjectId: entry.subjectId,
+                    semester: entry.semester,
+                    count: block.length,
+                    startTime: moment(entry.startTime, ["h:mm A", "HH:mm"]).format("HH:mm"),
+                    // The paper runs on for as long as the student with the most extra time needs
+                    endTime: moment(entry.endTime, ["h:mm A", "HH:mm"]).add(extra, "minutes").format("HH:mm")
+                });
+                seatGroups.push({ subjectId: entry.subjectId, semester: entry.semester, students: block.map(student => student.rollNumber) });
+                rollNumbers.push(...block.map(student => student.rollNumber));
+            });
+
+            const newAllocation = new RoomAllocation({
+                examId,
+                ...(cohorts.length > 1
+                    ? { subjectIds: cohorts.map(cohort => cohort.subjectId) }
+                    : { subjectId: cohorts[0].subjectId }),
+                roomId: room._id,
+                roomNumber: room.roomNumber,
+                students: rollNumbers,
+                cohorts,
+                seats: buildSeatMap(room, seatGroups),
+                accommodations: seated.map(student => ({
+                    rollNumber: student.rollNumber,
+                    groundFloor: Boolean(student.groundFloor),
+                    extraTimeMinutes: student.extraTimeMinutes || 0,
+                    scribe: Boolean(student.scribe)
+                })),
+                date,
+                startTime: cohorts.reduce((min, cohort) => cohort.startTime < min ? cohort.startTime : min, cohorts[0].startTime),
+                endTime: cohorts.reduce((max, cohort) => cohort.endTime > max ? cohort.endTime : max, cohorts[0].endTime)
+            });
+
+            await newAllocation.save({ session });
+            allocations.push(newAllocation);
+            utilisation.push(describeUtilisation(newAllocation, room, seatingCapacity(room, cohorts.length)));
+        }
+
+        return {
+            success: true,
+            message: "Accommodation seating successful",
+            allocations,
+            utilisation
+        };
+    } catch (err) {
+        console.error("Accommodation seating error:", err);
+        return { success: false, message: "Internal Server Error" };
+    }
+};
@@ -0,0 +1,20 @@
+const RoomBlackout = require("../models/RoomBlackout");
+const { slotInterval } = require("./facultyAvailability");
+
+// Blackouts per room id that overlap the slot ({ date, startTime, endTime } with "HH:mm" times)
+exports.loadRoomBlackouts = async (roomIds, slot, session = null) => {
+    const { start, end } = slotInterval(slot);
+    const blackouts = await RoomBlackout.find({
+        roomId: { $in: roomIds },
+        from: { $lt: end },
+        to: { $gt: start }
+    }).session(session);
+
+    const byRoom = new Map();
+    blackouts.forEach(blackout => {
+        const key = blackout.roomId.toString();
+        if (!byRoom.has(key)) byRoom.set(key, []);
+        byRoom.get(key).push(blackout);
+    });
+    return byRoom;
+};
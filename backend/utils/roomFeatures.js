@@ -0,0 +1,35 @@
+// Room features a paper can require; the keys are stored on rooms and subjects
+const ROOM_FEATURES = {
+    lab: "Computer lab",
+    drawingTables: "Drawing tables",
+    projector: "Projector",
+    cctv: "CCTV"
+};
+
+const FEATURE_KEYS = Object.keys(ROOM_FEATURES);
+
+// Features in `features` that are not known keys
+exports.unknownFeatures = (features) => [].concat(features || []).filter(feature => !FEATURE_KEYS.includes(feature));
+
+// True if the room offers every feature in `required`
+exports.hasFeatures = (room, required = []) => required.every(feature => (room.features || []).includes(feature));
+
+// Read a spreadsheet cell such as "Computer lab, CCTV" or "lab; cctv" into feature keys
+exports.parseFeatureList = (text) => {
+    const features = [];
+    const unknown = [];
+    String(text || "").split(/[,;]/).map(part => part.trim()).filter(Boolean).forEach(part => {
+        const key = FEATURE_KEYS.find(feature =>
+            feature.toLowerCase() === part.toLowerCase() || ROOM_FEATURES[feature].toLowerCase() === part.toLowerCase()
+        );
+        if (!key) unknown.push(part);
+        else if (!features.includes(key)) features.push(key);
+    });
+    return { features, unknown };
+};
+
+// "Computer lab, CCTV"
+exports.describeFeatures = (features) => features.map(feature => ROOM_FEATURES[feature] || feature).join(", ");
+
+exports.ROOM_FEATURES = ROOM_FEATURES;
+exports.FEATURE_KEYS = FEATURE_KEYS;
@@ -0,0 +1,159 @@
+const XLSX = require("xlsx");
+const { parseFlag } = require("./studentRoster");
+const { parseFeatureList, describeFeatures } = require("./roomFeatures");
+const { findDepartment } = require("./departments");
+
+// Accepted spellings for each room sheet column (compared after lower-casing and stripping spaces/underscores)
+const COLUMN_ALIASES = {
+    building: ["building", "block", "buildingname"],
+    floor: ["floor", "level", "floorno"],
+    roomNumber: ["roomnumber", "roomno", "room"],
+    totalBenches: ["totalbenches", "benches", "benchcount"],
+    studentsPerBench: ["studentsperbench", "perbench", "seatsperbench"],
+    groundFloor: ["groundfloor"],
+    liftAccess: ["liftaccess", "lift"],
+    separateRoom: ["separateroom"],
+    features: ["features", "roomfeatures"],
+    department: ["department", "dept"]
+};
+
+// Column headers used for exports, in sheet order; an export can be edited and imported again
+const EXPORT_HEADERS = {
+    building: "Building",
+    floor: "Floor",
+    roomNumber: "Room Number",
+    totalBenches: "Total Benches",
+    studentsPerBench: "Students Per Bench",
+    groundFloor: "Ground Floor",
+    liftAccess: "Lift Access",
+    separateRoom: "Separate Room",
+    features: "Features",
+    department: "Department"
+};
+
+const normalizeHeader = (header) => String(header).toLowerCase().replace(/[\s_.-]/g, "");
+
+const resolveColumn = (header) => {
+    const key = normalizeHeader(header);
+    return Object.keys(COLUMN_ALIASES).find(field => COLUMN_ALIASES[field].includes(key));
+};
+
+// Identifies a room; two rooms in one building cannot share a number
+exports.roomKey = (room) => `${room.building}|${room.roomNumber}`.toUpperCase();
+
+/**
+ * Parse an uploaded CSV/XLSX room sheet into room fields
+ * @param {Buffer} buffer - Raw file contents
+ * @param {Array} departments - Department documents; the Department column may give a code or a name
+ * @returns {Object} - { rooms, errors } where errors carry the 1-based sheet row
+ */
+exports.parseRoomSheet = (buffer, departments) => {
+    // raw: keep CSV values as text so room numbers like "007" keep their leading zeros
+    const workbook = XLSX.read(buffer, { type: "buffer", raw: true });
+    const sheet = workbook.Sheets[workbook.SheetNames[0]];
+    const rows = sheet ? XLSX.utils.sheet_to_json(sheet, { defval: "", raw: true }) : [];
+
+    const rooms = [];
+    const errors = [];
+    const seen = new Set();
+
+    rows.forEach((row, index) => {
+        const rowNumber = index + 2; // Header occupies row 1
+        const record = {};
+
+        for (const [header, value] of Object.entries(row)) {
+            const field = resolveColumn(header);
+            if (field) record[field] = value;
+        }
+
+        const building = String(record.building || "").trim();
+        const floor = String(record.floor === undefined ? "" : record.floor).trim();
+        const roomNumber = String(record.roomNumber || "").trim();
+        if (!building || !floor || !roomNumber) {
+            errors.push({ row: rowNumber, room: roomNumber || undefined, message: "Building, floor and room number are required." });
+            return;
+        }
+        const room = `${building} ${roomNumber}`;
+
+        const key = exports.roomKey({ building, roomNumber });
+        if (seen.has(key)) {
+            errors.push({ row: rowNumber, room, message: "Duplicate building and room number in file." });
+            return;
+        }
+
+        const totalBenches = Number(record.totalBenches);
+        const studentsPerBench = Number(record.studentsPerBench);
+        if (!Number.isInteger(totalBenches) || totalBenches <= 0) {
+            errors.push({ row: rowNumber, room, message: `Invalid total benches "${record.totalBenches}" (a positive whole number is expected).` });
+            return;
+        }
+        if (!Number.isInteger(studentsPerBench) || studentsPerBench <= 0) {
+            errors.push({ row: rowNumber, room, message: `Invalid students per bench "${record.studentsPerBench}" (a positive whole number is expected).` });
+            return;
+        }
+
+        const accessibility = {
+            groundFloor: parseFlag(record.groundFloor),
+            liftAccess: parseFlag(record.liftAccess),
+            separateRoom: parseFlag(record.separateRoom)
+        };
+        if (Object.values(accessibility).includes(null)) {
+            errors.push({ row: rowNumber, room, message: "Ground floor, lift access and separate room columns must be yes or no." });
+            return;
+        }
+
+        const { features, unknown } = parseFeatureList(record.features);
+        if (unknown.length > 0) {
+            errors.push({ row: rowNumber, room, message: `Unknown room feature: ${unknown.join(", ")}.` });
+            return;
+        }
+
+        const department = record.department ? findDepartment(record.department, departments) : null;
+        if (record.department && !department) {
+            errors.push({ row: rowNumber, room, message: `Unknown department "${record.department}".` });
+            return;
+        }
+
+        seen.add(key);
+        rooms.push({
+            row: rowNumber,
+            building,
+            floor,
+            roomNumber,
+            totalBenches,
+            studentsPerBench,
+            capacity: totalBenches * studentsPerBench,
+            accessibility,
+            features,
+            department: department ? department._id : undefined
+        });
+    });
+
+    return { rooms, errors };
+};
+
+/**
+ * Write rooms as a sheet in the import format
+ * @param {Array} rooms - Room documents, with the department populated
+ * @param {String} bookType - "csv" or "xlsx"
+ * @returns {Buffer}
+ */
+exports.writeRoomSheet = (rooms, bookType) => {
+    const yesNo = (value) => (value ? "Yes" : "No");
+    const rows = rooms.map(room => ({
+        [EXPORT_HEADERS.building]: room.building,
+        [EXPORT_HEADERS.floor]: room.floor,
+        [EXPORT_HEADERS.roomNumber]: room.roomNumber,
+        [EXPORT_HEADERS.totalBenches]: room.totalBenches,
+        [EXPORT_HEADERS.studentsPerBench]: room.studentsPerBench,
+        [EXPORT_HEADERS.groundFloor]: yesNo(room.accessibility && room.accessibility.groundFloor),
+        [EXPORT_HEADERS.liftAccess]: yesNo(room.accessibility && room.accessibility.liftAccess),
+        [EXPORT_HEADERS.separateRoom]: yesNo(room.accessibility && room.accessibility.separateRoom),
+        [EXPORT_HEADERS.features]: describeFeatures(room.features || []),
+        [EXPORT_HEADERS.department]: room.department ? room.department.code : ""
+    }));
+
+    const workbook = XLSX.utils.book_new();
+    XLSX.utils.book_append_sheet(workbook, XLSX.utils.json_to_sheet(rows, { header: Object.values(EXPORT_HEADERS) }), "Rooms");
+    return XLSX.write(workbook, { type: "buffer", bookType });
+};
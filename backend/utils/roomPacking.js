@@ -0,0 +1,177 @@
+// Room packing: choose which of the selected rooms to open for a sitting. Every room opened needs an
+// invigilator, so the fewest rooms that seat everyone always win; the proximity cost only breaks ties.
+
+const FLOOR_WORDS = ["ground", "first", "second", "third", "fourth", "fifth", "sixth", "seventh", "eighth", "ninth", "tenth"];
+
+/**
+ * Numeric level of a free-text floor ("Ground", "G", "1st", "Second", "3") - 0 is ground
+ * @param {String} floor
+ * @returns {Number} - Unknown floors sort last
+ */
+const floorLevel = (floor) => {
+    const text = String(floor || "").trim().toLowerCase();
+    if (text === "g" || text.startsWith("ground")) return 0;
+    const digits = text.match(/-?\d+/);
+    if (digits) return Number(digits[0]);
+    const word = FLOOR_WORDS.findIndex(name => text.startsWith(name));
+    return word >= 0 ? word : Number.MAX_SAFE_INTEGER;
+};
+
+// All `size`-element combinations of `items`
+function* combinations(items, size, start = 0, picked = []) {
+    if (picked.length === size) {
+        yield picked;
+        return;
+    }
+    for (let i = start; i <= items.length - (size - picked.length); i++) {
+        yield* combinations(items, size, i + 1, [...picked, items[i]]);
+    }
+}
+
+/**
+ * Exactly `count` candidates with at least `demand` seats, minimising total cost and then empty seats
+ * (dynamic programme over room count and seats)
+ * @param {Array} candidates - [{ room, seats, cost }] with integer costs
+ * @returns {Object|null} - { picked, cost, seats }
+ */
+const bestSubset = (candidates, count, demand) => {
+    const totalSeats = candidates.reduce((sum, c) => sum + c.seats, 0);
+    if (candidates.length < count || totalSeats < demand) return null;
+
+    const width = totalSeats + 1;
+    const states = (count + 1) * width;
+    // cost[j * width + s]: cheapest way to pick j rooms with exactly s seats
+    let cost = new Float64Array(states).fill(Infinity);
+    cost[0] = 0;
+    const took = [];
+
+    candidates.forEach(candidate => {
+        const next = Float64Array.from(cost);
+        const taken = new Uint8Array(states);
+        for (let j = count - 1; j >= 0; j--) {
+            for (let s = totalSeats - candidate.seats; s >= 0; s--) {
+                const current = cost[j * width + s];
+                if (current === Infinity) continue;
+                const target = (j + 1) * width + s + candidate.seats;
+                if (current + candidate.cost < next[target]) {
+                    next[target] = current + candidate.cost;
+                    taken[target] = 1;
+                }
+            }
+        }
+        took.push(taken);
+        cost = next;
+    });
+
+    let bestSeats = -1;
+    for (let s = demand; s <= totalSeats; s++) {
+        const value = cost[count * width + s];
+        if (value !== Infinity && (bestSeats < 0 || value < cost[count * width + bestSeats])) bestSeats = s;
+    }
+    if (bestSeats < 0) return null;
+
+    // Walk back through the items to recover the chosen rooms
+    const picked = [];
+    let j = count;
+    let s = bestSeats;
+    for (let i = candidates.length - 1; i >= 0 && j > 0; i--) {
+        if (took[i][j * width + s]) {
+            picked.push(candidates[i]);
+            s -= candidates[i].seats;
+            j--;
+        }
+    }
+
+    return { picked, cost: cost[count * width + bestSeats], seats: bestSeats };
+};
+
+// Limits on the proximity search, so a long list of scattered rooms cannot stall exam creation
+const MAX_ZONE_SETS = 20000;
+const MAX_PACKINGS = 200;
+
+// A building's floor; free-text floors that cannot be read as a level are told apart by name
+const zoneOf = (room) => {
+    const level = floorLevel(room.floor);
+    const floor = level === Number.MAX_SAFE_INTEGER ? String(room.floor || "").trim().toLowerCase() : level;
+    return `${room.building}|${floor}`;
+};
+
+/**
+ * Pick the fewest rooms that seat `demand` students. Among equally small sets, pick the one with the
+ * lowest cost under `cost`, then the fewest empty seats.
+ * @param {Array} rooms - Candidate Room documents (already free for the sitting)
+ * @param {Number} demand - Students to seat
+ * @param {Function} seatsIn - room => usable seats for this sitting
+ * @param {Object} cost - { building, floor, room }: charge per building used, per floor used and
+ *                        room => integer charge for the room itself
+ * @returns {Array|null} - Chosen rooms, largest first, or null if all rooms together are too small
+ */
+exports.packRooms = (rooms, demand, seatsIn, cost = {}) => {
+    if (demand <= 0) return [];
+
+    const perBuilding = cost.building || 0;
+    const perFloor = cost.floor || 0;
+    const candidates = rooms
+        .map(room => ({ room, seats: seatsIn(room), cost: cost.room ? cost.room(room) : 0, zone: zoneOf(room) }))
+        .filter(candidate => candidate.seats > 0);
+
+    // The k largest rooms are the best any k rooms can do, so this is the minimum room count
+    const topSeats = (pool, k) => pool
+        .map(candidate => candidate.seats)
+        .sort((a, b) => b - a)
+        .slice(0, k)
+        .reduce((sum, seats) => sum + seats, 0);
+    const bySeats = [...candidates].sort((a, b) => b.seats - a.seats);
+    let count = 0;
+    let covered = 0;
+    while (count < bySeats.length && covered < demand) covered += bySeats[count++].seats;
+    if (covered < demand) return null;
+
+    const score = choice => ({
+        ...choice,
+        total: choice.cost +
+            perBuilding * new Set(choice.picked.map(candidate => candidate.room.building)).size +
+            perFloor * new Set(choice.picked.map(candidate => candidate.zone)).size
+    });
+    const better = (a, b) => !b || a.total < b.total || (a.total === b.total && a.seats < b.seats);
+
+    // Try floors (zones) in groups of increasing size until no larger group can beat the best found:
+    // any group of z zones costs at least z floors and one building
+    let best = null;
+    if (perBuilding > 0 || perFloor > 0) {
+        const zones = [...new Set(candidates.map(candidate => candidate.zone))];
+        let zoneSets = 0;
+        let packings = 0;
+        search:
+        for (let size = 1; size <= zones.length; size++) {
+            if (best && perBuilding + perFloor * size >= best.total) break;
+            for (const group of combinations(zones, size)) {
+                if (++zoneSets > MAX_ZONE_SETS || packings >= MAX_PACKINGS) break search;
+                const pool = candidates.filter(candidate => group.includes(candidate.zone));
+                if (pool.length < count || topSeats(pool, count) < demand) continue;
+
+                packings++;
+                const choice = bestSubset(pool, count, demand);
+                if (choice && better(score(choice), best)) best = score(choice);
+            }
+        }
+    }
+
+    // No proximity charges, or too many scattered rooms to search: pack over every room
+    if (!best) best = score(bestSubset(candidates, count, demand));
+
+    return best.picked
+        .sort((a, b) => b.seats - a.seats || a.cost - b.cost)
+        .map(candidate => candidate.room);
+};
+
+/**
+ * How full a room allocation is
+ * @param {Number} seated - Students seated
+ * @param {Number} usableSeats - Seats usable under the seating rules
+ * @returns {Number} - Percentage, one decimal
+ */
+exports.utilisationPercent = (seated, usableSeats) =>
+    usableSeats > 0 ? Math.round((seated / usableSeats) * 1000) / 10 : 0;
+
+exports.floorLevel = floorLevel;
@@ -0,0 +1,87 @@
+// Seating rules: two students writing the same subject never share a bench and never sit
+// directly in front of / behind each other (same seat position on consecutive benches).
+
+/**
+ * Most students of one cohort a room can seat under the seating rules
+ * @param {Object} room - Room with totalBenches and studentsPerBench
+ * @returns {Number}
+ */
+exports.maxSeatsPerCohort = (room) => {
+    // Single-seat benches: a cohort can only use every other bench
+    if (room.studentsPerBench <= 1) return Math.ceil(room.totalBenches / 2);
+    // Otherwise one student per bench, alternating seat positions
+    return room.totalBenches;
+};
+
+/**
+ * Usable seats in a room when `cohortCount` cohorts share it
+ * @param {Object} room - Room with totalBenches and studentsPerBench
+ * @param {Number} cohortCount - Number of subjects/semesters seated together
+ * @returns {Number}
+ */
+exports.seatingCapacity = (room, cohortCount = 1) => {
+    const seatsPerBench = Math.min(room.studentsPerBench, Math.max(1, cohortCount));
+    return Math.min(room.capacity, room.totalBenches * seatsPerBench);
+};
+
+// Spread `count` seat positions across a bench of `perBench` seats (1-based), e.g. 2 of 3 -> [1, 3]
+const spreadPositions = (count, perBench) => {
+    if (count === 1) return [1];
+    return Array.from({ length: count }, (_, i) => 1 + Math.round((i * (perBench - 1)) / (count - 1)));
+};
+
+/**
+ * Build the bench/seat layout for one room
+ * @param {Object} room - Room with totalBenches and studentsPerBench
+ * @param {Array} cohorts - [{ subjectId, semester, students: [rollNumber] }], each within maxSeatsPerCohort
+ * @returns {Array} - [{ bench, position, rollNumber, subjectId, semester }] sorted by bench then position
+ */
+exports.buildSeatMap = (room, cohorts) => {
+    const benches = room.totalBenches;
+    const perBench = room.studentsPerBench;
+
+    // Largest cohorts first so any cohort that fills a whole class starts on a class boundary
+    const ordered = cohorts
+        .filter(cohort => cohort.students.length > 0)
+        .sort((a, b) => b.students.length - a.students.length);
+
+    const queue = [];
+    ordered.forEach(cohort => {
+        cohort.students.forEach(rollNumber => {
+            queue.push({ rollNumber, subjectId: cohort.subjectId, semester: cohort.semester });
+        });
+    });
+
+    const seats = [];
+
+    if (perBench <= 1) {
+        // One seat per bench: fill even benches first, then odd ones
+        const benchOrder = [];
+        for (let b = 0; b < benches; b += 2) benchOrder.push(b);
+        for (let b = 1; b < benches; b += 2) benchOrder.push(b);
+
+        queue.slice(0, benchOrder.length).forEach((student, j) => {
+            seats.push({ bench: benchOrder[j] + 1, position: 1, ...student });
+        });
+    } else if (ordered.length === 1) {
+        // A single cohort sits one per bench, alternating between the outer seats
+        queue.slice(0, benches).forEach((student, b) => {
+            seats.push({ bench: b + 1, position: b % 2 === 0 ? 1 : perBench, ...student });
+        });
+    } else {
+        // Seat (bench b, slot x) belongs to class (b + x) mod s. Seats of one class are never
+        // bench-mates or front/back neighbours, and every bench has exactly one seat per class.
+        // Students are poured class by class in bench order.
+        const slots = Math.min(perBench, ordered.length);
+        const positions = spreadPositions(slots, perBench);
+
+        queue.slice(0, benches * slots).forEach((student, j) => {
+            const seatClass = Math.floor(j / benches);
+            const bench = j % benches;
+            const slot = (((seatClass - bench) % slots) + slots) % slots;
+            seats.push({ bench: bench + 1, position: positions[slot], ...student });
+        });
+    }
+
+    return seats.sort((a, b) => a.bench - b.bench || a.position - b.position);
+};
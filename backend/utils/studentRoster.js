@@ -0,0 +1,195 @@
+const XLSX = require("xlsx");
+const moment = require("moment-timezone");
+
+// Accepted spellings for each roster column (compared after lower-casing and stripping spaces/underscores)
+const COLUMN_ALIASES = {
+    rollNumber: ["rollnumber", "rollno", "roll", "usn", "registerno", "registernumber", "regno"],
+    name: ["name", "studentname", "fullname"],
+    section: ["section", "sec"],
+    branch: ["branch", "department", "dept", "program"],
+    dateOfBirth: ["dateofbirth", "dob", "birthdate"],
+    groundFloor: ["groundfloor", "needsgroundfloor", "stepfree", "wheelchair"],
+    extraTimeMinutes: ["extratime", "extratimeminutes", "extraminutes", "compensatorytime"],
+    scribe: ["scribe", "needsscribe"]
+};
+
+const normalizeHeader = (header) => String(header).toLowerCase().replace(/[\s_.-]/g, "");
+
+const resolveColumn = (header) => {
+    const key = normalizeHeader(header);
+    return Object.keys(COLUMN_ALIASES).find(field => COLUMN_ALIASES[field].includes(key));
+};
+
+const parseDate = (value) => {
+    if (!value) return undefined;
+    if (value instanceof Date) return value;
+    const parsed = moment.tz(String(value).trim(), ["YYYY-MM-DD", "DD-MM-YYYY", "DD/MM/YYYY", "D/M/YYYY"], true, "Asia/Kolkata");
+    return parsed.isValid() ? parsed.startOf("day").toDate() : null;
+};
+
+const YES = ["yes", "y", "true", "1", "x"];
+const NO = ["", "no", "n", "false", "0", "-"];
+
+// Yes/no accommodation cells; null when unreadable
+const parseFlag = (value) => {
+    const text = String(value === undefined ? "" : value).trim().toLowerCase();
+    if (YES.includes(text)) return true;
+    if (NO.includes(text)) return false;
+    return null;
+};
+
+exports.parseFlag = parseFlag;
+
+// Natural ordering so that "1RV22CS9" sorts before "1RV22CS10"
+exports.compareRollNumbers = (a, b) => a.localeCompare(b, undefined, { numeric: true, sensitivity: "base" });
+
+/**
+ * Parse an uploaded CSV/XLSX roster into student rows
+ * @param {Buffer} buffer - Raw file contents
+ * @param {Object} defaults - Fallback section/branch when the sheet has no such column
+ * @returns {Object} - { students, errors } where errors carry the 1-based sheet row. A student's
+ *   `accommodations` only holds the needs whose columns are in the sheet, so that re-uploading a
+ *   roster without them keeps what was recorded before.
+ */
+exports.parseRoster = (buffer, defaults = {}) => {
+    // raw: keep CSV values as text so roll numbers like "0012" keep their leading zeros
+    const workbook = XLSX.read(buffer, { type: "buffer", cellDates: true, raw: true });
+    const sheet = workbook.Sheets[workbook.SheetNames[0]];
+    const rows = sheet ? XLSX.utils.sheet_to_json(sheet, { defval: "", raw: true }) : [];
+
+    const students = [];
+    const errors = [];
+    const seen = new Set();
+
+    rows.forEach((row, index) => {
+        const rowNumber = index + 2; // Header occupies row 1
+        const record = {};
+
+        for (const [header, value] of Object.entries(row)) {
+            const field = resolveColumn(header);
+            if (field) record[field] = value;
+        }
+
+        const rollNumber = String(record.rollNumber || "").trim().toUpperCase();
+        if (!rollNumber) {
+            errors.push({ row: rowNumber, message: "Roll number is missing." });
+            return;
+        }
+
+        if (seen.has(rollNumber)) {
+            errors.push({ row: rowNumber, rollNumber, message: "Duplicate roll number in file." });
+            return;
+        }
+
+        const dateOfBirth = parseDate(record.dateOfBirth);
+        if (dateOfBirth === null) {
+            errors.push({ row: rowNumber, rollNumber, message: `Invalid date of birth "${record.dateOfBirth}".` });
+            return;
+        }
+
+        const accommodations = {};
+        for (const field of ["groundFloor", "scribe"]) {
+            if (!(field in record)) continue;
+            accommodations[field] = parseFlag(record[field]);
+            if (accommodations[field] === null) {
+                errors.push({ row: rowNumber, rollNumber, message: "Ground floor and scribe columns must be yes or no." });
+                return;
+            }
+        }
+        if ("extraTimeMinutes" in record) {
+            accommodations.extraTimeMinutes = String(record.extraTimeMinutes).trim() === "" ? 0 : Number(record.extraTimeMinutes);
+            if (!Number.isInteger(accommodations.extraTimeMinutes) || accommodations.extraTimeMinutes < 0) {
+                errors.push({ row: rowNumber, rollNumber, message: `Invalid extra time "${record.extraTimeMinutes}" (whole minutes expected).` });
+                return;
+            }
+        }
+
+        seen.add(rollNumber);
+        students.push({
+            rollNumber,
+            name: String(record.name || "").trim(),
+            section: String(record.section || defaults.section || "").trim().toUpperCase(),
+            branch: String(record.branch || defaults.branch || "").trim().toUpperCase(),
+            dateOfBirth,
+            ...(Object.keys(accommodations).length > 0 && { accommodations })
+        });
+    });
+
+    return { students, errors };
+};
+
+/**
+ * Whether a student has any accommodation that seats them apart from the hall
+ * @param {Object} accommodations - Student.accommodations
+ * @returns {Boolean}
+ */
+exports.needsAccommodation = (accommodations) =>
+    Boolean(accommodations && (accommodations.groundFloor || accommodations.scribe || accommodations.extraTimeMinutes > 0));
+
+/**
+ * Split a room allocation's students by semester
+ * @param {Object} roomAllocation - RoomAllocation document (lean or hydrated)
+ * @returns {Object} - { [semester]: [rollNumber, ...] } with roll numbers sorted
+ */
+exports.groupStudentsBySemester = (roomAllocation) => {
+    const students = roomAllocation.students || [];
+    const grouped = {};
+
+    // Cohorts describe consecutive blocks of the students array, in order
+    let offset = 0;
+    for (const cohort of roomAllocation.cohorts || []) {
+        const block = students.slice(offset, offset + cohort.count);
+        grouped[cohort.semester] = (grouped[cohort.semester] || []).concat(block);
+        offset += cohort.count;
+    }
+
+    // Older allocations without cohorts used generated "Sem{semester}-Student{n}" IDs
+    if (offset === 0) {
+        students.forEach(studentId => {
+            const semMatch = studentId.match(/^Sem(\d+)-Student\d+$/i);
+            if (!semMatch) return;
+            const semester = parseInt(semMatch[1]);
+            (grouped[semester] = grouped[semester] || []).push(studentId);
+        });
+    }
+
+    Object.values(grouped).forEach(list => list.sort(exports.compareRollNumbers));
+    return grouped;
+};
+
+/**
+ * The paper each student of a room allocation writes
+ * @param {Object} roomAllocation - RoomAllocation document (lean or hydrated)
+ * @returns {Map} - rollNumber -> subjectId string
+ */
+exports.subjectsByRollNumber = (roomAllocation) => {
+    const students = roomAllocation.students || [];
+    const subjects = new Map();
+
+    let offset = 0;
+    for (const cohort of roomAllocation.cohorts || []) {
+        students.slice(offset, offset + cohort.count).forEach(rollNumber => subjects.set(rollNumber, cohort.subjectId.toString()));
+        offset += cohort.count;
+    }
+    (roomAllocation.seats || []).forEach(seat => subjects.set(seat.rollNumber, seat.subjectId.toString()));
+
+    // Older allocations without cohorts held a single paper
+    const fallback = roomAllocation.subjectId || (roomAllocation.subjectIds || [])[0];
+    if (fallback) students.forEach(rollNumber => { if (!subjects.has(rollNumber)) subjects.set(rollNumber, fallback.toString()); });
+    return subjects;
+};
+
+/**
+ * Paper timing of one semester within a room allocation; partially overlapping papers share a
+ * room, so the room slot itself may run longer than a given semester's paper
+ * @param {Object} roomAllocation - RoomAllocation document (or lean object)
+ * @param {Number|String} semester - Semester to look up
+ * @returns {Object} - { startTime, endTime } in "HH:mm"
+ */
+exports.getCohortTiming = (roomAllocation, semester) => {
+    const cohort = (roomAllocation.cohorts || []).find(c => Number(c.semester) === Number(semester));
+    return {
+        startTime: (cohort && cohort.startTime) || roomAllocation.startTime,
+        endTime: (cohort && cohort.endTime) || roomAllocation.endTime
+    };
+};
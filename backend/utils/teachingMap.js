@@ -0,0 +1,90 @@
+const XLSX = require("xlsx");
+const TeachingAssignment = require("../models/TeachingAssignment");
+
+// Accepted spellings for each teaching map column (compared after lower-casing and stripping spaces/underscores)
+const COLUMN_ALIASES = {
+    email: ["email", "emailid", "facultyemail", "teacheremail"],
+    subjectCode: ["subjectcode", "code", "coursecode", "papercode"]
+};
+
+const normalizeHeader = (header) => String(header).toLowerCase().replace(/[\s_.-]/g, "");
+
+const resolveColumn = (header) => {
+    const key = normalizeHeader(header);
+    return Object.keys(COLUMN_ALIASES).find(field => COLUMN_ALIASES[field].includes(key));
+};
+
+/**
+ * Parse an uploaded CSV/XLSX teaching map: one row per faculty email and subject code
+ * @param {Buffer} buffer - Raw file contents
+ * @param {Map} facultyByEmail - Lower-cased email -> faculty User document
+ * @returns {Object} - { assignments, errors } where errors carry the 1-based sheet row
+ */
+exports.parseTeachingSheet = (buffer, facultyByEmail) => {
+    const workbook = XLSX.read(buffer, { type: "buffer", raw: true });
+    const sheet = workbook.Sheets[workbook.SheetNames[0]];
+    const rows = sheet ? XLSX.utils.sheet_to_json(sheet, { defval: "", raw: true }) : [];
+
+    const assignments = [];
+    const errors = [];
+    const seen = new Set();
+
+    rows.forEach((row, index) => {
+        const rowNumber = index + 2; // Header occupies row 1
+        const record = {};
+
+        for (const [header, value] of Object.entries(row)) {
+            const field = resolveColumn(header);
+            if (field) record[field] = String(value).trim();
+        }
+
+        const email = (record.email || "").toLowerCase();
+        const subjectCode = (record.subjectCode || "").toUpperCase();
+        const entry = { row: rowNumber, email, subjectCode };
+
+        if (!email || !subjectCode) {
+            errors.push({ ...entry, message: "Email and subject code are required." });
+            return;
+        }
+
+        const faculty = facultyByEmail.get(email);
+        if (!faculty) {
+            errors.push({ ...entry, message: `No faculty member with email "${email}".` });
+            return;
+        }
+
+        const key = `${email}|${subjectCode}`;
+        if (seen.has(key)) {
+            errors.push({ ...entry, message: "Duplicate row in file." });
+            return;
+        }
+
+        seen.add(key);
+        assignments.push({ ...entry, facultyId: faculty._id, facultyName: faculty.name });
+    });
+
+    return { assignments, errors };
+};
+
+/**
+ * Faculty who teach each of `subjects`, matched on subject code and semester
+ * @param {Array} subjects - Subject documents (subjectCode, semester)
+ * @param {Object} session - Mongoose session, if any
+ * @returns {Map} - Subject ID -> Set of faculty ID strings
+ */
+exports.loadSubjectTeachers = async (subjects, session = null) => {
+    const teachers = new Map(subjects.map(subject => [subject._id.toString(), new Set()]));
+    if (subjects.length === 0) return teachers;
+
+    const assignments = await TeachingAssignment.find({
+        $or: subjects.map(subject => ({ semester: subject.semester, subjectCode: String(subject.subjectCode).toUpperCase() }))
+    }).session(session);
+
+    subjects.forEach(subject => {
+        assignments
+            .filter(assignment => assignment.semester === subject.semester &&
+                assignment.subjectCode === String(subject.subjectCode).toUpperCase())
+            .forEach(assignment => teachers.get(subject._id.toString()).add(assignment.facultyId.toString()));
+    });
+    return teachers;
+};
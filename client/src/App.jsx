@@ -20,13 +20,22 @@ import UpdateAdminProfile from "./pages/UpdateAdminProfile";
 import ExamDetail from "./pages/ExamDetail";
 import FacultyList from "./pages/FacultyList";
 import AddFaculty from "./pages/AddFaculty";
+import FacultyImport from "./pages/FacultyImport";
+import TeachingMap from "./pages/TeachingMap";
 import FacultyAllocations from "./pages/FacultyAllocations";
 import FacultyDashboard from "./pages/FacultyDashboard";
 import RoomList from "./pages/RoomList";
 import ViewExams from "./pages/ViewExams";
 import CreateExam from "./pages/CreateExam";
 import FacultyDetails from "./pages/FacultyDetails";
+import UnavailabilityRequests from "./pages/UnavailabilityRequests";
+import AllocationPolicies from "./pages/AllocationPolicies";
 import AddRoom from "./pages/AddRoom";
+import Departments from "./pages/Departments";
+import StudentRoster from "./pages/StudentRoster";
+import AttendanceReport from "./pages/AttendanceReport";
+import MarkAttendance from "./pages/MarkAttendance";
+import AcknowledgeDuty from "./pages/AcknowledgeDuty";
 import Unauthorized from "./pages/Unauthorized";
 
 // Components
@@ -81,6 +90,8 @@ function AppContent() {
             {/* Public/Unprotected Routes */}
             <Route path="/login" element={<ProtectedRouteForLogin><Login /></ProtectedRouteForLogin>} />
             <Route path="/unauthorized" element={<Unauthorized />} />
+            <Route path="/seat-lookup" element={<StudentDashboard />} />
+            <Route path="/duties/acknowledge/:token" element={<AcknowledgeDuty />} />
 
             {/* Protected Routes - Admin */}
             <Route
@@ -99,6 +110,10 @@ function AppContent() {
               path="/rooms/add"
               element={<ProtectedRoute allowedRoles={["admin"]}><AddRoom /></ProtectedRoute>}
             />
+            <Route
+              path="/students"
+              element={<ProtectedRoute allowedRoles={["admin"]}><StudentRoster /></ProtectedRoute>}
+            />
             <Route
               path="/faculty"
               element={<ProtectedRoute allowedRoles={["admin"]}><FacultyList /></ProtectedRoute>}
@@ -107,6 +122,18 @@ function AppContent() {
               path="/faculty/add"
               element={<ProtectedRoute allowedRoles={["admin"]}><AddFaculty /></ProtectedRoute>}
             />
+            <Route
+              path="/faculty/import"
+              element={<ProtectedRoute allowedRoles={["admin"]}><FacultyImport /></ProtectedRoute>}
+            />
+            <Route
+              path="/faculty/teaching"
+              element={<ProtectedRoute allowedRoles={["admin"]}><TeachingMap /></ProtectedRoute>}
+            />
+            <Route
+              path="/faculty/unavailability"
+              element={<ProtectedRoute allowedRoles={["admin"]}><UnavailabilityRequests /></ProtectedRoute>}
+            />
             <Route
               path="/faculty/:id"
               element={<ProtectedRoute allowedRoles={["admin"]}><FacultyDetails /></ProtectedRoute>}
@@ -115,16 +142,32 @@ function AppContent() {
               path="/faculty/allocations/:id"
               element={<ProtectedRoute allowedRoles={["admin"]}><FacultyAllocations /></ProtectedRoute>}
             />
+            <Route
+              path="/policies"
+              element={<ProtectedRoute allowedRoles={["admin"]}><AllocationPolicies /></ProtectedRoute>}
+            />
+            <Route
+              path="/departments"
+              element={<ProtectedRoute allowedRoles={["admin"]}><Departments /></ProtectedRoute>}
+            />
             <Route
               path="/exams/create"
               element={<ProtectedRoute allowedRoles={["admin"]}><CreateExam /></ProtectedRoute>}
             />
+            <Route
+              path="/exams/:id/attendance"
+              element={<ProtectedRoute allowedRoles={["admin"]}><AttendanceReport /></ProtectedRoute>}
+            />
 
             {/* Protected Routes - Faculty */}
             <Route
               path="/dashboard/faculty"
               element={<ProtectedRoute allowedRoles={["faculty"]}><FacultyDashboard user={user} /></ProtectedRoute>}
             />
+            <Route
+              path="/attendance/:allocationId"
+              element={<ProtectedRoute allowedRoles={["faculty"]}><MarkAttendance /></ProtectedRoute>}
+            />
 
             {/* Protected Routes - Admin & Faculty */}
             <Route
@@ -0,0 +1,35 @@
+import { useEffect, useState } from "react";
+import { useSelector } from "react-redux";
+import axios from "axios";
+import { selectUser } from "../redux/authSlice";
+
+// Department picker for forms and list filters. Department admins always work within their own
+// department, so they get no picker at all.
+export default function DepartmentSelect({ value, onChange, emptyLabel = "All departments", className = "" }) {
+  const user = useSelector(selectUser);
+  const [departments, setDepartments] = useState([]);
+
+  useEffect(() => {
+    if (user?.department) return;
+    axios.get("http://localhost:4000/departments/all", { withCredentials: true })
+      .then(res => setDepartments(res.data.data || []))
+      .catch(err => console.error("Error fetching departments:", err));
+  }, [user?.department]);
+
+  if (user?.department) return null;
+
+  return (
+    <select
+      value={value || ""}
+      onChange={e => onChange(e.target.value)}
+      className={className || "border border-gray-300 rounded-lg px-3 py-2 text-sm bg-white"}
+    >
+      <option value="">{emptyLabel}</option>
+      {departments.map(department => (
+        <option key={department._id} value={department._id}>
+          {department.code} - {department.name}
+        </option>
+      ))}
+    </select>
+  );
+}
@@ -0,0 +1,198 @@
+import { useCallback, useEffect, useState } from "react";
+import moment from "moment";
+import { ChevronLeft, ChevronRight, Trash2, X } from "lucide-react";
+
+const emptyForm = { type: "Event", fromDate: "", fromTime: "", toDate: "", toTime: "", reason: "" };
+
+// Month view of a room's blackouts and exam sittings, with blackout management
+export default function RoomCalendar({ room, onClose }) {
+  const [month, setMonth] = useState(() => moment().startOf("month"));
+  const [calendar, setCalendar] = useState({ blackouts: [], bookings: [] });
+  const [isLoading, setIsLoading] = useState(true);
+  const [form, setForm] = useState(emptyForm);
+  const [saving, setSaving] = useState(false);
+  const [message, setMessage] = useState(null);
+
+  const fetchCalendar = useCallback(() => {
+    setIsLoading(true);
+    const from = month.format("YYYY-MM-DD");
+    const to = month.clone().endOf("month").format("YYYY-MM-DD");
+    fetch(`http://localhost:4000/room/${room._id}/calendar?from=${from}&to=${to}`, { credentials: "include" })
+      .then((res) => res.json())
+      .then((data) => {
+        if (data.success) setCalendar(data.data);
+      })
+      .catch((err) => console.error("Error fetching room calendar:", err))
+      .finally(() => setIsLoading(false));
+  }, [room._id, month]);
+
+  useEffect(() => {
+    fetchCalendar();
+  }, [fetchCalendar]);
+
+  const handleChange = (e) => {
+    setForm((prev) => ({ ...prev, [e.target.name]: e.target.value }));
+  };
+
+  const handleAdd = (e) => {
+    e.preventDefault();
+    setSaving(true);
+    fetch(`http://localhost:4000/room/${room._id}/blackouts`, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      credentials: "include",
+      body: JSON.stringify(form)
+    })
+      .then((res) => res.json())
+      .then((data) => {
+        setMessage({ type: data.success ? (data.conflictingBookings?.length ? "warning" : "success") : "error", text: data.message, conflicts: data.conflictingBookings || [] });
+        if (data.success) {
+          setForm(emptyForm);
+          fetchCalendar();
+        }
+      })
+      .catch((err) => {
+        console.error("Error adding blackout:", err);
+        setMessage({ type: "error", text: "Failed to add blackout", conflicts: [] });
+      })
+      .finally(() => setSaving(false));
+  };
+
+  const handleDelete = (blackout) => {
+    if (!window.confirm("Remove this blackout?")) return;
+    fetch(`http://localhost:4000/room/blackouts/${blackout._id}`, { method: "DELETE", credentials: "include" })
+      .then((res) => {
+        if (!res.ok) throw new Error("Failed to delete");
+        fetchCalendar();
+      })
+      .catch((err) => {
+        console.error("Error deleting blackout:", err);
+        setMessage({ type: "error", text: "Failed to remove blackout", conflicts: [] });
+      });
+  };
+
+  // Weeks of the month, Monday first, padded with days of the neighbouring months
+  const gridStart = month.clone().startOf("isoWeek");
+  const gridEnd = month.clone().endOf("month").endOf("isoWeek");
+  const days = [];
+  for (let day = gridStart.clone(); day.isSameOrBefore(gridEnd, "day"); day.add(1, "day")) {
+    days.push(day.clone());
+  }
+
+  const blackoutsOn = (day) =>
+    calendar.blackouts.filter((blackout) =>
+      moment(blackout.from).isBefore(day.clone().endOf("day")) && moment(blackout.to).isAfter(day.clone().startOf("day"))
+    );
+  const bookingsOn = (day) => calendar.bookings.filter((booking) => booking.date === day.format("YYYY-MM-DD"));
+
+  const messageStyles = {
+    success: "bg-green-50 text-green-700 border-green-500",
+    warning: "bg-amber-50 text-amber-800 border-amber-500",
+    error: "bg-red-50 text-red-700 border-red-500"
+  };
+
+  return (
+    <div className="bg-white rounded-xl shadow p-6 mt-6">
+      <div className="flex justify-between items-center mb-4">
+        <h2 className="text-xl font-semibold text-gray-800">
+          Calendar: {room.building}, Room {room.roomNumber}
+        </h2>
+        <button onClick={onClose} className="text-gray-400 hover:text-gray-600" title="Close">
+          <X size={20} />
+        </button>
+      </div>
+
+      <div className="flex items-center justify-between mb-3">
+        <button onClick={() => setMonth((prev) => prev.clone().subtract(1, "month"))} className="p-1 rounded hover:bg-gray-100">
+          <ChevronLeft size={20} />
+        </button>
+        <span className="font-medium text-gray-700">{month.format("MMMM YYYY")}</span>
+        <button onClick={() => setMonth((prev) => prev.clone().add(1, "month"))} className="p-1 rounded hover:bg-gray-100">
+          <ChevronRight size={20} />
+        </button>
+      </div>
+
+      <div className={`grid grid-cols-7 gap-px bg-gray-200 border border-gray-200 text-xs ${isLoading ? "opacity-50" : ""}`}>
+        {["Mon", "Tue", "Wed", "Thu", "Fri", "Sat", "Sun"].map((label) => (
+          <div key={label} className="bg-gray-50 px-2 py-1 font-medium text-gray-500">{label}</div>
+        ))}
+        {days.map((day) => (
+          <div
+            key={day.format("YYYY-MM-DD")}
+            className={`bg-white min-h-20 p-1 ${day.month() !== month.month() ? "text-gray-300" : "text-gray-700"}`}
+          >
+            <div className="font-medium">{day.date()}</div>
+            {blackoutsOn(day).map((blackout) => (
+              <div key={blackout._id} className="mt-0.5 px-1 rounded bg-red-100 text-red-800 truncate" title={blackout.reason}>
+                {blackout.type}
+              </div>
+            ))}
+            {bookingsOn(day).map((booking) => (
+              <div key={booking.roomAllocationId} className="mt-0.5 px-1 rounded bg-blue-100 text-blue-800 truncate" title={`${booking.examName} (${booking.students} students)`}>
+                {booking.time} {booking.examName}
+              </div>
+            ))}
+          </div>
+        ))}
+      </div>
+
+      {calendar.blackouts.length > 0 && (
+        <ul className="mt-4 divide-y divide-gray-100 text-sm">
+          {calendar.blackouts.map((blackout) => (
+            <li key={blackout._id} className="flex justify-between items-center py-2">
+              <span>
+                <span className="font-medium text-red-700">{blackout.type}</span>{" "}
+                {moment(blackout.from).format("DD MMM YYYY, h:mm A")} to {moment(blackout.to).format("DD MMM YYYY, h:mm A")}
+                {blackout.reason && <span className="text-gray-500"> ({blackout.reason})</span>}
+              </span>
+              <button onClick={() => handleDelete(blackout)} className="text-red-500 hover:text-red-700" title="Remove">
+                <Trash2 size={16} />
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+
+      {message && (
+        <div className={`mt-4 px-4 py-3 rounded-lg border-l-4 text-sm ${messageStyles[message.type]}`}>
+          <p>{message.text}</p>
+          {message.conflicts.map((booking) => (
+            <p key={booking.roomAllocationId}>
+              {booking.date} {booking.time}: {booking.examName} ({booking.students} students)
+            </p>
+          ))}
+        </div>
+      )}
+
+      <form onSubmit={handleAdd} className="mt-4 grid grid-cols-1 md:grid-cols-6 gap-3 text-sm">
+        <select name="type" value={form.type} onChange={handleChange} className="border border-gray-300 rounded-md p-2">
+          <option value="Event">Event</option>
+          <option value="Maintenance">Maintenance</option>
+          <option value="Other">Other</option>
+        </select>
+        <input type="date" name="fromDate" value={form.fromDate} onChange={handleChange} required className="border border-gray-300 rounded-md p-2" />
+        <input type="time" name="fromTime" value={form.fromTime} onChange={handleChange} className="border border-gray-300 rounded-md p-2" />
+        <input type="date" name="toDate" value={form.toDate} onChange={handleChange} className="border border-gray-300 rounded-md p-2" />
+        <input type="time" name="toTime" value={form.toTime} onChange={handleChange} className="border border-gray-300 rounded-md p-2" />
+        <button
+          type="submit"
+          disabled={saving}
+          className="bg-red-600 hover:bg-red-700 disabled:opacity-60 text-white rounded-md px-3 py-2"
+        >
+          {saving ? "Saving..." : "Block Room"}
+        </button>
+        <input
+          type="text"
+          name="reason"
+          value={form.reason}
+          onChange={handleChange}
+          placeholder="Reason (e.g., Annual day rehearsal, ceiling repair)"
+          className="md:col-span-6 border border-gray-300 rounded-md p-2"
+        />
+        <p className="md:col-span-6 text-gray-500">
+          Leave the times empty to block whole days; the end date defaults to the start date.
+        </p>
+      </form>
+    </div>
+  );
+}
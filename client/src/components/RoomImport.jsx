@@ -0,0 +1,117 @@
+import { useState } from "react";
+import { Upload, X } from "lucide-react";
+
+// Bulk room import from CSV/XLSX; "Check File" runs the import as a dry run first
+export default function RoomImport({ onClose, onImported }) {
+  const [file, setFile] = useState(null);
+  const [updateExisting, setUpdateExisting] = useState(false);
+  const [working, setWorking] = useState(false);
+  const [status, setStatus] = useState(null);
+  const [report, setReport] = useState(null);
+
+  const submit = (dryRun) => {
+    if (!file) {
+      setStatus({ type: "error", text: "Choose a CSV or Excel file first." });
+      return;
+    }
+
+    const body = new FormData();
+    body.append("file", file);
+    body.append("updateExisting", updateExisting);
+    body.append("dryRun", dryRun);
+
+    setWorking(true);
+    setReport(null);
+    fetch("http://localhost:4000/room/import", { method: "POST", credentials: "include", body })
+      .then((res) => res.json())
+      .then((data) => {
+        setStatus({ type: data.success ? "success" : "error", text: data.message });
+        setReport(data.success ? data.data : { errors: data.errors || [] });
+        if (data.success && !dryRun) onImported();
+      })
+      .catch((err) => {
+        console.error("Error importing rooms:", err);
+        setStatus({ type: "error", text: "Failed to import rooms" });
+      })
+      .finally(() => setWorking(false));
+  };
+
+  return (
+    <div className="bg-white rounded-xl shadow p-6 mb-6">
+      <div className="flex justify-between items-center mb-2">
+        <h2 className="text-xl font-semibold text-gray-800">Import Rooms</h2>
+        <button onClick={onClose} className="text-gray-400 hover:text-gray-600" title="Close">
+          <X size={20} />
+        </button>
+      </div>
+      <p className="text-sm text-gray-500 mb-4">
+        CSV or Excel sheet with <span className="font-medium">Building, Floor, Room Number, Total Benches</span> and{" "}
+        <span className="font-medium">Students Per Bench</span> columns. Optional columns: Ground Floor, Lift Access and
+        Separate Room (yes/no), Features (e.g. "Computer lab, CCTV") and Department (code or name; blank for shared rooms).
+        An export can be edited and imported again.
+      </p>
+
+      <div className="flex flex-col md:flex-row md:items-center gap-4">
+        <input
+          type="file"
+          accept=".csv,.xlsx,.xls"
+          onChange={(e) => {
+            setFile(e.target.files[0] || null);
+            setReport(null);
+          }}
+          className="text-sm text-gray-700"
+        />
+        <label className="inline-flex items-center text-sm text-gray-700">
+          <input
+            type="checkbox"
+            checked={updateExisting}
+            onChange={(e) => setUpdateExisting(e.target.checked)}
+            className="h-4 w-4 text-indigo-600 rounded mr-2"
+          />
+          Update rooms that already exist (otherwise they are skipped)
+        </label>
+      </div>
+
+      <div className="flex gap-3 mt-4">
+        <button
+          onClick={() => submit(true)}
+          disabled={working}
+          className="px-4 py-2 border border-gray-300 hover:bg-gray-50 text-gray-700 rounded-lg transition-colors disabled:opacity-60"
+        >
+          Check File
+        </button>
+        <button
+          onClick={() => submit(false)}
+          disabled={working}
+          className="px-4 py-2 bg-green-600 hover:bg-green-700 text-white rounded-lg transition-colors flex items-center disabled:bg-gray-400"
+        >
+          <Upload size={16} className="mr-2" />
+          {working ? "Working..." : "Import"}
+        </button>
+      </div>
+
+      {status && (
+        <p className={`mt-4 text-sm font-medium ${status.type === "success" ? "text-green-700" : "text-red-600"}`}>{status.text}</p>
+      )}
+
+      {report && (
+        <div className="text-sm text-gray-700 border-t pt-4 mt-4">
+          {report.created !== undefined && (
+            <p className="mb-2">
+              {report.dryRun ? "Would add" : "Added"} <span className="font-semibold">{report.created}</span>,{" "}
+              {report.dryRun ? "update" : "updated"} <span className="font-semibold">{report.updated}</span>, skipped{" "}
+              <span className="font-semibold">{report.skipped}</span>.
+            </p>
+          )}
+          {report.errors?.length > 0 && (
+            <ul className="list-disc ml-5 text-red-600 max-h-40 overflow-y-auto">
+              {report.errors.map((err, idx) => (
+                <li key={idx}>Row {err.row}{err.room ? ` (${err.room})` : ""}: {err.message}</li>
+              ))}
+            </ul>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
@@ -11,7 +11,9 @@ import {
   FaBuilding,
   FaChevronDown,
   FaSignOutAlt,
-  FaChartBar
+  FaChartBar,
+  FaUsers,
+  FaSitemap
 } from 'react-icons/fa';
 
 export default function Sidebar({ user }) { // `user` prop is still fine if you pass it
@@ -149,6 +151,7 @@ export default function Sidebar({ user }) { // `user` prop is still fine if you
             >
               <SubMenuItem to="/exams" title="View Exams" />
               <SubMenuItem to="/exams/create" title="Create Exam" />
+              <SubMenuItem to="/policies" title="Allocation Policies" />
             </DropdownMenu>
 
             <DropdownMenu
@@ -160,6 +163,9 @@ export default function Sidebar({ user }) { // `user` prop is still fine if you
             >
               <SubMenuItem to="/faculty" title="View Faculty" />
               <SubMenuItem to="/faculty/add" title="Add Faculty" />
+              <SubMenuItem to="/faculty/import" title="Import Faculty" />
+              <SubMenuItem to="/faculty/teaching" title="Teaching Map" />
+              <SubMenuItem to="/faculty/unavailability" title="Leave Requests" />
             </DropdownMenu>
 
             <DropdownMenu
@@ -172,6 +178,20 @@ export default function Sidebar({ user }) { // `user` prop is still fine if you
               <SubMenuItem to="/rooms" title="View Rooms" />
               <SubMenuItem to="/rooms/add" title="Add Room" />
             </DropdownMenu>
+
+            <MenuItem
+              to="/students"
+              icon={<FaUsers className="text-lg" />}
+              title="Student Rosters"
+            />
+
+            {!user?.department && (
+              <MenuItem
+                to="/departments"
+                icon={<FaSitemap className="text-lg" />}
+                title="Departments"
+              />
+            )}
           </>
         )}
 
@@ -0,0 +1,46 @@
+import { useEffect, useState } from "react";
+import { useParams, Link } from "react-router-dom";
+import axios from "axios";
+import { CheckCircle, AlertCircle } from "lucide-react";
+
+// Opened from the acknowledgement link in a duty email; the signed link stands in for a login
+export default function AcknowledgeDuty() {
+  const { token } = useParams();
+  const [result, setResult] = useState(null);
+
+  useEffect(() => {
+    axios.post(`http://localhost:4000/faculty/duties/acknowledge/${token}`)
+      .then((res) => setResult({ success: true, message: res.data.message, duty: res.data.data }))
+      .catch((err) => {
+        console.error("Error acknowledging duty:", err);
+        setResult({ success: false, message: err.response?.data?.message || "Could not acknowledge the duty. Please try again." });
+      });
+  }, [token]);
+
+  return (
+    <div className="max-w-lg mx-auto p-6 mt-16">
+      <div className="bg-white rounded-xl shadow p-8 text-center">
+        {!result ? (
+          <div className="flex justify-center items-center h-24">
+            <div className="animate-spin rounded-full h-12 w-12 border-t-2 border-b-2 border-blue-500"></div>
+          </div>
+        ) : (
+          <>
+            {result.success
+              ? <CheckCircle size={48} className="mx-auto mb-4 text-green-600" />
+              : <AlertCircle size={48} className="mx-auto mb-4 text-red-600" />}
+            <h1 className="text-xl font-semibold text-gray-800 mb-2">{result.message}</h1>
+            {result.duty && (
+              <p className="text-gray-600">
+                {result.duty.facultyName}: {result.duty.examName}, {result.duty.date}, {result.duty.startTime} - {result.duty.endTime}
+              </p>
+            )}
+            <Link to="/login" className="inline-block mt-6 text-sm text-blue-600 hover:text-blue-800">
+              Log in to see all your duties
+            </Link>
+          </>
+        )}
+      </div>
+    </div>
+  );
+}
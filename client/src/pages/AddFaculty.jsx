@@ -1,13 +1,22 @@
 import { useState, useEffect } from "react";
 import { User, Mail, Award, CheckCircle, AlertCircle, Save, X, Sparkles } from "lucide-react";
 import axios from "axios";
+import DepartmentSelect from "../components/DepartmentSelect";
 
 export default function AddFaculty() {
-  const [form, setForm] = useState({ name: "", email: "", designation: "" });
+  const [form, setForm] = useState({ name: "", email: "", designation: "", department: "" });
   const [loading, setLoading] = useState(false);
   const [status, setStatus] = useState({ type: null, message: "" });
   const [focusedField, setFocusedField] = useState(null);
   const [formTouched, setFormTouched] = useState({ name: false, email: false, designation: false });
+  const [designationOptions, setDesignationOptions] = useState([]);
+
+  // Designations come from the allocation policies, so new ones (e.g. Lab Instructor) appear once a policy lists them
+  useEffect(() => {
+    axios.get("http://localhost:4000/policies/designations", { withCredentials: true })
+      .then(res => setDesignationOptions(res.data.data || []))
+      .catch(err => console.error("Error fetching designations:", err));
+  }, []);
 
   // Auto-dismiss status message after 5 seconds
   useEffect(() => {
@@ -50,7 +59,7 @@ export default function AddFaculty() {
       await axios.post("http://localhost:4000/faculty/add", form, { withCredentials: true });
       
       setStatus({ type: "success", message: "Faculty added successfully!" });
-      setForm({ name: "", email: "", designation: "" });
+      setForm({ name: "", email: "", designation: "", department: "" });
       setFormTouched({ name: false, email: false, designation: false });
     } catch (err) {
       console.error(err);
@@ -84,14 +93,7 @@ export default function AddFaculty() {
   const nameState = getFieldValidationState("name");
   const designationState = getFieldValidationState("designation");
 
-  const designations = [
-    { value: "Professor", label: "Professor" },
-    { value: "Associate Professor", label: "Associate Professor" },
-    { value: "Assistant Professor", label: "Assistant Professor" },
-    { value: "Lecturer", label: "Lecturer" },
-    { value: "Visiting Faculty", label: "Visiting Faculty" },
-    { value: "Industry Expert", label: "Industry Expert" }
-  ];
+  const designations = designationOptions.map(designation => ({ value: designation, label: designation }));
 
   const isFormValid = form.name && form.email && form.designation && isEmailValid(form.email);
 
@@ -301,6 +303,14 @@ export default function AddFaculty() {
                 )}
               </div>
 
+              {/* Department Field (department admins always add to their own) */}
+              <DepartmentSelect
+                value={form.department}
+                onChange={department => setForm({ ...form, department })}
+                emptyLabel="No department"
+                className="block w-full px-3 py-3 border border-gray-300 rounded-lg focus:outline-none focus:ring-indigo-500 focus:border-indigo-500 text-gray-800 bg-white"
+              />
+
               {/* Submit Button */}
               <div className="pt-6">
                 <button
@@ -336,7 +346,7 @@ export default function AddFaculty() {
             <div className="flex items-center justify-between">
               <div className="flex items-center">
                 <AlertCircle className="h-4 w-4 mr-2 text-indigo-500" />
-                <p>All fields are required</p>
+                <p>All fields except department are required</p>
               </div>
               <div className="text-xs text-indigo-500 font-medium">
                 Faculty Management System
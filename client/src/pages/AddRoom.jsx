@@ -1,6 +1,7 @@
 import React, { useState, useEffect } from "react";
 import { AlertCircle, CheckCircle, Building, Layers, DoorOpen, Users, Grid, Save, X, Sparkles } from "lucide-react";
 import axios from "axios";
+import DepartmentSelect from "../components/DepartmentSelect";
 
 export default function AddRoom() {
   const [form, setForm] = useState({
@@ -10,6 +11,13 @@ export default function AddRoom() {
     totalBenches: "",
     studentsPerBench: ""
   });
+  // Used to seat students with accommodations
+  const [accessibility, setAccessibility] = useState({ groundFloor: false, liftAccess: false, separateRoom: false });
+  // Papers can require these (e.g. a computer lab)
+  const [features, setFeatures] = useState([]);
+  const [featureLabels, setFeatureLabels] = useState({});
+  // Rooms without a department are shared by all departments
+  const [department, setDepartment] = useState("");
   const [loading, setLoading] = useState(false);
   const [status, setStatus] = useState({ type: null, message: "" });
   const [focusedField, setFocusedField] = useState(null);
@@ -21,6 +29,12 @@ export default function AddRoom() {
     studentsPerBench: false
   });
 
+  useEffect(() => {
+    axios.get("http://localhost:4000/room/features", { withCredentials: true })
+      .then(res => setFeatureLabels(res.data.data || {}))
+      .catch(err => console.error("Error fetching room features:", err));
+  }, []);
+
   // Auto-dismiss status message after 5 seconds
   useEffect(() => {
     if (status.type) {
@@ -60,7 +74,7 @@ export default function AddRoom() {
     setLoading(true);
     
     try {
-      axios.post("http://localhost:4000/room/add", form, { withCredentials: true })
+      axios.post("http://localhost:4000/room/add", { ...form, accessibility, features, department }, { withCredentials: true })
         .then(() => {
           setStatus({ 
             type: "success", 
@@ -74,6 +88,9 @@ export default function AddRoom() {
             totalBenches: "", 
             studentsPerBench: "" 
           });
+          setAccessibility({ groundFloor: false, liftAccess: false, separateRoom: false });
+          setFeatures([]);
+          setDepartment("");
           setFormTouched({
             building: false,
             floor: false,
@@ -247,6 +264,54 @@ export default function AddRoom() {
                 );
               })}
 
+              {/* Accessibility */}
+              <div className="space-y-2">
+                <span className="block text-sm font-medium text-gray-700">Accessibility</span>
+                <div className="flex flex-wrap gap-4 text-sm text-gray-700">
+                  {[
+                    ["groundFloor", "Ground floor"],
+                    ["liftAccess", "Lift access"],
+                    ["separateRoom", "Separate room (e.g. for a scribe)"]
+                  ].map(([field, label]) => (
+                    <label key={field} className="flex items-center gap-2">
+                      <input
+                        type="checkbox"
+                        checked={accessibility[field]}
+                        onChange={e => setAccessibility(prev => ({ ...prev, [field]: e.target.checked }))}
+                      />
+                      {label}
+                    </label>
+                  ))}
+                </div>
+              </div>
+
+              {/* Features */}
+              {Object.keys(featureLabels).length > 0 && (
+                <div className="space-y-2">
+                  <span className="block text-sm font-medium text-gray-700">Features</span>
+                  <div className="flex flex-wrap gap-4 text-sm text-gray-700">
+                    {Object.entries(featureLabels).map(([feature, label]) => (
+                      <label key={feature} className="flex items-center gap-2">
+                        <input
+                          type="checkbox"
+                          checked={features.includes(feature)}
+                          onChange={e => setFeatures(prev => e.target.checked ? [...prev, feature] : prev.filter(f => f !== feature))}
+                        />
+                        {label}
+                      </label>
+                    ))}
+                  </div>
+                </div>
+              )}
+
+              {/* Department */}
+              <DepartmentSelect
+                value={department}
+                onChange={setDepartment}
+                emptyLabel="Shared (no department)"
+                className="block w-full px-3 py-3 border border-gray-300 rounded-lg focus:outline-none focus:ring-indigo-500 focus:border-indigo-500 text-gray-800 bg-white"
+              />
+
               {/* Submit Button */}
               <div className="pt-6">
                 <button
@@ -0,0 +1,396 @@
+import { useCallback, useEffect, useState } from "react";
+import axios from "axios";
+import DepartmentSelect from "../components/DepartmentSelect";
+
+const emptyRow = { designation: "", minPercent: 0, maxPercent: 100 };
+const noRoles = { chiefSuperintendent: false, chiefDesignations: [], roomsPerSquad: 0, roomsPerRelief: 0 };
+
+const toRows = (designations) =>
+  designations.map((quota) => ({
+    designation: quota.designation,
+    minPercent: Math.round(quota.minRatio * 100),
+    maxPercent: Math.round(quota.maxRatio * 100),
+  }));
+
+export default function AllocationPolicies() {
+  const [policies, setPolicies] = useState([]);
+  const [builtIn, setBuiltIn] = useState(null);
+  const [isLoading, setIsLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+  const [editingId, setEditingId] = useState(null);
+  const [department, setDepartment] = useState(""); // List filter: the department's policies and college-wide ones
+  const [form, setForm] = useState({ name: "", description: "", department: "", isDefault: false, rows: [{ ...emptyRow }], roles: noRoles });
+
+  const fetchPolicies = useCallback(() => {
+    setIsLoading(true);
+    axios.get("http://localhost:4000/policies/all", { withCredentials: true, params: { department: department || undefined } })
+      .then(res => {
+        setPolicies(res.data.data);
+        setBuiltIn(res.data.builtIn);
+        setIsLoading(false);
+      })
+      .catch(err => {
+        console.error("Error fetching policies:", err);
+        setIsLoading(false);
+      });
+  }, [department]);
+
+  useEffect(() => {
+    fetchPolicies();
+  }, [fetchPolicies]);
+
+  const resetForm = () => {
+    setEditingId(null);
+    setForm({ name: "", description: "", department: "", isDefault: false, rows: [{ ...emptyRow }], roles: noRoles });
+  };
+
+  const startEdit = (policy) => {
+    setEditingId(policy._id);
+    setForm({
+      name: policy.name,
+      description: policy.description || "",
+      department: policy.department?._id || "",
+      isDefault: policy.isDefault,
+      rows: toRows(policy.designations),
+      roles: { ...noRoles, ...policy.roles },
+    });
+  };
+
+  const startFromBuiltIn = () => {
+    setEditingId(null);
+    setForm({ name: "", description: "", department: "", isDefault: true, rows: toRows(builtIn.designations), roles: noRoles });
+  };
+
+  const updateRoles = (field, value) => {
+    setForm(prev => ({ ...prev, roles: { ...prev.roles, [field]: value } }));
+  };
+
+  const toggleChiefDesignation = (designation) => {
+    setForm(prev => {
+      const current = prev.roles.chiefDesignations;
+      const chiefDesignations = current.includes(designation)
+        ? current.filter(name => name !== designation)
+        : [...current, designation];
+      return { ...prev, roles: { ...prev.roles, chiefDesignations } };
+    });
+  };
+
+  const updateRow = (index, field, value) => {
+    setForm(prev => ({
+      ...prev,
+      rows: prev.rows.map((row, i) => (i === index ? { ...row, [field]: value } : row)),
+    }));
+  };
+
+  const minTotal = form.rows.reduce((sum, row) => sum + Number(row.minPercent || 0), 0);
+  const maxTotal = form.rows.reduce((sum, row) => sum + Number(row.maxPercent || 0), 0);
+
+  const handleSave = async (e) => {
+    e.preventDefault();
+    setSaving(true);
+    const payload = {
+      name: form.name,
+      description: form.description,
+      department: form.department,
+      isDefault: form.isDefault,
+      designations: form.rows
+        .filter(row => row.designation.trim())
+        .map(row => ({
+          designation: row.designation.trim(),
+          minRatio: Number(row.minPercent) / 100,
+          maxRatio: Number(row.maxPercent) / 100,
+        })),
+      roles: {
+        ...form.roles,
+        // Designations removed from the table since they were ticked no longer count
+        chiefDesignations: form.roles.chiefDesignations.filter(name => form.rows.some(row => row.designation.trim() === name)),
+      },
+    };
+
+    try {
+      const res = editingId
+        ? await axios.put(`http://localhost:4000/policies/update/${editingId}`, payload, { withCredentials: true })
+        : await axios.post("http://localhost:4000/policies/add", payload, { withCredentials: true });
+      alert(res.data.message);
+      resetForm();
+      fetchPolicies();
+    } catch (err) {
+      console.error("Error saving policy:", err);
+      alert(err.response?.data?.message || "Something went wrong while saving.");
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleDelete = async (policy) => {
+    if (!window.confirm(`Delete policy "${policy.name}"?`)) return;
+    try {
+      await axios.delete(`http://localhost:4000/policies/delete/${policy._id}`, { withCredentials: true });
+      setPolicies(prev => prev.filter(p => p._id !== policy._id));
+      if (editingId === policy._id) resetForm();
+    } catch (err) {
+      console.error("Error deleting policy:", err);
+      alert(err.response?.data?.message || "Something went wrong while deleting.");
+    }
+  };
+
+  const renderQuotas = (designations) => (
+    <div className="flex flex-wrap gap-2 mt-2">
+      {designations.map(quota => (
+        <span key={quota.designation} className="bg-indigo-50 text-indigo-800 text-xs px-2 py-1 rounded-full">
+          {quota.designation}: {Math.round(quota.minRatio * 100)}–{Math.round(quota.maxRatio * 100)}%
+        </span>
+      ))}
+    </div>
+  );
+
+  const renderRoles = (roles) => {
+    if (!roles) return null;
+    const labels = [
+      roles.chiefSuperintendent &&
+        `Chief superintendent${roles.chiefDesignations.length ? ` (${roles.chiefDesignations.join(", ")})` : ""}`,
+      roles.roomsPerSquad > 0 && `1 squad per ${roles.roomsPerSquad} rooms`,
+      roles.roomsPerRelief > 0 && `1 relief per ${roles.roomsPerRelief} rooms`,
+    ].filter(Boolean);
+    return labels.length > 0 && (
+      <div className="flex flex-wrap gap-2 mt-2">
+        {labels.map(label => (
+          <span key={label} className="bg-amber-50 text-amber-800 text-xs px-2 py-1 rounded-full">{label}</span>
+        ))}
+      </div>
+    );
+  };
+
+  return (
+    <div className="ml-71 p-6 max-w-6xl">
+      <div className="flex justify-between items-center mb-6">
+        <h1 className="text-3xl font-bold text-gray-800">Allocation Policies</h1>
+      </div>
+      <p className="text-gray-600 mb-6">
+        Each policy sets the minimum and maximum share of an exam's invigilation duties per designation.
+        Faculty whose designation is not listed are never allocated under that policy. Exams without a
+        policy of their own use the default of the department owning all their papers, else the college-wide default.
+        A policy can also ask for a chief superintendent and squad (flying) and relief invigilators in every exam session.
+      </p>
+      <div className="mb-6">
+        <DepartmentSelect value={department} onChange={setDepartment} />
+      </div>
+
+      <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
+        <div className="space-y-4">
+          {isLoading ? (
+            <div className="flex justify-center items-center h-40">
+              <div className="animate-spin rounded-full h-12 w-12 border-t-2 border-b-2 border-blue-500"></div>
+            </div>
+          ) : (
+            <>
+              {!policies.some(policy => policy.isDefault && !policy.department) && builtIn && (
+                <div className="bg-gray-50 rounded-lg border border-dashed border-gray-300 p-4">
+                  <div className="flex justify-between items-center">
+                    <h2 className="font-semibold text-gray-700">{builtIn.name} (in use as default)</h2>
+                    <button onClick={startFromBuiltIn} className="text-sm text-blue-600 hover:text-blue-800">
+                      Customise
+                    </button>
+                  </div>
+                  {renderQuotas(builtIn.designations)}
+                </div>
+              )}
+              {policies.map(policy => (
+                <div key={policy._id} className="bg-white rounded-lg shadow p-4 border border-gray-100">
+                  <div className="flex justify-between items-start">
+                    <div>
+                      <h2 className="font-semibold text-gray-800">
+                        {policy.name}
+                        {policy.isDefault && (
+                          <span className="ml-2 bg-green-100 text-green-800 text-xs px-2 py-0.5 rounded-full">Default</span>
+                        )}
+                        <span className="ml-2 bg-gray-100 text-gray-700 text-xs px-2 py-0.5 rounded-full">
+                          {policy.department ? policy.department.code : "College-wide"}
+                        </span>
+                      </h2>
+                      {policy.description && <p className="text-sm text-gray-500">{policy.description}</p>}
+                    </div>
+                    <div className="flex gap-3 text-sm">
+                      <button onClick={() => startEdit(policy)} className="text-blue-600 hover:text-blue-800">Edit</button>
+                      <button onClick={() => handleDelete(policy)} className="text-red-600 hover:text-red-800">Delete</button>
+                    </div>
+                  </div>
+                  {renderQuotas(policy.designations)}
+                  {renderRoles(policy.roles)}
+                </div>
+              ))}
+            </>
+          )}
+        </div>
+
+        <form onSubmit={handleSave} className="bg-white rounded-lg shadow p-5 border border-gray-100 space-y-4 h-fit">
+          <h2 className="text-xl font-semibold text-gray-800">{editingId ? "Edit Policy" : "New Policy"}</h2>
+          <input
+            type="text"
+            placeholder="Policy name (e.g., CSE Department)"
+            value={form.name}
+            onChange={e => setForm(prev => ({ ...prev, name: e.target.value }))}
+            required
+            className="w-full border border-gray-300 rounded-lg px-3 py-2 text-sm"
+          />
+          <input
+            type="text"
+            placeholder="Description (optional)"
+            value={form.description}
+            onChange={e => setForm(prev => ({ ...prev, description: e.target.value }))}
+            className="w-full border border-gray-300 rounded-lg px-3 py-2 text-sm"
+          />
+          <DepartmentSelect
+            value={form.department}
+            onChange={value => setForm(prev => ({ ...prev, department: value }))}
+            emptyLabel="College-wide"
+            className="w-full border border-gray-300 rounded-lg px-3 py-2 text-sm bg-white"
+          />
+          <label className="flex items-center gap-2 text-sm text-gray-700">
+            <input
+              type="checkbox"
+              checked={form.isDefault}
+              onChange={e => setForm(prev => ({ ...prev, isDefault: e.target.checked }))}
+            />
+            Use as default for exams without a policy{form.department ? " (this department's exams)" : ""}
+          </label>
+
+          <table className="min-w-full text-sm">
+            <thead>
+              <tr className="text-left text-gray-500">
+                <th className="py-1 font-medium">Designation</th>
+                <th className="py-1 font-medium w-20">Min %</th>
+                <th className="py-1 font-medium w-20">Max %</th>
+                <th className="w-8"></th>
+              </tr>
+            </thead>
+            <tbody>
+              {form.rows.map((row, index) => (
+                <tr key={index}>
+                  <td className="py-1 pr-2">
+                    <input
+                      type="text"
+                      value={row.designation}
+                      onChange={e => updateRow(index, "designation", e.target.value)}
+                      placeholder="e.g., Lab Instructor"
+                      className="w-full border border-gray-300 rounded px-2 py-1"
+                    />
+                  </td>
+                  <td className="py-1 pr-2">
+                    <input
+                      type="number"
+                      min="0"
+                      max="100"
+                      value={row.minPercent}
+                      onChange={e => updateRow(index, "minPercent", e.target.value)}
+                      className="w-full border border-gray-300 rounded px-2 py-1"
+                    />
+                  </td>
+                  <td className="py-1 pr-2">
+                    <input
+                      type="number"
+                      min="0"
+                      max="100"
+                      value={row.maxPercent}
+                      onChange={e => updateRow(index, "maxPercent", e.target.value)}
+                      className="w-full border border-gray-300 rounded px-2 py-1"
+                    />
+                  </td>
+                  <td className="py-1">
+                    <button
+                      type="button"
+                      onClick={() => setForm(prev => ({ ...prev, rows: prev.rows.filter((_, i) => i !== index) }))}
+                      className="text-red-500 hover:text-red-700"
+                      title="Remove"
+                    >
+                      ×
+                    </button>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+          <button
+            type="button"
+            onClick={() => setForm(prev => ({ ...prev, rows: [...prev.rows, { ...emptyRow }] }))}
+            className="text-sm text-blue-600 hover:text-blue-800"
+          >
+            + Add designation
+          </button>
+
+          <div className="border-t pt-4 space-y-3 text-sm">
+            <h3 className="font-medium text-gray-700">Session roles</h3>
+            <label className="flex items-center gap-2 text-gray-700">
+              <input
+                type="checkbox"
+                checked={form.roles.chiefSuperintendent}
+                onChange={e => updateRoles("chiefSuperintendent", e.target.checked)}
+              />
+              A chief superintendent for every session
+            </label>
+            {form.roles.chiefSuperintendent && (
+              <div className="ml-6 flex flex-wrap gap-3 text-gray-600">
+                <span>Chosen from:</span>
+                {form.rows.filter(row => row.designation.trim()).map(row => (
+                  <label key={row.designation} className="flex items-center gap-1">
+                    <input
+                      type="checkbox"
+                      checked={form.roles.chiefDesignations.includes(row.designation.trim())}
+                      onChange={() => toggleChiefDesignation(row.designation.trim())}
+                    />
+                    {row.designation}
+                  </label>
+                ))}
+                <span className="text-gray-400">(any designation when none is ticked)</span>
+              </div>
+            )}
+            <div className="grid grid-cols-2 gap-3">
+              <label className="text-gray-600">
+                Rooms per squad invigilator
+                <input
+                  type="number"
+                  min="0"
+                  value={form.roles.roomsPerSquad}
+                  onChange={e => updateRoles("roomsPerSquad", e.target.value)}
+                  className="mt-1 w-full border border-gray-300 rounded px-2 py-1"
+                />
+              </label>
+              <label className="text-gray-600">
+                Rooms per relief invigilator
+                <input
+                  type="number"
+                  min="0"
+                  value={form.roles.roomsPerRelief}
+                  onChange={e => updateRoles("roomsPerRelief", e.target.value)}
+                  className="mt-1 w-full border border-gray-300 rounded px-2 py-1"
+                />
+              </label>
+            </div>
+            <p className="text-gray-400">0 means no squad or relief invigilators. They cover blocks of neighbouring rooms.</p>
+          </div>
+
+          {(minTotal > 100 || maxTotal < 100) && (
+            <p className="text-sm text-red-600">
+              Minimums must add up to at most 100% and maximums to at least 100% (now {minTotal}% / {maxTotal}%).
+            </p>
+          )}
+
+          <div className="flex gap-3">
+            <button
+              type="submit"
+              disabled={saving}
+              className="bg-blue-600 hover:bg-blue-700 disabled:opacity-60 text-white px-4 py-2 rounded-lg text-sm"
+            >
+              {saving ? "Saving..." : editingId ? "Update Policy" : "Save Policy"}
+            </button>
+            {editingId && (
+              <button type="button" onClick={resetForm} className="border border-gray-300 px-4 py-2 rounded-lg text-sm">
+                Cancel
+              </button>
+            )}
+          </div>
+        </form>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,217 @@
+import { useEffect, useState } from "react";
+import { useParams, Link } from "react-router-dom";
+import axios from "axios";
+import { FileSpreadsheet, FileText, ChevronLeft, AlertTriangle, UserX } from "lucide-react";
+
+// Absentees and incidents per paper of an exam, as marked by the room invigilators
+export default function AttendanceReport() {
+  const { id } = useParams();
+  const [semester, setSemester] = useState("");
+  const [subjectId, setSubjectId] = useState("");
+  const [subjects, setSubjects] = useState([]);
+  const [report, setReport] = useState(null);
+  const [isLoading, setIsLoading] = useState(true);
+  const [error, setError] = useState("");
+
+  // Every paper of the exam, for the subject filter
+  useEffect(() => {
+    axios.get(`http://localhost:4000/exams/${id}/attendance`, { withCredentials: true })
+      .then((res) => setSubjects(res.data.data.papers))
+      .catch((err) => console.error("Error fetching papers:", err));
+  }, [id]);
+
+  useEffect(() => {
+    const params = {};
+    if (semester) params.semester = semester;
+    if (subjectId) params.subjectId = subjectId;
+
+    setIsLoading(true);
+    axios.get(`http://localhost:4000/exams/${id}/attendance`, { params, withCredentials: true })
+      .then((res) => {
+        setReport(res.data.data);
+        setError("");
+      })
+      .catch((err) => {
+        console.error("Error fetching absentee report:", err);
+        setError(err.response?.data?.message || "Failed to load the absentee report");
+      })
+      .finally(() => setIsLoading(false));
+  }, [id, semester, subjectId]);
+
+  const handleExport = (format) => {
+    const params = new URLSearchParams({ format });
+    if (semester) params.set("semester", semester);
+    if (subjectId) params.set("subjectId", subjectId);
+
+    fetch(`http://localhost:4000/exams/${id}/attendance/export?${params}`, { credentials: "include" })
+      .then((res) => {
+        if (!res.ok) throw new Error("Failed to export");
+        return res.blob();
+      })
+      .then((blob) => {
+        const url = window.URL.createObjectURL(blob);
+        const link = document.createElement("a");
+        link.href = url;
+        link.setAttribute("download", `absentees.${format}`);
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        window.URL.revokeObjectURL(url);
+      })
+      .catch((err) => {
+        console.error("Error exporting absentee report:", err);
+        alert("Failed to export the absentee report");
+      });
+  };
+
+  const semesters = [...new Set(subjects.map((subject) => subject.semester))].sort((a, b) => a - b);
+  const subjectOptions = subjects.filter((subject) => !semester || subject.semester === Number(semester));
+
+  return (
+    <div className="ml-71 p-6 max-w-6xl">
+      <Link to={`/exams/${id}`} className="text-sm text-blue-600 hover:text-blue-800 flex items-center mb-4">
+        <ChevronLeft size={16} className="mr-1" />
+        Back to exam
+      </Link>
+
+      <div className="flex flex-wrap justify-between items-center gap-4 mb-6">
+        <h1 className="text-2xl font-bold text-gray-800 flex items-center">
+          <UserX size={28} className="mr-2 text-blue-600" />
+          Absentees{report ? `: ${report.examName}` : ""}
+        </h1>
+        <div className="flex gap-3">
+          <button
+            onClick={() => handleExport("csv")}
+            className="px-4 py-2 border border-gray-300 hover:bg-gray-50 rounded-lg text-sm flex items-center"
+          >
+            <FileText size={16} className="mr-2" />
+            Export CSV
+          </button>
+          <button
+            onClick={() => handleExport("xlsx")}
+            className="px-4 py-2 border border-gray-300 hover:bg-gray-50 rounded-lg text-sm flex items-center"
+          >
+            <FileSpreadsheet size={16} className="mr-2" />
+            Export Excel
+          </button>
+        </div>
+      </div>
+
+      <div className="flex flex-wrap gap-4 mb-6">
+        <select
+          value={semester}
+          onChange={(e) => { setSemester(e.target.value); setSubjectId(""); }}
+          className="border border-gray-300 rounded-lg px-3 py-2 text-sm bg-white"
+        >
+          <option value="">All semesters</option>
+          {semesters.map((sem) => (
+            <option key={sem} value={sem}>Semester {sem}</option>
+          ))}
+        </select>
+        <select
+          value={subjectId}
+          onChange={(e) => setSubjectId(e.target.value)}
+          className="border border-gray-300 rounded-lg px-3 py-2 text-sm bg-white"
+        >
+          <option value="">All subjects</option>
+          {subjectOptions.map((subject) => (
+            <option key={subject.subjectId} value={subject.subjectId}>
+              {subject.subjectCode} - {subject.subjectName}
+            </option>
+          ))}
+        </select>
+      </div>
+
+      {error && <p className="mb-6 text-red-600">{error}</p>}
+
+      {isLoading ? (
+        <div className="flex justify-center items-center h-40">
+          <div className="animate-spin rounded-full h-12 w-12 border-t-2 border-b-2 border-blue-500"></div>
+        </div>
+      ) : report && (
+        <div className="space-y-6">
+          {report.papers.length === 0 && <p className="text-gray-500">No papers match the filters.</p>}
+
+          {report.papers.map((paper) => (
+            <div key={paper.subjectId} className="bg-white rounded-xl shadow overflow-hidden">
+              <div className="px-6 py-4 border-b flex flex-wrap justify-between items-center gap-2">
+                <h2 className="text-lg font-semibold text-gray-800">
+                  {paper.subjectCode} - {paper.subjectName}
+                  <span className="ml-3 text-sm font-normal text-gray-500">Semester {paper.semester}, {paper.date}</span>
+                </h2>
+                <p className="text-sm text-gray-600">
+                  {paper.seated} seated, {paper.present} present,{" "}
+                  <span className="text-red-600 font-medium">{paper.absent} absent</span>
+                  {paper.unmarked > 0 && <span className="text-amber-600">, {paper.unmarked} not marked</span>}
+                </p>
+              </div>
+
+              {paper.absentees.length === 0 && paper.incidents.length === 0 ? (
+                <p className="px-6 py-4 text-sm text-gray-500">No absentees or incidents recorded.</p>
+              ) : (
+                <div className="overflow-x-auto">
+                  <table className="min-w-full divide-y divide-gray-200 text-sm">
+                    <thead className="bg-gray-50">
+                      <tr>
+                        {["Roll Number", "Name", "Room", "Status", "Incident"].map((label) => (
+                          <th key={label} className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">{label}</th>
+                        ))}
+                      </tr>
+                    </thead>
+                    <tbody className="divide-y divide-gray-100">
+                      {paper.absentees.map((student) => (
+                        <tr key={`absent-${student.rollNumber}`}>
+                          <td className="px-4 py-2 font-medium">{student.rollNumber}</td>
+                          <td className="px-4 py-2">{student.name}</td>
+                          <td className="px-4 py-2 text-gray-600">{student.building} {student.roomNumber}</td>
+                          <td className="px-4 py-2 text-red-600">Absent</td>
+                          <td className="px-4 py-2 text-gray-600">
+                            {paper.incidents.find((incident) => incident.rollNumber === student.rollNumber)?.note}
+                          </td>
+                        </tr>
+                      ))}
+                      {paper.incidents
+                        .filter((incident) => !paper.absentees.some((student) => student.rollNumber === incident.rollNumber))
+                        .map((incident) => (
+                          <tr key={`incident-${incident.rollNumber}`} className="bg-amber-50">
+                            <td className="px-4 py-2 font-medium">{incident.rollNumber}</td>
+                            <td className="px-4 py-2">{incident.name}</td>
+                            <td className="px-4 py-2 text-gray-600">{incident.building} {incident.roomNumber}</td>
+                            <td className="px-4 py-2 text-green-700">Present</td>
+                            <td className="px-4 py-2 text-amber-800">{incident.note}</td>
+                          </tr>
+                        ))}
+                    </tbody>
+                  </table>
+                </div>
+              )}
+            </div>
+          ))}
+
+          {report.roomNotes.length > 0 && (
+            <div className="bg-white rounded-xl shadow overflow-hidden">
+              <div className="px-6 py-4 border-b">
+                <h2 className="text-lg font-semibold text-gray-800 flex items-center">
+                  <AlertTriangle size={20} className="mr-2 text-amber-500" />
+                  Room Incidents
+                </h2>
+              </div>
+              <ul className="divide-y divide-gray-100 text-sm">
+                {report.roomNotes.map((note, idx) => (
+                  <li key={idx} className="px-6 py-3">
+                    <p className="font-medium text-gray-800">
+                      {note.building} {note.roomNumber}
+                      <span className="ml-2 font-normal text-gray-500">{note.date}, {note.time}</span>
+                      {note.markedBy && <span className="ml-2 font-normal text-gray-500">reported by {note.markedBy}</span>}
+                    </p>
+                    <p className="text-gray-700">{note.note}</p>
+                  </li>
+                ))}
+              </ul>
+            </div>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
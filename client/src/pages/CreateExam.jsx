@@ -1,27 +1,39 @@
-import React, { useState, useEffect, useMemo } from "react";
+import React, { useState, useEffect, useMemo, useCallback } from "react";
 import axios from "axios";
 import moment from "moment";
+import DepartmentSelect from "../components/DepartmentSelect";
 
 const CreateExam = () => {
   const [name, setName] = useState("");
   const [year, setYear] = useState(new Date().getFullYear().toString());
   const [rooms, setRooms] = useState([]);
   const [faculty, setFaculty] = useState([]);
+  const [policyId, setPolicyId] = useState(""); // Empty = default allocation policy
+  // Only the fewest rooms needed are opened; these decide between equally small sets
+  const [roomPreferences, setRoomPreferences] = useState({ sameBuilding: false, groundFloorFirst: false });
+  // Whether invigilators come from the department that owns the paper in the room
+  const [departmentInvigilation, setDepartmentInvigilation] = useState("any");
+  const [facultyDepartment, setFacultyDepartment] = useState(""); // Narrows the faculty picker only
 
   const [allRooms, setAllRooms] = useState([]);
   const [allFaculty, setAllFaculty] = useState([]);
+  const [allPolicies, setAllPolicies] = useState([]);
+  const [rosterSummary, setRosterSummary] = useState([]);
+  const [roomFeatures, setRoomFeatures] = useState({}); // Feature key -> label
 
   const [semesters, setSemesters] = useState([
     {
       semester: "",
-      totalStudents: "",
-      subjects: [{ name: "", subjectCode: "", date: "", startTime: "", endTime: "" }],
+      branches: [],
+      sections: [],
+      subjects: [{ name: "", subjectCode: "", date: "", startTime: "", endTime: "", requiredFeatures: [], department: "" }],
     },
   ]);
 
   const [loading, setLoading] = useState(false);
   const [message, setMessage] = useState(null);
   const [errors, setErrors] = useState({});
+  const [preview, setPreview] = useState(null); // Dry-run plan shown before the exam is created
 
   // New states for capacity and faculty recommendations
   const [roomCapacityMessage, setRoomCapacityMessage] = useState(null);
@@ -29,23 +41,41 @@ const CreateExam = () => {
 
   // --- Derived States (using useMemo for efficiency) ---
 
+  // Roster rows (branch/section counts) uploaded for a semester number
+  const getRosterRows = useCallback(
+    (semesterNumber) => rosterSummary.filter((row) => row.semester === Number(semesterNumber)),
+    [rosterSummary]
+  );
+
+  // Number of roster students matching a semester's branch/section selection
+  const getRosterCount = useCallback(
+    (sem) =>
+      getRosterRows(sem.semester)
+        .filter((row) => sem.branches.length === 0 || sem.branches.includes(row.branch))
+        .filter((row) => sem.sections.length === 0 || sem.sections.includes(row.section))
+        .reduce((sum, row) => sum + row.count, 0),
+    [getRosterRows]
+  );
+
   // Calculate total students across all semesters
   const totalStudentsForAllSemesters = useMemo(() => {
-    return semesters.reduce((sum, sem) => sum + (Number(sem.totalStudents) || 0), 0);
-  }, [semesters]);
+    return semesters.reduce((sum, sem) => sum + getRosterCount(sem), 0);
+  }, [semesters, getRosterCount]);
 
   // Calculate total subjects across all semesters
   const totalSubjectsForAllSemesters = useMemo(() => {
     return semesters.reduce((sum, sem) => sum + (sem.subjects ? sem.subjects.length : 0), 0);
   }, [semesters]);
 
-  // Calculate total capacity of selected rooms
+  // Calculate usable seats of selected rooms: students of one semester never share a bench,
+  // so each bench seats at most one student per semester
   const selectedRoomsTotalCapacity = useMemo(() => {
     return rooms.reduce((sum, roomId) => {
       const room = allRooms.find((r) => r._id === roomId);
-      return sum + (room ? room.capacity : 0);
+      if (!room) return sum;
+      return sum + Math.min(room.capacity, room.totalBenches * Math.min(room.studentsPerBench, semesters.length));
     }, 0);
-  }, [rooms, allRooms]);
+  }, [rooms, allRooms, semesters.length]);
 
   // --- Effects ---
 
@@ -55,12 +85,18 @@ const CreateExam = () => {
       try {
         const roomsRes = await axios.get("http://localhost:4000/room/all", { withCredentials: true });
         const facultyRes = await axios.get("http://localhost:4000/faculty/all", { withCredentials: true });
+        const rosterRes = await axios.get("http://localhost:4000/students/summary", { withCredentials: true });
+        const policiesRes = await axios.get("http://localhost:4000/policies/all", { withCredentials: true });
+        const featuresRes = await axios.get("http://localhost:4000/room/features", { withCredentials: true });
 
         setAllRooms(roomsRes.data.data || []);
         setAllFaculty(facultyRes.data.data || []);
+        setRosterSummary(rosterRes.data.data || []);
+        setAllPolicies(policiesRes.data.data || []);
+        setRoomFeatures(featuresRes.data.data || {});
       } catch (error) {
-        console.error("Error fetching rooms or faculty:", error);
-        setMessage({ type: "error", text: "Failed to load available rooms or faculty." });
+        console.error("Error fetching rooms, faculty or rosters:", error);
+        setMessage({ type: "error", text: "Failed to load available rooms, faculty or student rosters." });
       }
     }
     fetchData();
@@ -115,8 +151,24 @@ const CreateExam = () => {
   const handleSemesterChange = (index, field, value) => {
     const newSemesters = [...semesters];
     newSemesters[index][field] = value;
+    if (field === "semester") {
+      // A different semester has a different roster; drop the old branch/section picks
+      newSemesters[index].branches = [];
+      newSemesters[index].sections = [];
+    }
     setSemesters(newSemesters);
-    setErrors((prev) => ({ ...prev, [`semester-${index}-${field}`]: null }));
+    setErrors((prev) => ({ ...prev, [`semester-${index}-${field}`]: null, [`semester-${index}-roster`]: null }));
+  };
+
+  // Toggle a branch or section in a semester's roster selection (empty selection = all)
+  const toggleRosterFilter = (index, field, value) => {
+    const newSemesters = [...semesters];
+    const current = newSemesters[index][field];
+    newSemesters[index][field] = current.includes(value)
+      ? current.filter((v) => v !== value)
+      : [...current, value];
+    setSemesters(newSemesters);
+    setErrors((prev) => ({ ...prev, [`semester-${index}-roster`]: null }));
   };
 
   const handleSubjectChange = (semIndex, subIndex, field, value) => {
@@ -126,17 +178,25 @@ const CreateExam = () => {
     setErrors((prev) => ({ ...prev, [`subject-${semIndex}-${subIndex}-${field}`]: null }));
   };
 
+  // A paper can be limited to rooms with certain features (e.g. a computer lab)
+  const toggleSubjectFeature = (semIndex, subIndex, feature) => {
+    const current = semesters[semIndex].subjects[subIndex].requiredFeatures;
+    handleSubjectChange(
+      semIndex,
+      subIndex,
+      "requiredFeatures",
+      current.includes(feature) ? current.filter((f) => f !== feature) : [...current, feature]
+    );
+  };
+
   const addSemester = () => {
-    if (semesters.length >= 2) {
-      setMessage({ type: "error", text: "Maximum 2 semesters allowed." });
-      return;
-    }
     setSemesters([
       ...semesters,
       {
         semester: "",
-        totalStudents: "",
-        subjects: [{ name: "", subjectCode: "", date: "", startTime: "", endTime: "" }],
+        branches: [],
+        sections: [],
+        subjects: [{ name: "", subjectCode: "", date: "", startTime: "", endTime: "", requiredFeatures: [], department: "" }],
       },
     ]);
   };
@@ -152,7 +212,7 @@ const CreateExam = () => {
 
   const addSubject = (semIndex) => {
     const newSemesters = [...semesters];
-    newSemesters[semIndex].subjects.push({ name: "", subjectCode: "", date: "", startTime: "", endTime: "" });
+    newSemesters[semIndex].subjects.push({ name: "", subjectCode: "", date: "", startTime: "", endTime: "", requiredFeatures: [], department: "" });
     setSemesters(newSemesters);
   };
 
@@ -177,8 +237,12 @@ const CreateExam = () => {
     setErrors((prevErrors) => ({ ...prevErrors, rooms: null }));
   };
 
+  const visibleFaculty = facultyDepartment
+    ? allFaculty.filter((f) => f.department?._id === facultyDepartment)
+    : allFaculty;
+
   const selectAllFaculty = () => {
-    setFaculty(allFaculty.map((f) => f._id));
+    setFaculty((prev) => [...new Set([...prev, ...visibleFaculty.map((f) => f._id)])]);
     setErrors((prevErrors) => ({ ...prevErrors, faculty: null }));
   };
 
@@ -205,7 +269,36 @@ const CreateExam = () => {
     });
   };
 
-  // Form submission handler
+  // Any change to the form invalidates a preview generated earlier
+  useEffect(() => {
+    setPreview(null);
+  }, [name, year, rooms, faculty, semesters, policyId, roomPreferences, departmentInvigilation]);
+
+  const buildPayload = () => ({
+    name,
+    year: Number(year),
+    rooms,
+    faculty,
+    policyId: policyId || undefined,
+    roomPreferences,
+    departmentInvigilation,
+    semesterData: semesters.map((sem) => ({
+      semester: Number(sem.semester),
+      branches: sem.branches,
+      sections: sem.sections,
+      subjects: sem.subjects.map((sub) => ({
+        name: sub.name,
+        subjectCode: sub.subjectCode,
+        date: sub.date,
+        startTime: sub.startTime,
+        endTime: sub.endTime,
+        requiredFeatures: sub.requiredFeatures,
+        department: sub.department || undefined,
+      })),
+    })),
+  });
+
+  // Form submission handler: validates, then asks the server for a dry-run plan
   const handleSubmit = async (e) => {
     e.preventDefault();
     setMessage(null);
@@ -236,11 +329,8 @@ const CreateExam = () => {
         newErrors[`semester-${i}-semester`] = "Semester number must be a positive number.";
         isValid = false;
       }
-      if (!sem.totalStudents) {
-        newErrors[`semester-${i}-totalStudents`] = "Total students is required.";
-        isValid = false;
-      } else if (isNaN(Number(sem.totalStudents)) || Number(sem.totalStudents) <= 0) {
-        newErrors[`semester-${i}-totalStudents`] = "Total students must be a positive number.";
+      if (sem.semester && getRosterCount(sem) === 0) {
+        newErrors[`semester-${i}-roster`] = "No students in the roster for this selection. Upload the roster first.";
         isValid = false;
       }
 
@@ -314,25 +404,29 @@ const CreateExam = () => {
     setLoading(true);
 
     try {
-      const payload = {
-        name,
-        year: Number(year),
-        rooms,
-        faculty,
-        semesterData: semesters.map((sem) => ({
-          semester: Number(sem.semester),
-          totalStudents: Number(sem.totalStudents),
-          subjects: sem.subjects.map((sub) => ({
-            name: sub.name,
-            subjectCode: sub.subjectCode,
-            date: sub.date,
-            startTime: sub.startTime,
-            endTime: sub.endTime,
-          })),
-        })),
-      };
-
-      const res = await axios.post("http://localhost:4000/exams/create", payload, { withCredentials: true });
+      const res = await axios.post("http://localhost:4000/exams/preview", buildPayload(), { withCredentials: true });
+
+      if (res.data.success) {
+        setPreview(res.data.preview);
+        setMessage({ type: "success", text: "Review the proposed allocation below, then confirm to create the exam." });
+      } else {
+        setMessage({ type: "error", text: res.data.message || "Failed to generate preview." });
+      }
+    } catch (error) {
+      console.error("Error previewing exam:", error);
+      setMessage({ type: "error", text: error.response?.data?.message || "Server error." });
+    }
+
+    setLoading(false);
+  };
+
+  // Create the exam exactly as previewed
+  const handleConfirm = async () => {
+    setMessage(null);
+    setLoading(true);
+
+    try {
+      const res = await axios.post("http://localhost:4000/exams/create", buildPayload(), { withCredentials: true });
 
       if (res.data.success) {
         setMessage({ type: "success", text: "Exam created successfully!" });
@@ -341,11 +435,15 @@ const CreateExam = () => {
         setYear(new Date().getFullYear().toString());
         setRooms([]);
         setFaculty([]);
+        setPolicyId("");
+        setRoomPreferences({ sameBuilding: false, groundFloorFirst: false });
+        setDepartmentInvigilation("any");
         setSemesters([
           {
             semester: "",
-            totalStudents: "",
-            subjects: [{ name: "", subjectCode: "", date: "", startTime: "", endTime: "" }],
+            branches: [],
+            sections: [],
+            subjects: [{ name: "", subjectCode: "", date: "", startTime: "", endTime: "", requiredFeatures: [], department: "" }],
           },
         ]);
         setRoomCapacityMessage(null); // Clear messages
@@ -481,29 +579,53 @@ const CreateExam = () => {
                 </div>
 
                 <div>
-                  <label
-                    htmlFor={`semester-${semIndex}-students`}
-                    className="block text-sm font-semibold text-gray-700 mb-1"
-                  >
-                    Total Students
-                  </label>
-                  <input
-                    type="number"
-                    id={`semester-${semIndex}-students`}
-                    min="1"
-                    value={sem.totalStudents}
-                    onChange={(e) => handleSemesterChange(semIndex, "totalStudents", e.target.value)}
+                  <span className="block text-sm font-semibold text-gray-700 mb-1">Students (from roster)</span>
+                  <div
                     className={`w-full border ${
-                      errors[`semester-${semIndex}-totalStudents`] ? "border-red-500" : "border-gray-300"
-                    } px-4 py-2 rounded-md focus:ring-indigo-500 focus:border-indigo-500`}
-                    placeholder="e.g., 120"
-                  />
-                  {errors[`semester-${semIndex}-totalStudents`] && (
-                    <p className="text-red-500 text-xs mt-1">{errors[`semester-${semIndex}-totalStudents`]}</p>
+                      errors[`semester-${semIndex}-roster`] ? "border-red-500" : "border-gray-300"
+                    } px-4 py-2 rounded-md bg-white text-gray-800`}
+                  >
+                    {sem.semester ? getRosterCount(sem) : "-"}
+                  </div>
+                  {errors[`semester-${semIndex}-roster`] && (
+                    <p className="text-red-500 text-xs mt-1">{errors[`semester-${semIndex}-roster`]}</p>
                   )}
                 </div>
               </div>
 
+              {/* Roster selection: leaving every box unticked includes the whole semester */}
+              {sem.semester && getRosterRows(sem.semester).length > 0 && (
+                <div className="grid grid-cols-1 md:grid-cols-2 gap-6 mb-6">
+                  {[
+                    { field: "branches", label: "Branches", key: "branch" },
+                    { field: "sections", label: "Sections", key: "section" },
+                  ].map(({ field, label, key }) => {
+                    const options = [...new Set(getRosterRows(sem.semester).map((row) => row[key]).filter(Boolean))];
+                    if (options.length === 0) return null;
+                    return (
+                      <div key={field}>
+                        <span className="block text-sm font-semibold text-gray-700 mb-1">
+                          {label} <span className="font-normal text-gray-500">(none selected = all)</span>
+                        </span>
+                        <div className="flex flex-wrap gap-3">
+                          {options.map((option) => (
+                            <label key={option} className="inline-flex items-center text-gray-800 cursor-pointer">
+                              <input
+                                type="checkbox"
+                                checked={sem[field].includes(option)}
+                                onChange={() => toggleRosterFilter(semIndex, field, option)}
+                                className="form-checkbox h-4 w-4 text-indigo-600 rounded"
+                              />
+                              <span className="ml-2">{option}</span>
+                            </label>
+                          ))}
+                        </div>
+                      </div>
+                    );
+                  })}
+                </div>
+              )}
+
               {/* Subjects within a semester */}
               <div>
                 <h5 className="text-lg font-bold text-gray-700 mb-3">Subjects for Semester {semIndex + 1}</h5>
@@ -659,6 +781,36 @@ const CreateExam = () => {
                         )}
                       </div>
                     </div>
+
+                    <div className="mt-3">
+                      <DepartmentSelect
+                        value={sub.department}
+                        onChange={(value) => handleSubjectChange(semIndex, subIndex, "department", value)}
+                        emptyLabel="Department: none"
+                        className="w-full md:w-1/2 border border-gray-300 px-3 py-2 rounded-md focus:ring-indigo-500 focus:border-indigo-500 bg-white"
+                      />
+                    </div>
+
+                    {Object.keys(roomFeatures).length > 0 && (
+                      <div className="mt-3">
+                        <span className="block text-sm font-medium text-gray-700 mb-1">
+                          Required Room Features <span className="font-normal text-gray-500">(only matching rooms are used)</span>
+                        </span>
+                        <div className="flex flex-wrap gap-4">
+                          {Object.entries(roomFeatures).map(([feature, label]) => (
+                            <label key={feature} className="inline-flex items-center text-sm text-gray-800 cursor-pointer">
+                              <input
+                                type="checkbox"
+                                checked={sub.requiredFeatures.includes(feature)}
+                                onChange={() => toggleSubjectFeature(semIndex, subIndex, feature)}
+                                className="form-checkbox h-4 w-4 text-indigo-600 rounded"
+                              />
+                              <span className="ml-2">{label}</span>
+                            </label>
+                          ))}
+                        </div>
+                      </div>
+                    )}
                   </div>
                 ))}
 
@@ -673,15 +825,13 @@ const CreateExam = () => {
             </div>
           ))}
 
-          {semesters.length < 2 && (
-            <button
-              type="button"
-              onClick={addSemester}
-              className="px-5 py-2 bg-green-600 text-white font-semibold rounded-md hover:bg-green-700 transition duration-200 ease-in-out focus:outline-none focus:ring-2 focus:ring-green-500 focus:ring-offset-2 mt-4"
-            >
-              + Add Semester
-            </button>
-          )}
+          <button
+            type="button"
+            onClick={addSemester}
+            className="px-5 py-2 bg-green-600 text-white font-semibold rounded-md hover:bg-green-700 transition duration-200 ease-in-out focus:outline-none focus:ring-2 focus:ring-green-500 focus:ring-offset-2 mt-4"
+          >
+            + Add Semester
+          </button>
         </div>
 
         {/* Select Rooms - MOVED HERE */}
@@ -722,6 +872,9 @@ const CreateExam = () => {
                     />
                     <span className="ml-2">
                       {room.building}, Room {room.roomNumber} (Capacity: {room.capacity})
+                      {room.features?.length > 0 && (
+                        <span className="text-xs text-gray-500"> · {room.features.map((f) => roomFeatures[f] || f).join(", ")}</span>
+                      )}
                     </span>
                   </label>
                 ))}
@@ -743,6 +896,25 @@ const CreateExam = () => {
             </div>
           )}
           {errors.roomCapacity && <p className="text-red-500 text-xs mt-1">{errors.roomCapacity}</p>}
+          <div className="mt-3 flex flex-wrap gap-6 text-sm text-gray-700">
+            <span className="text-gray-500">Only the fewest rooms needed are used, kept to as few buildings and floors as possible. Also:</span>
+            <label className="flex items-center gap-2">
+              <input
+                type="checkbox"
+                checked={roomPreferences.sameBuilding}
+                onChange={(e) => setRoomPreferences((prev) => ({ ...prev, sameBuilding: e.target.checked }))}
+              />
+              Never split across buildings if avoidable
+            </label>
+            <label className="flex items-center gap-2">
+              <input
+                type="checkbox"
+                checked={roomPreferences.groundFloorFirst}
+                onChange={(e) => setRoomPreferences((prev) => ({ ...prev, groundFloorFirst: e.target.checked }))}
+              />
+              Ground floor first
+            </label>
+          </div>
         </div>
 
         {/* Select Faculty - MOVED HERE */}
@@ -763,17 +935,18 @@ const CreateExam = () => {
             >
               Deselect All
             </button>
+            <DepartmentSelect value={facultyDepartment} onChange={setFacultyDepartment} className="px-2 py-1 border border-gray-300 rounded-md text-sm bg-white" />
           </div>
           <div
             className={`border ${
               errors.faculty ? "border-red-500" : "border-gray-300"
             } px-4 py-3 rounded-md max-h-60 overflow-y-auto bg-gray-50`}
           >
-            {allFaculty.length === 0 ? (
+            {visibleFaculty.length === 0 ? (
               <p className="text-gray-500 italic">No faculty available. Please add faculty members first.</p>
             ) : (
               <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-3 gap-2">
-                {allFaculty.map((f) => (
+                {visibleFaculty.map((f) => (
                   <label key={f._id} className="inline-flex items-center text-gray-800 cursor-pointer">
                     <input
                       type="checkbox"
@@ -781,7 +954,10 @@ const CreateExam = () => {
                       onChange={() => toggleFaculty(f._id)}
                       className="form-checkbox h-4 w-4 text-indigo-600 rounded"
                     />
-                    <span className="ml-2">{f.name}</span>
+                    <span className="ml-2">
+                      {f.name}
+                      {f.department && <span className="text-xs text-gray-500"> · {f.department.code}</span>}
+                    </span>
                   </label>
                 ))}
               </div>
@@ -803,6 +979,44 @@ const CreateExam = () => {
           )}
         </div>
 
+        {/* Allocation Policy */}
+        <div>
+          <label htmlFor="policy" className="block text-sm font-semibold text-gray-700 mb-1">
+            Invigilator Allocation Policy
+          </label>
+          <select
+            id="policy"
+            value={policyId}
+            onChange={(e) => setPolicyId(e.target.value)}
+            className="w-full border border-gray-300 px-4 py-2 rounded-md focus:ring-indigo-500 focus:border-indigo-500"
+          >
+            <option value="">Default policy</option>
+            {allPolicies.map((policy) => (
+              <option key={policy._id} value={policy._id}>
+                {policy.name}{policy.isDefault ? " (default)" : ""}
+              </option>
+            ))}
+          </select>
+          <p className="text-xs text-gray-500 mt-1">Sets the minimum and maximum share of duties per designation.</p>
+        </div>
+
+        {/* Department Invigilation */}
+        <div>
+          <label htmlFor="departmentInvigilation" className="block text-sm font-semibold text-gray-700 mb-1">
+            Invigilators From the Paper's Department
+          </label>
+          <select
+            id="departmentInvigilation"
+            value={departmentInvigilation}
+            onChange={(e) => setDepartmentInvigilation(e.target.value)}
+            className="w-full border border-gray-300 px-4 py-2 rounded-md focus:ring-indigo-500 focus:border-indigo-500"
+          >
+            <option value="any">No preference</option>
+            <option value="prefer">Prefer faculty of the department that owns the paper</option>
+            <option value="exclude">Never use faculty of the department that owns the paper</option>
+          </select>
+        </div>
+
         {/* Submit Button */}
         <button
           type="submit"
@@ -831,12 +1045,112 @@ const CreateExam = () => {
                   d="M4 12a8 8 0 018-8V0C5.373 0 0 5.373 0 12h4zm2 5.291A7.962 7.962 0 014 12H0c0 3.042 1.135 5.824 3 7.938l3-2.647z"
                 ></path>
               </svg>
-              Creating Exam...
+              {preview ? "Creating Exam..." : "Generating Preview..."}
             </>
           ) : (
-            "Create Exam"
+            "Preview Allocation"
           )}
         </button>
+
+        {/* Preview step */}
+        {preview && (
+          <div className="border border-indigo-200 rounded-lg p-4 bg-indigo-50 space-y-4">
+            <h3 className="text-xl font-semibold text-gray-800">Proposed Allocation</h3>
+            <p className="text-sm text-gray-600">
+              {preview.totalStudents} students in {preview.roomsUsed} rooms with {preview.invigilators} invigilators. Nothing has been saved yet.
+            </p>
+
+            <div className="overflow-x-auto">
+              <table className="min-w-full text-sm bg-white border border-gray-200">
+                <thead className="bg-gray-100">
+                  <tr>
+                    {["Date", "Time", "Room", "Students / Seats", "Utilisation", "Semester / Subject / Range"].map((label) => (
+                      <th key={label} className="px-3 py-2 text-left font-medium text-gray-600">{label}</th>
+                    ))}
+                  </tr>
+                </thead>
+                <tbody>
+                  {preview.rooms.map((room, idx) => (
+                    <tr key={idx} className="border-t">
+                      <td className="px-3 py-2">{room.date}</td>
+                      <td className="px-3 py-2">{room.time}</td>
+                      <td className="px-3 py-2">
+                        {room.roomDetails}
+                        {room.accommodations?.length > 0 && (
+                          <div className="text-xs text-teal-700">
+                            Accommodation room: {room.accommodations.map((student) => [
+                              student.rollNumber,
+                              student.scribe && "scribe",
+                              student.groundFloor && "step-free",
+                              student.extraTimeMinutes > 0 && `+${student.extraTimeMinutes} min`
+                            ].filter(Boolean).join(" ")).join(", ")}
+                          </div>
+                        )}
+                      </td>
+                      <td className="px-3 py-2">{room.count} / {room.usableSeats}</td>
+                      <td className="px-3 py-2">{room.utilisation}%</td>
+                      <td className="px-3 py-2">
+                        {room.cohorts.map((cohort, cIdx) => (
+                          <div key={cIdx}>
+                            Sem {cohort.semester} {cohort.subjectCode}: {cohort.studentRange} ({cohort.count})
+                          </div>
+                        ))}
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+
+            <div className="overflow-x-auto">
+              <table className="min-w-full text-sm bg-white border border-gray-200">
+                <thead className="bg-gray-100">
+                  <tr>
+                    {["Invigilator", "Designation", "Role", "Date", "Time", "Room"].map((label) => (
+                      <th key={label} className="px-3 py-2 text-left font-medium text-gray-600">{label}</th>
+                    ))}
+                  </tr>
+                </thead>
+                <tbody>
+                  {preview.faculty.map((duty, idx) => (
+                    <tr key={idx} className="border-t">
+                      <td className="px-3 py-2">{duty.facultyName}</td>
+                      <td className="px-3 py-2">{duty.designation}</td>
+                      <td className="px-3 py-2">{duty.role}</td>
+                      <td className="px-3 py-2">{duty.date}</td>
+                      <td className="px-3 py-2">{duty.time}</td>
+                      <td className="px-3 py-2">{duty.roomDetails}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+
+            {preview.clashes && preview.clashes.length > 0 && (
+              <div className="border border-amber-200 bg-amber-50 rounded-md p-3 text-sm text-amber-900">
+                <p className="font-medium mb-1">
+                  Skipped to avoid double-booking ({preview.clashes.length}):
+                </p>
+                <ul className="list-disc ml-5 space-y-0.5">
+                  {preview.clashes.map((clash, idx) => (
+                    <li key={idx}>
+                      {clash.facultyName} on {clash.date} ({clash.time}) is already invigilating {clash.conflictsWith.examName}, {clash.conflictsWith.time}, room {clash.conflictsWith.roomNumber}
+                    </li>
+                  ))}
+                </ul>
+              </div>
+            )}
+
+            <button
+              type="button"
+              onClick={handleConfirm}
+              disabled={loading}
+              className="w-full py-3 bg-green-600 text-white font-bold rounded-md hover:bg-green-700 transition duration-300 ease-in-out disabled:bg-green-300 disabled:cursor-not-allowed"
+            >
+              Confirm &amp; Create Exam
+            </button>
+          </div>
+        )}
       </form>
     </div>
   );
@@ -0,0 +1,204 @@
+import { useEffect, useState } from "react";
+import axios from "axios";
+
+const emptyForm = { name: "", code: "" };
+const emptyAdmin = { name: "", email: "" };
+
+export default function Departments() {
+  const [departments, setDepartments] = useState([]);
+  const [isLoading, setIsLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+  const [editingId, setEditingId] = useState(null);
+  const [form, setForm] = useState(emptyForm);
+  const [adminFor, setAdminFor] = useState(null);
+  const [adminForm, setAdminForm] = useState(emptyAdmin);
+
+  useEffect(() => {
+    fetchDepartments();
+  }, []);
+
+  const fetchDepartments = () => {
+    setIsLoading(true);
+    axios.get("http://localhost:4000/departments/all", { withCredentials: true })
+      .then(res => {
+        setDepartments(res.data.data);
+        setIsLoading(false);
+      })
+      .catch(err => {
+        console.error("Error fetching departments:", err);
+        setIsLoading(false);
+      });
+  };
+
+  const resetForm = () => {
+    setEditingId(null);
+    setForm(emptyForm);
+  };
+
+  const startEdit = (department) => {
+    setEditingId(department._id);
+    setForm({ name: department.name, code: department.code });
+  };
+
+  const handleSave = async (e) => {
+    e.preventDefault();
+    setSaving(true);
+    try {
+      const res = editingId
+        ? await axios.put(`http://localhost:4000/departments/update/${editingId}`, form, { withCredentials: true })
+        : await axios.post("http://localhost:4000/departments/add", form, { withCredentials: true });
+      alert(res.data.message);
+      resetForm();
+      fetchDepartments();
+    } catch (err) {
+      console.error("Error saving department:", err);
+      alert(err.response?.data?.message || "Something went wrong while saving.");
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleDelete = async (department) => {
+    if (!window.confirm(`Delete department "${department.name}"?`)) return;
+    try {
+      await axios.delete(`http://localhost:4000/departments/delete/${department._id}`, { withCredentials: true });
+      setDepartments(prev => prev.filter(d => d._id !== department._id));
+      if (editingId === department._id) resetForm();
+    } catch (err) {
+      console.error("Error deleting department:", err);
+      alert(err.response?.data?.message || "Something went wrong while deleting.");
+    }
+  };
+
+  const handleAddAdmin = async (e) => {
+    e.preventDefault();
+    try {
+      const res = await axios.post(`http://localhost:4000/departments/${adminFor}/admins`, adminForm, { withCredentials: true });
+      alert(res.data.message);
+      setAdminFor(null);
+      setAdminForm(emptyAdmin);
+      fetchDepartments();
+    } catch (err) {
+      console.error("Error adding department admin:", err);
+      alert(err.response?.data?.message || "Something went wrong while adding the admin.");
+    }
+  };
+
+  return (
+    <div className="ml-71 p-6 max-w-6xl">
+      <div className="flex justify-between items-center mb-6">
+        <h1 className="text-3xl font-bold text-gray-800">Departments</h1>
+      </div>
+      <p className="text-gray-600 mb-6">
+        Faculty, papers and rooms can belong to a department. Department admins only see and manage their own
+        department's faculty, rooms, exams and policies; rooms without a department are shared by everyone.
+      </p>
+
+      <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
+        <div className="space-y-4">
+          {isLoading ? (
+            <div className="flex justify-center items-center h-40">
+              <div className="animate-spin rounded-full h-12 w-12 border-t-2 border-b-2 border-blue-500"></div>
+            </div>
+          ) : departments.length === 0 ? (
+            <p className="text-gray-500">No departments yet.</p>
+          ) : (
+            departments.map(department => (
+              <div key={department._id} className="bg-white rounded-lg shadow p-4 border border-gray-100">
+                <div className="flex justify-between items-start">
+                  <div>
+                    <h2 className="font-semibold text-gray-800">
+                      {department.name}
+                      <span className="ml-2 bg-indigo-50 text-indigo-800 text-xs px-2 py-0.5 rounded-full">{department.code}</span>
+                    </h2>
+                    <p className="text-sm text-gray-500">
+                      {department.facultyCount} faculty, {department.roomCount} room(s)
+                    </p>
+                  </div>
+                  <div className="flex gap-3 text-sm">
+                    <button onClick={() => startEdit(department)} className="text-blue-600 hover:text-blue-800">Edit</button>
+                    <button onClick={() => handleDelete(department)} className="text-red-600 hover:text-red-800">Delete</button>
+                  </div>
+                </div>
+
+                <div className="mt-3 text-sm">
+                  <span className="text-gray-500">Admins: </span>
+                  {department.admins.length === 0
+                    ? <span className="text-gray-400">none</span>
+                    : department.admins.map(admin => admin.name).join(", ")}
+                  {adminFor !== department._id && (
+                    <button
+                      onClick={() => { setAdminFor(department._id); setAdminForm(emptyAdmin); }}
+                      className="ml-3 text-blue-600 hover:text-blue-800"
+                    >
+                      + Add admin
+                    </button>
+                  )}
+                </div>
+
+                {adminFor === department._id && (
+                  <form onSubmit={handleAddAdmin} className="mt-3 flex flex-wrap gap-2 text-sm">
+                    <input
+                      type="text"
+                      placeholder="Name"
+                      value={adminForm.name}
+                      onChange={e => setAdminForm(prev => ({ ...prev, name: e.target.value }))}
+                      required
+                      className="border border-gray-300 rounded px-2 py-1"
+                    />
+                    <input
+                      type="email"
+                      placeholder="Email"
+                      value={adminForm.email}
+                      onChange={e => setAdminForm(prev => ({ ...prev, email: e.target.value }))}
+                      required
+                      className="border border-gray-300 rounded px-2 py-1"
+                    />
+                    <button type="submit" className="bg-blue-600 hover:bg-blue-700 text-white px-3 py-1 rounded">Add</button>
+                    <button type="button" onClick={() => setAdminFor(null)} className="border border-gray-300 px-3 py-1 rounded">
+                      Cancel
+                    </button>
+                  </form>
+                )}
+              </div>
+            ))
+          )}
+        </div>
+
+        <form onSubmit={handleSave} className="bg-white rounded-lg shadow p-5 border border-gray-100 space-y-4 h-fit">
+          <h2 className="text-xl font-semibold text-gray-800">{editingId ? "Edit Department" : "New Department"}</h2>
+          <input
+            type="text"
+            placeholder="Department name (e.g., Computer Science and Engineering)"
+            value={form.name}
+            onChange={e => setForm(prev => ({ ...prev, name: e.target.value }))}
+            required
+            className="w-full border border-gray-300 rounded-lg px-3 py-2 text-sm"
+          />
+          <input
+            type="text"
+            placeholder="Code (e.g., CSE)"
+            value={form.code}
+            onChange={e => setForm(prev => ({ ...prev, code: e.target.value }))}
+            required
+            className="w-full border border-gray-300 rounded-lg px-3 py-2 text-sm"
+          />
+          <div className="flex gap-3">
+            <button
+              type="submit"
+              disabled={saving}
+              className="bg-blue-600 hover:bg-blue-700 disabled:opacity-60 text-white px-4 py-2 rounded-lg text-sm"
+            >
+              {saving ? "Saving..." : editingId ? "Update Department" : "Save Department"}
+            </button>
+            {editingId && (
+              <button type="button" onClick={resetForm} className="border border-gray-300 px-4 py-2 rounded-lg text-sm">
+                Cancel
+              </button>
+            )}
+          </div>
+        </form>
+      </div>
+    </div>
+  );
+}
@@ -1,8 +1,29 @@
-import React, { useState, useEffect } from 'react';
-import { useParams } from 'react-router-dom';
+import React, { useState, useEffect, useCallback } from 'react';
+import { useParams, Link as RouterLink } from 'react-router-dom';
 import axios from 'axios';
-import { Container, Typography, Box, CircularProgress, Alert, Button, Grid, Paper, Table, TableBody, TableCell, TableContainer, TableHead, TableRow, Tabs, Tab, Stack, Divider, } from '@mui/material';
-import { Download, MailOutline } from '@mui/icons-material';
+import { Container, Typography, Box, CircularProgress, Alert, Button, Grid, Paper, Table, TableBody, TableCell, TableContainer, TableHead, TableRow, Tabs, Tab, Stack, Divider, Dialog, DialogTitle, DialogContent, DialogActions, TextField, List, ListItemButton, ListItemText, Chip, } from '@mui/material';
+import { Download, MailOutline, SwapHoriz, FactCheck, Event } from '@mui/icons-material';
+
+// "scribe, step-free, +30 min" for a student seated in an accommodation room
+const describeAccommodation = (student) => [
+    student.scribe && 'scribe',
+    student.groundFloor && 'step-free',
+    student.extraTimeMinutes > 0 && `+${student.extraTimeMinutes} min`
+].filter(Boolean).join(', ');
+
+const dutyStatusColors = {
+    Assigned: 'default',
+    Notified: 'warning',
+    Acknowledged: 'info',
+    'Checked In': 'success',
+    Completed: 'success'
+};
+
+// Rows to chase: red once the duty has started without a check-in, amber while unacknowledged
+const attentionBackground = {
+    'Not checked in': '#fdecea',
+    'Not acknowledged': '#fff8e1'
+};
 
 const ExamDetail = () => {
     const { id } = useParams();
@@ -11,24 +32,40 @@ const ExamDetail = () => {
     const [error, setError] = useState(null);
     const [tabValue, setTabValue] = useState(0);
 
+    // Invigilator substitution dialog
+    const [substituteFor, setSubstituteFor] = useState(null);
+    const [candidates, setCandidates] = useState([]);
+    const [candidatesLoading, setCandidatesLoading] = useState(false);
+    const [selectedCandidate, setSelectedCandidate] = useState(null);
+    const [substituteReason, setSubstituteReason] = useState('');
+    const [substituting, setSubstituting] = useState(false);
+
+    const fetchExamDetails = useCallback(async () => {
+        try {
+            const response = await axios.get(`http://localhost:4000/exams/${id}`, { withCredentials: true });
+            setExam(response.data.exam);
+            setLoading(false);
+        } catch (err) {
+            console.error("Error fetching exam details:", err);
+            setError("Failed to load exam details. Please try again later.");
+            setLoading(false);
+        }
+    }, [id]);
+
     useEffect(() => {
-        const fetchExamDetails = async () => {
-            try {
-                const response = await axios.get(`http://localhost:4000/exams/${id}`, { withCredentials: true });
-                setExam(response.data.exam);
-                setLoading(false);
-            } catch (err) {
-                console.error("Error fetching exam details:", err);
-                setError("Failed to load exam details. Please try again later.");
-                setLoading(false);
-            }
-        };
         fetchExamDetails();
-    }, [id]);
+    }, [fetchExamDetails]);
 
     const handleDownloadPDF = async (type) => {
         try {
-            const endpoint = type === 'faculty' ? `/pdf/faculty-room-pdf/${id}` : `/pdf/student-room-pdf/${id}`;
+            const endpoints = {
+                faculty: `/pdf/faculty-room-pdf/${id}`,
+                student: `/pdf/student-room-pdf/${id}`,
+                seating: `/pdf/seating-pdf/${id}`,
+                attendance: `/pdf/attendance-pdf/${id}`,
+                doorNotice: `/pdf/door-notice-pdf/${id}`
+            };
+            const endpoint = endpoints[type];
 
             const response = await axios.get(`http://localhost:4000${endpoint}`, {
                 responseType: 'blob',
@@ -49,6 +86,27 @@ const ExamDetail = () => {
         }
     };
 
+    const handleDownloadCalendar = async () => {
+        try {
+            const response = await axios.get(`http://localhost:4000/exams/${id}/calendar.ics`, {
+                responseType: 'blob',
+                withCredentials: true,
+            });
+
+            const url = window.URL.createObjectURL(new Blob([response.data], { type: 'text/calendar' }));
+            const link = document.createElement('a');
+            link.href = url;
+            link.setAttribute('download', `${exam.name}_duties.ics`);
+            document.body.appendChild(link);
+            link.click();
+            link.remove();
+            window.URL.revokeObjectURL(url);
+        } catch (err) {
+            console.error("Error downloading calendar:", err);
+            alert("Failed to download the duty calendar. Please try again.");
+        }
+    };
+
     const handleSendEmails = async () => {
         try {
             const confirmSend = window.confirm("Are you sure you want to send emails to all faculty?");
@@ -57,12 +115,49 @@ const ExamDetail = () => {
             }
             await axios.post(`http://localhost:4000/admin/send-emails/${id}`, {}, { withCredentials: true });
             alert("Emails sent successfully!");
+            fetchExamDetails();
         } catch (err) {
             console.error("Error sending emails:", err);
             alert("Failed to send emails. Please check server logs or try again.");
         }
     };
 
+    const openSubstitution = async (duty) => {
+        setSubstituteFor(duty);
+        setSelectedCandidate(null);
+        setSubstituteReason('');
+        setCandidates([]);
+        setCandidatesLoading(true);
+        try {
+            const response = await axios.get(`http://localhost:4000/exams/allocations/${duty._id}/substitutes`, { withCredentials: true });
+            setCandidates(response.data.data || []);
+        } catch (err) {
+            console.error("Error fetching substitutes:", err);
+            alert("Failed to load eligible substitutes.");
+        } finally {
+            setCandidatesLoading(false);
+        }
+    };
+
+    const handleSubstitute = async () => {
+        setSubstituting(true);
+        try {
+            const response = await axios.post(
+                `http://localhost:4000/exams/allocations/${substituteFor._id}/substitute`,
+                { facultyId: selectedCandidate, reason: substituteReason },
+                { withCredentials: true }
+            );
+            alert(response.data.message);
+            setSubstituteFor(null);
+            fetchExamDetails();
+        } catch (err) {
+            console.error("Error substituting invigilator:", err);
+            alert(err.response?.data?.message || "Failed to substitute invigilator.");
+        } finally {
+            setSubstituting(false);
+        }
+    };
+
     const handleChangeTab = (event, newValue) => {
         setTabValue(newValue);
     };
@@ -91,6 +186,9 @@ const ExamDetail = () => {
         );
     }
 
+    const seatingPlans = (exam.seatingPlans || []).filter(plan => plan.seats.length > 0);
+    const seatingTabIndex = 2 + Object.keys(exam.subjectsBySemester).length + Object.keys(exam.studentAllocationsBySemester).length;
+
     const TabPanel = (props) => {
         const { children, value, index, ...other } = props;
         return (
@@ -168,6 +266,86 @@ const ExamDetail = () => {
                         >
                             Student PDF
                         </Button>
+                        <Button
+                            variant="contained"
+                            size="small"
+                            startIcon={<Download fontSize="small" />}
+                            onClick={() => handleDownloadPDF('seating')}
+                            sx={{
+                                backgroundColor: '#6a1b9a',
+                                '&:hover': { backgroundColor: '#4a148c' },
+                                color: 'white',
+                                py: 0.8,
+                                px: 2,
+                                borderRadius: '6px',
+                                fontSize: '0.85rem'
+                            }}
+                        >
+                            Seating PDF
+                        </Button>
+                        <Button
+                            variant="contained"
+                            size="small"
+                            startIcon={<Download fontSize="small" />}
+                            onClick={() => handleDownloadPDF('attendance')}
+                            sx={{
+                                backgroundColor: '#ef6c00',
+                                '&:hover': { backgroundColor: '#e65100' },
+                                color: 'white',
+                                py: 0.8,
+                                px: 2,
+                                borderRadius: '6px',
+                                fontSize: '0.85rem'
+                            }}
+                        >
+                            Attendance Sheets
+                        </Button>
+                        <Button
+                            variant="contained"
+                            size="small"
+                            startIcon={<Download fontSize="small" />}
+                            onClick={() => handleDownloadPDF('doorNotice')}
+                            sx={{
+                                backgroundColor: '#455a64',
+                                '&:hover': { backgroundColor: '#37474f' },
+                                color: 'white',
+                                py: 0.8,
+                                px: 2,
+                                borderRadius: '6px',
+                                fontSize: '0.85rem'
+                            }}
+                        >
+                            Door Notices
+                        </Button>
+                        <Button
+                            variant="outlined"
+                            size="small"
+                            startIcon={<FactCheck fontSize="small" />}
+                            component={RouterLink}
+                            to={`/exams/${id}/attendance`}
+                            sx={{
+                                py: 0.8,
+                                px: 2,
+                                borderRadius: '6px',
+                                fontSize: '0.85rem'
+                            }}
+                        >
+                            Absentees
+                        </Button>
+                        <Button
+                            variant="outlined"
+                            size="small"
+                            startIcon={<Event fontSize="small" />}
+                            onClick={handleDownloadCalendar}
+                            sx={{
+                                py: 0.8,
+                                px: 2,
+                                borderRadius: '6px',
+                                fontSize: '0.85rem'
+                            }}
+                        >
+                            Calendar (.ics)
+                        </Button>
                     </Stack>
                 </Box>
 
@@ -215,6 +393,7 @@ const ExamDetail = () => {
                         {Object.keys(exam.studentAllocationsBySemester).map((sem) => (
                             <Tab key={`student-tab-${sem}`} label={`Student Allocations (Sem ${sem})`} />
                         ))}
+                        <Tab label="Seating Plan" />
                     </Tabs>
                 </Box>
 
@@ -255,14 +434,14 @@ const ExamDetail = () => {
                         const allTimes = new Set();
                         const allFaculty = new Set();
 
-                        exam.facultyAllocations.forEach(({ facultyName, date, time, roomDetails }) => {
+                        exam.facultyAllocations.forEach(({ facultyName, date, time, role, roomDetails }) => {
                             allDates.add(date);
                             allTimes.add(time);
                             allFaculty.add(facultyName);
 
                             if (!timetableDetails[facultyName]) timetableDetails[facultyName] = {};
                             if (!timetableDetails[facultyName][date]) timetableDetails[facultyName][date] = {};
-                            timetableDetails[facultyName][date][time] = roomDetails;
+                            timetableDetails[facultyName][date][time] = role && role !== 'Invigilator' ? `${role}: ${roomDetails}` : roomDetails;
                         });
 
                         const sortedDates = Array.from(allDates).sort();
@@ -329,6 +508,86 @@ const ExamDetail = () => {
 
 
 
+                    <Typography variant="h6" gutterBottom sx={{ fontWeight: '600', color: 'text.primary', mt: 4 }}>
+                        Invigilation Duties
+                    </Typography>
+                    {(() => {
+                        const notCheckedIn = exam.facultyAllocations.filter(duty => duty.attention === 'Not checked in').length;
+                        const notAcknowledged = exam.facultyAllocations.filter(duty => duty.attention === 'Not acknowledged').length;
+                        if (notCheckedIn === 0 && notAcknowledged === 0) return null;
+                        return (
+                            <Alert severity={notCheckedIn > 0 ? 'error' : 'warning'} sx={{ mb: 2 }}>
+                                {[
+                                    notCheckedIn > 0 && `${notCheckedIn} duty(s) have started without the invigilator checking in`,
+                                    notAcknowledged > 0 && `${notAcknowledged} duty(s) are not acknowledged yet`
+                                ].filter(Boolean).join('; ')}.
+                            </Alert>
+                        );
+                    })()}
+                    <TableContainer component={Paper} variant="outlined" sx={{ borderRadius: '8px', overflow: 'hidden' }}>
+                        <Table size="small">
+                            <TableHead sx={{ bgcolor: 'primary.main' }}>
+                                <TableRow>
+                                    <TableCell sx={{ fontWeight: 'bold', color: 'white' }}>Faculty</TableCell>
+                                    <TableCell sx={{ fontWeight: 'bold', color: 'white' }}>Designation</TableCell>
+                                    <TableCell sx={{ fontWeight: 'bold', color: 'white' }}>Role</TableCell>
+                                    <TableCell sx={{ fontWeight: 'bold', color: 'white' }}>Date</TableCell>
+                                    <TableCell sx={{ fontWeight: 'bold', color: 'white' }}>Time</TableCell>
+                                    <TableCell sx={{ fontWeight: 'bold', color: 'white' }}>Room Details</TableCell>
+                                    <TableCell sx={{ fontWeight: 'bold', color: 'white' }}>Status</TableCell>
+                                    <TableCell sx={{ fontWeight: 'bold', color: 'white' }} align="right">Action</TableCell>
+                                </TableRow>
+                            </TableHead>
+                            <TableBody>
+                                {[...exam.facultyAllocations]
+                                    .sort((a, b) => a.date.localeCompare(b.date) || a.time.localeCompare(b.time) || a.facultyName.localeCompare(b.facultyName))
+                                    .map((duty) => (
+                                        <TableRow
+                                            key={duty._id}
+                                            sx={duty.attention
+                                                ? { backgroundColor: attentionBackground[duty.attention] }
+                                                : { '&:nth-of-type(odd)': { backgroundColor: '#f9f9f9' } }}
+                                        >
+                                            <TableCell>
+                                                {duty.facultyName}
+                                                {duty.substitutions.map((sub, subIndex) => (
+                                                    <Chip
+                                                        key={subIndex}
+                                                        size="small"
+                                                        variant="outlined"
+                                                        label={`Replaced ${sub.replacedFacultyName}: ${sub.reason}`}
+                                                        sx={{ ml: 1, mt: 0.5 }}
+                                                    />
+                                                ))}
+                                            </TableCell>
+                                            <TableCell>{duty.designation}</TableCell>
+                                            <TableCell>
+                                                {duty.role === 'Invigilator'
+                                                    ? duty.role
+                                                    : <Chip size="small" color="secondary" label={duty.role} />}
+                                            </TableCell>
+                                            <TableCell>{duty.date}</TableCell>
+                                            <TableCell>{duty.time}</TableCell>
+                                            <TableCell>{duty.roomDetails}</TableCell>
+                                            <TableCell>
+                                                <Chip size="small" color={dutyStatusColors[duty.status]} label={duty.status} />
+                                                {duty.attention && (
+                                                    <Typography variant="caption" display="block" color={duty.attention === 'Not checked in' ? 'error' : 'warning.main'}>
+                                                        {duty.attention}
+                                                    </Typography>
+                                                )}
+                                            </TableCell>
+                                            <TableCell align="right">
+                                                <Button size="small" startIcon={<SwapHoriz />} onClick={() => openSubstitution(duty)}>
+                                                    Substitute
+                                                </Button>
+                                            </TableCell>
+                                        </TableRow>
+                                    ))}
+                            </TableBody>
+                        </Table>
+                    </TableContainer>
+
                     <Box sx={{ display: 'flex', justifyContent: 'flex-end', mt: 3 }}>
                         <Button
                             variant="contained"
@@ -386,6 +645,8 @@ const ExamDetail = () => {
                             <Table size="small">
                                 <TableHead sx={{ bgcolor: 'primary.main' }}>
                                     <TableRow>
+                                        <TableCell sx={{ fontWeight: 'bold', color: 'white' }}>Date</TableCell>
+                                        <TableCell sx={{ fontWeight: 'bold', color: 'white' }}>Time</TableCell>
                                         <TableCell sx={{ fontWeight: 'bold', color: 'white' }}>Student Roll No. Range</TableCell>
                                         <TableCell sx={{ fontWeight: 'bold', color: 'white' }}>Count</TableCell>
                                         <TableCell sx={{ fontWeight: 'bold', color: 'white' }}>Room Details</TableCell>
@@ -394,9 +655,26 @@ const ExamDetail = () => {
                                 <TableBody>
                                     {exam.studentAllocationsBySemester[sem].map((allocation, stdIndex) => (
                                         <TableRow key={stdIndex} sx={{ '&:nth-of-type(odd)': { backgroundColor: '#f9f9f9' } }}>
+                                            <TableCell>{allocation.date}</TableCell>
+                                            <TableCell>{allocation.time}</TableCell>
                                             <TableCell>{allocation.studentRange}</TableCell>
                                             <TableCell>{allocation.count}</TableCell>
-                                            <TableCell>{allocation.roomDetails}</TableCell>
+                                            <TableCell>
+                                                {allocation.roomDetails}
+                                                {allocation.accommodations?.length > 0 && (
+                                                    <Box sx={{ mt: 0.5, display: 'flex', flexWrap: 'wrap', gap: 0.5 }}>
+                                                        {allocation.accommodations.map(student => (
+                                                            <Chip
+                                                                key={student.rollNumber}
+                                                                size="small"
+                                                                color="info"
+                                                                variant="outlined"
+                                                                label={`${student.rollNumber}: ${describeAccommodation(student)}`}
+                                                            />
+                                                        ))}
+                                                    </Box>
+                                                )}
+                                            </TableCell>
                                         </TableRow>
                                     ))}
                                 </TableBody>
@@ -404,7 +682,125 @@ const ExamDetail = () => {
                         </TableContainer>
                     </TabPanel>
                 ))}
+
+                <TabPanel value={tabValue} index={seatingTabIndex}>
+                    <Typography variant="h6" gutterBottom sx={{ fontWeight: '600', color: 'text.primary' }}>Seating Plan</Typography>
+                    {seatingPlans.length === 0 ? (
+                        <Alert severity="info">No seat maps available for this exam.</Alert>
+                    ) : (
+                        seatingPlans.map(plan => {
+                            const seatAt = {};
+                            plan.seats.forEach(seat => {
+                                seatAt[`${seat.bench}-${seat.position}`] = seat;
+                            });
+                            const positions = Array.from({ length: plan.studentsPerBench }, (_, i) => i + 1);
+                            const benches = Array.from({ length: plan.totalBenches }, (_, i) => i + 1);
+
+                            return (
+                                <Box key={plan.roomAllocationId} sx={{ mb: 4 }}>
+                                    <Typography sx={{ fontWeight: '600', mb: 1 }}>
+                                        {plan.roomDetails} | {plan.date} | {plan.time}
+                                        {plan.accommodations?.length > 0 && ' | Accommodation room'}
+                                    </Typography>
+                                    <TableContainer component={Paper} variant="outlined" sx={{ borderRadius: '8px', overflow: 'auto' }}>
+                                        <Table size="small">
+                                            <TableHead sx={{ bgcolor: 'primary.main' }}>
+                                                <TableRow>
+                                                    <TableCell sx={{ fontWeight: 'bold', color: 'white', border: '1px solid #ccc' }}>Bench</TableCell>
+                                                    {positions.map(position => (
+                                                        <TableCell key={position} align="center" sx={{ fontWeight: 'bold', color: 'white', border: '1px solid #ccc' }}>
+                                                            Seat {position}
+                                                        </TableCell>
+                                                    ))}
+                                                </TableRow>
+                                            </TableHead>
+                                            <TableBody>
+                                                {benches.map(bench => (
+                                                    <TableRow key={bench}>
+                                                        <TableCell sx={{ fontWeight: 'bold', border: '1px solid #ccc' }}>{bench}</TableCell>
+                                                        {positions.map(position => {
+                                                            const seat = seatAt[`${bench}-${position}`];
+                                                            return (
+                                                                <TableCell
+                                                                    key={`${bench}-${position}`}
+                                                                    align="center"
+                                                                    sx={{ border: '1px solid #ccc', backgroundColor: seat ? 'inherit' : '#fafafa' }}
+                                                                >
+                                                                    {seat ? (
+                                                                        <>
+                                                                            {seat.rollNumber}
+                                                                            <Typography variant="caption" display="block" color="text.secondary">
+                                                                                Sem {seat.semester} {seat.subjectCode}
+                                                                            </Typography>
+                                                                        </>
+                                                                    ) : '-'}
+                                                                </TableCell>
+                                                            );
+                                                        })}
+                                                    </TableRow>
+                                                ))}
+                                            </TableBody>
+                                        </Table>
+                                    </TableContainer>
+                                </Box>
+                            );
+                        })
+                    )}
+                </TabPanel>
             </Paper>
+
+            <Dialog open={Boolean(substituteFor)} onClose={() => setSubstituteFor(null)} fullWidth maxWidth="sm">
+                <DialogTitle>Substitute Invigilator</DialogTitle>
+                <DialogContent dividers>
+                    {substituteFor && (
+                        <Typography sx={{ mb: 2 }}>
+                            Replacing <strong>{substituteFor.facultyName}</strong> on {substituteFor.date}, {substituteFor.time} ({substituteFor.roomDetails})
+                        </Typography>
+                    )}
+                    {candidatesLoading ? (
+                        <Box sx={{ display: 'flex', justifyContent: 'center', py: 3 }}>
+                            <CircularProgress size={28} />
+                        </Box>
+                    ) : candidates.length === 0 ? (
+                        <Alert severity="warning">No faculty are free at this time within the designation quota.</Alert>
+                    ) : (
+                        <List dense sx={{ maxHeight: 280, overflowY: 'auto', border: '1px solid #eee', borderRadius: '6px' }}>
+                            {candidates.map((candidate) => (
+                                <ListItemButton
+                                    key={candidate._id}
+                                    selected={selectedCandidate === candidate._id}
+                                    onClick={() => setSelectedCandidate(candidate._id)}
+                                >
+                                    <ListItemText
+                                        primary={candidate.name}
+                                        secondary={`${candidate.designation} · ${candidate.previousAllocations} previous duties`}
+                                    />
+                                </ListItemButton>
+                            ))}
+                        </List>
+                    )}
+                    <TextField
+                        label="Reason"
+                        value={substituteReason}
+                        onChange={(e) => setSubstituteReason(e.target.value)}
+                        fullWidth
+                        multiline
+                        minRows={2}
+                        sx={{ mt: 2 }}
+                        placeholder="e.g., Medical leave"
+                    />
+                </DialogContent>
+                <DialogActions>
+                    <Button onClick={() => setSubstituteFor(null)}>Cancel</Button>
+                    <Button
+                        variant="contained"
+                        onClick={handleSubstitute}
+                        disabled={!selectedCandidate || !substituteReason.trim() || substituting}
+                    >
+                        {substituting ? 'Substituting...' : 'Confirm Substitution'}
+                    </Button>
+                </DialogActions>
+            </Dialog>
         </Container>
     );
 };
@@ -1,4 +1,4 @@
-import { useState, useEffect } from "react";
+import { useState, useEffect, useCallback } from "react";
 import {
   Calendar,
   ClipboardList,
@@ -6,10 +6,18 @@ import {
   Bell,
   User,
   ChevronRight,
+  CalendarOff,
+  CalendarPlus,
 } from "lucide-react";
 import axios from "axios";
 import { useNavigate, Link } from "react-router-dom";
 
+const authConfig = () => ({
+  headers: {
+    Authorization: `Bearer ${localStorage.getItem("token")}`,
+  },
+});
+
 export default function FacultyDashboard() {
   const [stats, setStats] = useState({
     upcomingCount: 0,
@@ -23,10 +31,36 @@ export default function FacultyDashboard() {
   const [isLoading, setIsLoading] = useState(true);
   const [notifications, setNotifications] = useState([]);
   const [todayExams, setTodayExams] = useState([]);
+  const [calendarUrl, setCalendarUrl] = useState("");
   const [upcomingExams, setUpcomingExams] = useState([]);
   const [showNotifications, setShowNotifications] = useState(false);
+  const [unavailability, setUnavailability] = useState([]);
+  const [leaveForm, setLeaveForm] = useState({
+    type: "Leave",
+    fromDate: "",
+    fromTime: "",
+    toDate: "",
+    toTime: "",
+    reason: "",
+  });
+  const [submittingLeave, setSubmittingLeave] = useState(false);
   const navigate = useNavigate();
 
+  const fetchUnavailability = useCallback(async () => {
+    try {
+      const response = await axios.get("/faculty/unavailability/mine", authConfig());
+      if (response.data && response.data.success) {
+        setUnavailability(response.data.data || []);
+      }
+    } catch (error) {
+      console.error("Error fetching unavailability:", error);
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchUnavailability();
+  }, [fetchUnavailability]);
+
   useEffect(() => {
     const fetchDashboardData = async () => {
       setIsLoading(true);
@@ -92,6 +126,97 @@ export default function FacultyDashboard() {
     fetchDashboardData();
   }, [navigate]);
 
+  const handleLeaveChange = (e) => {
+    const { name, value } = e.target;
+    setLeaveForm((prev) => ({ ...prev, [name]: value }));
+  };
+
+  const submitLeave = async (e) => {
+    e.preventDefault();
+    setSubmittingLeave(true);
+    try {
+      const response = await axios.post("/faculty/unavailability", leaveForm, authConfig());
+      alert(response.data.message);
+      setLeaveForm({ type: "Leave", fromDate: "", fromTime: "", toDate: "", toTime: "", reason: "" });
+      fetchUnavailability();
+    } catch (error) {
+      console.error("Error submitting unavailability:", error);
+      alert(error.response?.data?.message || "Failed to submit request.");
+    } finally {
+      setSubmittingLeave(false);
+    }
+  };
+
+  const withdrawLeave = async (requestId) => {
+    if (!window.confirm("Withdraw this request?")) return;
+    try {
+      await axios.delete(`/faculty/unavailability/${requestId}`, authConfig());
+      setUnavailability((prev) => prev.filter((r) => r._id !== requestId));
+    } catch (error) {
+      console.error("Error withdrawing unavailability:", error);
+      alert(error.response?.data?.message || "Failed to withdraw request.");
+    }
+  };
+
+  const fetchCalendarLink = async () => {
+    try {
+      const response = await axios.get("/faculty/calendar", authConfig());
+      setCalendarUrl(response.data.data.url);
+    } catch (error) {
+      console.error("Error fetching calendar link:", error);
+      alert(error.response?.data?.message || "Failed to fetch the calendar link.");
+    }
+  };
+
+  const resetCalendarLink = async () => {
+    if (!window.confirm("Create a new calendar link? Calendars subscribed with the old link stop updating.")) return;
+    try {
+      const response = await axios.post("/faculty/calendar/reset", {}, authConfig());
+      setCalendarUrl(response.data.data.url);
+      alert(response.data.message);
+    } catch (error) {
+      console.error("Error resetting calendar link:", error);
+      alert(error.response?.data?.message || "Failed to reset the calendar link.");
+    }
+  };
+
+  const formatPeriod = (request) => {
+    const options = { day: "numeric", month: "short", year: "numeric", hour: "numeric", minute: "2-digit" };
+    return `${new Date(request.from).toLocaleString("en-IN", options)} - ${new Date(request.to).toLocaleString("en-IN", options)}`;
+  };
+
+  const statusClasses = {
+    Pending: "bg-yellow-100 text-yellow-800",
+    Approved: "bg-green-100 text-green-800",
+    Rejected: "bg-red-100 text-red-800",
+  };
+
+  const dutyStatusClasses = {
+    Assigned: "bg-gray-100 text-gray-700",
+    Notified: "bg-yellow-100 text-yellow-800",
+    Acknowledged: "bg-blue-100 text-blue-800",
+    "Checked In": "bg-green-100 text-green-800",
+    Completed: "bg-emerald-100 text-emerald-800",
+  };
+
+  // The same duty appears once per exam sharing the room and slot; they move through the lifecycle together
+  const dutyKey = (exam) => `${exam.date}_${exam.startTime}_${exam.endTime}_${exam.role}_${exam.room?.number}`;
+
+  const handleDutyAction = async (exam, action, status) => {
+    try {
+      const response = await axios.put(`/faculty/duties/${exam.allocationId}/${action}`, {}, authConfig());
+      const markStatus = (list) => list.map((item) => (dutyKey(item) === dutyKey(exam) ? { ...item, status } : item));
+      setTodayExams(markStatus);
+      setUpcomingExams(markStatus);
+      alert(response.data.message);
+    } catch (error) {
+      console.error(`Error updating duty (${action}):`, error);
+      alert(error.response?.data?.message || "Failed to update the duty.");
+    }
+  };
+
+  const isAcknowledged = (exam) => !["Assigned", "Notified"].includes(exam.status);
+
   const markAllAsRead = () => {
     setNotifications((prev) =>
       prev.map((notification) => ({ ...notification, isRead: true }))
@@ -100,7 +225,13 @@ export default function FacultyDashboard() {
 
   const unreadCount = notifications.filter((n) => !n.isRead).length;
 
-  const formatRoomInfo = (room) => {
+  // Attendance is taken by the invigilator of each room
+  const todayDuty = todayExams.find((exam) => exam.role === "Invigilator");
+
+  const formatRoomInfo = (exam) => {
+    // Chief superintendents, squad and relief invigilators cover the session or a block of rooms
+    if (exam.role && exam.role !== "Invigilator") return `${exam.role}: ${exam.coverage}`;
+    const room = exam.room;
     if (!room) return "Not assigned";
     return `${room.building}, Room ${room.number}, Floor ${room.floor}`;
   };
@@ -254,6 +385,9 @@ export default function FacultyDashboard() {
                         <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
                           Room
                         </th>
+                        <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                          Status
+                        </th>
                         <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
                           Actions
                         </th>
@@ -270,29 +404,47 @@ export default function FacultyDashboard() {
                               {`${exam.startTime} - ${exam.endTime}`}
                             </td>
                             <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">
-                              {formatRoomInfo(exam.room)}
+                              {formatRoomInfo(exam)}
                             </td>
                             <td className="px-6 py-4 whitespace-nowrap text-sm">
-                              <Link
-                                to={`/exams/${index}`}
-                                className="text-blue-600 hover:text-blue-900"
-                              >
-                                View Details
-                              </Link>
-                              <span className="mx-2 text-gray-300">|</span>
-                              <Link
-                                to={`/attendance?exam=${index}`}
-                                className="text-green-600 hover:text-green-900"
-                              >
-                                Submit Attendance
-                              </Link>
+                              <span className={`px-2 py-1 rounded-full text-xs font-medium ${dutyStatusClasses[exam.status]}`}>
+                                {exam.status}
+                              </span>
+                            </td>
+                            <td className="px-6 py-4 whitespace-nowrap text-sm">
+                              {exam.status === "Checked In" ? (
+                                <button
+                                  onClick={() => handleDutyAction(exam, "complete", "Completed")}
+                                  className="text-emerald-600 hover:text-emerald-900"
+                                >
+                                  Complete
+                                </button>
+                              ) : exam.status !== "Completed" && (
+                                <button
+                                  onClick={() => handleDutyAction(exam, "check-in", "Checked In")}
+                                  className="text-blue-600 hover:text-blue-900"
+                                >
+                                  Check In
+                                </button>
+                              )}
+                              {exam.role === "Invigilator" && (
+                                <>
+                                  {exam.status !== "Completed" && <span className="mx-2 text-gray-300">|</span>}
+                                  <Link
+                                    to={`/attendance/${exam.allocationId}`}
+                                    className="text-green-600 hover:text-green-900"
+                                  >
+                                    Submit Attendance
+                                  </Link>
+                                </>
+                              )}
                             </td>
                           </tr>
                         ))
                       ) : (
                         <tr>
                           <td
-                            colSpan="4"
+                            colSpan="5"
                             className="px-6 py-4 text-center text-sm text-gray-500"
                           >
                             No exams scheduled for today
@@ -327,6 +479,9 @@ export default function FacultyDashboard() {
                         <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
                           Room
                         </th>
+                        <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                          Status
+                        </th>
                         <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
                           Actions
                         </th>
@@ -346,9 +501,25 @@ export default function FacultyDashboard() {
                               {`${exam.startTime} - ${exam.endTime}`}
                             </td>
                             <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">
-                              {formatRoomInfo(exam.room)}
+                              {formatRoomInfo(exam)}
                             </td>
                             <td className="px-6 py-4 whitespace-nowrap text-sm">
+                              <span className={`px-2 py-1 rounded-full text-xs font-medium ${dutyStatusClasses[exam.status]}`}>
+                                {exam.status}
+                              </span>
+                            </td>
+                            <td className="px-6 py-4 whitespace-nowrap text-sm">
+                              {!isAcknowledged(exam) && (
+                                <>
+                                  <button
+                                    onClick={() => handleDutyAction(exam, "acknowledge", "Acknowledged")}
+                                    className="text-green-600 hover:text-green-900"
+                                  >
+                                    Acknowledge
+                                  </button>
+                                  <span className="mx-2 text-gray-300">|</span>
+                                </>
+                              )}
                               <Link
                                 to={`/exams`}
                                 className="text-blue-600 hover:text-blue-900"
@@ -361,7 +532,7 @@ export default function FacultyDashboard() {
                       ) : (
                         <tr>
                           <td
-                            colSpan="5"
+                            colSpan="6"
                             className="px-6 py-4 text-center text-sm text-gray-500"
                           >
                             No upcoming exams found
@@ -384,6 +555,171 @@ export default function FacultyDashboard() {
                 )}
               </div>
 
+              {/* Calendar Feed */}
+              <div className="bg-white rounded-xl shadow-sm border border-gray-100 mb-6">
+                <div className="px-6 py-4 border-b border-gray-200 flex items-center">
+                  <CalendarPlus className="h-5 w-5 text-blue-600 mr-2" />
+                  <h3 className="text-lg font-semibold text-gray-800">
+                    Calendar Feed
+                  </h3>
+                </div>
+                <div className="p-6 space-y-3">
+                  <p className="text-sm text-gray-600">
+                    Subscribe to this link in Google Calendar, Outlook or Apple Calendar ("add calendar from URL") to see your
+                    duties there. Changes and cancellations show up on the next refresh. Keep the link private; anyone with it can see your duties.
+                  </p>
+                  {calendarUrl ? (
+                    <div className="flex flex-wrap items-center gap-3">
+                      <input
+                        type="text"
+                        readOnly
+                        value={calendarUrl}
+                        onFocus={(e) => e.target.select()}
+                        className="flex-1 min-w-0 border border-gray-300 rounded-lg px-3 py-2 text-sm text-gray-700 bg-gray-50"
+                      />
+                      <button
+                        onClick={() => navigator.clipboard.writeText(calendarUrl)}
+                        className="px-4 py-2 bg-blue-600 hover:bg-blue-700 text-white rounded-lg text-sm"
+                      >
+                        Copy
+                      </button>
+                      <button onClick={resetCalendarLink} className="text-sm text-red-600 hover:text-red-800">
+                        Reset link
+                      </button>
+                    </div>
+                  ) : (
+                    <button
+                      onClick={fetchCalendarLink}
+                      className="px-4 py-2 bg-blue-600 hover:bg-blue-700 text-white rounded-lg text-sm"
+                    >
+                      Get calendar link
+                    </button>
+                  )}
+                </div>
+              </div>
+
+              {/* Unavailability */}
+              <div className="bg-white rounded-xl shadow-sm border border-gray-100 mb-6">
+                <div className="px-6 py-4 border-b border-gray-200 flex items-center">
+                  <CalendarOff className="h-5 w-5 text-rose-600 mr-2" />
+                  <h3 className="text-lg font-semibold text-gray-800">
+                    My Unavailability
+                  </h3>
+                </div>
+                <form onSubmit={submitLeave} className="p-6 grid grid-cols-1 md:grid-cols-3 gap-4 border-b border-gray-200">
+                  <div>
+                    <label className="block text-sm font-medium text-gray-700 mb-1">Type</label>
+                    <select
+                      name="type"
+                      value={leaveForm.type}
+                      onChange={handleLeaveChange}
+                      className="w-full border border-gray-300 rounded-lg px-3 py-2 text-sm"
+                    >
+                      <option value="Leave">Leave</option>
+                      <option value="Conference">Conference</option>
+                      <option value="Teaching">Teaching duty</option>
+                      <option value="Other">Other</option>
+                    </select>
+                  </div>
+                  <div>
+                    <label className="block text-sm font-medium text-gray-700 mb-1">From</label>
+                    <div className="flex gap-2">
+                      <input type="date" name="fromDate" value={leaveForm.fromDate} onChange={handleLeaveChange} required className="flex-1 border border-gray-300 rounded-lg px-3 py-2 text-sm" />
+                      <input type="time" name="fromTime" value={leaveForm.fromTime} onChange={handleLeaveChange} className="border border-gray-300 rounded-lg px-3 py-2 text-sm" />
+                    </div>
+                  </div>
+                  <div>
+                    <label className="block text-sm font-medium text-gray-700 mb-1">To</label>
+                    <div className="flex gap-2">
+                      <input type="date" name="toDate" value={leaveForm.toDate} onChange={handleLeaveChange} min={leaveForm.fromDate} className="flex-1 border border-gray-300 rounded-lg px-3 py-2 text-sm" />
+                      <input type="time" name="toTime" value={leaveForm.toTime} onChange={handleLeaveChange} className="border border-gray-300 rounded-lg px-3 py-2 text-sm" />
+                    </div>
+                  </div>
+                  <div className="md:col-span-2">
+                    <label className="block text-sm font-medium text-gray-700 mb-1">Reason</label>
+                    <input
+                      type="text"
+                      name="reason"
+                      value={leaveForm.reason}
+                      onChange={handleLeaveChange}
+                      placeholder="Leave times empty to block whole days"
+                      className="w-full border border-gray-300 rounded-lg px-3 py-2 text-sm"
+                    />
+                  </div>
+                  <div className="flex items-end">
+                    <button
+                      type="submit"
+                      disabled={submittingLeave}
+                      className="w-full bg-rose-600 hover:bg-rose-700 disabled:opacity-60 text-white font-medium py-2 px-4 rounded-lg transition-all"
+                    >
+                      {submittingLeave ? "Submitting..." : "Request Approval"}
+                    </button>
+                  </div>
+                </form>
+                <div className="overflow-x-auto">
+                  <table className="min-w-full divide-y divide-gray-200">
+                    <thead className="bg-gray-50">
+                      <tr>
+                        <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                          Type
+                        </th>
+                        <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                          Period
+                        </th>
+                        <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                          Status
+                        </th>
+                        <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                          Actions
+                        </th>
+                      </tr>
+                    </thead>
+                    <tbody className="bg-white divide-y divide-gray-200">
+                      {unavailability.length > 0 ? (
+                        unavailability.map((request) => (
+                          <tr key={request._id} className="hover:bg-gray-50">
+                            <td className="px-6 py-4 whitespace-nowrap text-sm font-medium text-gray-900">
+                              {request.type}
+                              {request.reason && (
+                                <p className="text-xs font-normal text-gray-500">{request.reason}</p>
+                              )}
+                            </td>
+                            <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">
+                              {formatPeriod(request)}
+                            </td>
+                            <td className="px-6 py-4 whitespace-nowrap text-sm">
+                              <span className={`px-2 py-1 rounded-full text-xs font-medium ${statusClasses[request.status]}`}>
+                                {request.status}
+                              </span>
+                              {request.reviewNote && (
+                                <p className="text-xs text-gray-500 mt-1">{request.reviewNote}</p>
+                              )}
+                            </td>
+                            <td className="px-6 py-4 whitespace-nowrap text-sm">
+                              <button
+                                onClick={() => withdrawLeave(request._id)}
+                                className="text-red-600 hover:text-red-900"
+                              >
+                                Withdraw
+                              </button>
+                            </td>
+                          </tr>
+                        ))
+                      ) : (
+                        <tr>
+                          <td
+                            colSpan="4"
+                            className="px-6 py-4 text-center text-sm text-gray-500"
+                          >
+                            No unavailability declared
+                          </td>
+                        </tr>
+                      )}
+                    </tbody>
+                  </table>
+                </div>
+              </div>
+
               {/* Quick Actions */}
               <div className="bg-white rounded-xl shadow-sm border border-gray-100">
                 <div className="px-6 py-4 border-b border-gray-200">
@@ -399,13 +735,20 @@ export default function FacultyDashboard() {
                     <Calendar className="h-5 w-5 mr-2" />
                     View Exam Schedule
                   </Link>
-                  <Link
-                    to="/attendance"
-                    className="flex items-center justify-center bg-emerald-50 hover:bg-emerald-100 text-emerald-700 font-medium py-3 px-4 rounded-lg transition-all"
-                  >
-                    <ClipboardList className="h-5 w-5 mr-2" />
-                    Submit Attendance
-                  </Link>
+                  {todayDuty ? (
+                    <Link
+                      to={`/attendance/${todayDuty.allocationId}`}
+                      className="flex items-center justify-center bg-emerald-50 hover:bg-emerald-100 text-emerald-700 font-medium py-3 px-4 rounded-lg transition-all"
+                    >
+                      <ClipboardList className="h-5 w-5 mr-2" />
+                      Submit Attendance
+                    </Link>
+                  ) : (
+                    <span className="flex items-center justify-center bg-gray-50 text-gray-400 font-medium py-3 px-4 rounded-lg">
+                      <ClipboardList className="h-5 w-5 mr-2" />
+                      No room to take attendance for today
+                    </span>
+                  )}
                 </div>
               </div>
             </>
@@ -0,0 +1,216 @@
+import { useEffect, useState } from "react";
+import axios from "axios";
+import { Upload, Users, AlertCircle, CheckCircle, X, RefreshCcw } from "lucide-react";
+
+const emailStatusStyles = {
+  Queued: "bg-amber-100 text-amber-800",
+  Sent: "bg-green-100 text-green-800",
+  Failed: "bg-red-100 text-red-800",
+};
+
+export default function FacultyImport() {
+  const [file, setFile] = useState(null);
+  const [working, setWorking] = useState(false);
+  const [status, setStatus] = useState({ type: null, message: "" });
+  const [dryRunReport, setDryRunReport] = useState(null);
+  const [facultyImport, setFacultyImport] = useState(null); // Saved import, refreshed while emails go out
+
+  const emailsPending = facultyImport?.rows.some((row) => row.emailStatus === "Queued");
+
+  // Credential emails are sent in the background; poll until none are left in the queue
+  useEffect(() => {
+    if (!emailsPending) return;
+    const timer = setInterval(() => {
+      axios.get(`http://localhost:4000/faculty/imports/${facultyImport._id}`, { withCredentials: true })
+        .then((res) => setFacultyImport(res.data.data))
+        .catch((err) => console.error("Error refreshing import:", err));
+    }, 3000);
+    return () => clearInterval(timer);
+  }, [emailsPending, facultyImport?._id]);
+
+  const submit = async (dryRun) => {
+    if (!file) {
+      setStatus({ type: "error", message: "Choose a CSV or Excel file first." });
+      return;
+    }
+
+    const data = new FormData();
+    data.append("file", file);
+    data.append("dryRun", dryRun);
+
+    setWorking(true);
+    setDryRunReport(null);
+    try {
+      const res = await axios.post("http://localhost:4000/faculty/import", data, { withCredentials: true });
+      setStatus({ type: "success", message: res.data.message });
+      if (dryRun) {
+        setDryRunReport(res.data.data);
+      } else {
+        setFacultyImport(res.data.data);
+        setFile(null);
+      }
+    } catch (err) {
+      console.error("Error importing faculty:", err);
+      setDryRunReport(err.response?.data?.errors ? { errors: err.response.data.errors } : null);
+      setStatus({ type: "error", message: err.response?.data?.message || "Failed to import faculty" });
+    } finally {
+      setWorking(false);
+    }
+  };
+
+  const handleResend = async () => {
+    try {
+      const res = await axios.post(`http://localhost:4000/faculty/imports/${facultyImport._id}/resend`, {}, { withCredentials: true });
+      setFacultyImport(res.data.data);
+      setStatus({ type: "success", message: res.data.message });
+    } catch (err) {
+      console.error("Error resending credentials:", err);
+      setStatus({ type: "error", message: err.response?.data?.message || "Failed to resend credentials" });
+    }
+  };
+
+  const counts = facultyImport
+    ? ["Sent", "Queued", "Failed"].map((state) => [state, facultyImport.rows.filter((row) => row.emailStatus === state).length])
+    : [];
+
+  return (
+    <div className="ml-71 p-6 max-w-5xl">
+      <h1 className="text-2xl font-bold text-gray-800 flex items-center mb-6">
+        <Users size={28} className="mr-2 text-blue-600" />
+        Import Faculty
+      </h1>
+
+      {status.type && (
+        <div className={`mb-6 px-4 py-3 rounded-lg border-l-4 flex items-start justify-between ${
+          status.type === "success"
+            ? "bg-green-50 text-green-700 border-green-500"
+            : "bg-red-50 text-red-700 border-red-500"
+        }`}>
+          <div className="flex items-start">
+            {status.type === "success" ?
+              <CheckCircle className="h-5 w-5 mr-3 mt-0.5 flex-shrink-0" /> :
+              <AlertCircle className="h-5 w-5 mr-3 mt-0.5 flex-shrink-0" />
+            }
+            <span className="font-medium">{status.message}</span>
+          </div>
+          <button onClick={() => setStatus({ type: null, message: "" })} className="text-gray-400 hover:text-gray-600">
+            <X size={18} />
+          </button>
+        </div>
+      )}
+
+      <div className="bg-white rounded-xl shadow p-6 mb-6 space-y-4">
+        <p className="text-sm text-gray-500">
+          CSV or Excel sheet with <span className="font-medium">Name, Email</span> and <span className="font-medium">Designation</span> columns
+          and an optional Department column. Designations must appear in an allocation policy. Each new faculty member is emailed a
+          generated password; the emails go out in the background and their progress is shown below.
+        </p>
+        <input
+          type="file"
+          accept=".csv,.xlsx,.xls"
+          onChange={(e) => {
+            setFile(e.target.files[0] || null);
+            setDryRunReport(null);
+          }}
+          className="text-sm text-gray-700"
+        />
+        <div className="flex gap-3">
+          <button
+            onClick={() => submit(true)}
+            disabled={working}
+            className="px-4 py-2 border border-gray-300 hover:bg-gray-50 text-gray-700 rounded-lg transition-colors disabled:opacity-60"
+          >
+            Check File
+          </button>
+          <button
+            onClick={() => submit(false)}
+            disabled={working}
+            className="px-4 py-2 bg-green-600 hover:bg-green-700 text-white rounded-lg transition-colors flex items-center disabled:bg-gray-400"
+          >
+            <Upload size={16} className="mr-2" />
+            {working ? "Working..." : "Import"}
+          </button>
+        </div>
+
+        {dryRunReport && (
+          <div className="text-sm text-gray-700 border-t pt-4">
+            {dryRunReport.created !== undefined && (
+              <p className="mb-2">
+                Would add <span className="font-semibold">{dryRunReport.created}</span>, skip{" "}
+                <span className="font-semibold">{dryRunReport.skipped}</span>.
+              </p>
+            )}
+            {dryRunReport.errors?.length > 0 && (
+              <ul className="list-disc ml-5 text-red-600 max-h-40 overflow-y-auto">
+                {dryRunReport.errors.map((err, idx) => (
+                  <li key={idx}>Row {err.row}{err.email ? ` (${err.email})` : ""}: {err.message}</li>
+                ))}
+              </ul>
+            )}
+          </div>
+        )}
+      </div>
+
+      {facultyImport && (
+        <div className="bg-white rounded-xl shadow overflow-hidden">
+          <div className="px-6 py-4 border-b flex justify-between items-center">
+            <h2 className="text-lg font-semibold text-gray-800">
+              Import Results
+              <span className="ml-3 text-sm font-normal text-gray-500">
+                Emails: {counts.map(([state, count]) => `${count} ${state.toLowerCase()}`).join(", ")}
+              </span>
+            </h2>
+            {counts.some(([state, count]) => state === "Failed" && count > 0) && (
+              <button
+                onClick={handleResend}
+                className="px-3 py-1.5 bg-blue-600 hover:bg-blue-700 text-white rounded-lg transition-colors flex items-center text-sm"
+              >
+                <RefreshCcw size={14} className="mr-2" />
+                Resend Failed
+              </button>
+            )}
+          </div>
+          <div className="overflow-x-auto max-h-[32rem]">
+            <table className="min-w-full divide-y divide-gray-200 text-sm">
+              <thead className="bg-gray-50">
+                <tr>
+                  {["Row", "Name", "Email", "Designation", "Department", "Result", "Credentials"].map((label) => (
+                    <th key={label} className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">{label}</th>
+                  ))}
+                </tr>
+              </thead>
+              <tbody className="divide-y divide-gray-100">
+                {facultyImport.rows.map((row) => (
+                  <tr key={row.row}>
+                    <td className="px-4 py-2 text-gray-500">{row.row}</td>
+                    <td className="px-4 py-2">{row.name}</td>
+                    <td className="px-4 py-2 text-gray-600">{row.email}</td>
+                    <td className="px-4 py-2 text-gray-600">{row.designation}</td>
+                    <td className="px-4 py-2 text-gray-600">{row.department}</td>
+                    <td className="px-4 py-2">
+                      {row.status === "Created" ? (
+                        <span className="text-green-700">Created</span>
+                      ) : (
+                        <span className="text-red-600">Skipped: {row.message}</span>
+                      )}
+                    </td>
+                    <td className="px-4 py-2">
+                      {row.emailStatus && (
+                        <span
+                          className={`px-2 py-0.5 rounded-full text-xs ${emailStatusStyles[row.emailStatus]}`}
+                          title={row.emailStatus === "Failed" ? row.message : undefined}
+                        >
+                          {row.emailStatus}
+                        </span>
+                      )}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
@@ -1,6 +1,7 @@
-import { useEffect, useState } from "react";
+import { useCallback, useEffect, useState } from "react";
 import axios from "axios";
 import { useNavigate } from "react-router-dom";
+import DepartmentSelect from "../components/DepartmentSelect";
 
 export default function FacultyList() {
   const [faculties, setFaculties] = useState([]);
@@ -9,15 +10,12 @@ export default function FacultyList() {
   const [loading, setLoading] = useState(false);
   const [searchTerm, setSearchTerm] = useState("");
   const [isLoading, setIsLoading] = useState(true);
+  const [department, setDepartment] = useState("");
   const navigate = useNavigate();
 
-  useEffect(() => {
-    fetchFaculties();
-  }, []);
-
-  const fetchFaculties = () => {
+  const fetchFaculties = useCallback(() => {
     setIsLoading(true);
-    axios.get("http://localhost:4000/faculty/all", { withCredentials: true })
+    axios.get("http://localhost:4000/faculty/all", { withCredentials: true, params: { department: department || undefined } })
       .then(res => {
         setFaculties(res.data.data);
         setIsLoading(false);
@@ -26,7 +24,11 @@ export default function FacultyList() {
         console.error("Error fetching faculties:", err);
         setIsLoading(false);
       });
-  };
+  }, [department]);
+
+  useEffect(() => {
+    fetchFaculties();
+  }, [fetchFaculties]);
 
   const confirmDelete = (id, e) => {
     e.stopPropagation();
@@ -76,8 +78,8 @@ export default function FacultyList() {
         </button>
       </div>
 
-      <div className="mb-6">
-        <div className="relative">
+      <div className="mb-6 flex gap-3">
+        <div className="relative flex-1">
           <input
             type="text"
             placeholder="Search faculties by name, email or designation..."
@@ -89,6 +91,7 @@ export default function FacultyList() {
             <path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M21 21l-6-6m2-5a7 7 0 11-14 0 7 7 0 0114 0z"></path>
           </svg>
         </div>
+        <DepartmentSelect value={department} onChange={setDepartment} />
       </div>
 
       {isLoading ? (
@@ -116,7 +119,9 @@ export default function FacultyList() {
                   {faculty.name.charAt(0).toUpperCase()}
                 </div>
                 <h2 className="text-lg font-semibold text-center text-gray-800">{faculty.name}</h2>
-                <p className="text-sm text-center text-gray-600">{faculty.designation}</p>
+                <p className="text-sm text-center text-gray-600">
+                  {faculty.designation}{faculty.department ? ` · ${faculty.department.code}` : ""}
+                </p>
               </div>
               
               <div className="p-4">
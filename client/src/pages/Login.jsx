@@ -1,5 +1,6 @@
 // src/pages/Login.jsx
 import React, { useState } from 'react';
+import { Link } from 'react-router-dom';
 import { useDispatch, useSelector } from 'react-redux';
 import { loginUser, selectAuthLoading } from "../redux/authSlice"; // Import relevant thunk and selector
 
@@ -51,6 +52,9 @@ const Login = () => {
             >
               {loading === 'pending' ? 'Logging in...' : 'Login'}
             </button>
+            <Link to="/seat-lookup" className="text-sm text-blue-600 hover:underline">
+              Student? Find your exam seat
+            </Link>
           </div>
         </form>
       </div>
@@ -0,0 +1,194 @@
+import { useEffect, useState } from "react";
+import { useParams, Link } from "react-router-dom";
+import axios from "axios";
+import { ClipboardList, AlertCircle, CheckCircle, X, ChevronLeft, Save } from "lucide-react";
+
+// Attendance of the room on one invigilation duty, taken by its invigilator
+export default function MarkAttendance() {
+  const { allocationId } = useParams();
+  const [sheet, setSheet] = useState(null);
+  const [students, setStudents] = useState([]);
+  const [incidentNote, setIncidentNote] = useState("");
+  const [isLoading, setIsLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+  const [status, setStatus] = useState({ type: null, message: "" });
+
+  const authConfig = () => ({
+    headers: {
+      Authorization: `Bearer ${localStorage.getItem("token")}`,
+    },
+  });
+
+  useEffect(() => {
+    setIsLoading(true);
+    axios.get(`/faculty/duties/${allocationId}/attendance`, authConfig())
+      .then((res) => {
+        setSheet(res.data.data);
+        setStudents(res.data.data.students);
+        setIncidentNote(res.data.data.incidentNote);
+      })
+      .catch((err) => {
+        console.error("Error fetching attendance:", err);
+        setStatus({ type: "error", message: err.response?.data?.message || "Failed to load the room's students" });
+      })
+      .finally(() => setIsLoading(false));
+  }, [allocationId]);
+
+  const updateStudent = (rollNumber, changes) => {
+    setStudents((prev) => prev.map((student) => (student.rollNumber === rollNumber ? { ...student, ...changes } : student)));
+  };
+
+  const markAllPresent = () => {
+    setStudents((prev) => prev.map((student) => (student.present === null ? { ...student, present: true } : student)));
+  };
+
+  const handleSave = async () => {
+    setSaving(true);
+    try {
+      const entries = students.map(({ rollNumber, present, incident }) => ({ rollNumber, present, incident }));
+      const res = await axios.put(`/faculty/duties/${allocationId}/attendance`, { entries, incidentNote }, authConfig());
+      setStatus({ type: "success", message: res.data.message });
+    } catch (err) {
+      console.error("Error saving attendance:", err);
+      setStatus({ type: "error", message: err.response?.data?.message || "Failed to save attendance" });
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const presentCount = students.filter((student) => student.present === true).length;
+  const absentCount = students.filter((student) => student.present === false).length;
+
+  return (
+    <div className="max-w-5xl mx-auto p-6">
+      <Link to="/dashboard/faculty" className="text-sm text-blue-600 hover:text-blue-800 flex items-center mb-4">
+        <ChevronLeft size={16} className="mr-1" />
+        Back to dashboard
+      </Link>
+
+      <h1 className="text-2xl font-bold text-gray-800 flex items-center mb-2">
+        <ClipboardList size={28} className="mr-2 text-blue-600" />
+        Attendance
+      </h1>
+      {sheet && (
+        <p className="text-gray-600 mb-6">
+          {sheet.examName}: {sheet.room?.building ? `${sheet.room.building}, ` : ""}Room {sheet.room?.roomNumber},
+          {" "}{sheet.date}, {sheet.startTime} - {sheet.endTime}
+          {sheet.markedAt && (
+            <span className="text-gray-400"> (last saved {new Date(sheet.markedAt).toLocaleString()})</span>
+          )}
+        </p>
+      )}
+
+      {status.type && (
+        <div className={`mb-6 px-4 py-3 rounded-lg border-l-4 flex items-start justify-between ${
+          status.type === "success"
+            ? "bg-green-50 text-green-700 border-green-500"
+            : "bg-red-50 text-red-700 border-red-500"
+        }`}>
+          <div className="flex items-start">
+            {status.type === "success" ?
+              <CheckCircle className="h-5 w-5 mr-3 mt-0.5 flex-shrink-0" /> :
+              <AlertCircle className="h-5 w-5 mr-3 mt-0.5 flex-shrink-0" />
+            }
+            <span className="font-medium">{status.message}</span>
+          </div>
+          <button onClick={() => setStatus({ type: null, message: "" })} className="text-gray-400 hover:text-gray-600">
+            <X size={18} />
+          </button>
+        </div>
+      )}
+
+      {isLoading ? (
+        <div className="flex justify-center items-center h-40">
+          <div className="animate-spin rounded-full h-12 w-12 border-t-2 border-b-2 border-blue-500"></div>
+        </div>
+      ) : sheet && (
+        <>
+          <div className="bg-white rounded-xl shadow overflow-hidden mb-6">
+            <div className="px-6 py-4 border-b flex justify-between items-center">
+              <h2 className="text-lg font-semibold text-gray-800">
+                {students.length} student(s)
+                <span className="ml-3 text-sm font-normal text-gray-500">
+                  {presentCount} present, {absentCount} absent, {students.length - presentCount - absentCount} not marked
+                </span>
+              </h2>
+              <button onClick={markAllPresent} className="text-sm text-blue-600 hover:text-blue-800">
+                Mark remaining present
+              </button>
+            </div>
+            <div className="overflow-x-auto">
+              <table className="min-w-full divide-y divide-gray-200 text-sm">
+                <thead className="bg-gray-50">
+                  <tr>
+                    {["Seat", "Roll Number", "Name", "Subject", "Attendance", "Incident"].map((label) => (
+                      <th key={label} className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">{label}</th>
+                    ))}
+                  </tr>
+                </thead>
+                <tbody className="divide-y divide-gray-100">
+                  {students.map((student) => (
+                    <tr key={student.rollNumber} className={student.present === false ? "bg-red-50" : ""}>
+                      <td className="px-4 py-2 text-gray-500">{student.seat || "-"}</td>
+                      <td className="px-4 py-2 font-medium">{student.rollNumber}</td>
+                      <td className="px-4 py-2">{student.name}</td>
+                      <td className="px-4 py-2 text-gray-600">{student.subjectCode}</td>
+                      <td className="px-4 py-2">
+                        <div className="flex gap-2">
+                          <button
+                            onClick={() => updateStudent(student.rollNumber, { present: true })}
+                            className={`px-3 py-1 rounded text-xs font-medium ${
+                              student.present === true ? "bg-green-600 text-white" : "bg-gray-100 text-gray-600 hover:bg-gray-200"
+                            }`}
+                          >
+                            Present
+                          </button>
+                          <button
+                            onClick={() => updateStudent(student.rollNumber, { present: false })}
+                            className={`px-3 py-1 rounded text-xs font-medium ${
+                              student.present === false ? "bg-red-600 text-white" : "bg-gray-100 text-gray-600 hover:bg-gray-200"
+                            }`}
+                          >
+                            Absent
+                          </button>
+                        </div>
+                      </td>
+                      <td className="px-4 py-2">
+                        <input
+                          type="text"
+                          value={student.incident}
+                          onChange={(e) => updateStudent(student.rollNumber, { incident: e.target.value })}
+                          placeholder="Malpractice or other incident"
+                          className="w-full border border-gray-300 rounded px-2 py-1 text-sm"
+                        />
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          </div>
+
+          <div className="bg-white rounded-xl shadow p-6 space-y-4">
+            <label className="block text-sm font-medium text-gray-700">Room incident note</label>
+            <textarea
+              value={incidentNote}
+              onChange={(e) => setIncidentNote(e.target.value)}
+              rows={3}
+              placeholder="Anything the exam cell should know about this room, e.g. a disturbance or question paper issue"
+              className="w-full border border-gray-300 rounded-lg px-3 py-2 text-sm"
+            />
+            <button
+              onClick={handleSave}
+              disabled={saving}
+              className="px-4 py-2 bg-blue-600 hover:bg-blue-700 text-white rounded-lg transition-colors flex items-center disabled:bg-gray-400"
+            >
+              <Save size={16} className="mr-2" />
+              {saving ? "Saving..." : "Save Attendance"}
+            </button>
+          </div>
+        </>
+      )}
+    </div>
+  );
+}
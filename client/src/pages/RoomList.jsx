@@ -1,4 +1,4 @@
-import { useEffect, useState } from "react";
+import { useCallback, useEffect, useState } from "react";
 import { useNavigate} from "react-router-dom";
 import {
   Search,
@@ -11,14 +11,24 @@ import {
   ChevronUp,
   Plus,
   RefreshCcw,
-  AlertCircle
+  AlertCircle,
+  CalendarDays,
+  Upload,
+  Download
 } from "lucide-react";
+import RoomCalendar from "../components/RoomCalendar";
+import RoomImport from "../components/RoomImport";
+import DepartmentSelect from "../components/DepartmentSelect";
 
 export default function RoomList() {
   const [rooms, setRooms] = useState([]);
   const [editingRoomId, setEditingRoomId] = useState(null);
   const [editData, setEditData] = useState({});
+  const [calendarRoom, setCalendarRoom] = useState(null);
+  const [showImport, setShowImport] = useState(false);
+  const [featureLabels, setFeatureLabels] = useState({}); // Room features papers can require
   const [searchTerm, setSearchTerm] = useState("");
+  const [department, setDepartment] = useState(""); // Lists the department's rooms and the shared ones
   const [sortField, setSortField] = useState("building");
   const [sortDirection, setSortDirection] = useState("asc");
   const [isLoading, setIsLoading] = useState(true);
@@ -35,23 +45,28 @@ export default function RoomList() {
     capacity: "Capacity",
   };
 
+  // Room attributes used to seat students with accommodations
+  const accessibilityLabels = {
+    groundFloor: "Ground floor",
+    liftAccess: "Lift access",
+    separateRoom: "Separate room",
+  };
+
   useEffect(() => {
-    fetchRooms();
+    fetch("http://localhost:4000/room/features", { credentials: "include" })
+      .then((res) => res.json())
+      .then((data) => setFeatureLabels(data.data || {}))
+      .catch((err) => console.error("Error fetching room features:", err));
   }, []);
 
-  useEffect(() => {
-    if (notification.show) {
-      const timer = setTimeout(() => {
-        setNotification(prev => ({ ...prev, show: false }));
-      }, 3000);
-      return () => clearTimeout(timer);
-    }
-  }, [notification.show]);
+  const showToast = useCallback((type, message) => {
+    setNotification({ show: true, type, message });
+  }, []);
 
-  const fetchRooms = () => {
+  const fetchRooms = useCallback(() => {
     setIsLoading(true);
     // Using fetch instead of axios
-    fetch("http://localhost:4000/room/all", { credentials: "include" })
+    fetch(`http://localhost:4000/room/all${department ? `?department=${department}` : ""}`, { credentials: "include" })
       .then((res) => res.json())
       .then((data) => {
         setRooms(data.data);
@@ -62,11 +77,20 @@ export default function RoomList() {
         showToast("error", "Failed to load rooms");
       })
       .finally(() => setIsLoading(false));
-  };
+  }, [department, showToast]);
 
-  const showToast = (type, message) => {
-    setNotification({ show: true, type, message });
-  };
+  useEffect(() => {
+    fetchRooms();
+  }, [fetchRooms]);
+
+  useEffect(() => {
+    if (notification.show) {
+      const timer = setTimeout(() => {
+        setNotification(prev => ({ ...prev, show: false }));
+      }, 3000);
+      return () => clearTimeout(timer);
+    }
+  }, [notification.show]);
 
   const handleDelete = (id, e) => {
     e?.stopPropagation();
@@ -96,9 +120,25 @@ export default function RoomList() {
       roomNumber: room.roomNumber,
       totalBenches: room.totalBenches,
       studentsPerBench: room.studentsPerBench,
+      accessibility: { groundFloor: false, liftAccess: false, separateRoom: false, ...room.accessibility },
+      features: room.features || [],
+      department: room.department?._id || "",
     });
   };
 
+  const handleFeatureChange = (e) => {
+    const { name, checked } = e.target;
+    setEditData((prev) => ({
+      ...prev,
+      features: checked ? [...prev.features, name] : prev.features.filter((feature) => feature !== name),
+    }));
+  };
+
+  const handleAccessibilityChange = (e) => {
+    const { name, checked } = e.target;
+    setEditData((prev) => ({ ...prev, accessibility: { ...prev.accessibility, [name]: checked } }));
+  };
+
   const handleEditChange = (e) => {
     setEditData((prev) => ({ ...prev, [e.target.name]: e.target.value }));
   };
@@ -125,6 +165,29 @@ export default function RoomList() {
       });
   };
 
+  // Download the room inventory in the import format
+  const handleExport = (format) => {
+    fetch(`http://localhost:4000/room/export?format=${format}${department ? `&department=${department}` : ""}`, { credentials: "include" })
+      .then((res) => {
+        if (!res.ok) throw new Error("Failed to export");
+        return res.blob();
+      })
+      .then((blob) => {
+        const url = window.URL.createObjectURL(blob);
+        const link = document.createElement("a");
+        link.href = url;
+        link.setAttribute("download", `rooms.${format}`);
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        window.URL.revokeObjectURL(url);
+      })
+      .catch((err) => {
+        console.error("Error exporting rooms:", err);
+        showToast("error", "Failed to export rooms");
+      });
+  };
+
   const handleSort = (field) => {
     if (sortField === field) {
       setSortDirection(sortDirection === "asc" ? "desc" : "asc");
@@ -206,6 +269,8 @@ export default function RoomList() {
                 size={18}
               />
             </div>
+
+            <DepartmentSelect value={department} onChange={setDepartment} />
             
             <button 
               onClick={fetchRooms} 
@@ -221,14 +286,39 @@ export default function RoomList() {
           <div className="text-sm text-gray-600">
             {filteredRooms.length} {filteredRooms.length === 1 ? 'room' : 'rooms'} found
           </div>
-          <button className="px-4 py-2 bg-green-600 hover:bg-green-700 text-white rounded-lg transition-colors flex items-center"
-          onClick={() => navigate("/rooms/add")}
-          >
-            <Plus size={16} className="mr-2" />
-            Add Room
-          </button>
+          <div className="flex items-center space-x-2">
+            <button
+              onClick={() => handleExport("csv")}
+              className="px-4 py-2 border border-gray-300 bg-white hover:bg-gray-50 text-gray-700 rounded-lg transition-colors flex items-center"
+            >
+              <Download size={16} className="mr-2" />
+              Export CSV
+            </button>
+            <button
+              onClick={() => handleExport("xlsx")}
+              className="px-4 py-2 border border-gray-300 bg-white hover:bg-gray-50 text-gray-700 rounded-lg transition-colors flex items-center"
+            >
+              <Download size={16} className="mr-2" />
+              Export Excel
+            </button>
+            <button
+              onClick={() => setShowImport(true)}
+              className="px-4 py-2 bg-indigo-600 hover:bg-indigo-700 text-white rounded-lg transition-colors flex items-center"
+            >
+              <Upload size={16} className="mr-2" />
+              Import
+            </button>
+            <button className="px-4 py-2 bg-green-600 hover:bg-green-700 text-white rounded-lg transition-colors flex items-center"
+            onClick={() => navigate("/rooms/add")}
+            >
+              <Plus size={16} className="mr-2" />
+              Add Room
+            </button>
+          </div>
         </div>
 
+        {showImport && <RoomImport onClose={() => setShowImport(false)} onImported={fetchRooms} />}
+
         {isLoading ? (
           <div className="flex flex-col justify-center items-center h-64 bg-white rounded-xl shadow p-8">
             <div className="animate-spin rounded-full h-12 w-12 border-t-4 border-b-4 border-blue-500 mb-4"></div>
@@ -285,6 +375,39 @@ export default function RoomList() {
                                 </div>
                               ))}
                             </div>
+                            <div className="flex flex-wrap gap-4 mt-3 text-sm text-gray-700">
+                              {Object.entries(accessibilityLabels).map(([field, label]) => (
+                                <label key={field} className="flex items-center gap-2">
+                                  <input
+                                    type="checkbox"
+                                    name={field}
+                                    checked={Boolean(editData.accessibility?.[field])}
+                                    onChange={handleAccessibilityChange}
+                                  />
+                                  {label}
+                                </label>
+                              ))}
+                            </div>
+                            <div className="flex flex-wrap gap-4 mt-2 text-sm text-gray-700">
+                              {Object.entries(featureLabels).map(([feature, label]) => (
+                                <label key={feature} className="flex items-center gap-2">
+                                  <input
+                                    type="checkbox"
+                                    name={feature}
+                                    checked={editData.features.includes(feature)}
+                                    onChange={handleFeatureChange}
+                                  />
+                                  {label}
+                                </label>
+                              ))}
+                            </div>
+                            <div className="mt-3">
+                              <DepartmentSelect
+                                value={editData.department}
+                                onChange={(value) => setEditData((prev) => ({ ...prev, department: value }))}
+                                emptyLabel="Shared (no department)"
+                              />
+                            </div>
                           </td>
                           <td className="px-6 py-4 text-right">
                             <div className="flex justify-end space-x-2">
@@ -313,7 +436,28 @@ export default function RoomList() {
                             </div>
                           </td>
                           <td className="px-6 py-4 text-gray-500">{room.floor}</td>
-                          <td className="px-6 py-4 text-gray-500">{room.roomNumber}</td>
+                          <td className="px-6 py-4 text-gray-500">
+                            {room.roomNumber}
+                            <div className="flex flex-wrap gap-1 mt-1">
+                              {Object.entries(accessibilityLabels)
+                                .filter(([field]) => room.accessibility?.[field])
+                                .map(([field, label]) => (
+                                  <span key={field} className="px-2 py-0.5 rounded-full text-xs bg-teal-100 text-teal-800">
+                                    {label}
+                                  </span>
+                                ))}
+                              {(room.features || []).map((feature) => (
+                                <span key={feature} className="px-2 py-0.5 rounded-full text-xs bg-purple-100 text-purple-800">
+                                  {featureLabels[feature] || feature}
+                                </span>
+                              ))}
+                              {room.department && (
+                                <span className="px-2 py-0.5 rounded-full text-xs bg-gray-100 text-gray-700" title={room.department.name}>
+                                  {room.department.code}
+                                </span>
+                              )}
+                            </div>
+                          </td>
                           <td className="px-6 py-4 text-gray-500">{room.totalBenches}</td>
                           <td className="px-6 py-4 text-gray-500">{room.studentsPerBench}</td>
                           <td className="px-6 py-4">
@@ -323,6 +467,13 @@ export default function RoomList() {
                           </td>
                           <td className="px-6 py-4 text-right">
                             <div className="flex justify-end space-x-2">
+                              <button
+                                onClick={() => setCalendarRoom(room)}
+                                className="inline-flex items-center px-3 py-1 bg-indigo-500 text-white rounded-md hover:bg-indigo-600"
+                              >
+                                <CalendarDays size={14} className="mr-1" />
+                                Calendar
+                              </button>
                               <button
                                 onClick={(e) => handleEdit(room, e)}
                                 className="inline-flex items-center px-3 py-1 bg-amber-500 text-white rounded-md hover:bg-amber-600"
@@ -348,6 +499,10 @@ export default function RoomList() {
             </div>
           </div>
         )}
+
+        {calendarRoom && (
+          <RoomCalendar key={calendarRoom._id} room={calendarRoom} onClose={() => setCalendarRoom(null)} />
+        )}
       </div>
     </div>
   );
@@ -1,11 +1,137 @@
-import React from 'react'
+import { useState } from "react";
+import axios from "axios";
+import { Search, MapPin, Clock, AlertCircle } from "lucide-react";
 
+// 24-hour "HH:mm" to "h:mm AM/PM"
+const formatTime = (time) => {
+  const [hour, minute] = time.split(":").map(Number);
+  return `${hour % 12 || 12}:${String(minute).padStart(2, "0")} ${hour < 12 ? "AM" : "PM"}`;
+};
+
+// Seat lookup for students: no login, just the roll number and date of birth on the roster
 const StudentDashboard = () => {
+  const [form, setForm] = useState({ rollNumber: "", dateOfBirth: "" });
+  const [searching, setSearching] = useState(false);
+  const [error, setError] = useState("");
+  const [result, setResult] = useState(null);
+
+  const handleChange = (e) => {
+    setForm((prev) => ({ ...prev, [e.target.name]: e.target.value }));
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setSearching(true);
+    setError("");
+    setResult(null);
+    try {
+      const res = await axios.post("http://localhost:4000/students/seat-lookup", form);
+      setResult(res.data.data);
+    } catch (err) {
+      console.error("Error looking up seat:", err);
+      setError(err.response?.data?.message || "Could not look up your seat. Please try again.");
+    } finally {
+      setSearching(false);
+    }
+  };
+
   return (
-    <div>
-      
+    <div className="max-w-3xl mx-auto p-6">
+      <h1 className="text-2xl font-bold text-gray-800 flex items-center mb-2">
+        <MapPin size={28} className="mr-2 text-blue-600" />
+        Find Your Exam Seat
+      </h1>
+      <p className="text-gray-600 mb-6">
+        Enter your roll number (USN) and date of birth to see your room, bench and timing for every upcoming paper.
+      </p>
+
+      <form onSubmit={handleSubmit} className="bg-white rounded-xl shadow p-6 mb-6 grid grid-cols-1 md:grid-cols-3 gap-4">
+        <input
+          type="text"
+          name="rollNumber"
+          value={form.rollNumber}
+          onChange={handleChange}
+          placeholder="Roll number / USN"
+          required
+          className="border border-gray-300 rounded-lg px-3 py-2 text-sm uppercase"
+        />
+        <input
+          type="date"
+          name="dateOfBirth"
+          value={form.dateOfBirth}
+          onChange={handleChange}
+          required
+          className="border border-gray-300 rounded-lg px-3 py-2 text-sm"
+        />
+        <button
+          type="submit"
+          disabled={searching}
+          className="px-4 py-2 bg-blue-600 hover:bg-blue-700 text-white rounded-lg transition-colors flex items-center justify-center disabled:bg-gray-400"
+        >
+          <Search size={16} className="mr-2" />
+          {searching ? "Searching..." : "Find Seat"}
+        </button>
+      </form>
+
+      {error && (
+        <div className="mb-6 px-4 py-3 rounded-lg border-l-4 bg-red-50 text-red-700 border-red-500 flex items-start">
+          <AlertCircle className="h-5 w-5 mr-3 mt-0.5 flex-shrink-0" />
+          <span className="font-medium">{error}</span>
+        </div>
+      )}
+
+      {result && (
+        <div className="space-y-6">
+          <p className="text-gray-700">
+            <span className="font-semibold">{result.student.name || result.student.rollNumber}</span>
+            {" "}({result.student.rollNumber}), Semester {result.student.semester}
+          </p>
+
+          {result.exams.length === 0 ? (
+            <p className="text-gray-500">No upcoming papers have been seated for you yet.</p>
+          ) : (
+            result.exams.map((exam) => (
+              <div key={exam.examId} className="bg-white rounded-xl shadow overflow-hidden">
+                <div className="px-6 py-4 border-b">
+                  <h2 className="text-lg font-semibold text-gray-800">{exam.examName} {exam.year}</h2>
+                </div>
+                <ul className="divide-y divide-gray-100">
+                  {exam.papers.map((paper, idx) => (
+                    <li key={idx} className="px-6 py-4 grid grid-cols-1 md:grid-cols-3 gap-2 text-sm">
+                      <div>
+                        <p className="font-medium text-gray-800">{paper.subjectName || paper.subjectCode}</p>
+                        <p className="text-gray-500">{paper.subjectCode}</p>
+                      </div>
+                      <div className="flex items-start text-gray-700">
+                        <Clock size={16} className="mr-2 mt-0.5 text-gray-400" />
+                        <span>
+                          {paper.date}<br />
+                          {formatTime(paper.startTime)} - {formatTime(paper.endTime)}
+                          {paper.extraTimeMinutes > 0 && (
+                            <span className="text-green-700"> (+{paper.extraTimeMinutes} min)</span>
+                          )}
+                        </span>
+                      </div>
+                      <div className="flex items-start text-gray-700">
+                        <MapPin size={16} className="mr-2 mt-0.5 text-gray-400" />
+                        <span>
+                          {paper.room.building ? `${paper.room.building}, ` : ""}Room {paper.room.roomNumber}
+                          {paper.room.floor !== undefined && `, Floor ${paper.room.floor}`}<br />
+                          {paper.bench
+                            ? <span className="font-semibold">Bench {paper.bench}, Seat {paper.position}</span>
+                            : <span className="text-gray-500">Bench shown on the room notice</span>}
+                        </span>
+                      </div>
+                    </li>
+                  ))}
+                </ul>
+              </div>
+            ))
+          )}
+        </div>
+      )}
     </div>
-  )
-}
+  );
+};
 
-export default StudentDashboard
+export default StudentDashboard;
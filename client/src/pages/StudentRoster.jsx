@@ -0,0 +1,259 @@
+import { useEffect, useState } from "react";
+import axios from "axios";
+import { Upload, Users, Trash2, RefreshCcw, AlertCircle, CheckCircle, X } from "lucide-react";
+
+export default function StudentRoster() {
+  const [summary, setSummary] = useState([]);
+  const [isLoading, setIsLoading] = useState(true);
+  const [form, setForm] = useState({ semester: "", branch: "", section: "", replace: false });
+  const [file, setFile] = useState(null);
+  const [uploading, setUploading] = useState(false);
+  const [status, setStatus] = useState({ type: null, message: "" });
+  const [report, setReport] = useState(null);
+
+  useEffect(() => {
+    fetchSummary();
+  }, []);
+
+  const fetchSummary = () => {
+    setIsLoading(true);
+    axios.get("http://localhost:4000/students/summary", { withCredentials: true })
+      .then(res => setSummary(res.data.data || []))
+      .catch(err => {
+        console.error("Error fetching roster summary:", err);
+        setStatus({ type: "error", message: "Failed to load rosters" });
+      })
+      .finally(() => setIsLoading(false));
+  };
+
+  const handleChange = (e) => {
+    const { name, value, type, checked } = e.target;
+    setForm(prev => ({ ...prev, [name]: type === "checkbox" ? checked : value }));
+  };
+
+  const handleUpload = async (e) => {
+    e.preventDefault();
+    setReport(null);
+
+    if (!form.semester || !file) {
+      setStatus({ type: "error", message: "Semester and a CSV/XLSX file are required." });
+      return;
+    }
+
+    const data = new FormData();
+    data.append("file", file);
+    data.append("semester", form.semester);
+    data.append("branch", form.branch);
+    data.append("section", form.section);
+    data.append("replace", form.replace);
+
+    setUploading(true);
+    try {
+      const res = await axios.post("http://localhost:4000/students/upload", data, { withCredentials: true });
+      setReport(res.data.data);
+      setStatus({ type: "success", message: res.data.message });
+      setFile(null);
+      e.target.reset();
+      fetchSummary();
+    } catch (err) {
+      console.error("Error uploading roster:", err);
+      setReport(err.response?.data?.errors ? { errors: err.response.data.errors } : null);
+      setStatus({ type: "error", message: err.response?.data?.message || "Failed to upload roster" });
+    } finally {
+      setUploading(false);
+    }
+  };
+
+  const handleDelete = async (row) => {
+    const label = `semester ${row.semester}${row.branch ? ` ${row.branch}` : ""}${row.section ? ` section ${row.section}` : ""}`;
+    if (!window.confirm(`Remove all students of ${label}?`)) return;
+
+    try {
+      await axios.delete(`http://localhost:4000/students/roster/${row.semester}`, {
+        params: { branch: row.branch, section: row.section },
+        withCredentials: true
+      });
+      setStatus({ type: "success", message: `Roster for ${label} removed` });
+      fetchSummary();
+    } catch (err) {
+      console.error("Error deleting roster:", err);
+      setStatus({ type: "error", message: "Failed to delete roster" });
+    }
+  };
+
+  return (
+    <div className="ml-71 p-6 max-w-5xl">
+      <h1 className="text-2xl font-bold text-gray-800 flex items-center mb-6">
+        <Users size={28} className="mr-2 text-blue-600" />
+        Student Rosters
+      </h1>
+
+      {status.type && (
+        <div className={`mb-6 px-4 py-3 rounded-lg border-l-4 flex items-start justify-between ${
+          status.type === "success"
+            ? "bg-green-50 text-green-700 border-green-500"
+            : "bg-red-50 text-red-700 border-red-500"
+        }`}>
+          <div className="flex items-start">
+            {status.type === "success" ?
+              <CheckCircle className="h-5 w-5 mr-3 mt-0.5 flex-shrink-0" /> :
+              <AlertCircle className="h-5 w-5 mr-3 mt-0.5 flex-shrink-0" />
+            }
+            <span className="font-medium">{status.message}</span>
+          </div>
+          <button onClick={() => setStatus({ type: null, message: "" })} className="text-gray-400 hover:text-gray-600">
+            <X size={18} />
+          </button>
+        </div>
+      )}
+
+      {/* Upload form */}
+      <form onSubmit={handleUpload} className="bg-white rounded-xl shadow p-6 mb-6 space-y-4">
+        <h2 className="text-lg font-semibold text-gray-800">Upload Roster</h2>
+        <p className="text-sm text-gray-500">
+          CSV or Excel sheet with a <span className="font-medium">Roll Number / USN</span> column.
+          Optional columns: Name, Branch, Section, Date of Birth. Branch and section below are used when the sheet has no such column.
+          Accommodations: Ground Floor and Scribe (yes/no) and Extra Time (minutes); these students are seated in separate rooms.
+        </p>
+        <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">Semester</label>
+            <input
+              type="number"
+              min="1"
+              name="semester"
+              value={form.semester}
+              onChange={handleChange}
+              className="w-full p-2 border border-gray-300 rounded-md focus:ring-blue-500 focus:border-blue-500"
+              placeholder="e.g., 3"
+            />
+          </div>
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">Branch (optional)</label>
+            <input
+              name="branch"
+              value={form.branch}
+              onChange={handleChange}
+              className="w-full p-2 border border-gray-300 rounded-md focus:ring-blue-500 focus:border-blue-500"
+              placeholder="e.g., CSE"
+            />
+          </div>
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">Section (optional)</label>
+            <input
+              name="section"
+              value={form.section}
+              onChange={handleChange}
+              className="w-full p-2 border border-gray-300 rounded-md focus:ring-blue-500 focus:border-blue-500"
+              placeholder="e.g., A"
+            />
+          </div>
+        </div>
+        <div className="flex flex-col md:flex-row md:items-center gap-4">
+          <input
+            type="file"
+            accept=".csv,.xlsx,.xls"
+            onChange={(e) => setFile(e.target.files[0] || null)}
+            className="text-sm text-gray-700"
+          />
+          <label className="inline-flex items-center text-sm text-gray-700">
+            <input
+              type="checkbox"
+              name="replace"
+              checked={form.replace}
+              onChange={handleChange}
+              className="h-4 w-4 text-indigo-600 rounded mr-2"
+            />
+            Remove students of this semester/branch/section that are not in the file
+          </label>
+        </div>
+        <button
+          type="submit"
+          disabled={uploading}
+          className="px-4 py-2 bg-green-600 hover:bg-green-700 text-white rounded-lg transition-colors flex items-center disabled:bg-gray-400"
+        >
+          <Upload size={16} className="mr-2" />
+          {uploading ? "Uploading..." : "Upload"}
+        </button>
+
+        {report && (
+          <div className="text-sm text-gray-700 border-t pt-4">
+            {report.inserted !== undefined && (
+              <p className="mb-2">
+                Added <span className="font-semibold">{report.inserted}</span>, updated{" "}
+                <span className="font-semibold">{report.updated}</span>, removed{" "}
+                <span className="font-semibold">{report.removed}</span>, skipped{" "}
+                <span className="font-semibold">{report.skipped}</span>.
+              </p>
+            )}
+            {report.errors?.length > 0 && (
+              <ul className="list-disc ml-5 text-red-600 max-h-40 overflow-y-auto">
+                {report.errors.map((err, idx) => (
+                  <li key={idx}>Row {err.row}{err.rollNumber ? ` (${err.rollNumber})` : ""}: {err.message}</li>
+                ))}
+              </ul>
+            )}
+          </div>
+        )}
+      </form>
+
+      {/* Roster summary */}
+      <div className="bg-white rounded-xl shadow overflow-hidden">
+        <div className="px-6 py-4 border-b flex justify-between items-center">
+          <h2 className="text-lg font-semibold text-gray-800">Uploaded Rosters</h2>
+          <button
+            onClick={fetchSummary}
+            className="px-3 py-1.5 bg-blue-600 hover:bg-blue-700 text-white rounded-lg transition-colors flex items-center text-sm"
+          >
+            <RefreshCcw size={14} className="mr-2" />
+            Refresh
+          </button>
+        </div>
+        {isLoading ? (
+          <div className="flex justify-center items-center h-32">
+            <div className="animate-spin rounded-full h-10 w-10 border-t-4 border-b-4 border-blue-500"></div>
+          </div>
+        ) : summary.length === 0 ? (
+          <p className="p-6 text-center text-gray-500">No rosters uploaded yet.</p>
+        ) : (
+          <table className="min-w-full divide-y divide-gray-200">
+            <thead className="bg-gray-50">
+              <tr>
+                {["Semester", "Branch", "Section", "Students", "Accommodations"].map(label => (
+                  <th key={label} className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                    {label}
+                  </th>
+                ))}
+                <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">Actions</th>
+              </tr>
+            </thead>
+            <tbody className="bg-white divide-y divide-gray-200">
+              {summary.map((row, idx) => (
+                <tr key={idx} className="hover:bg-blue-50 transition-colors">
+                  <td className="px-6 py-3 text-gray-700">{row.semester}</td>
+                  <td className="px-6 py-3 text-gray-500">{row.branch || "-"}</td>
+                  <td className="px-6 py-3 text-gray-500">{row.section || "-"}</td>
+                  <td className="px-6 py-3">
+                    <span className="inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium bg-blue-100 text-blue-800">
+                      {row.count} students
+                    </span>
+                  </td>
+                  <td className="px-6 py-3 text-gray-500">{row.accommodated || "-"}</td>
+                  <td className="px-6 py-3 text-right">
+                    <button
+                      onClick={() => handleDelete(row)}
+                      className="inline-flex items-center px-3 py-1 bg-red-500 text-white rounded-md hover:bg-red-600"
+                    >
+                      <Trash2 size={14} className="mr-1" />
+                      Delete
+                    </button>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        )}
+      </div>
+    </div>
+  );
+}
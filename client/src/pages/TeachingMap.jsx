@@ -0,0 +1,187 @@
+import { useEffect, useState } from "react";
+import axios from "axios";
+import { Upload, BookOpen, AlertCircle, CheckCircle, X, Trash2 } from "lucide-react";
+
+export default function TeachingMap() {
+  const [semester, setSemester] = useState("");
+  const [file, setFile] = useState(null);
+  const [working, setWorking] = useState(false);
+  const [status, setStatus] = useState({ type: null, message: "" });
+  const [errors, setErrors] = useState([]);
+  const [assignments, setAssignments] = useState([]);
+  const [isLoading, setIsLoading] = useState(true);
+
+  useEffect(() => {
+    fetchAssignments(semester);
+  }, [semester]);
+
+  const fetchAssignments = (sem) => {
+    setIsLoading(true);
+    axios.get("http://localhost:4000/teaching", { params: sem ? { semester: sem } : {}, withCredentials: true })
+      .then((res) => setAssignments(res.data.data))
+      .catch((err) => console.error("Error fetching teaching map:", err))
+      .finally(() => setIsLoading(false));
+  };
+
+  const handleUpload = async () => {
+    if (!semester) {
+      setStatus({ type: "error", message: "Enter the semester the map is for." });
+      return;
+    }
+    if (!file) {
+      setStatus({ type: "error", message: "Choose a CSV or Excel file first." });
+      return;
+    }
+
+    const data = new FormData();
+    data.append("file", file);
+    data.append("semester", semester);
+
+    setWorking(true);
+    setErrors([]);
+    try {
+      const res = await axios.post("http://localhost:4000/teaching/upload", data, { withCredentials: true });
+      const { saved, replaced, skipped } = res.data.data;
+      setStatus({
+        type: "success",
+        message: `${res.data.message}: ${saved} saved, ${replaced} replaced, ${skipped} skipped.`
+      });
+      setErrors(res.data.data.errors);
+      setFile(null);
+      fetchAssignments(semester);
+    } catch (err) {
+      console.error("Error uploading teaching map:", err);
+      setErrors(err.response?.data?.errors || []);
+      setStatus({ type: "error", message: err.response?.data?.message || "Failed to upload teaching map" });
+    } finally {
+      setWorking(false);
+    }
+  };
+
+  const handleDelete = async () => {
+    if (!window.confirm(`Delete the teaching map for semester ${semester}?`)) return;
+    try {
+      const res = await axios.delete(`http://localhost:4000/teaching/${semester}`, { withCredentials: true });
+      setStatus({ type: "success", message: res.data.message });
+      fetchAssignments(semester);
+    } catch (err) {
+      console.error("Error deleting teaching map:", err);
+      setStatus({ type: "error", message: err.response?.data?.message || "Failed to delete teaching map" });
+    }
+  };
+
+  return (
+    <div className="ml-71 p-6 max-w-5xl">
+      <h1 className="text-2xl font-bold text-gray-800 flex items-center mb-6">
+        <BookOpen size={28} className="mr-2 text-blue-600" />
+        Teaching Map
+      </h1>
+
+      {status.type && (
+        <div className={`mb-6 px-4 py-3 rounded-lg border-l-4 flex items-start justify-between ${
+          status.type === "success"
+            ? "bg-green-50 text-green-700 border-green-500"
+            : "bg-red-50 text-red-700 border-red-500"
+        }`}>
+          <div className="flex items-start">
+            {status.type === "success" ?
+              <CheckCircle className="h-5 w-5 mr-3 mt-0.5 flex-shrink-0" /> :
+              <AlertCircle className="h-5 w-5 mr-3 mt-0.5 flex-shrink-0" />
+            }
+            <span className="font-medium">{status.message}</span>
+          </div>
+          <button onClick={() => setStatus({ type: null, message: "" })} className="text-gray-400 hover:text-gray-600">
+            <X size={18} />
+          </button>
+        </div>
+      )}
+
+      <div className="bg-white rounded-xl shadow p-6 mb-6 space-y-4">
+        <p className="text-sm text-gray-500">
+          CSV or Excel sheet with <span className="font-medium">Email</span> and <span className="font-medium">Subject Code</span> columns,
+          one row per subject a faculty member teaches. Uploading a semester's map replaces the previous one. Faculty are never
+          assigned to invigilate a room where a subject they teach in that semester is being written.
+        </p>
+        <div className="flex flex-wrap items-center gap-4">
+          <input
+            type="number"
+            min="1"
+            placeholder="Semester"
+            value={semester}
+            onChange={(e) => setSemester(e.target.value)}
+            className="w-32 border border-gray-300 rounded-lg px-3 py-2 text-sm"
+          />
+          <input
+            type="file"
+            accept=".csv,.xlsx,.xls"
+            onChange={(e) => setFile(e.target.files[0] || null)}
+            className="text-sm text-gray-700"
+          />
+          <button
+            onClick={handleUpload}
+            disabled={working}
+            className="px-4 py-2 bg-green-600 hover:bg-green-700 text-white rounded-lg transition-colors flex items-center disabled:bg-gray-400"
+          >
+            <Upload size={16} className="mr-2" />
+            {working ? "Uploading..." : "Upload"}
+          </button>
+        </div>
+
+        {errors.length > 0 && (
+          <ul className="list-disc ml-5 text-sm text-red-600 max-h-40 overflow-y-auto border-t pt-4">
+            {errors.map((err, idx) => (
+              <li key={idx}>Row {err.row}{err.email ? ` (${err.email})` : ""}: {err.message}</li>
+            ))}
+          </ul>
+        )}
+      </div>
+
+      <div className="bg-white rounded-xl shadow overflow-hidden">
+        <div className="px-6 py-4 border-b flex justify-between items-center">
+          <h2 className="text-lg font-semibold text-gray-800">
+            {semester ? `Semester ${semester}` : "All Semesters"}
+            <span className="ml-3 text-sm font-normal text-gray-500">{assignments.length} assignment(s)</span>
+          </h2>
+          {semester && assignments.length > 0 && (
+            <button
+              onClick={handleDelete}
+              className="px-3 py-1.5 text-red-600 hover:text-red-800 flex items-center text-sm"
+            >
+              <Trash2 size={14} className="mr-2" />
+              Delete Map
+            </button>
+          )}
+        </div>
+        {isLoading ? (
+          <div className="flex justify-center items-center h-40">
+            <div className="animate-spin rounded-full h-12 w-12 border-t-2 border-b-2 border-blue-500"></div>
+          </div>
+        ) : assignments.length === 0 ? (
+          <p className="px-6 py-8 text-gray-500">No teaching assignments uploaded.</p>
+        ) : (
+          <div className="overflow-x-auto max-h-[32rem]">
+            <table className="min-w-full divide-y divide-gray-200 text-sm">
+              <thead className="bg-gray-50">
+                <tr>
+                  {["Semester", "Subject Code", "Faculty", "Email"].map((label) => (
+                    <th key={label} className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">{label}</th>
+                  ))}
+                </tr>
+              </thead>
+              <tbody className="divide-y divide-gray-100">
+                {assignments.map((assignment) => (
+                  <tr key={assignment._id}>
+                    <td className="px-4 py-2 text-gray-500">{assignment.semester}</td>
+                    <td className="px-4 py-2 font-medium">{assignment.subjectCode}</td>
+                    <td className="px-4 py-2">{assignment.facultyId?.name || "Removed faculty"}</td>
+                    <td className="px-4 py-2 text-gray-600">{assignment.facultyId?.email}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,163 @@
+import { useCallback, useEffect, useState } from "react";
+import axios from "axios";
+import { Link } from "react-router-dom";
+import DepartmentSelect from "../components/DepartmentSelect";
+
+const STATUS_TABS = ["Pending", "Approved", "Rejected"];
+
+const statusClasses = {
+  Pending: "bg-yellow-100 text-yellow-800",
+  Approved: "bg-green-100 text-green-800",
+  Rejected: "bg-red-100 text-red-800",
+};
+
+export default function UnavailabilityRequests() {
+  const [requests, setRequests] = useState([]);
+  const [status, setStatus] = useState("Pending");
+  const [isLoading, setIsLoading] = useState(true);
+  const [reviewingId, setReviewingId] = useState(null);
+  const [notes, setNotes] = useState({});
+  const [department, setDepartment] = useState("");
+
+  const fetchRequests = useCallback(() => {
+    setIsLoading(true);
+    axios.get(`http://localhost:4000/faculty/unavailability?status=${status}${department ? `&department=${department}` : ""}`, { withCredentials: true })
+      .then(res => {
+        setRequests(res.data.data);
+        setIsLoading(false);
+      })
+      .catch(err => {
+        console.error("Error fetching unavailability requests:", err);
+        setIsLoading(false);
+      });
+  }, [status, department]);
+
+  useEffect(() => {
+    fetchRequests();
+  }, [fetchRequests]);
+
+  const handleReview = async (requestId, decision) => {
+    setReviewingId(requestId);
+    try {
+      const res = await axios.put(
+        `http://localhost:4000/faculty/unavailability/${requestId}/review`,
+        { status: decision, reviewNote: notes[requestId] || "" },
+        { withCredentials: true }
+      );
+      alert(res.data.message);
+      setRequests(prev => prev.filter(r => r._id !== requestId));
+    } catch (err) {
+      console.error("Error reviewing request:", err);
+      alert(err.response?.data?.message || "Something went wrong while reviewing.");
+    } finally {
+      setReviewingId(null);
+    }
+  };
+
+  const formatPeriod = (request) => {
+    const options = { day: "numeric", month: "short", year: "numeric", hour: "numeric", minute: "2-digit" };
+    return `${new Date(request.from).toLocaleString("en-IN", options)} - ${new Date(request.to).toLocaleString("en-IN", options)}`;
+  };
+
+  return (
+    <div className="ml-71 p-6 max-w-6xl">
+      <div className="flex justify-between items-center mb-6">
+        <h1 className="text-3xl font-bold text-gray-800">Faculty Leave Requests</h1>
+      </div>
+
+      <div className="flex gap-2 mb-6">
+        {STATUS_TABS.map(tab => (
+          <button
+            key={tab}
+            onClick={() => setStatus(tab)}
+            className={`px-4 py-2 rounded-lg text-sm font-medium transition ${
+              status === tab ? "bg-blue-600 text-white shadow-md" : "bg-white border border-gray-300 text-gray-700 hover:bg-gray-50"
+            }`}
+          >
+            {tab}
+          </button>
+        ))}
+        <div className="ml-auto">
+          <DepartmentSelect value={department} onChange={setDepartment} />
+        </div>
+      </div>
+
+      {isLoading ? (
+        <div className="flex justify-center items-center h-64">
+          <div className="animate-spin rounded-full h-12 w-12 border-t-2 border-b-2 border-blue-500"></div>
+        </div>
+      ) : requests.length === 0 ? (
+        <div className="bg-white rounded-lg shadow p-8 text-center text-gray-500">
+          No {status.toLowerCase()} requests.
+        </div>
+      ) : (
+        <div className="space-y-4">
+          {requests.map(request => (
+            <div key={request._id} className="bg-white rounded-lg shadow p-5 border border-gray-100">
+              <div className="flex justify-between items-start">
+                <div>
+                  <h2 className="text-lg font-semibold text-gray-800">
+                    {request.facultyId?.name || "Unknown faculty"}
+                    <span className="ml-2 text-sm font-normal text-gray-500">{request.facultyId?.designation}</span>
+                  </h2>
+                  <p className="text-sm text-gray-600 mt-1">
+                    <span className="font-medium">{request.type}:</span> {formatPeriod(request)}
+                  </p>
+                  {request.reason && <p className="text-sm text-gray-500 mt-1">{request.reason}</p>}
+                  {request.reviewNote && <p className="text-sm text-gray-500 mt-1 italic">Note: {request.reviewNote}</p>}
+                </div>
+                <span className={`px-2 py-1 rounded-full text-xs font-medium ${statusClasses[request.status]}`}>
+                  {request.status}
+                </span>
+              </div>
+
+              {request.conflictingDuties.length > 0 && (
+                <div className="mt-4 bg-amber-50 border border-amber-200 rounded-lg p-3">
+                  <p className="text-sm font-medium text-amber-800 mb-2">
+                    Already assigned {request.conflictingDuties.length} duty(s) in this period; substitute them from the exam page:
+                  </p>
+                  <ul className="text-sm text-amber-900 space-y-1">
+                    {request.conflictingDuties.map(duty => (
+                      <li key={duty.allocationId}>
+                        <Link to={`/exams/${duty.examId}`} className="underline hover:text-amber-700">
+                          {duty.examName}
+                        </Link>
+                        {` — ${duty.date}, ${duty.time}, ${duty.roomDetails}`}
+                      </li>
+                    ))}
+                  </ul>
+                </div>
+              )}
+
+              {request.status === "Pending" && (
+                <div className="mt-4 flex flex-col sm:flex-row gap-3">
+                  <input
+                    type="text"
+                    placeholder="Note to faculty (optional)"
+                    value={notes[request._id] || ""}
+                    onChange={e => setNotes(prev => ({ ...prev, [request._id]: e.target.value }))}
+                    className="flex-1 border border-gray-300 rounded-lg px-3 py-2 text-sm"
+                  />
+                  <button
+                    onClick={() => handleReview(request._id, "Approved")}
+                    disabled={reviewingId === request._id}
+                    className="bg-green-600 hover:bg-green-700 disabled:opacity-60 text-white px-4 py-2 rounded-lg text-sm"
+                  >
+                    Approve
+                  </button>
+                  <button
+                    onClick={() => handleReview(request._id, "Rejected")}
+                    disabled={reviewingId === request._id}
+                    className="bg-red-600 hover:bg-red-700 disabled:opacity-60 text-white px-4 py-2 rounded-lg text-sm"
+                  >
+                    Reject
+                  </button>
+                </div>
+              )}
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
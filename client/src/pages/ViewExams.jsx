@@ -1,7 +1,8 @@
-import React, { useEffect, useState } from "react";
+import React, { useCallback, useEffect, useState } from "react";
 import axios from "axios";
 import { useNavigate } from "react-router-dom";
 import moment from "moment"; // Using moment for consistent date/time formatting
+import DepartmentSelect from "../components/DepartmentSelect";
 
 // Helper function to format date
 function formatDate(dateStr) {
@@ -9,20 +10,22 @@ function formatDate(dateStr) {
   return date.isValid() ? date.format("MMM D, YYYY") : "Invalid Date";
 }
 
-const ViewExams = () => {
+const ViewExams = ({ user }) => {
   const [examsData, setExamsData] = useState(null);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
   const [activeTab, setActiveTab] = useState("upcoming"); // State for active tab
+  const [department, setDepartment] = useState(""); // Exams with a paper of this department
+  const isAdmin = user?.role?.toLowerCase() === "admin";
 
   const navigate = useNavigate();
 
   // Function to fetch exams data from the backend
-  const fetchExams = () => {
+  const fetchExams = useCallback(() => {
     setLoading(true);
     setError(null);
     axios
-      .get("http://localhost:4000/exams/", { withCredentials: true })
+      .get("http://localhost:4000/exams/", { withCredentials: true, params: { department: department || undefined } })
       .then((response) => {
         if (!response.data.success) {
           throw new Error("Failed to load exams");
@@ -35,12 +38,12 @@ const ViewExams = () => {
         setError(err.response?.data?.message || err.message || "Error fetching exams");
         setLoading(false);
       });
-  };
+  }, [department]);
 
   // Effect hook to fetch exams on component mount
   useEffect(() => {
     fetchExams();
-  }, []); // Empty dependency array means this runs once on mount
+  }, [fetchExams]); // Runs on mount and whenever the department filter changes
 
   // Handle refresh action
   const handleRefresh = () => {
@@ -87,6 +90,15 @@ const ViewExams = () => {
       <p className="text-gray-700 text-base mb-4">
         <span className="font-semibold text-gray-700">Faculty Allotted:</span> {exam.uniqueFacultyCount || 0}
       </p>
+      {exam.departments?.length > 0 && (
+        <div className="flex flex-wrap gap-1 mb-2">
+          {exam.departments.map((dept) => (
+            <span key={dept._id} className="px-2 py-0.5 rounded-full text-xs bg-indigo-50 text-indigo-800" title={dept.name}>
+              {dept.code}
+            </span>
+          ))}
+        </div>
+      )}
 
       {/* Action buttons at the bottom of the card */}
       <div className="flex justify-end space-x-2 mt-4 border-t pt-3 border-gray-100">
@@ -210,14 +222,17 @@ const ViewExams = () => {
             Completed Exams
           </button>
         </div>
-        {/* Refresh button */}
-        <button
-          onClick={handleRefresh}
-          className="px-4 py-2 bg-blue-100 text-blue-600 font-semibold rounded-md hover:bg-blue-200 transition duration-200 ease-in-out shadow-sm flex items-center"
-        >
-          <svg className="w-4 h-4 mr-2" fill="none" stroke="currentColor" viewBox="0 0 24 24" xmlns="http://www.w3.org/2000/svg"><path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M4 4v5h.582m15.356 2A8.001 8.001 0 004 12v1a8 8 0 0015.356 2M20 20v-5h-.581m0 0a8.003 8.003 0 01-15.357-2L4 12l.001-.001C5.378 7.309 9.497 4 14 4h1"></path></svg>
-          Refresh
-        </button>
+        <div className="flex items-center gap-3">
+          {isAdmin && <DepartmentSelect value={department} onChange={setDepartment} />}
+          {/* Refresh button */}
+          <button
+            onClick={handleRefresh}
+            className="px-4 py-2 bg-blue-100 text-blue-600 font-semibold rounded-md hover:bg-blue-200 transition duration-200 ease-in-out shadow-sm flex items-center"
+          >
+            <svg className="w-4 h-4 mr-2" fill="none" stroke="currentColor" viewBox="0 0 24 24" xmlns="http://www.w3.org/2000/svg"><path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M4 4v5h.582m15.356 2A8.001 8.001 0 004 12v1a8 8 0 0015.356 2M20 20v-5h-.581m0 0a8.003 8.003 0 01-15.357-2L4 12l.001-.001C5.378 7.309 9.497 4 14 4h1"></path></svg>
+            Refresh
+          </button>
+        </div>
       </div>
 
       {/* Content based on active tab */}